@@ -0,0 +1,5 @@
+// Solo para Jest: los módulos de src/shared son ESM (los comparte el cliente)
+// y babel-jest los pasa a CommonJS. El build de las Functions usa tsc.
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
@@ -4,6 +4,17 @@
 
 import * as functions from 'firebase-functions';
 import * as admin from 'firebase-admin';
+import { participantesDe, aportesPorParticipante, saldosNetos, saldosPendientes, estadoPago, montoDeEvento } from './shared/balances';
+import { simplificarDeudas } from './shared/settlement';
+import { validarDivision } from './shared/splits';
+import { esMonedaValida, normalizarMoneda } from './shared/currencies';
+import { formatearMonto, sumarMontos, aMinimas, desdeMinimas } from './shared/money';
+import { FRECUENCIAS, crearRecurrencia, validarRecurrencia, proximaOcurrencia, avanzarRecurrencia, diasEntre, sumarDias } from './shared/recurrence';
+import { DIAS_AVISO_ANTES, recordatorioPendiente } from './shared/dueDates';
+import { MAX_USOS_DEFAULT, estadoInvitacion } from './shared/invitations';
+import { esInvitado, reemplazarParticipante } from './shared/guests';
+import { propietarioDe } from './shared/roles';
+import { obtenerSnapshot, hoyArgentina } from './rates';
 
 // Inicializar Firebase Admin
 admin.initializeApp();
@@ -13,6 +24,9 @@ const db = admin.firestore();
 const storage = admin.storage();
 const messaging = admin.messaging();
 
+// Límite de comprobantes por evento (ver storageConfig en el cliente)
+const MAX_ADJUNTOS_POR_EVENTO = 2;
+
 // =============================================================================
 // TIPOS Y INTERFACES
 // =============================================================================
@@ -20,49 +34,153 @@ const messaging = admin.messaging();
 interface Participante {
   uid: string;
   alias: string;
-  participacion: number;
+  participacion: number; // informativo; el reparto real lo define Evento.division
+}
+
+interface Division {
+  modo: 'igual' | 'porcentaje' | 'partes' | 'exacto';
+  valores?: Record<string, number>; // uid -> porcentaje, peso o monto según el modo
+  excluidos?: string[];
+}
+
+interface Gasto {
+  id: string;
+  descripcion: string;
+  monto: number;
+  pagado_por?: string;
+  aportes?: Record<string, number>; // varios pagadores: uid -> monto
+
+  fecha: admin.firestore.Timestamp;
+  creado_por?: string;
+}
+
+type Repeticion = 'unico' | 'semanal' | 'quincenal' | 'mensual' | 'anual';
+
+interface Recurrencia {
+  frecuencia: Exclude<Repeticion, 'unico'>;
+  inicio: string; // 'YYYY-MM-DD' de la ocurrencia 0
+  dia_mes?: number; // solo mensual
+  fin?: string | null;
+  max_ocurrencias?: number | null;
+  indice: number; // próxima ocurrencia a materializar
+  proxima: string | null; // fecha de la próxima ocurrencia no omitida; null si terminó
+  excepciones?: Record<string, { omitida?: boolean; fecha?: string; titulo?: string; monto?: number }>;
+}
+
+interface PagosParticipante {
+  total: number;
+  historial: Array<{
+    id: string;
+    monto: number;
+    fecha: admin.firestore.Timestamp;
+    por: string; // quién registró el pago
+  }>;
 }
 
 interface Evento {
   id: string;
   titulo: string;
-  moneda: 'ARS' | 'USD';
-  monto: number;
-  repeticion: 'unico' | 'mensual';
+  moneda: string; // código ISO-4217
+  tipo_cambio?: {
+    base: string;
+    valor: number; // 1 moneda = valor de base
+    tipo?: 'oficial' | 'blue' | 'mep'; // cotización fijada desde un snapshot
+    fecha?: string; // YYYY-MM-DD del snapshot usado
+  };
+  monto: number; // total derivado de gastos
+  gastos?: Gasto[];
+  division?: Division; // sin división: partes iguales
+  repeticion: Repeticion;
+  recurrencia?: Recurrencia; // calendario de la serie (solo en el evento original)
+  serie_id?: string; // evento original de la serie (en las ocurrencias)
+  ocurrencia?: number; // índice dentro de la serie (la original es la 0)
+  fecha_ocurrencia?: string; // 'YYYY-MM-DD' según el calendario
+  grupo_id?: string; // grupo contenedor (las recurrencias lo conservan)
   estado: 'abierto' | 'cerrado';
   forma_pago: string;
   vence_el?: admin.firestore.Timestamp;
+  recordatorios?: { antes?: string; despues?: string }; // fecha en que se envió cada recordatorio
   creado_por: string;
   creado_en: admin.firestore.Timestamp;
+  propietario?: string; // dueño actual del evento (sin el campo: creado_por)
+  roles?: Record<string, 'admin' | 'member' | 'viewer'>; // uid -> rol; sin entrada: 'member'
   quien_pago?: string;
+  aportes?: Record<string, number>; // total aportado por participante al cerrar
   fecha_pago?: admin.firestore.Timestamp;
   participantes: Participante[];
+  participantesUids?: string[];
+  aliases?: Record<string, string>; // uid -> nombre a mostrar
+  pagos?: Record<string, PagosParticipante | boolean>; // boolean: formato anterior (pagó todo)
   token_invitacion: string;
-  adjuntos: Array<{
-    path: string;
-    tipo: string;
+  ingresos_invitacion?: Record<string, { token: string; en: admin.firestore.Timestamp }>; // uid -> link con el que entró
+  invitados?: Record<string, Invitado>; // participantes sin cuenta (su ID también está en participantesUids)
+  adjuntos: Adjunto[];
+}
+
+interface Invitado {
+  nombre: string;
+  creado_por: string;
+  creado_en: admin.firestore.Timestamp;
+}
+
+interface Reclamo {
+  evento_id: string;
+  invitado_id: string;
+  token: string; // también es el ID del documento reclamos/{token}
+  creado_por: string;
+  creado_en: admin.firestore.Timestamp;
+  reclamado_por: string | null;
+  reclamado_en?: admin.firestore.Timestamp;
+}
+
+interface Adjunto {
+  path: string;
+  nombre?: string; // nombre original del archivo
+  tipo: string;
     bytes: number;
-    subido_por: string;
-    subido_en: admin.firestore.Timestamp;
-  }>;
+  subido_por: string;
+  subido_en: admin.firestore.Timestamp;
 }
 
 interface Balance {
   key: string;
   entre: [string, string];
-  moneda: 'ARS' | 'USD';
+  moneda: string;
   saldo: number;
+  saldo_minimas?: number; // saldo en unidades mínimas enteras (el que se suma); anteriores: solo saldo
   actualizado_en: admin.firestore.Timestamp;
 }
 
+// Movimiento de deuda a aplicar sobre `balances`
+interface Movimiento {
+  deudor: string;
+  acreedor: string;
+  moneda: string;
+  monto: number;
+}
+
+interface Liquidacion {
+  de: string;     // quien transfirió
+  para: string;   // quien recibió
+  participantes: [string, string]; // [de, para] para consultas por usuario
+  monto: number;
+  moneda: string;
+  fecha: admin.firestore.Timestamp;
+  nota?: string;
+  creado_por: string;
+  creado_en: admin.firestore.Timestamp;
+}
+
 interface Invitacion {
   evento_id: string;
   token: string;
   creado_por: string;
   creado_en: admin.firestore.Timestamp;
-  expira_en?: admin.firestore.Timestamp;
+  expira_en?: admin.firestore.Timestamp | null;
   usos: number;
-  max_usos: number;
+  max_usos: number | null;
+  revocada?: boolean;
+  revocada_en?: admin.firestore.Timestamp;
 }
 
 // =============================================================================
@@ -87,17 +205,37 @@ export const onEventoUpdate_cierre = functions.region('us-central1').firestore
       if (before.estado === 'abierto' && after.estado === 'cerrado') {
         console.log(`✅ Evento ${eventoId} cerrado, calculando balances...`);
         
-        // Validar que quien_pago esté en participantes
-        if (after.quien_pago && !after.participantes.find(p => p.uid === after.quien_pago)) {
-          throw new Error(`Usuario ${after.quien_pago} no es participante del evento`);
+        // El total lo escribe el cliente: se recalcula a partir de los gastos
+        const monto = montoDeEvento(after);
+        if (monto !== after.monto) {
+          console.log(`🔧 Total del evento ${eventoId} corregido: ${after.monto} -> ${monto}`);
+          after.monto = monto;
+          await change.after.ref.update({ monto });
+        }
+        
+        // Validar que quienes pagaron estén en participantes
+        const uids = participantesDe(after);
+        for (const pagador of Object.keys(aportesPorParticipante(after))) {
+          if (!uids.includes(pagador)) {
+            throw new Error(`Usuario ${pagador} no es participante del evento`);
+          }
+        }
+
+        // Validar que la división cubra exactamente el total
+        const division = validarDivision(after.monto, uids, after.division, after.moneda);
+        if (!division.isValid) {
+          throw new Error(`División inválida: ${division.errors.join('; ')}`);
         }
         
         // Calcular y actualizar balances
-        await calcularBalances(after);
+        await calcularBalances(after, context.eventId);
         
-        // Crear evento recurrente si es mensual
-        if (after.repeticion === 'mensual') {
-          await crearEventoRecurrente(after);
+        // Eventos mensuales anteriores al calendario de recurrencias: se
+        // convierten en serie para que la Function programada cree el próximo
+        if (after.repeticion === 'mensual' && !after.recurrencia && !after.serie_id) {
+          await change.after.ref.update({
+            recurrencia: crearRecurrencia({ frecuencia: 'mensual', inicio: fechaArgentina(after.creado_en.toDate()) })
+          });
         }
         
         // Enviar notificaciones push
@@ -113,6 +251,7 @@ export const onEventoUpdate_cierre = functions.region('us-central1').firestore
       await change.after.ref.update({
         estado: 'abierto',
         quien_pago: admin.firestore.FieldValue.delete(),
+        aportes: admin.firestore.FieldValue.delete(),
         fecha_pago: admin.firestore.FieldValue.delete()
       });
       
@@ -125,7 +264,10 @@ export const onEventoUpdate_cierre = functions.region('us-central1').firestore
 // =============================================================================
 
 /**
- * Función callable para unirse a un evento usando un token de invitación
+ * Función callable para unirse a un evento usando un token de invitación.
+ * Es el único camino para entrar por link: en una transacción valida la
+ * invitación, agrega al usuario a `participantes`, `participantesUids` y
+ * `aliases`, registra el link usado y suma un uso a la invitación.
  */
 export const joinByToken = functions.https.onCall(async (data, context) => {
   try {
@@ -134,108 +276,112 @@ export const joinByToken = functions.https.onCall(async (data, context) => {
       throw new functions.https.HttpsError('unauthenticated', 'Usuario no autenticado');
     }
     
-    const { token } = data;
+    const { token, eventoId } = data || {};
     const userId = context.auth.uid;
     
-    if (!token) {
+    if (!token || typeof token !== 'string') {
       throw new functions.https.HttpsError('invalid-argument', 'Token de invitación requerido');
     }
     
     console.log(`🔗 Usuario ${userId} intentando unirse con token: ${token}`);
     
-    // Buscar invitación válida
-    const invitacionRef = await db.collection('invitaciones')
-      .where('token', '==', token)
-      .limit(1)
-      .get();
-    
-    if (invitacionRef.empty) {
-      throw new functions.https.HttpsError('not-found', 'Token de invitación inválido');
-    }
-    
-    const invitacion = invitacionRef.docs[0].data() as Invitacion;
-    
-    // Verificar que la invitación no haya expirado
-    if (invitacion.expira_en && invitacion.expira_en.toDate() < new Date()) {
-      throw new functions.https.HttpsError('deadline-exceeded', 'Token de invitación expirado');
-    }
-    
-    // Verificar límite de usos
-    if (invitacion.usos >= invitacion.max_usos) {
-      throw new functions.https.HttpsError('resource-exhausted', 'Token de invitación agotado');
-    }
-    
-    // Obtener evento
-    const eventoRef = db.collection('eventos').doc(invitacion.evento_id);
-    const eventoDoc = await eventoRef.get();
-    
-    if (!eventoDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Evento no encontrado');
-    }
-    
-    const evento = eventoDoc.data() as Evento;
-    
-    // Verificar que el evento esté abierto
-    if (evento.estado !== 'abierto') {
-      throw new functions.https.HttpsError('failed-precondition', 'Evento ya cerrado');
-    }
-    
-    // Verificar que el usuario no sea ya participante
-    if (evento.participantes.find(p => p.uid === userId)) {
-      throw new functions.https.HttpsError('already-exists', 'Usuario ya es participante del evento');
-    }
-    
-    // Obtener información del usuario
-    const userDoc = await db.collection('usuarios').doc(userId).get();
-    const userData = userDoc.exists ? userDoc.data() : {};
-    const alias = userData?.displayName || userData?.email?.split('@')[0] || 'Usuario';
+    const invitacionRef = db.collection('invitaciones').doc(token);
+    const usuarioRef = db.collection('usuarios').doc(userId);
     
-    // Calcular nueva participación
-    const nuevaParticipacion = 1 / (evento.participantes.length + 1);
-    
-    // Actualizar participaciones existentes
-    const participantesActualizados = evento.participantes.map(p => ({
-      ...p,
-      participacion: nuevaParticipacion
-    }));
-    
-    // Agregar nuevo participante
-    participantesActualizados.push({
-      uid: userId,
-      alias,
-      participacion: nuevaParticipacion
-    });
-    
-    // Actualizar evento
-    await eventoRef.update({
-      participantes: participantesActualizados
-    });
-    
-    // Incrementar contador de usos de la invitación
-    await db.collection('invitaciones').doc(invitacionRef.docs[0].id).update({
-      usos: admin.firestore.FieldValue.increment(1)
-    });
-    
-    // Registrar auditoría
-    await registrarAuditoria({
-      tipo: 'INVITAR',
-      evento_id: evento.id,
-      actor: userId,
-      en: admin.firestore.Timestamp.now(),
-      payload: { token, alias }
+    const resultado = await db.runTransaction(async (tx) => {
+      // Buscar invitación válida
+      const invitacionDoc = await tx.get(invitacionRef);
+      if (!invitacionDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Token de invitación inválido');
+      }
+      const invitacion = invitacionDoc.data() as Invitacion;
+      if (eventoId && invitacion.evento_id !== eventoId) {
+        throw new functions.https.HttpsError('not-found', 'Token de invitación inválido');
+      }
+      
+      // Obtener evento y perfil del usuario (todas las lecturas antes de escribir)
+      const eventoRef = db.collection('eventos').doc(invitacion.evento_id);
+      const [eventoDoc, userDoc] = await Promise.all([tx.get(eventoRef), tx.get(usuarioRef)]);
+      if (!eventoDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Evento no encontrado');
+      }
+      const evento = { ...(eventoDoc.data() as Evento), id: eventoDoc.id };
+      const uids = participantesDe(evento).concat(evento.participantesUids || []);
+      
+      // Quien ya participa no consume un uso del link
+      if (uids.includes(userId)) {
+        return { evento, alias: null, participantes: new Set(uids).size };
+      }
+      
+      // Verificar que la invitación no esté revocada, expirada ni agotada
+      const estadoInv = estadoInvitacion(invitacion);
+      if (estadoInv === 'revocada' || evento.token_invitacion !== token) {
+        throw new functions.https.HttpsError('permission-denied', 'Token de invitación revocado');
+      }
+      if (estadoInv === 'expirada') {
+        throw new functions.https.HttpsError('deadline-exceeded', 'Token de invitación expirado');
+      }
+      if (estadoInv === 'agotada') {
+        throw new functions.https.HttpsError('resource-exhausted', 'Token de invitación agotado');
+      }
+      
+      // Verificar que el evento esté abierto
+      if (evento.estado !== 'abierto') {
+        throw new functions.https.HttpsError('failed-precondition', 'Evento ya cerrado');
+      }
+      
+      const userData = userDoc.exists ? userDoc.data() : {};
+      const alias = userData?.displayName || userData?.email?.split('@')[0] || 'Usuario';
+      const aliases = evento.aliases || {};
+      
+      // Completar `participantes` con quienes solo figuraban en participantesUids
+      // (ingresos anteriores por reglas o por grupo) y agregar al nuevo
+      const participantes: Participante[] = [...(evento.participantes || [])];
+      (evento.participantesUids || []).forEach(uid => {
+        if (!participantes.find(p => p.uid === uid)) {
+          participantes.push({ uid, alias: aliases[uid] || 'Usuario', participacion: 1 });
+        }
+      });
+      participantes.push({ uid: userId, alias, participacion: 1 });
+      
+      tx.update(eventoRef, {
+        participantes,
+        participantesUids: participantes.map(p => p.uid),
+        [`aliases.${userId}`]: alias,
+        [`ingresos_invitacion.${userId}`]: { token, en: admin.firestore.Timestamp.now() }
+      });
+      tx.update(invitacionRef, {
+        usos: admin.firestore.FieldValue.increment(1)
+      });
+      return { evento, alias, participantes: participantes.length };
     });
     
-    // Enviar notificación al creador
-    await enviarNotificacionNuevoParticipante(evento, alias);
-    
-    console.log(`✅ Usuario ${userId} agregado al evento ${evento.id}`);
+    const { evento, alias } = resultado;
+    if (alias) {
+      // Registrar auditoría
+      await registrarAuditoria({
+        tipo: 'INVITAR',
+        evento_id: evento.id,
+        actor: userId,
+        en: admin.firestore.Timestamp.now(),
+        payload: { token, alias }
+      });
+      
+      // Enviar notificación al creador
+      await enviarNotificacionNuevoParticipante(evento, alias);
+      
+      console.log(`✅ Usuario ${userId} agregado al evento ${evento.id}`);
+    } else {
+      console.log(`ℹ️ Usuario ${userId} ya participaba del evento ${evento.id}`);
+    }
     
     return {
       success: true,
+      ya_participante: !alias,
       evento: {
         id: evento.id,
         titulo: evento.titulo,
-        participantes: participantesActualizados.length
+        participantes: resultado.participantes
       }
     };
     
@@ -250,6 +396,154 @@ export const joinByToken = functions.https.onCall(async (data, context) => {
   }
 });
 
+// =============================================================================
+// FUNCIÓN: RECLAMAR UN INVITADO SIN CUENTA
+// =============================================================================
+
+/**
+ * Función callable para que un usuario reclame un invitado (participante sin
+ * cuenta) con su link personal. En una transacción reemplaza el ID del
+ * invitado por el UID del usuario en todos los eventos donde figura (el
+ * original y las ocurrencias de su serie) y le traspasa sus balances.
+ */
+export const reclamarInvitado = functions.region('us-central1').https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'Usuario no autenticado');
+    }
+
+    const { token, eventoId } = data || {};
+    const userId = context.auth.uid;
+
+    if (!token || typeof token !== 'string') {
+      throw new functions.https.HttpsError('invalid-argument', 'Link de reclamo requerido');
+    }
+
+    console.log(`🔗 Usuario ${userId} intentando reclamar invitado con token: ${token}`);
+
+    const reclamoRef = db.collection('reclamos').doc(token);
+    const usuarioRef = db.collection('usuarios').doc(userId);
+
+    const resultado = await db.runTransaction(async (tx) => {
+      const reclamoDoc = await tx.get(reclamoRef);
+      if (!reclamoDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Link de reclamo inválido');
+      }
+      const reclamo = reclamoDoc.data() as Reclamo;
+      if (eventoId && reclamo.evento_id !== eventoId) {
+        throw new functions.https.HttpsError('not-found', 'Link de reclamo inválido');
+      }
+      if (reclamo.reclamado_por) {
+        if (reclamo.reclamado_por === userId) return { reclamo, nombre: null, alias: null, eventos: 0 };
+        throw new functions.https.HttpsError('already-exists', 'El invitado ya fue reclamado');
+      }
+
+      // Todas las lecturas antes de escribir: eventos del invitado, perfil y balances
+      const invitadoId = reclamo.invitado_id;
+      const [eventosSnap, userDoc, balancesSnap] = await Promise.all([
+        tx.get(db.collection('eventos').where('participantesUids', 'array-contains', invitadoId)),
+        tx.get(usuarioRef),
+        tx.get(db.collection('balances').where('entre', 'array-contains', invitadoId))
+      ]);
+      const original = eventosSnap.docs.find(d => d.id === reclamo.evento_id);
+      if (!original) {
+        throw new functions.https.HttpsError('not-found', 'El invitado ya no participa del evento');
+      }
+      if (eventosSnap.docs.some(d => participantesDe(d.data() as Evento).includes(userId))) {
+        throw new functions.https.HttpsError('failed-precondition', 'Ya participas de ese evento con tu cuenta');
+      }
+
+      // Balances del invitado con cada contraparte en unidades mínimas, vistos
+      // desde el invitado (positivo: la contraparte le debe) y el balance del
+      // usuario que los recibe
+      const traspasos = balancesSnap.docs.map(d => {
+        const balance = d.data() as Balance;
+        const contraparte = balance.entre[0] === invitadoId ? balance.entre[1] : balance.entre[0];
+        const saldo = balance.entre[0] === invitadoId ? minimasDeBalance(balance) : -minimasDeBalance(balance);
+        const entre = [userId, contraparte].sort() as [string, string];
+        return {
+          ref: d.ref,
+          entre,
+          moneda: balance.moneda,
+          saldo: entre[0] === userId ? saldo : -saldo,
+          destino: db.collection('balances').doc(`${entre[0]}_${entre[1]}_${balance.moneda}`)
+        };
+      });
+      const destinos = await Promise.all(traspasos.map(t => tx.get(t.destino)));
+
+      const userData = userDoc.exists ? userDoc.data() : {};
+      const alias = userData?.displayName || userData?.email?.split('@')[0] || 'Usuario';
+      const evento = original.data() as Evento;
+      const nombre = (evento.invitados && evento.invitados[invitadoId]?.nombre) || (evento.aliases || {})[invitadoId] || 'Invitado';
+
+      eventosSnap.docs.forEach(d => {
+        tx.update(d.ref, reemplazarParticipante(d.data(), invitadoId, userId, alias));
+      });
+      traspasos.forEach((t, i) => {
+        tx.delete(t.ref);
+        if (t.entre[0] === t.entre[1]) return; // saldo con uno mismo: se cancela
+        const previo = destinos[i].exists ? minimasDeBalance(destinos[i].data() as Balance) : 0;
+        const saldoMinimas = previo + t.saldo;
+        tx.set(t.destino, {
+          key: t.destino.id,
+          entre: t.entre,
+          moneda: t.moneda,
+          saldo: desdeMinimas(saldoMinimas, t.moneda),
+          saldo_minimas: saldoMinimas,
+          actualizado_en: admin.firestore.Timestamp.now()
+        });
+      });
+      tx.update(reclamoRef, {
+        reclamado_por: userId,
+        reclamado_en: admin.firestore.Timestamp.now()
+      });
+      return { reclamo, nombre, alias, eventos: eventosSnap.size, evento: { ...evento, id: original.id } };
+    });
+
+    const { reclamo, nombre, alias } = resultado;
+    if (alias && resultado.evento) {
+      await registrarAuditoria({
+        tipo: 'RECLAMAR_INVITADO',
+        evento_id: reclamo.evento_id,
+        actor: userId,
+        en: admin.firestore.Timestamp.now(),
+        payload: { token, invitado_id: reclamo.invitado_id, eventos: resultado.eventos }
+      });
+
+      try {
+        await notificarUsuario(reclamo.creado_por, {
+          titulo: 'Invitado reclamado',
+          cuerpo: `${alias} reclamó a ${nombre} en "${resultado.evento.titulo}"`,
+          tipo: 'INVITADO_RECLAMADO',
+          eventoId: reclamo.evento_id
+        });
+      } catch (error) {
+        console.error('❌ Error notificando invitado reclamado:', error);
+      }
+
+      console.log(`✅ Invitado ${reclamo.invitado_id} reclamado por ${userId} (${resultado.eventos} evento/s)`);
+    } else {
+      console.log(`ℹ️ Usuario ${userId} ya había reclamado al invitado ${reclamo.invitado_id}`);
+    }
+
+    return {
+      success: true,
+      ya_reclamado: !alias,
+      evento_id: reclamo.evento_id,
+      eventos: resultado.eventos
+    };
+
+  } catch (error) {
+    console.error('❌ Error en reclamarInvitado:', error);
+
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    throw new functions.https.HttpsError('internal', 'Error interno del servidor');
+  }
+});
+
 // =============================================================================
 // FUNCIÓN: VALIDAR ADJUNTOS AL SUBIR
 // =============================================================================
@@ -283,7 +577,7 @@ export const onStorageFinalize_validarAdjuntos = functions.region('us-central1')
       const eventoId = pathParts[1];
       
       // Validar tipo de archivo
-      const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'application/pdf'];
+      const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
       if (!allowedTypes.includes(contentType)) {
         console.log(`❌ Tipo de archivo no permitido: ${contentType}`);
         await eliminarArchivo(filePath);
@@ -298,11 +592,36 @@ export const onStorageFinalize_validarAdjuntos = functions.region('us-central1')
         return;
       }
       
-      // Contar archivos existentes en el evento
-      const archivosExistentes = await contarArchivosEvento(eventoId);
+      // Registrar el adjunto en el evento. El límite se cuenta sobre
+      // `adjuntos` dentro de la transacción: el archivo recién subido ya está
+      // en el bucket, y contarlo al listar rechazaba el segundo adjunto
+      const eventoRef = db.collection('eventos').doc(eventoId);
+      const resultado = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(eventoRef);
+        if (!snap.exists) return 'sin-evento';
+        const adjuntos = (snap.data() as Evento).adjuntos || [];
+        if (adjuntos.some(a => a.path === filePath)) return 'registrado';
+        if (adjuntos.length >= MAX_ADJUNTOS_POR_EVENTO) return 'limite';
+        const adjunto: Adjunto = {
+          path: filePath,
+          nombre: object.metadata?.nombre || pathParts[pathParts.length - 1],
+          tipo: contentType,
+          bytes: Number(fileSize),
+          subido_por: object.metadata?.subido_por || 'desconocido',
+          subido_en: admin.firestore.Timestamp.now()
+        };
+        tx.update(eventoRef, { adjuntos: admin.firestore.FieldValue.arrayUnion(adjunto) });
+        return 'registrado';
+      });
+      
+      if (resultado === 'sin-evento') {
+        console.log(`❌ Evento ${eventoId} inexistente, eliminando: ${filePath}`);
+        await eliminarArchivo(filePath);
+        return;
+      }
       
-      if (archivosExistentes >= 2) {
-        console.log(`❌ Evento ${eventoId} ya tiene 2 archivos, eliminando: ${filePath}`);
+      if (resultado === 'limite') {
+        console.log(`❌ Evento ${eventoId} ya tiene ${MAX_ADJUNTOS_POR_EVENTO} archivos, eliminando: ${filePath}`);
         await eliminarArchivo(filePath);
         
         // Registrar auditoría
@@ -322,13 +641,309 @@ export const onStorageFinalize_validarAdjuntos = functions.region('us-central1')
         return;
       }
       
-      console.log(`✅ Archivo ${filePath} validado correctamente`);
+      console.log(`✅ Archivo ${filePath} validado y registrado en el evento`);
       
     } catch (error) {
       console.error('❌ Error validando archivo:', error);
     }
   });
 
+/**
+ * Al eliminar un comprobante del bucket, lo quita de `evento.adjuntos`
+ */
+export const onStorageDelete_quitarAdjunto = functions.region('us-central1').storage
+  .object()
+  .onDelete(async (object) => {
+    try {
+      const filePath = object.name;
+      if (!filePath?.startsWith('events/')) {
+        return;
+      }
+      
+      const eventoId = filePath.split('/')[1];
+      const eventoRef = db.collection('eventos').doc(eventoId);
+      const quitado = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(eventoRef);
+        if (!snap.exists) return false;
+        const adjuntos = (snap.data() as Evento).adjuntos || [];
+        const restantes = adjuntos.filter(a => a.path !== filePath);
+        // Archivos rechazados por la validación nunca llegaron a registrarse
+        if (restantes.length === adjuntos.length) return false;
+        tx.update(eventoRef, { adjuntos: restantes });
+        return true;
+      });
+      
+      if (quitado) {
+        console.log(`🗑️ Adjunto ${filePath} quitado del evento ${eventoId}`);
+      }
+      
+    } catch (error) {
+      console.error('❌ Error quitando adjunto del evento:', error);
+    }
+  });
+
+// =============================================================================
+// FUNCIÓN: LIQUIDACIONES (PAGOS ENTRE USUARIOS)
+// =============================================================================
+
+/**
+ * Al registrar una liquidación, descuenta la deuda de `de` con `para`.
+ * Los triggers pueden ejecutarse más de una vez: aplicarMovimientos ignora
+ * los reintentos del mismo evento
+ */
+export const onLiquidacionCreate = functions.region('us-central1').firestore
+  .document('liquidaciones/{liquidacionId}')
+  .onCreate(async (snap, context) => {
+    const liquidacionId = context.params.liquidacionId;
+    const liquidacion = snap.data() as Liquidacion;
+    try {
+      console.log(`💸 Aplicando liquidación: ${liquidacionId}`);
+      // Pagar una deuda equivale a una deuda inversa por el mismo monto
+      const aplicada = await aplicarMovimientos(context.eventId, `liquidacion_creada/${liquidacionId}`, [
+        { deudor: liquidacion.para, acreedor: liquidacion.de, moneda: liquidacion.moneda, monto: liquidacion.monto }
+      ]);
+      if (!aplicada) {
+        console.log(`⏭️ Liquidación ${liquidacionId} ya aplicada (reintento)`);
+        return;
+      }
+
+      const otro = liquidacion.creado_por === liquidacion.de ? liquidacion.para : liquidacion.de;
+      await enviarNotificacionPush(otro, {
+        titulo: 'Pago registrado',
+        cuerpo: `Se registró un pago de ${formatearMonto(liquidacion.monto, liquidacion.moneda)}`,
+        datos: {
+          liquidacionId,
+          tipo: 'liquidacion'
+        }
+      });
+      console.log(`✅ Liquidación ${liquidacionId} aplicada`);
+    } catch (error) {
+      console.error(`❌ Error aplicando liquidación ${liquidacionId}:`, error);
+    }
+  });
+
+/**
+ * Al deshacer (eliminar) una liquidación, restaura la deuda original
+ */
+export const onLiquidacionDelete = functions.region('us-central1').firestore
+  .document('liquidaciones/{liquidacionId}')
+  .onDelete(async (snap, context) => {
+    const liquidacionId = context.params.liquidacionId;
+    const liquidacion = snap.data() as Liquidacion;
+    try {
+      console.log(`↩️ Revirtiendo liquidación: ${liquidacionId}`);
+      const revertida = await aplicarMovimientos(context.eventId, `liquidacion_eliminada/${liquidacionId}`, [
+        { deudor: liquidacion.de, acreedor: liquidacion.para, moneda: liquidacion.moneda, monto: liquidacion.monto }
+      ]);
+      console.log(revertida ? `✅ Liquidación ${liquidacionId} revertida` : `⏭️ Liquidación ${liquidacionId} ya revertida (reintento)`);
+    } catch (error) {
+      console.error(`❌ Error revirtiendo liquidación ${liquidacionId}:`, error);
+    }
+  });
+
+// =============================================================================
+// FUNCIÓN: COTIZACIONES (SNAPSHOTS DIARIOS EN config)
+// =============================================================================
+
+/**
+ * Guarda todos los días el snapshot de cotizaciones (oficial, blue, MEP)
+ */
+export const actualizarCotizaciones = functions.region('us-central1').pubsub
+  .schedule('every day 18:00')
+  .timeZone('America/Argentina/Buenos_Aires')
+  .onRun(async () => {
+    try {
+      const snapshot = await obtenerSnapshot(db, hoyArgentina());
+      if (!snapshot) {
+        console.log('⚠️ El proveedor no devolvió cotizaciones para hoy');
+      }
+    } catch (error) {
+      console.error('❌ Error actualizando cotizaciones:', error);
+    }
+  });
+
+/**
+ * Devuelve el snapshot de cotizaciones de una fecha (YYYY-MM-DD, hoy por defecto),
+ * creándolo si todavía no existe
+ */
+export const obtenerCotizaciones = functions.region('us-central1').https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Debe estar autenticado.');
+  }
+  const fecha = (data?.fecha || hoyArgentina()).toString();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha) || fecha > hoyArgentina()) {
+    throw new functions.https.HttpsError('invalid-argument', 'Fecha inválida');
+  }
+  try {
+    const snapshot = await obtenerSnapshot(db, fecha);
+    if (!snapshot) {
+      throw new functions.https.HttpsError('not-found', `No hay cotizaciones para ${fecha}`);
+    }
+    return snapshot;
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('❌ Error obteniendo cotizaciones:', error);
+    throw new functions.https.HttpsError('unavailable', 'No se pudieron obtener las cotizaciones');
+  }
+});
+
+// =============================================================================
+// FUNCIÓN: EVENTOS RECURRENTES
+// =============================================================================
+
+// Ocurrencias que se crean como máximo por serie en cada corrida (si la
+// Function estuvo detenida, las atrasadas se recuperan en las siguientes)
+const MAX_OCURRENCIAS_POR_CORRIDA = 5;
+
+/**
+ * Crea todos los días los eventos de las series cuya próxima ocurrencia
+ * ya llegó. Cada serie se procesa en una transacción: se crean la ocurrencia
+ * y su invitación y se avanza el calendario del evento original.
+ */
+export const materializarRecurrencias = functions.region('us-central1').pubsub
+  .schedule('every day 06:00')
+  .timeZone('America/Argentina/Buenos_Aires')
+  .onRun(async () => {
+    const hoy = hoyArgentina();
+    try {
+      const pendientes = await db.collection('eventos')
+        .where('recurrencia.proxima', '<=', hoy)
+        .get();
+      console.log(`🔄 Series con ocurrencias pendientes: ${pendientes.size}`);
+
+      for (const docSnap of pendientes.docs) {
+        try {
+          const creados = await materializarSerie(docSnap.ref, hoy);
+          console.log(`✅ Serie ${docSnap.id}: ${creados} evento(s) creado(s)`);
+        } catch (error) {
+          console.error(`❌ Error materializando la serie ${docSnap.id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error materializando recurrencias:', error);
+    }
+  });
+
+/**
+ * Crea las ocurrencias vencidas de una serie
+ * @returns cantidad de eventos creados
+ */
+async function materializarSerie(ref: admin.firestore.DocumentReference, hoy: string): Promise<number> {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return 0;
+    const plantilla = { ...(snap.data() as Evento), id: snap.id };
+    let recurrencia = plantilla.recurrencia;
+    if (!recurrencia || !validarRecurrencia(recurrencia).isValid) {
+      console.warn(`⚠️ Recurrencia inválida en ${snap.id}: se detiene la serie`);
+      tx.update(ref, { 'recurrencia.proxima': null });
+      return 0;
+    }
+
+    let creados = 0;
+    let ocurrencia = proximaOcurrencia(recurrencia);
+    while (ocurrencia && ocurrencia.fecha <= hoy && creados < MAX_OCURRENCIAS_POR_CORRIDA) {
+      const nuevoRef = db.collection('eventos').doc();
+      const token = generarTokenInvitacion();
+      tx.set(nuevoRef, crearOcurrencia(plantilla, nuevoRef.id, ocurrencia, token));
+      const invitacion: Invitacion = {
+        evento_id: nuevoRef.id,
+        token,
+        creado_por: propietarioDe(plantilla),
+        creado_en: admin.firestore.Timestamp.now(),
+        usos: 0,
+        max_usos: MAX_USOS_DEFAULT,
+        expira_en: null,
+        revocada: false
+      };
+      tx.set(db.collection('invitaciones').doc(token), invitacion);
+      recurrencia = avanzarRecurrencia(recurrencia, ocurrencia.indice) as Recurrencia;
+      ocurrencia = proximaOcurrencia(recurrencia);
+      creados++;
+    }
+    tx.update(ref, { recurrencia });
+    return creados;
+  });
+}
+
+// =============================================================================
+// FUNCIÓN: RECORDATORIOS DE VENCIMIENTO
+// =============================================================================
+
+// Eventos vencidos hace más de estos días ya no se revisan
+const DIAS_MAX_VENCIDO = 30;
+
+/**
+ * Avisa por push a quienes todavía deben en eventos abiertos que vencen en
+ * DIAS_AVISO_ANTES días y, si no pagaron, DIAS_AVISO_DESPUES días después del
+ * vencimiento. Cada recordatorio se envía una sola vez por evento
+ * (`evento.recordatorios`) y se respeta `usuarios/{uid}.recordatorios_pago === false`.
+ */
+export const enviarRecordatoriosVencimiento = functions.region('us-central1').pubsub
+  .schedule('every day 10:00')
+  .timeZone('America/Argentina/Buenos_Aires')
+  .onRun(async () => {
+    const hoy = hoyArgentina();
+    try {
+      const desde = new Date(`${sumarDias(hoy, -DIAS_MAX_VENCIDO)}T00:00:00-03:00`);
+      const hasta = new Date(`${sumarDias(hoy, DIAS_AVISO_ANTES)}T23:59:59-03:00`);
+      const eventos = await db.collection('eventos')
+        .where('estado', '==', 'abierto')
+        .where('vence_el', '>=', admin.firestore.Timestamp.fromDate(desde))
+        .where('vence_el', '<=', admin.firestore.Timestamp.fromDate(hasta))
+        .get();
+      console.log(`⏰ Eventos con vencimiento cercano: ${eventos.size}`);
+
+      for (const docSnap of eventos.docs) {
+        const evento = { ...(docSnap.data() as Evento), id: docSnap.id };
+        try {
+          await enviarRecordatoriosEvento(docSnap.ref, evento, hoy);
+        } catch (error) {
+          console.error(`❌ Error enviando recordatorios del evento ${docSnap.id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error enviando recordatorios de vencimiento:', error);
+    }
+  });
+
+/**
+ * Envía (si corresponde hoy) el recordatorio de un evento a quienes deben
+ */
+async function enviarRecordatoriosEvento(ref: admin.firestore.DocumentReference, evento: Evento, hoy: string): Promise<void> {
+  if (!evento.vence_el) return;
+  const vence = fechaArgentina(evento.vence_el.toDate());
+  const tipo = recordatorioPendiente(vence, hoy, evento.recordatorios || {});
+  if (!tipo) return;
+
+  const saldos = saldosNetos(evento);
+  const deudores = participantesDe(evento)
+    .filter(uid => !esInvitado(uid))
+    .map(uid => ({ uid, restante: estadoPago(evento, uid, saldos).restante }))
+    .filter(d => d.restante > 0);
+  const perfiles = await Promise.all(deudores.map(d => db.collection('usuarios').doc(d.uid).get()));
+  const [, mes, dia] = vence.split('-');
+
+  for (let i = 0; i < deudores.length; i++) {
+    const perfil = perfiles[i].exists ? perfiles[i].data() : null;
+    if (perfil && perfil.recordatorios_pago === false) continue;
+    const falta = formatearMonto(deudores[i].restante, evento.moneda);
+    await enviarNotificacionPush(deudores[i].uid, {
+      titulo: tipo === 'antes' ? 'Pago por vencer' : 'Pago vencido',
+      cuerpo: tipo === 'antes'
+        ? `"${evento.titulo}" vence el ${dia}/${mes}. Te falta pagar ${falta}.`
+        : `"${evento.titulo}" venció el ${dia}/${mes} y te falta pagar ${falta}.`,
+      datos: {
+        eventoId: evento.id,
+        tipo: 'recordatorio_vencimiento'
+      }
+    });
+  }
+
+  await ref.update({ [`recordatorios.${tipo}`]: hoy });
+  console.log(`✅ Recordatorio "${tipo}" del evento ${evento.id}: ${deudores.length} deudor(es)`);
+}
+
 // =============================================================================
 // FUNCIONES AUXILIARES
 // =============================================================================
@@ -336,24 +951,19 @@ export const onStorageFinalize_validarAdjuntos = functions.region('us-central1')
 /**
  * Calcula los balances para un evento cerrado
  */
-async function calcularBalances(evento: Evento): Promise<void> {
+async function calcularBalances(evento: Evento, eventId: string): Promise<void> {
   try {
     console.log(`💰 Calculando balances para evento: ${evento.id}`);
     
-    const quienPago = evento.quien_pago || evento.creado_por;
-    const participantes = evento.participantes;
+    // Saldo de cada uno = lo que pagó - lo que le corresponde - pagos parciales ya hechos
+    const saldos = saldosPendientes(evento);
     
-    // Calcular deudas por participante
-    for (const participante of participantes) {
-      if (participante.uid === quienPago) continue; // No hay deuda para quien pagó
-      
-      const deuda = evento.monto * participante.participacion;
-      
-      // Crear o actualizar balance
-      await actualizarBalance(participante.uid, quienPago, evento.moneda, deuda);
-    }
+    // Mínima cantidad de transferencias entre deudores y acreedores
+    const movimientos = simplificarDeudas(saldos, evento.moneda)
+      .map(({ deudor, acreedor, monto }) => ({ deudor, acreedor, moneda: evento.moneda, monto }));
+    const aplicados = await aplicarMovimientos(eventId, `cierre/${evento.id}`, movimientos);
     
-    console.log(`✅ Balances calculados para evento: ${evento.id}`);
+    console.log(aplicados ? `✅ Balances calculados para evento: ${evento.id}` : `⏭️ Balances del evento ${evento.id} ya aplicados (reintento)`);
     
   } catch (error) {
     console.error('❌ Error calculando balances:', error);
@@ -362,119 +972,121 @@ async function calcularBalances(evento: Evento): Promise<void> {
 }
 
 /**
- * Actualiza un balance entre dos usuarios
+ * Saldo de un balance en unidades mínimas (los anteriores solo tienen `saldo`)
  */
-async function actualizarBalance(deudor: string, acreedor: string, moneda: string, deuda: number): Promise<void> {
-  try {
-    // Crear key ordenada alfabéticamente para idempotencia
+function minimasDeBalance(balance: Balance): number {
+  return Number.isSafeInteger(balance.saldo_minimas) ? balance.saldo_minimas as number : aMinimas(balance.saldo, balance.moneda);
+}
+
+/**
+ * Aplica movimientos de deuda a los balances entre usuarios en una sola
+ * transacción y en unidades mínimas enteras. Registra el ID del evento del
+ * trigger en `balances_aplicados`: si ya estaba (reintento), no hace nada.
+ * @returns true si los aplicó, false si ya se habían aplicado
+ */
+async function aplicarMovimientos(eventId: string, origen: string, movimientos: Movimiento[]): Promise<boolean> {
+  const registroRef = db.collection('balances_aplicados').doc(eventId);
+
+  // Ajuste por documento (key ordenada alfabéticamente); el saldo está visto
+  // desde entre[0]: si entre[0] es el deudor, el saldo baja
+  const ajustes = new Map<string, { entre: [string, string]; moneda: string; delta: number }>();
+  for (const { deudor, acreedor, moneda, monto } of movimientos) {
     const [uidA, uidB] = [deudor, acreedor].sort();
     const key = `${uidA}_${uidB}_${moneda}`;
-    
-    const balanceRef = db.collection('balances').doc(key);
-    
-    // Obtener balance existente o crear uno nuevo
-    const balanceDoc = await balanceRef.get();
-    
-    if (balanceDoc.exists) {
-      const balance = balanceDoc.data() as Balance;
-      let nuevoSaldo = balance.saldo;
-      
-      // Ajustar saldo según quién debe a quién
-      if (uidA === deudor) {
-        // deudor < acreedor, saldo -= deuda
-        nuevoSaldo -= deuda;
-      } else {
-        // acreedor < deudor, saldo += deuda
-        nuevoSaldo += deuda;
-      }
-      
-      await balanceRef.update({
-        saldo: nuevoSaldo,
-        actualizado_en: admin.firestore.Timestamp.now()
-      });
-      
-    } else {
-      // Crear nuevo balance
-      let saldoInicial = 0;
-      
-      if (uidA === deudor) {
-        saldoInicial = -deuda;
-      } else {
-        saldoInicial = deuda;
-      }
-      
-      await balanceRef.set({
-        key,
-        entre: [uidA, uidB],
+    const minimas = aMinimas(monto, moneda);
+    const ajuste = ajustes.get(key) || { entre: [uidA, uidB] as [string, string], moneda, delta: 0 };
+    ajuste.delta += uidA === deudor ? -minimas : minimas;
+    ajustes.set(key, ajuste);
+  }
+
+  return db.runTransaction(async (tx) => {
+    // Todas las lecturas antes de escribir
+    const registro = await tx.get(registroRef);
+    if (registro.exists) return false;
+    const keys = Array.from(ajustes.keys());
+    const refs = keys.map(key => db.collection('balances').doc(key));
+    const docs = await Promise.all(refs.map(ref => tx.get(ref)));
+
+    docs.forEach((doc, i) => {
+      const { entre, moneda, delta } = ajustes.get(keys[i])!;
+      const saldoMinimas = (doc.exists ? minimasDeBalance(doc.data() as Balance) : 0) + delta;
+      tx.set(refs[i], {
+        key: keys[i],
+        entre,
         moneda,
-        saldo: saldoInicial,
+        saldo: desdeMinimas(saldoMinimas, moneda),
+        saldo_minimas: saldoMinimas,
         actualizado_en: admin.firestore.Timestamp.now()
       });
-    }
-    
-  } catch (error) {
-    console.error('❌ Error actualizando balance:', error);
-    throw error;
-  }
+    });
+    tx.set(registroRef, { origen, creado_en: admin.firestore.Timestamp.now() });
+    return true;
+  });
 }
 
 /**
- * Crea un evento recurrente para el próximo mes
+ * Arma el evento de una ocurrencia a partir del evento original de la serie:
+ * mismos participantes, división y gastos (con la fecha de la ocurrencia),
+ * sin pagos, adjuntos ni tipo de cambio
  */
-async function crearEventoRecurrente(eventoOriginal: Evento): Promise<void> {
-  try {
-    console.log(`🔄 Creando evento recurrente para: ${eventoOriginal.titulo}`);
-    
-    // Calcular fecha del próximo mes
-    const fechaActual = eventoOriginal.creado_en.toDate();
-    const proximoMes = new Date(fechaActual);
-    proximoMes.setMonth(proximoMes.getMonth() + 1);
-    
-    // Ajustar título
-    const meses = [
-      'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
-      'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
-    ];
-    const mesActual = meses[fechaActual.getMonth()];
-    const mesProximo = meses[proximoMes.getMonth()];
-    
-    const tituloRecurrente = eventoOriginal.titulo.replace(
-      new RegExp(mesActual, 'i'), 
-      mesProximo
-    );
-    
-    // Crear nuevo evento
-    const nuevoEvento: Omit<Evento, 'id'> = {
-      ...eventoOriginal,
-      titulo: tituloRecurrente,
-      creado_en: admin.firestore.Timestamp.now(),
-      estado: 'abierto',
-      quien_pago: undefined,
-      fecha_pago: undefined,
-      adjuntos: [],
-      token_invitacion: generarTokenInvitacion()
-    };
-    
-    // Ajustar fecha de vencimiento si existe
-    if (eventoOriginal.vence_el) {
-      const vencimientoOriginal = eventoOriginal.vence_el.toDate();
-      const nuevoVencimiento = new Date(vencimientoOriginal);
-      nuevoVencimiento.setMonth(nuevoVencimiento.getMonth() + 1);
-      nuevoEvento.vence_el = admin.firestore.Timestamp.fromDate(nuevoVencimiento);
-    }
-    
-    // Guardar en Firestore
-    const nuevoEventoRef = await db.collection('eventos').add(nuevoEvento);
-    
-    console.log(`✅ Evento recurrente creado: ${nuevoEventoRef.id}`);
-    
-    // Crear invitación para el nuevo evento
-    await crearInvitacion(nuevoEventoRef.id, eventoOriginal.creado_por);
-    
-  } catch (error) {
-    console.error('❌ Error creando evento recurrente:', error);
-    throw error;
+function crearOcurrencia(
+  plantilla: Evento,
+  id: string,
+  ocurrencia: { indice: number; fecha: string; excepcion: { titulo?: string; monto?: number } },
+  token: string
+): Evento {
+  const titulo = ocurrencia.excepcion.titulo || plantilla.titulo;
+  const fecha = admin.firestore.Timestamp.fromDate(new Date(`${ocurrencia.fecha}T12:00:00-03:00`));
+  const creadoPor = plantilla.creado_por;
+  const gastosPlantilla = plantilla.gastos || [];
+
+  let gastos: Gasto[];
+  if (ocurrencia.excepcion.monto !== undefined) {
+    // Monto editado: un único gasto de quien pagó el primero en el original
+    const pagador = (gastosPlantilla[0] && gastosPlantilla[0].pagado_por) || creadoPor;
+    gastos = [{ id: generarTokenInvitacion(10), descripcion: titulo, monto: ocurrencia.excepcion.monto, pagado_por: pagador, fecha, creado_por: creadoPor }];
+  } else {
+    gastos = gastosPlantilla.map(g => ({ ...g, id: generarTokenInvitacion(10), fecha }));
   }
+
+  const evento: Evento = {
+    id,
+    titulo,
+    moneda: plantilla.moneda,
+    monto: sumarMontos(gastos.map(g => g.monto), plantilla.moneda),
+    gastos,
+    repeticion: plantilla.repeticion,
+    serie_id: plantilla.id,
+    ocurrencia: ocurrencia.indice,
+    fecha_ocurrencia: ocurrencia.fecha,
+    estado: 'abierto',
+    forma_pago: 'desconocida',
+    creado_por: creadoPor,
+    creado_en: admin.firestore.Timestamp.now(),
+    participantes: plantilla.participantes || [],
+    participantesUids: plantilla.participantesUids || (plantilla.participantes || []).map(p => p.uid),
+    pagos: {},
+    token_invitacion: token,
+    adjuntos: [],
+  };
+  const extras = plantilla as any;
+  ['aliases', 'invitados', 'propietario', 'roles', 'grupo_id', 'division', 'detalle', 'participantes_definidos'].forEach(campo => {
+    if (extras[campo] !== undefined) (evento as any)[campo] = extras[campo];
+  });
+
+  // El vencimiento conserva la distancia a la fecha del evento original
+  if (plantilla.vence_el && plantilla.recurrencia) {
+    const dias = diasEntre(plantilla.recurrencia.inicio, fechaArgentina(plantilla.vence_el.toDate()));
+    evento.vence_el = admin.firestore.Timestamp.fromDate(new Date(`${sumarDias(ocurrencia.fecha, dias)}T23:59:59-03:00`));
+  }
+  return evento;
+}
+
+/**
+ * Fecha 'YYYY-MM-DD' de un instante en la zona horaria de Argentina
+ */
+function fechaArgentina(date: Date): string {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Argentina/Buenos_Aires' }).format(date);
 }
 
 /**
@@ -489,33 +1101,6 @@ function generarTokenInvitacion(): string {
   return result;
 }
 
-/**
- * Crea una invitación para un evento
- */
-async function crearInvitacion(eventoId: string, creadorUid: string): Promise<void> {
-  try {
-    const token = generarTokenInvitacion();
-    
-    await db.collection('invitaciones').add({
-      evento_id: eventoId,
-      token,
-      creado_por: creadorUid,
-      creado_en: admin.firestore.Timestamp.now(),
-      expira_en: admin.firestore.Timestamp.fromDate(
-        new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 días
-      ),
-      usos: 0,
-      max_usos: 50
-    });
-    
-    console.log(`✅ Invitación creada para evento: ${eventoId}`);
-    
-  } catch (error) {
-    console.error('❌ Error creando invitación:', error);
-    throw error;
-  }
-}
-
 /**
  * Envía notificaciones cuando se cierra un evento
  */
@@ -523,22 +1108,21 @@ async function enviarNotificacionesCierre(evento: Evento): Promise<void> {
   try {
     console.log(`🔔 Enviando notificaciones de cierre para evento: ${evento.id}`);
     
-    const participantes = evento.participantes;
-    const quienPago = evento.quien_pago || evento.creado_por;
+    // Lo que falta pagar, descontados los pagos parciales
+    const saldos = saldosPendientes(evento);
     
-    for (const participante of participantes) {
-      if (participante.uid === quienPago) continue; // No notificar a quien pagó
+    for (const [uid, saldo] of Object.entries(saldos)) {
+      if (saldo >= 0) continue; // No notificar a quien no debe
+      if (esInvitado(uid)) continue; // Los invitados sin cuenta no reciben notificaciones
       
-      const deuda = evento.monto * participante.participacion;
-      const mensaje = `Evento "${evento.titulo}" cerrado. Debes ${deuda} ${evento.moneda}`;
+      const deuda = -saldo;
+      const mensaje = `Evento "${evento.titulo}" cerrado. Debes ${formatearMonto(deuda, evento.moneda)}`;
       
-      await enviarNotificacionPush(participante.uid, {
+      await notificarUsuario(uid, {
         titulo: 'Evento Cerrado',
         cuerpo: mensaje,
-        datos: {
-          tipo: 'EVENTO_CERRADO',
-          evento_id: evento.id
-        }
+        tipo: 'EVENTO_CERRADO',
+        eventoId: evento.id
       });
     }
     
@@ -550,19 +1134,17 @@ async function enviarNotificacionesCierre(evento: Evento): Promise<void> {
 }
 
 /**
- * Envía notificación cuando se agrega un nuevo participante
+ * Envía notificación al propietario cuando se agrega un nuevo participante
  */
 async function enviarNotificacionNuevoParticipante(evento: Evento, alias: string): Promise<void> {
   try {
     console.log(`🔔 Notificando nuevo participante: ${alias}`);
     
-    await enviarNotificacionPush(evento.creado_por, {
+    await notificarUsuario(propietarioDe(evento), {
       titulo: 'Nuevo Participante',
       cuerpo: `${alias} se unió al evento "${evento.titulo}"`,
-      datos: {
-        tipo: 'NUEVO_PARTICIPANTE',
-        evento_id: evento.id
-      }
+      tipo: 'NUEVO_PARTICIPANTE',
+      eventoId: evento.id
     });
     
   } catch (error) {
@@ -571,7 +1153,55 @@ async function enviarNotificacionNuevoParticipante(evento: Evento, alias: string
 }
 
 /**
- * Envía una notificación push a un usuario
+ * Guarda la notificación en usuarios/{uid}/notificaciones (centro de
+ * notificaciones de la app) y la envía también como push. El push lleva la
+ * URL de la notificación para que el service worker abra el evento y la app
+ * la marque como leída.
+ */
+async function notificarUsuario(userId: string, notificacion: {
+  titulo: string;
+  cuerpo: string;
+  tipo: string;
+  eventoId?: string;
+}): Promise<void> {
+  const ref = db.collection('usuarios').doc(userId).collection('notificaciones').doc();
+  const link = notificacion.eventoId ? `/evento?id=${encodeURIComponent(notificacion.eventoId)}` : '/';
+
+  try {
+    await ref.set({
+      titulo: notificacion.titulo,
+      cuerpo: notificacion.cuerpo,
+      tipo: notificacion.tipo,
+      evento_id: notificacion.eventoId || null,
+      link,
+      leida: false,
+      creado_en: admin.firestore.Timestamp.now()
+    });
+  } catch (error) {
+    console.error(`❌ Error guardando notificación de usuario ${userId}:`, error);
+  }
+
+  await enviarNotificacionPush(userId, {
+    titulo: notificacion.titulo,
+    cuerpo: notificacion.cuerpo,
+    datos: {
+      tipo: notificacion.tipo,
+      ...(notificacion.eventoId ? { evento_id: notificacion.eventoId } : {}),
+      notificacion_id: ref.id,
+      url: `${link}${link.includes('?') ? '&' : '?'}notificacion=${ref.id}`
+    }
+  });
+}
+
+// Errores de FCM que indican que el token ya no sirve (app desinstalada,
+// permiso revocado o token rotado): el dispositivo se desactiva
+const ERRORES_TOKEN_INVALIDO = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+/**
+ * Envía una notificación push a todos los dispositivos activos de un usuario
  */
 async function enviarNotificacionPush(userId: string, notificacion: {
   titulo: string;
@@ -579,23 +1209,31 @@ async function enviarNotificacionPush(userId: string, notificacion: {
   datos?: Record<string, string>;
 }): Promise<void> {
   try {
-    // Obtener token FCM del usuario
-    const tokenDoc = await db.collection('fcm_tokens')
+    // Obtener los tokens FCM activos del usuario (uno por dispositivo)
+    const tokensSnap = await db.collection('fcm_tokens')
       .where('userId', '==', userId)
       .where('active', '==', true)
-      .limit(1)
       .get();
     
-    if (tokenDoc.empty) {
+    if (tokensSnap.empty) {
       console.log(`⚠️ No se encontró token FCM activo para usuario: ${userId}`);
       return;
     }
     
-    const token = tokenDoc.docs[0].data().token;
+    // Un mismo token puede figurar en más de un documento (ej: registros
+    // anteriores que usaban el token como ID): se envía una sola vez
+    const docsPorToken = new Map<string, admin.firestore.DocumentReference[]>();
+    tokensSnap.docs.forEach(d => {
+      const token = d.data().token;
+      if (!token) return;
+      docsPorToken.set(token, [...(docsPorToken.get(token) || []), d.ref]);
+    });
+    const tokens = Array.from(docsPorToken.keys());
+    if (tokens.length === 0) return;
     
-    // Enviar notificación
-    await messaging.send({
-      token,
+    // Enviar notificación (FCM admite hasta 500 tokens por multicast)
+    const respuesta = await messaging.sendEachForMulticast({
+      tokens,
       notification: {
         title: notificacion.titulo,
         body: notificacion.cuerpo
@@ -613,7 +1251,27 @@ async function enviarNotificacionPush(userId: string, notificacion: {
       }
     });
     
-    console.log(`✅ Notificación enviada a usuario: ${userId}`);
+    // Desactivar los tokens que FCM rechazó como inválidos
+    const batch = db.batch();
+    let invalidos = 0;
+    respuesta.responses.forEach((r, i) => {
+      const codigo = r.error?.code;
+      if (r.success || !codigo || !ERRORES_TOKEN_INVALIDO.includes(codigo)) return;
+      (docsPorToken.get(tokens[i]) || []).forEach(ref => {
+        batch.update(ref, {
+          active: false,
+          desactivado_por: codigo,
+          updated_at: admin.firestore.Timestamp.now()
+        });
+      });
+      invalidos++;
+    });
+    if (invalidos > 0) {
+      await batch.commit();
+      console.log(`🧹 ${invalidos} token(s) FCM inválido(s) desactivado(s) para usuario: ${userId}`);
+    }
+    
+    console.log(`✅ Notificación enviada a usuario: ${userId} (${respuesta.successCount}/${tokens.length} dispositivos)`);
     
   } catch (error) {
     console.error(`❌ Error enviando notificación a usuario ${userId}:`, error);
@@ -632,23 +1290,6 @@ async function eliminarArchivo(filePath: string): Promise<void> {
   }
 }
 
-/**
- * Cuenta los archivos existentes en un evento
- */
-async function contarArchivosEvento(eventoId: string): Promise<number> {
-  try {
-    const [files] = await storage.bucket().getFiles({
-      prefix: `events/${eventoId}/`
-    });
-    
-    return files.length;
-    
-  } catch (error) {
-    console.error(`❌ Error contando archivos del evento ${eventoId}:`, error);
-    return 0;
-  }
-}
-
 /**
  * Registra una auditoría en Firestore
  */
@@ -688,19 +1329,19 @@ export const createEvento = functions.region('us-central1').https.onCall(async (
   const userId = context.auth.uid;
   const titulo = (data?.titulo || '').toString().trim();
   const monto = Number(data?.monto || 0);
-  const moneda = (data?.moneda || '').toString();
+  const moneda = normalizarMoneda(data?.moneda);
   const repeticion = (data?.repeticion || '').toString();
 
   if (!titulo) {
     throw new functions.https.HttpsError('invalid-argument', 'El título es requerido');
   }
-  if (!Number.isFinite(monto) || monto <= 0) {
+  if (!Number.isFinite(monto) || monto < 0) {
     throw new functions.https.HttpsError('invalid-argument', 'Monto inválido');
   }
-  if (!['ARS', 'USD'].includes(moneda)) {
+  if (!esMonedaValida(moneda)) {
     throw new functions.https.HttpsError('invalid-argument', 'Moneda inválida');
   }
-  if (!['unico', 'mensual'].includes(repeticion)) {
+  if (repeticion !== 'unico' && !FRECUENCIAS.includes(repeticion)) {
     throw new functions.https.HttpsError('invalid-argument', 'Repetición inválida');
   }
 
@@ -716,16 +1357,26 @@ export const createEvento = functions.region('us-central1').https.onCall(async (
     },
   ];
 
+  // El monto inicial (si lo hay) se registra como primer gasto del creador
+  const gastos: Gasto[] = monto > 0
+    ? [{ id: generarTokenInvitacion(10), descripcion: titulo, monto, pagado_por: userId, fecha: now, creado_por: userId }]
+    : [];
+
   const evento: Evento = {
     id: eventoRef.id,
     titulo,
-    moneda: moneda as 'ARS' | 'USD',
+    moneda,
     monto,
-    repeticion: repeticion as 'unico' | 'mensual',
+    gastos,
+    repeticion: repeticion as Repeticion,
+    ...(repeticion !== 'unico'
+      ? { recurrencia: crearRecurrencia({ frecuencia: repeticion, inicio: fechaArgentina(now.toDate()) }) }
+      : {}),
     estado: 'abierto',
     forma_pago: 'desconocida',
     creado_por: userId,
     creado_en: now,
+    propietario: userId,
     participantes,
     token_invitacion: token,
     adjuntos: [],
@@ -740,7 +1391,9 @@ export const createEvento = functions.region('us-central1').https.onCall(async (
     creado_por: userId,
     creado_en: now,
     usos: 0,
-    max_usos: 100,
+    max_usos: MAX_USOS_DEFAULT,
+    expira_en: null,
+    revocada: false
   };
   await db.collection('invitaciones').doc(token).set(invitacion);
 
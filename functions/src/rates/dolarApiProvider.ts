@@ -0,0 +1,67 @@
+// =============================================================================
+// COTIZACIONES - PROVEEDOR DOLARAPI (PRODUCCIÓN)
+// =============================================================================
+
+import { RateProvider, SnapshotCotizaciones, TipoCotizacion } from './types';
+
+interface CotizacionDolarApi {
+  moneda: string;
+  casa: string;
+  compra: number | null;
+  venta: number | null;
+  fechaActualizacion: string;
+}
+
+// "bolsa" es el nombre que usa la API para el dólar MEP
+const CASAS: Record<string, TipoCotizacion> = {
+  oficial: 'oficial',
+  blue: 'blue',
+  bolsa: 'mep'
+};
+
+/**
+ * Cotizaciones del día desde dolarapi.com (valores de venta, en ARS).
+ * La API solo informa el día en curso: para otras fechas devuelve null y
+ * el llamador debe usar un snapshot guardado.
+ */
+export class DolarApiRateProvider implements RateProvider {
+  readonly nombre = 'dolarapi';
+
+  constructor(private readonly baseUrl = 'https://dolarapi.com/v1') {}
+
+  async obtenerCotizaciones(fecha: string): Promise<SnapshotCotizaciones | null> {
+    if (fecha !== hoyArgentina()) {
+      return null;
+    }
+
+    const [dolares, otras] = await Promise.all([
+      this.get('/dolares'),
+      this.get('/cotizaciones')
+    ]);
+
+    const cotizaciones: SnapshotCotizaciones['cotizaciones'] = {};
+    for (const c of [...dolares, ...otras]) {
+      const tipo = CASAS[c.casa];
+      if (!tipo || !(Number(c.venta) > 0)) continue;
+      const moneda = (c.moneda || '').toUpperCase();
+      cotizaciones[moneda] = { ...(cotizaciones[moneda] || {}), [tipo]: Number(c.venta) };
+    }
+
+    return { fecha, base: 'ARS', proveedor: this.nombre, cotizaciones };
+  }
+
+  private async get(path: string): Promise<CotizacionDolarApi[]> {
+    const res = await fetch(`${this.baseUrl}${path}`);
+    if (!res.ok) {
+      throw new Error(`dolarapi respondió ${res.status} en ${path}`);
+    }
+    return (await res.json()) as CotizacionDolarApi[];
+  }
+}
+
+/**
+ * Fecha actual en Argentina (YYYY-MM-DD)
+ */
+export function hoyArgentina(): string {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Argentina/Buenos_Aires' }).format(new Date());
+}
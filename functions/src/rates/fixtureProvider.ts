@@ -0,0 +1,36 @@
+// =============================================================================
+// COTIZACIONES - PROVEEDOR BASADO EN FIXTURE (LOCAL / EMULADOR)
+// =============================================================================
+
+import fixture from './fixtures/cotizaciones.json';
+import { RateProvider, SnapshotCotizaciones, TipoCotizacion } from './types';
+
+type FixtureCotizaciones = {
+  base: string;
+  dias: Record<string, Record<string, Partial<Record<TipoCotizacion, number>>>>;
+};
+
+/**
+ * Sirve cotizaciones desde un archivo JSON versionado con el código.
+ * Para una fecha sin datos usa el día anterior más cercano, igual que
+ * pasa con los feriados en las cotizaciones reales.
+ */
+export class FixtureRateProvider implements RateProvider {
+  readonly nombre = 'fixture';
+
+  constructor(private readonly datos: FixtureCotizaciones = fixture as FixtureCotizaciones) {}
+
+  async obtenerCotizaciones(fecha: string): Promise<SnapshotCotizaciones | null> {
+    const dias = Object.keys(this.datos.dias).filter(d => d <= fecha).sort();
+    if (dias.length === 0) {
+      return null;
+    }
+    const dia = dias[dias.length - 1];
+    return {
+      fecha,
+      base: this.datos.base,
+      proveedor: `${this.nombre}:${dia}`,
+      cotizaciones: this.datos.dias[dia]
+    };
+  }
+}
@@ -0,0 +1,64 @@
+// =============================================================================
+// COTIZACIONES - SELECCIÓN DE PROVEEDOR Y SNAPSHOTS EN `config`
+// =============================================================================
+
+import * as admin from 'firebase-admin';
+import { DolarApiRateProvider, hoyArgentina } from './dolarApiProvider';
+import { FixtureRateProvider } from './fixtureProvider';
+import { RateProvider, SnapshotCotizaciones } from './types';
+
+export { RateProvider, SnapshotCotizaciones, TipoCotizacion } from './types';
+export { hoyArgentina } from './dolarApiProvider';
+
+/**
+ * Proveedor según el entorno: RATES_PROVIDER explícito o, si no, fixture
+ * en el emulador y dolarapi en producción
+ */
+export function getRateProvider(): RateProvider {
+  const nombre = process.env.RATES_PROVIDER ||
+    (process.env.FUNCTIONS_EMULATOR === 'true' ? 'fixture' : 'dolarapi');
+  switch (nombre) {
+    case 'fixture':
+      return new FixtureRateProvider();
+    case 'dolarapi':
+      return new DolarApiRateProvider();
+    default:
+      throw new Error(`Proveedor de cotizaciones desconocido: ${nombre}`);
+  }
+}
+
+/**
+ * ID del documento de `config` con el snapshot de una fecha
+ */
+export function idSnapshot(fecha: string): string {
+  return `cotizaciones_${fecha}`;
+}
+
+/**
+ * Obtiene el snapshot de una fecha. Si ya está guardado en `config` lo
+ * reutiliza (los valores de un día no cambian una vez fijados); si no, lo
+ * pide al proveedor y lo guarda.
+ * @returns snapshot o null si ni el guardado ni el proveedor lo tienen
+ */
+export async function obtenerSnapshot(
+  db: admin.firestore.Firestore,
+  fecha: string = hoyArgentina(),
+  provider: RateProvider = getRateProvider()
+): Promise<SnapshotCotizaciones | null> {
+  const ref = db.collection('config').doc(idSnapshot(fecha));
+  const guardado = await ref.get();
+  if (guardado.exists) {
+    return guardado.data() as SnapshotCotizaciones;
+  }
+
+  const snapshot = await provider.obtenerCotizaciones(fecha);
+  if (!snapshot) {
+    return null;
+  }
+  await ref.set({
+    ...snapshot,
+    creado_en: admin.firestore.FieldValue.serverTimestamp()
+  });
+  console.log(`💱 Snapshot de cotizaciones ${fecha} guardado (${snapshot.proveedor})`);
+  return snapshot;
+}
@@ -0,0 +1,32 @@
+// =============================================================================
+// COTIZACIONES - TIPOS COMPARTIDOS POR LOS PROVEEDORES
+// =============================================================================
+
+/**
+ * Tipos de cotización del dólar en Argentina.
+ * Las monedas sin cotizaciones paralelas solo informan 'oficial'.
+ */
+export type TipoCotizacion = 'oficial' | 'blue' | 'mep';
+
+/**
+ * Cotizaciones de un día: cuántas unidades de `base` vale 1 unidad de cada moneda
+ */
+export interface SnapshotCotizaciones {
+  fecha: string; // YYYY-MM-DD
+  base: string; // moneda en la que se expresan los valores (ARS)
+  proveedor: string;
+  cotizaciones: Record<string, Partial<Record<TipoCotizacion, number>>>;
+}
+
+/**
+ * Proveedor de cotizaciones intercambiable (fixture, API externa, etc.)
+ */
+export interface RateProvider {
+  readonly nombre: string;
+
+  /**
+   * Obtiene las cotizaciones de una fecha, o null si el proveedor no las tiene
+   * @param fecha - YYYY-MM-DD
+   */
+  obtenerCotizaciones(fecha: string): Promise<SnapshotCotizaciones | null>;
+}
@@ -0,0 +1,185 @@
+// =============================================================================
+// BALANCES - CÁLCULO COMPARTIDO ENTRE EL NAVEGADOR Y CLOUD FUNCTIONS
+// =============================================================================
+
+// Módulo puro (sin Firebase ni DOM): lo importa el cliente vía el alias
+// `@shared` de Webpack y las Functions compilándolo con tsc (allowJs).
+
+import { calcularCuotas } from './splits.js';
+import { aMinimas, desdeMinimas, redondearMonto, repartir, sumarMontos } from './money.js';
+
+/**
+ * Redondea un monto a la unidad mínima de la moneda (centavos por defecto)
+ * @param {number} n
+ * @param {string} [moneda]
+ * @returns {number}
+ */
+export function redondear(n, moneda) {
+  return redondearMonto(n, moneda);
+}
+
+/**
+ * Obtiene los UIDs de los participantes de un evento
+ * @param {Object} evento
+ * @returns {string[]}
+ */
+export function participantesDe(evento) {
+  if (Array.isArray(evento.participantesUids) && evento.participantesUids.length > 0) {
+    return evento.participantesUids.slice();
+  }
+  return (evento.participantes || []).map(p => p.uid);
+}
+
+/**
+ * Aportes de un gasto: uid -> monto pagado.
+ * Un gasto puede tener varios pagadores (`aportes`) o uno solo (`pagado_por`).
+ * @param {Object} gasto
+ * @returns {Object<string, number>}
+ */
+export function aportesDeGasto(gasto) {
+  if (gasto.aportes && typeof gasto.aportes === 'object' && Object.keys(gasto.aportes).length > 0) {
+    const aportes = {};
+    Object.entries(gasto.aportes).forEach(([uid, monto]) => {
+      if (Number(monto) > 0) aportes[uid] = Number(monto);
+    });
+    return aportes;
+  }
+  return gasto.pagado_por ? { [gasto.pagado_por]: Number(gasto.monto || 0) } : {};
+}
+
+/**
+ * Total aportado por cada participante en un evento.
+ * Eventos sin gastos usan el mapa `aportes` del evento o, si no existe,
+ * el esquema anterior de un único `quien_pago` por el `monto` completo.
+ * @param {Object} evento
+ * @returns {Object<string, number>} uid -> total pagado
+ */
+export function aportesPorParticipante(evento) {
+  const minimas = {};
+  const sumar = (uid, monto) => { minimas[uid] = (minimas[uid] || 0) + aMinimas(monto, evento.moneda); };
+  const gastos = Array.isArray(evento.gastos) ? evento.gastos : [];
+
+  if (gastos.length > 0) {
+    gastos.forEach(g => Object.entries(aportesDeGasto(g)).forEach(([uid, monto]) => sumar(uid, monto)));
+  } else if (evento.aportes && Object.keys(evento.aportes).length > 0) {
+    Object.entries(evento.aportes).forEach(([uid, monto]) => sumar(uid, Number(monto) || 0));
+  } else if (evento.quien_pago && Number(evento.monto) > 0) {
+    sumar(evento.quien_pago, Number(evento.monto));
+  }
+  const totales = {};
+  Object.entries(minimas).forEach(([uid, m]) => { totales[uid] = desdeMinimas(m, evento.moneda); });
+  return totales;
+}
+
+/**
+ * Total del evento: la suma de sus gastos. El campo `monto` es un derivado que
+ * escribe el cliente y solo se usa en eventos sin gastos.
+ * @param {Object} evento
+ * @returns {number}
+ */
+export function montoDeEvento(evento) {
+  const gastos = Array.isArray(evento.gastos) ? evento.gastos : [];
+  if (gastos.length === 0) return Number(evento.monto || 0);
+  return sumarMontos(gastos.map(g => g.monto), evento.moneda);
+}
+
+/**
+ * Lo que le corresponde pagar a cada participante según la división del evento
+ * (partes iguales si no tiene una configurada)
+ * @param {Object} evento
+ * @returns {Object<string, number>} uid -> cuota
+ */
+export function cuotasPorParticipante(evento) {
+  return calcularCuotas(montoDeEvento(evento), participantesDe(evento), evento.division, evento.moneda);
+}
+
+/**
+ * Saldo neto de cada participante: lo que pagó menos lo que le corresponde.
+ * Positivo: le deben; negativo: debe.
+ * @param {Object} evento
+ * @returns {Object<string, number>}
+ */
+export function saldosNetos(evento) {
+  const aportes = aportesPorParticipante(evento);
+  const cuotas = cuotasPorParticipante(evento);
+  const saldos = {};
+  new Set([...Object.keys(aportes), ...Object.keys(cuotas)]).forEach(uid => {
+    saldos[uid] = desdeMinimas(aMinimas(aportes[uid], evento.moneda) - aMinimas(cuotas[uid], evento.moneda), evento.moneda);
+  });
+  return saldos;
+}
+
+/**
+ * Pagos registrados por un participante.
+ * `pagos[uid]` es `{ total, historial }`; los eventos anteriores guardaban un
+ * booleano, que se interpreta como "pagó todo lo que debía".
+ * @param {Object} evento
+ * @param {string} uid
+ * @returns {{total:number, historial:Array<{id:string, monto:number, fecha:*, por:string}>, legado:boolean}}
+ */
+export function pagosDe(evento, uid) {
+  const valor = (evento.pagos || {})[uid];
+  if (valor && typeof valor === 'object') {
+    return {
+      total: redondear(valor.total, evento.moneda),
+      historial: Array.isArray(valor.historial) ? valor.historial : [],
+      legado: false
+    };
+  }
+  return { total: 0, historial: [], legado: valor === true };
+}
+
+/**
+ * Estado de pago de un participante: cuánto debe (lo que le corresponde
+ * menos lo que ya aportó en gastos), cuánto lleva pagado y cuánto le falta
+ * @param {Object} evento
+ * @param {string} uid
+ * @param {Object<string, number>} [saldos] - saldos netos precalculados
+ * @returns {{debe:number, pagado:number, restante:number, progreso:number, saldado:boolean}}
+ */
+export function estadoPago(evento, uid, saldos = null) {
+  const saldo = (saldos || saldosNetos(evento))[uid] || 0;
+  const debe = redondear(Math.max(0, -saldo), evento.moneda);
+  const pagos = pagosDe(evento, uid);
+  const pagado = pagos.legado ? debe : pagos.total;
+  const restante = desdeMinimas(Math.max(0, aMinimas(debe, evento.moneda) - aMinimas(pagado, evento.moneda)), evento.moneda);
+  return {
+    debe,
+    pagado,
+    restante,
+    progreso: debe > 0 ? Math.min(1, pagado / debe) : 1,
+    saldado: restante === 0
+  };
+}
+
+/**
+ * Lo que queda por liquidar de cada participante: los saldos netos menos los
+ * pagos parciales registrados en el evento (`pagos[uid]`). Lo que pagó un
+ * deudor (hasta lo que debía) sube su saldo y baja el de los acreedores, en
+ * proporción a lo que se le debe a cada uno.
+ * @param {Object} evento
+ * @returns {Object<string, number>} uid -> saldo (positivo: le deben)
+ */
+export function saldosPendientes(evento) {
+  const saldos = saldosNetos(evento);
+  const minimas = {};
+  Object.entries(saldos).forEach(([uid, saldo]) => { minimas[uid] = aMinimas(saldo, evento.moneda); });
+
+  let pagado = 0;
+  Object.keys(minimas).filter(uid => minimas[uid] < 0).forEach(uid => {
+    const pago = Math.min(aMinimas(estadoPago(evento, uid, saldos).pagado, evento.moneda), -minimas[uid]);
+    if (pago <= 0) return;
+    minimas[uid] += pago;
+    pagado += pago;
+  });
+
+  // Ordenados por UID para que el cliente y las Functions repartan igual
+  const acreedores = Object.keys(minimas).filter(uid => minimas[uid] > 0).sort();
+  repartir(pagado, acreedores.map(uid => minimas[uid])).forEach((parte, i) => {
+    minimas[acreedores[i]] -= parte;
+  });
+
+  const pendientes = {};
+  Object.entries(minimas).forEach(([uid, m]) => { pendientes[uid] = desdeMinimas(m, evento.moneda); });
+  return pendientes;
+}
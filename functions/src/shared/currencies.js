@@ -0,0 +1,108 @@
+// =============================================================================
+// CURRENCIES - MONEDAS ISO-4217 Y CONVERSIÓN A MONEDA BASE (CLIENTE Y FUNCTIONS)
+// =============================================================================
+
+import { redondearMonto } from './money.js';
+
+/**
+ * Códigos ISO-4217 de monedas en circulación
+ */
+export const MONEDAS_ISO = [
+  'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN',
+  'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL',
+  'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY',
+  'COP', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP',
+  'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD',
+  'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR',
+  'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+  'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL',
+  'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR',
+  'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR',
+  'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR',
+  'RON', 'RSD', 'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD',
+  'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL', 'THB',
+  'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX',
+  'USD', 'UYU', 'UZS', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XOF',
+  'XPF', 'YER', 'ZAR', 'ZMW', 'ZWL'
+];
+
+/**
+ * Moneda base por defecto para convertir totales
+ */
+export const MONEDA_BASE_DEFAULT = 'ARS';
+
+/**
+ * Normaliza un código de moneda (mayúsculas, sin espacios)
+ * @param {string} codigo
+ * @returns {string}
+ */
+export function normalizarMoneda(codigo) {
+  return String(codigo || '').trim().toUpperCase();
+}
+
+/**
+ * Verifica que el código sea una moneda ISO-4217 conocida
+ * @param {string} codigo
+ * @returns {boolean}
+ */
+export function esMonedaValida(codigo) {
+  return MONEDAS_ISO.includes(normalizarMoneda(codigo));
+}
+
+/**
+ * Tipo de cambio de un evento hacia una moneda base.
+ * `evento.tipo_cambio = { base, valor }` significa 1 unidad de `evento.moneda` = `valor` de `base`.
+ * @param {Object} evento
+ * @param {string} base
+ * @returns {number|null} null si el evento no tiene cotización hacia esa base
+ */
+export function tasaDeEvento(evento, base) {
+  if (normalizarMoneda(evento.moneda) === normalizarMoneda(base)) return 1;
+  const tc = evento.tipo_cambio;
+  if (tc && normalizarMoneda(tc.base) === normalizarMoneda(base) && Number(tc.valor) > 0) {
+    return Number(tc.valor);
+  }
+  return null;
+}
+
+/**
+ * Convierte un monto con un tipo de cambio, redondeando a la unidad mínima
+ * de la moneda destino (centavos si no se indica)
+ * @param {number} monto
+ * @param {number} tasa
+ * @param {string} [monedaDestino]
+ * @returns {number}
+ */
+export function convertir(monto, tasa, monedaDestino) {
+  return redondearMonto((Number(monto) || 0) * (Number(tasa) || 0), monedaDestino);
+}
+
+/**
+ * Tipos de cotización que se pueden fijar en un evento (dólar en Argentina)
+ */
+export const TIPOS_COTIZACION = ['oficial', 'blue', 'mep'];
+
+/**
+ * Calcula el tipo de cambio moneda -> base a partir de un snapshot diario
+ * (`config/cotizaciones_YYYY-MM-DD`), cruzando por la moneda del snapshot
+ * cuando ninguna de las dos lo es. Si la moneda no tiene el tipo pedido
+ * (ej: euro "blue") se usa su cotización oficial.
+ * @param {{base:string, cotizaciones:Object<string, Object<string, number>>}} snapshot
+ * @param {string} moneda
+ * @param {string} base
+ * @param {('oficial'|'blue'|'mep')} [tipo]
+ * @returns {number|null} null si el snapshot no cotiza alguna de las monedas
+ */
+export function tasaDesdeSnapshot(snapshot, moneda, base, tipo = 'oficial') {
+  if (!snapshot) return null;
+  const valorEnSnapshot = (m) => {
+    if (m === normalizarMoneda(snapshot.base)) return 1;
+    const c = (snapshot.cotizaciones || {})[m] || {};
+    const v = c[tipo] !== undefined ? c[tipo] : c.oficial;
+    return Number(v) > 0 ? Number(v) : null;
+  };
+  const desde = valorEnSnapshot(normalizarMoneda(moneda));
+  const hacia = valorEnSnapshot(normalizarMoneda(base));
+  if (desde === null || hacia === null) return null;
+  return Math.round((desde / hacia) * 1e6) / 1e6;
+}
@@ -0,0 +1,47 @@
+// =============================================================================
+// DUE DATES - VENCIMIENTOS Y RECORDATORIOS DE PAGO (CLIENTE Y FUNCTIONS)
+// =============================================================================
+
+// Módulo puro: el vencimiento se compara como fecha 'YYYY-MM-DD' (el día
+// completo cuenta como "en fecha"), igual en el navegador y en la Function.
+
+import { diasEntre } from './recurrence.js';
+
+// Días antes y después del vencimiento en que se envía un recordatorio
+export const DIAS_AVISO_ANTES = 3;
+export const DIAS_AVISO_DESPUES = 3;
+
+/**
+ * Estado del vencimiento de un evento
+ *  - null: sin vencimiento o evento cerrado
+ *  - 'en_fecha': faltan más de DIAS_AVISO_ANTES días
+ *  - 'por_vencer': vence dentro de DIAS_AVISO_ANTES días (o hoy)
+ *  - 'vencido': la fecha ya pasó
+ * @param {string|null} vence - 'YYYY-MM-DD'
+ * @param {string} hoy - 'YYYY-MM-DD'
+ * @param {string} [estadoEvento]
+ * @returns {{estado: ('en_fecha'|'por_vencer'|'vencido'), dias: number}|null} dias: hasta el vencimiento (negativo si pasó)
+ */
+export function estadoVencimiento(vence, hoy, estadoEvento = 'abierto') {
+  if (!vence || estadoEvento === 'cerrado') return null;
+  const dias = diasEntre(hoy, vence);
+  if (dias < 0) return { estado: 'vencido', dias };
+  if (dias <= DIAS_AVISO_ANTES) return { estado: 'por_vencer', dias };
+  return { estado: 'en_fecha', dias };
+}
+
+/**
+ * Recordatorio que corresponde enviar hoy, si todavía no se envió.
+ * Se compara con >= en lugar de igualdad para no perderlo si la Function
+ * programada no corrió algún día.
+ * @param {string} vence - 'YYYY-MM-DD'
+ * @param {string} hoy - 'YYYY-MM-DD'
+ * @param {{antes?:string, despues?:string}} [enviados] - Fecha en que se envió cada uno
+ * @returns {('antes'|'despues'|null)}
+ */
+export function recordatorioPendiente(vence, hoy, enviados = {}) {
+  const dias = diasEntre(hoy, vence);
+  if (dias <= -DIAS_AVISO_DESPUES) return enviados.despues ? null : 'despues';
+  if (dias >= 0 && dias <= DIAS_AVISO_ANTES) return enviados.antes ? null : 'antes';
+  return null;
+}
@@ -0,0 +1,89 @@
+// =============================================================================
+// GUESTS - PARTICIPANTES INVITADOS SIN CUENTA (CLIENTE Y FUNCTIONS)
+// =============================================================================
+
+// Módulo puro: un invitado es un participante que solo tiene nombre. Figura en
+// `participantesUids` con un ID propio (prefijo `invitado_`) para que cuente en
+// la división y los saldos como cualquier otro. Cuando alguien reclama el
+// invitado con su link personal, reclamarInvitado reemplaza ese ID por su UID.
+
+export const PREFIJO_INVITADO = 'invitado_';
+
+/**
+ * Indica si un ID de participante corresponde a un invitado sin cuenta
+ * @param {string} uid
+ * @returns {boolean}
+ */
+export function esInvitado(uid) {
+  return typeof uid === 'string' && uid.startsWith(PREFIJO_INVITADO);
+}
+
+/**
+ * ID de participante de un invitado nuevo
+ * @param {string} token - Cadena aleatoria única
+ * @returns {string}
+ */
+export function idInvitado(token) {
+  return `${PREFIJO_INVITADO}${token}`;
+}
+
+/**
+ * Valida el nombre de un invitado
+ * @param {string} nombre
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export function validarNombreInvitado(nombre) {
+  const errors = [];
+  const limpio = String(nombre || '').trim();
+  if (!limpio) errors.push('El nombre del invitado es requerido');
+  else if (limpio.length > 40) errors.push('El nombre del invitado no puede superar 40 caracteres');
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Campos de un evento a actualizar para que el invitado `deId` pase a ser el
+ * usuario `aId`: participantes, división, gastos, pagos y aportes quedan a
+ * nombre del usuario y el invitado deja de existir en el evento
+ * @param {Object} evento
+ * @param {string} deId - ID del invitado
+ * @param {string} aId - UID del usuario que lo reclama
+ * @param {string} alias - Nombre visible del usuario
+ * @returns {Object<string, *>} campos a actualizar (siempre un objeto completo por campo)
+ */
+export function reemplazarParticipante(evento, deId, aId, alias) {
+  const cambiar = (uid) => (uid === deId ? aId : uid);
+  const renombrarClaves = (mapa) => {
+    const nuevo = {};
+    Object.entries(mapa || {}).forEach(([uid, valor]) => { nuevo[cambiar(uid)] = valor; });
+    return nuevo;
+  };
+
+  const campos = {
+    participantesUids: (evento.participantesUids || []).map(cambiar),
+    participantes: (evento.participantes || []).map(p => (p.uid === deId ? { ...p, uid: aId, alias } : p)),
+    aliases: { ...renombrarClaves(evento.aliases), [aId]: alias }
+  };
+
+  const invitados = { ...(evento.invitados || {}) };
+  delete invitados[deId];
+  campos.invitados = invitados;
+
+  if (evento.division) {
+    campos.division = {
+      ...evento.division,
+      ...(evento.division.valores ? { valores: renombrarClaves(evento.division.valores) } : {}),
+      ...(evento.division.excluidos ? { excluidos: evento.division.excluidos.map(cambiar) } : {})
+    };
+  }
+  if (Array.isArray(evento.gastos)) {
+    campos.gastos = evento.gastos.map(g => ({
+      ...g,
+      ...(g.pagado_por ? { pagado_por: cambiar(g.pagado_por) } : {}),
+      ...(g.aportes ? { aportes: renombrarClaves(g.aportes) } : {})
+    }));
+  }
+  if (evento.pagos) campos.pagos = renombrarClaves(evento.pagos);
+  if (evento.aportes) campos.aportes = renombrarClaves(evento.aportes);
+  if (evento.quien_pago) campos.quien_pago = cambiar(evento.quien_pago);
+  return campos;
+}
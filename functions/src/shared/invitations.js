@@ -0,0 +1,82 @@
+// =============================================================================
+// INVITATIONS - CICLO DE VIDA DE LOS LINKS DE INVITACIÓN (CLIENTE Y FUNCTIONS)
+// =============================================================================
+
+// Módulo puro: decide si un link de invitación todavía sirve. joinByToken lo
+// aplica al unirse y el cliente lo usa para mostrar el estado del link.
+
+// Límite de usos por defecto de un link nuevo
+export const MAX_USOS_DEFAULT = 100;
+
+export const ETIQUETAS_ESTADO_INVITACION = {
+  activa: 'Activo',
+  revocada: 'Revocado',
+  expirada: 'Vencido',
+  agotada: 'Sin usos disponibles'
+};
+
+/**
+ * @typedef {Object} Invitacion
+ * @property {string} evento_id
+ * @property {string} token - También es el ID del documento invitaciones/{token}
+ * @property {string} creado_por
+ * @property {number} usos
+ * @property {number|null} [max_usos] - null: sin límite
+ * @property {*} [expira_en] - Timestamp de Firestore, Date o milisegundos; null: no vence
+ * @property {boolean} [revocada]
+ */
+
+/**
+ * Estado de una invitación
+ * @param {Invitacion} invitacion
+ * @param {number} [ahora] - milisegundos (por defecto Date.now())
+ * @returns {('activa'|'revocada'|'expirada'|'agotada')}
+ */
+export function estadoInvitacion(invitacion, ahora = Date.now()) {
+  const inv = invitacion || {};
+  if (inv.revocada) return 'revocada';
+  const expira = aMilisegundos(inv.expira_en);
+  if (expira !== null && expira <= ahora) return 'expirada';
+  if (inv.max_usos !== null && inv.max_usos !== undefined && Number(inv.usos || 0) >= Number(inv.max_usos)) {
+    return 'agotada';
+  }
+  return 'activa';
+}
+
+/**
+ * Valida los límites que elige el creador
+ * @param {Object} limites
+ * @param {number|null} [limites.max_usos]
+ * @param {*} [limites.expira_en]
+ * @param {number} [limites.usos] - Usos ya consumidos
+ * @param {number} [ahora]
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export function validarLimitesInvitacion({ max_usos, expira_en, usos = 0 } = {}, ahora = Date.now()) {
+  const errors = [];
+  if (max_usos !== null && max_usos !== undefined) {
+    if (!Number.isInteger(max_usos) || max_usos < 1) {
+      errors.push('El límite de usos debe ser un entero mayor o igual a 1');
+    } else if (max_usos < usos) {
+      errors.push(`El link ya se usó ${usos} ${usos === 1 ? 'vez' : 'veces'}`);
+    }
+  }
+  if (expira_en !== null && expira_en !== undefined) {
+    const expira = aMilisegundos(expira_en);
+    if (expira === null) errors.push('La fecha de vencimiento es inválida');
+    else if (expira <= ahora) errors.push('La fecha de vencimiento debe ser futura');
+  }
+  return { isValid: errors.length === 0, errors };
+}
+
+// =============================================================================
+// AUXILIARES
+// =============================================================================
+
+function aMilisegundos(valor) {
+  if (valor === null || valor === undefined) return null;
+  if (typeof valor.toMillis === 'function') return valor.toMillis();
+  if (valor instanceof Date) return Number.isNaN(valor.getTime()) ? null : valor.getTime();
+  const n = Number(valor);
+  return Number.isFinite(n) ? n : null;
+}
@@ -0,0 +1,205 @@
+// =============================================================================
+// MONEY - MONTOS EN UNIDADES MÍNIMAS (CENTAVOS) COMPARTIDO (CLIENTE Y FUNCTIONS)
+// =============================================================================
+
+// Módulo puro: toda la aritmética de dinero se hace con enteros en la unidad
+// mínima de la moneda (centavos para ARS/USD, unidades para JPY/CLP) para no
+// perder ni duplicar centavos al sumar o dividir. En Firestore los montos se
+// siguen guardando como números en unidades mayores, ya redondeados.
+
+const DECIMALES_POR_DEFECTO = 2;
+const cacheDecimales = {};
+
+/**
+ * Cantidad de decimales de una moneda según ISO-4217 (ARS 2, JPY 0, KWD 3)
+ * @param {string} [moneda] - Código ISO-4217; sin moneda se asumen 2
+ * @returns {number}
+ */
+export function decimalesDe(moneda) {
+  const codigo = String(moneda || '').trim().toUpperCase();
+  if (!codigo) return DECIMALES_POR_DEFECTO;
+  if (cacheDecimales[codigo] === undefined) {
+    try {
+      cacheDecimales[codigo] = new Intl.NumberFormat('en-US', { style: 'currency', currency: codigo })
+        .resolvedOptions().maximumFractionDigits;
+    } catch (_) {
+      cacheDecimales[codigo] = DECIMALES_POR_DEFECTO;
+    }
+  }
+  return cacheDecimales[codigo];
+}
+
+/**
+ * Convierte un monto a unidades mínimas enteras, redondeando al más cercano
+ * (los medios se alejan de cero: 1.005 -> 101, -1.005 -> -101).
+ * Escala con aritmética y corrige el error de punto flotante con un épsilon
+ * relativo para que 1.005 * 100 (= 100.49999...) no redondee hacia abajo.
+ * Sin monto (undefined, '', texto no numérico) es 0; un monto infinito o
+ * demasiado grande para operar en enteros exactos lanza RangeError.
+ * @param {number|string} monto
+ * @param {string} [moneda]
+ * @returns {number} entero
+ */
+export function aMinimas(monto, moneda) {
+  const n = Number(monto);
+  if (Number.isNaN(n) || n === 0) return 0;
+  const escalado = Math.round(Math.abs(n) * 10 ** decimalesDe(moneda) * (1 + Number.EPSILON));
+  if (!Number.isSafeInteger(escalado)) throw new RangeError(`Monto fuera de rango: ${monto}`);
+  return Math.sign(n) * escalado;
+}
+
+/**
+ * Convierte unidades mínimas a un monto en unidades mayores
+ * @param {number} minimas - entero
+ * @param {string} [moneda]
+ * @returns {number}
+ */
+export function desdeMinimas(minimas, moneda) {
+  const n = Math.round(Number(minimas));
+  if (!Number.isFinite(n)) throw new RangeError(`Unidades mínimas inválidas: ${minimas}`);
+  if (n === 0) return 0;
+  // La división por una potencia de 10 exacta da el double más cercano (101 / 100 === 1.01)
+  return Math.sign(n) * (Math.abs(n) / 10 ** decimalesDe(moneda));
+}
+
+/**
+ * Redondea un monto a la unidad mínima de la moneda
+ * @param {number|string} monto
+ * @param {string} [moneda]
+ * @returns {number}
+ */
+export function redondearMonto(monto, moneda) {
+  return desdeMinimas(aMinimas(monto, moneda), moneda);
+}
+
+/**
+ * Suma montos sin error de punto flotante
+ * @param {Array<number|string>} montos
+ * @param {string} [moneda]
+ * @returns {number}
+ */
+export function sumarMontos(montos, moneda) {
+  const total = (montos || []).reduce((acc, m) => acc + aMinimas(m, moneda), 0);
+  return desdeMinimas(total, moneda);
+}
+
+/**
+ * Reparte un total entero en partes proporcionales a los pesos, con enteros
+ * que suman exactamente el total (método del mayor resto). Las unidades
+ * sobrantes van a quien tiene el mayor resto; ante empate, al de menor índice,
+ * así el mismo reparto da siempre el mismo resultado.
+ * @param {number} totalMinimas - entero (puede ser negativo)
+ * @param {number[]} pesos - pesos no negativos (ej: [1,1,1], [50,25,25])
+ * @returns {number[]} enteros, en el mismo orden que `pesos`
+ */
+export function repartir(totalMinimas, pesos) {
+  const lista = (pesos || []).map(p => Math.max(0, Number(p) || 0));
+  const sumaPesos = lista.reduce((acc, p) => acc + p, 0);
+  const partes = lista.map(() => 0);
+  const total = Math.round(Number(totalMinimas) || 0);
+  if (lista.length === 0 || sumaPesos <= 0 || total === 0) return partes;
+
+  const signo = Math.sign(total);
+  const absoluto = Math.abs(total);
+  const restos = lista.map((p, i) => {
+    const exacto = absoluto * p / sumaPesos;
+    partes[i] = Math.floor(exacto);
+    return { i, resto: exacto - partes[i] };
+  });
+  let sobrante = absoluto - partes.reduce((acc, p) => acc + p, 0);
+  restos
+    .filter(r => lista[r.i] > 0)
+    .sort((a, b) => (b.resto - a.resto) || (a.i - b.i))
+    .forEach(r => {
+      if (sobrante <= 0) return;
+      partes[r.i] += 1;
+      sobrante -= 1;
+    });
+  return partes.map(p => p * signo);
+}
+
+/**
+ * Reparte un monto (unidades mayores) según pesos; ver `repartir`
+ * @param {number} total
+ * @param {number[]} pesos
+ * @param {string} [moneda]
+ * @returns {number[]}
+ */
+export function repartirMonto(total, pesos, moneda) {
+  return repartir(aMinimas(total, moneda), pesos).map(m => desdeMinimas(m, moneda));
+}
+
+/**
+ * Interpreta un monto escrito por el usuario o leído de un ticket.
+ *  - 'es-AR': punto de miles y coma decimal ("1.234,56")
+ *  - 'en-US': coma de miles y punto decimal ("1,234.56")
+ *  - sin locale: si aparecen ambos separadores, el último es el decimal; si hay
+ *    uno solo, es de miles cuando se repite o lo siguen exactamente 3 dígitos
+ * Ignora símbolos de moneda y espacios ("$ 1.234,56", "USD 12.50", "-45,9").
+ * @param {string|number} texto
+ * @param {('es-AR'|'en-US')} [locale]
+ * @returns {number|null} null si no hay un número válido
+ */
+export function parsearMonto(texto, locale) {
+  if (typeof texto === 'number') return Number.isFinite(texto) ? texto : null;
+  if (typeof texto !== 'string') return null;
+
+  let limpio = texto.replace(/[^\d,.-]/g, '');
+  const negativo = /^-/.test(limpio) || /^\s*\(.*\)\s*$/.test(texto);
+  limpio = limpio.replace(/-/g, '');
+  if (!/\d/.test(limpio)) return null;
+
+  let decimal;
+  if (locale === 'es-AR') {
+    decimal = ',';
+  } else if (locale === 'en-US') {
+    decimal = '.';
+  } else {
+    const ultimaComa = limpio.lastIndexOf(',');
+    const ultimoPunto = limpio.lastIndexOf('.');
+    if (ultimaComa !== -1 && ultimoPunto !== -1) {
+      decimal = ultimaComa > ultimoPunto ? ',' : '.';
+    } else if (ultimaComa !== -1 || ultimoPunto !== -1) {
+      const sep = ultimaComa !== -1 ? ',' : '.';
+      const partes = limpio.split(sep);
+      decimal = partes.length > 2 || partes[1].length === 3 ? null : sep;
+    } else {
+      decimal = null;
+    }
+  }
+
+  const miles = decimal === ',' ? '.' : ',';
+  let normalizado = limpio.split(miles).join('');
+  if (decimal === null) {
+    normalizado = normalizado.replace(/[.,]/g, '');
+  } else {
+    // Un segundo separador decimal no es válido ("1,2,3" en es-AR)
+    if (normalizado.split(decimal).length > 2) return null;
+    normalizado = normalizado.replace(decimal, '.');
+  }
+
+  const numero = parseFloat(normalizado);
+  if (!Number.isFinite(numero)) return null;
+  return negativo ? -numero : numero;
+}
+
+/**
+ * Formatea un monto con los decimales de su moneda
+ * @param {number} monto
+ * @param {string} moneda
+ * @param {string} [locale]
+ * @returns {string} ej: "$ 1.234,56"
+ */
+export function formatearMonto(monto, moneda, locale = 'es-AR') {
+  const decimales = decimalesDe(moneda);
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: String(moneda || '').toUpperCase(),
+      minimumFractionDigits: decimales,
+      maximumFractionDigits: decimales
+    }).format(redondearMonto(monto, moneda));
+  } catch (_) {
+    return `${moneda || ''} ${redondearMonto(monto, moneda).toFixed(decimales)}`.trim();
+  }
+}
@@ -0,0 +1,280 @@
+// =============================================================================
+// RECURRENCE - CALENDARIO DE EVENTOS RECURRENTES (CLIENTE Y FUNCTIONS)
+// =============================================================================
+
+// Módulo puro: trabaja con fechas 'YYYY-MM-DD' (sin hora ni zona horaria) para
+// que el cliente y la Function programada calculen exactamente las mismas
+// ocurrencias.
+
+/**
+ * Frecuencias soportadas ('unico' significa que el evento no se repite)
+ *  - semanal / quincenal: cada 7 / 14 días desde la fecha de inicio
+ *  - mensual: todos los meses el día `dia_mes` (el último día si el mes es más corto)
+ *  - anual: todos los años en la misma fecha (29/2 pasa a 28/2 en años no bisiestos)
+ */
+export const FRECUENCIAS = ['semanal', 'quincenal', 'mensual', 'anual'];
+
+export const ETIQUETAS_FRECUENCIA = {
+  unico: 'Único',
+  semanal: 'Semanal',
+  quincenal: 'Cada 2 semanas',
+  mensual: 'Mensual',
+  anual: 'Anual'
+};
+
+/**
+ * @typedef {Object} Recurrencia
+ * @property {('semanal'|'quincenal'|'mensual'|'anual')} frecuencia
+ * @property {string} inicio - 'YYYY-MM-DD' de la ocurrencia 0 (el evento original)
+ * @property {number} [dia_mes] - 1 a 31, solo mensual (por defecto el día de `inicio`)
+ * @property {string|null} [fin] - Última fecha posible, inclusive
+ * @property {number|null} [max_ocurrencias] - Total de ocurrencias, contando la original
+ * @property {number} indice - Próxima ocurrencia a materializar (la original es la 0)
+ * @property {string|null} proxima - Fecha de la próxima ocurrencia no omitida; null si terminó
+ * @property {Object<string, Excepcion>} [excepciones] - índice -> cambios para esa ocurrencia
+ */
+
+/**
+ * @typedef {Object} Excepcion
+ * @property {boolean} [omitida] - No se crea el evento de esa ocurrencia
+ * @property {string} [fecha] - Fecha distinta a la del calendario ('YYYY-MM-DD')
+ * @property {string} [titulo]
+ * @property {number} [monto] - Reemplaza los gastos por uno solo de este monto
+ */
+
+const REGEX_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Tope de ocurrencias que se recorren buscando la próxima no omitida
+const MAX_BUSQUEDA = 1000;
+
+/**
+ * Indica si el texto es una fecha 'YYYY-MM-DD' válida
+ * @param {string} fecha
+ * @returns {boolean}
+ */
+export function esFechaValida(fecha) {
+  if (typeof fecha !== 'string' || !REGEX_FECHA.test(fecha)) return false;
+  const [a, m, d] = fecha.split('-').map(Number);
+  const dt = new Date(Date.UTC(a, m - 1, d));
+  return dt.getUTCFullYear() === a && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+/**
+ * Fecha local de un Date como 'YYYY-MM-DD'
+ * @param {Date} date
+ * @returns {string}
+ */
+export function aFechaISO(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Suma días a una fecha 'YYYY-MM-DD'
+ * @param {string} fecha
+ * @param {number} dias
+ * @returns {string}
+ */
+export function sumarDias(fecha, dias) {
+  const [a, m, d] = fecha.split('-').map(Number);
+  return isoUTC(new Date(Date.UTC(a, m - 1, d + dias)));
+}
+
+/**
+ * Días entre dos fechas 'YYYY-MM-DD' (positivo si `hasta` es posterior)
+ * @param {string} desde
+ * @param {string} hasta
+ * @returns {number}
+ */
+export function diasEntre(desde, hasta) {
+  const ms = (f) => { const [a, m, d] = f.split('-').map(Number); return Date.UTC(a, m - 1, d); };
+  return Math.round((ms(hasta) - ms(desde)) / 86400000);
+}
+
+/**
+ * Crea la recurrencia de un evento nuevo. La ocurrencia 0 es el propio
+ * evento, así que la primera a materializar es la 1.
+ * @param {Object} datos
+ * @param {string} datos.frecuencia
+ * @param {string} datos.inicio - 'YYYY-MM-DD'
+ * @param {number} [datos.dia_mes]
+ * @param {string} [datos.fin]
+ * @param {number} [datos.max_ocurrencias]
+ * @returns {Recurrencia}
+ */
+export function crearRecurrencia({ frecuencia, inicio, dia_mes, fin, max_ocurrencias }) {
+  const recurrencia = {
+    frecuencia,
+    inicio,
+    ...(frecuencia === 'mensual' ? { dia_mes: Number(dia_mes) || Number(inicio.slice(8, 10)) } : {}),
+    fin: fin || null,
+    max_ocurrencias: max_ocurrencias ? Number(max_ocurrencias) : null,
+    indice: 1,
+    excepciones: {}
+  };
+  return { ...recurrencia, proxima: calcularProxima(recurrencia) };
+}
+
+/**
+ * Valida una recurrencia
+ * @param {Recurrencia} recurrencia
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export function validarRecurrencia(recurrencia) {
+  const errors = [];
+  const r = recurrencia || {};
+  if (!FRECUENCIAS.includes(r.frecuencia)) {
+    errors.push(`Frecuencia inválida: ${r.frecuencia}`);
+  }
+  if (!esFechaValida(r.inicio)) {
+    errors.push('La fecha de inicio es inválida');
+  }
+  if (r.frecuencia === 'mensual' && !(Number.isInteger(r.dia_mes) && r.dia_mes >= 1 && r.dia_mes <= 31)) {
+    errors.push('El día del mes debe estar entre 1 y 31');
+  }
+  if (r.fin) {
+    if (!esFechaValida(r.fin)) errors.push('La fecha de fin es inválida');
+    else if (esFechaValida(r.inicio) && r.fin <= r.inicio) errors.push('La fecha de fin debe ser posterior al inicio');
+  }
+  if (r.max_ocurrencias !== null && r.max_ocurrencias !== undefined &&
+      !(Number.isInteger(r.max_ocurrencias) && r.max_ocurrencias >= 2)) {
+    errors.push('La cantidad de repeticiones debe ser un entero mayor o igual a 2');
+  }
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Fecha de la ocurrencia `indice` según el calendario (sin excepciones).
+ * @param {Recurrencia} recurrencia
+ * @param {number} indice
+ * @returns {string|null} null si la serie ya terminó (por fecha o cantidad)
+ */
+export function fechaDeOcurrencia(recurrencia, indice) {
+  const r = recurrencia;
+  if (r.max_ocurrencias && indice >= r.max_ocurrencias) return null;
+  const [a, m, d] = r.inicio.split('-').map(Number);
+  let fecha;
+  if (r.frecuencia === 'semanal') {
+    fecha = sumarDias(r.inicio, 7 * indice);
+  } else if (r.frecuencia === 'quincenal') {
+    fecha = sumarDias(r.inicio, 14 * indice);
+  } else if (r.frecuencia === 'mensual') {
+    const mes = m - 1 + indice;
+    fecha = fechaAjustada(a + Math.floor(mes / 12), mes % 12, r.dia_mes || d);
+  } else if (r.frecuencia === 'anual') {
+    fecha = fechaAjustada(a + indice, m - 1, d);
+  } else {
+    return null;
+  }
+  if (r.fin && fecha > r.fin) return null;
+  return fecha;
+}
+
+/**
+ * Próxima ocurrencia pendiente (desde `recurrencia.indice`), salteando las omitidas
+ * @param {Recurrencia} recurrencia
+ * @returns {{indice:number, fecha:string, excepcion:Excepcion}|null}
+ */
+export function proximaOcurrencia(recurrencia) {
+  const excepciones = recurrencia.excepciones || {};
+  const desde = Number(recurrencia.indice) || 1;
+  for (let indice = desde; indice < desde + MAX_BUSQUEDA; indice++) {
+    const fechaCalendario = fechaDeOcurrencia(recurrencia, indice);
+    if (!fechaCalendario) return null;
+    const excepcion = excepciones[indice] || {};
+    if (excepcion.omitida) continue;
+    return { indice, fecha: excepcion.fecha || fechaCalendario, excepcion };
+  }
+  return null;
+}
+
+/**
+ * Próximas `cantidad` fechas (para mostrar el calendario), con su excepción
+ * @param {Recurrencia} recurrencia
+ * @param {number} cantidad
+ * @returns {Array<{indice:number, fecha:string, omitida:boolean}>}
+ */
+export function proximasFechas(recurrencia, cantidad) {
+  const excepciones = recurrencia.excepciones || {};
+  const lista = [];
+  for (let indice = Number(recurrencia.indice) || 1; lista.length < cantidad; indice++) {
+    const fechaCalendario = fechaDeOcurrencia(recurrencia, indice);
+    if (!fechaCalendario) break;
+    const excepcion = excepciones[indice] || {};
+    lista.push({ indice, fecha: excepcion.fecha || fechaCalendario, omitida: !!excepcion.omitida });
+  }
+  return lista;
+}
+
+/**
+ * Recalcula `proxima` (el campo por el que consulta la Function programada)
+ * @param {Recurrencia} recurrencia
+ * @returns {string|null}
+ */
+export function calcularProxima(recurrencia) {
+  const proxima = proximaOcurrencia(recurrencia);
+  return proxima ? proxima.fecha : null;
+}
+
+/**
+ * Recurrencia después de materializar la ocurrencia `indice`
+ * @param {Recurrencia} recurrencia
+ * @param {number} indice
+ * @returns {Recurrencia}
+ */
+export function avanzarRecurrencia(recurrencia, indice) {
+  const excepciones = { ...(recurrencia.excepciones || {}) };
+  Object.keys(excepciones).forEach(k => { if (Number(k) <= indice) delete excepciones[k]; });
+  const siguiente = { ...recurrencia, indice: indice + 1, excepciones };
+  return { ...siguiente, proxima: calcularProxima(siguiente) };
+}
+
+/**
+ * Marca como omitida la próxima ocurrencia
+ * @param {Recurrencia} recurrencia
+ * @returns {Recurrencia}
+ */
+export function omitirProxima(recurrencia) {
+  const proxima = proximaOcurrencia(recurrencia);
+  if (!proxima) return recurrencia;
+  return conExcepcion(recurrencia, proxima.indice, { omitida: true });
+}
+
+/**
+ * Cambia la fecha, el título o el monto de la próxima ocurrencia.
+ * Un cambio en null vuelve al valor del evento original.
+ * @param {Recurrencia} recurrencia
+ * @param {Excepcion} cambios
+ * @returns {Recurrencia}
+ */
+export function editarProxima(recurrencia, cambios) {
+  const proxima = proximaOcurrencia(recurrencia);
+  if (!proxima) return recurrencia;
+  const excepcion = { ...proxima.excepcion };
+  ['fecha', 'titulo', 'monto'].forEach(campo => {
+    if (cambios[campo] === null) delete excepcion[campo];
+    else if (cambios[campo] !== undefined) excepcion[campo] = cambios[campo];
+  });
+  return conExcepcion(recurrencia, proxima.indice, excepcion);
+}
+
+// =============================================================================
+// AUXILIARES
+// =============================================================================
+
+function conExcepcion(recurrencia, indice, excepcion) {
+  const actualizada = {
+    ...recurrencia,
+    excepciones: { ...(recurrencia.excepciones || {}), [indice]: excepcion }
+  };
+  return { ...actualizada, proxima: calcularProxima(actualizada) };
+}
+
+// Fecha con el día limitado al último del mes (31 -> 30/28/29)
+function fechaAjustada(anio, mes, dia) {
+  const ultimo = new Date(Date.UTC(anio, mes + 1, 0)).getUTCDate();
+  return isoUTC(new Date(Date.UTC(anio, mes, Math.min(dia, ultimo))));
+}
+
+function isoUTC(date) {
+  return date.toISOString().slice(0, 10);
+}
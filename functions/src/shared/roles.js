@@ -0,0 +1,122 @@
+// =============================================================================
+// ROLES - PERMISOS DE CADA PARTICIPANTE EN UN EVENTO (CLIENTE Y FUNCTIONS)
+// =============================================================================
+
+// Módulo puro: espeja las funciones eventRole/isEventAdmin de firestore.rules
+// para que el cliente muestre solo los controles que las reglas permiten.
+// El propietario está en `evento.propietario` (eventos anteriores: `creado_por`)
+// y el resto de los roles en el mapa `evento.roles` (uid -> rol); quien no
+// figura en el mapa es 'member'.
+
+import { esInvitado } from './guests.js';
+
+export const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// Roles que el propietario puede asignar (la propiedad se transfiere aparte)
+export const ROLES_ASIGNABLES = ['admin', 'member', 'viewer'];
+
+export const ETIQUETAS_ROL = {
+  owner: 'Propietario',
+  admin: 'Administrador',
+  member: 'Miembro',
+  viewer: 'Solo lectura'
+};
+
+/**
+ * UID del propietario del evento
+ * @param {Object} evento
+ * @returns {string}
+ */
+export function propietarioDe(evento) {
+  return (evento && (evento.propietario || evento.creado_por)) || '';
+}
+
+/**
+ * Rol de un usuario en el evento
+ * @param {Object} evento
+ * @param {string} uid
+ * @returns {('owner'|'admin'|'member'|'viewer'|null)} null si no participa
+ */
+export function rolEnEvento(evento, uid) {
+  if (!evento || !uid) return null;
+  if (propietarioDe(evento) === uid) return 'owner';
+  // Una entrada en `roles` no da acceso a quien ya no participa (igual que eventRole)
+  if (!(evento.participantesUids || []).includes(uid)) return null;
+  const rol = (evento.roles || {})[uid];
+  return ROLES_ASIGNABLES.includes(rol) ? rol : 'member';
+}
+
+/**
+ * Qué puede hacer un usuario en el evento según su rol
+ * @param {Object} evento
+ * @param {string} uid
+ * @returns {{rol: (string|null), administrar: boolean, editarGastos: boolean, registrarPagoPropio: boolean, subirAdjuntos: boolean, gestionarRoles: boolean}}
+ */
+export function permisosEvento(evento, uid) {
+  const rol = rolEnEvento(evento, uid);
+  const abierto = !!evento && evento.estado !== 'cerrado';
+  // Propietario y administradores configuran el evento (también después del cierre)
+  const administrar = rol === 'owner' || rol === 'admin';
+  return {
+    rol,
+    administrar,
+    editarGastos: abierto && (administrar || rol === 'member'),
+    registrarPagoPropio: abierto && (administrar || rol === 'member'),
+    subirAdjuntos: administrar || rol === 'member',
+    gestionarRoles: rol === 'owner'
+  };
+}
+
+/**
+ * Autor de un gasto: quien lo cargó (gastos anteriores sin autor: quien lo pagó)
+ * @param {Object} gasto
+ * @returns {(string|null)}
+ */
+export function autorDeGasto(gasto) {
+  if (!gasto) return null;
+  return 'creado_por' in gasto ? gasto.creado_por : (gasto.pagado_por || null);
+}
+
+/**
+ * Indica si un usuario puede editar o eliminar un gasto: el propietario y los
+ * administradores, cualquiera; los miembros, solo los que cargaron ellos
+ * (igual que canEditGastos en firestore.rules)
+ * @param {Object} evento
+ * @param {string} uid
+ * @param {Object} gasto
+ * @returns {boolean}
+ */
+export function puedeEditarGasto(evento, uid, gasto) {
+  const permisos = permisosEvento(evento, uid);
+  return permisos.editarGastos && (permisos.administrar || autorDeGasto(gasto) === uid);
+}
+
+/**
+ * Valida el cambio de rol de un participante
+ * @param {Object} evento
+ * @param {string} uid
+ * @param {string} rol
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export function validarCambioRol(evento, uid, rol) {
+  const errors = [];
+  if (!ROLES_ASIGNABLES.includes(rol)) errors.push('Rol inválido');
+  if (!(evento.participantesUids || []).includes(uid)) errors.push('El usuario no participa del evento');
+  else if (esInvitado(uid)) errors.push('Los invitados sin cuenta no tienen rol');
+  else if (propietarioDe(evento) === uid) errors.push('Para cambiar el rol del propietario transfiere la propiedad a otro participante');
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Valida la transferencia de la propiedad del evento
+ * @param {Object} evento
+ * @param {string} uid - Nuevo propietario
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export function validarTransferencia(evento, uid) {
+  const errors = [];
+  if (!(evento.participantesUids || []).includes(uid)) errors.push('El usuario no participa del evento');
+  else if (esInvitado(uid)) errors.push('Un invitado sin cuenta no puede ser propietario');
+  else if (propietarioDe(evento) === uid) errors.push('Ya es el propietario del evento');
+  return { isValid: errors.length === 0, errors };
+}
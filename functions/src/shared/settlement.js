@@ -0,0 +1,140 @@
+// =============================================================================
+// SETTLEMENT - SIMPLIFICACIÓN DE DEUDAS ("QUIÉN LE PAGA A QUIÉN")
+// =============================================================================
+
+// Módulo puro compartido entre el cliente (alias `@shared`) y Cloud Functions.
+
+import { saldosPendientes } from './balances.js';
+import { convertir, normalizarMoneda, tasaDeEvento } from './currencies.js';
+import { aMinimas, desdeMinimas } from './money.js';
+
+/**
+ * Suma varios mapas de saldos netos (uid -> saldo)
+ * @param {Array<Object<string, number>>} listaSaldos
+ * @param {string} [moneda]
+ * @returns {Object<string, number>}
+ */
+export function sumarSaldos(listaSaldos, moneda) {
+  const centavos = {};
+  (listaSaldos || []).forEach(saldos => {
+    Object.entries(saldos || {}).forEach(([uid, saldo]) => {
+      centavos[uid] = (centavos[uid] || 0) + aMinimas(saldo, moneda);
+    });
+  });
+  const total = {};
+  Object.entries(centavos).forEach(([uid, c]) => { total[uid] = desdeMinimas(c, moneda); });
+  return total;
+}
+
+/**
+ * Convierte saldos netos en la menor cantidad de pagos posible.
+ * En cada paso el mayor deudor le paga al mayor acreedor lo que pueda saldar,
+ * así un círculo A→B→C→A se colapsa y nadie paga para que otro le pague.
+ * Los empates se resuelven por UID para que el resultado sea determinista.
+ * @param {Object<string, number>} saldos - uid -> saldo (positivo: le deben)
+ * @param {string} [moneda]
+ * @returns {Array<{deudor:string, acreedor:string, monto:number}>}
+ */
+export function simplificarDeudas(saldos, moneda) {
+  const ordenar = (a, b) => (b.c - a.c) || (a.uid < b.uid ? -1 : 1);
+  const acreedores = [];
+  const deudores = [];
+  Object.entries(saldos || {}).forEach(([uid, saldo]) => {
+    const c = aMinimas(saldo, moneda);
+    if (c > 0) acreedores.push({ uid, c });
+    else if (c < 0) deudores.push({ uid, c: -c });
+  });
+
+  const pagos = [];
+  while (acreedores.length > 0 && deudores.length > 0) {
+    acreedores.sort(ordenar);
+    deudores.sort(ordenar);
+    const acreedor = acreedores[0];
+    const deudor = deudores[0];
+    const c = Math.min(acreedor.c, deudor.c);
+    pagos.push({ deudor: deudor.uid, acreedor: acreedor.uid, monto: desdeMinimas(c, moneda) });
+    acreedor.c -= c;
+    deudor.c -= c;
+    if (acreedor.c === 0) acreedores.shift();
+    if (deudor.c === 0) deudores.shift();
+  }
+  return pagos;
+}
+
+/**
+ * Efecto de una liquidación sobre los saldos: quien pagó deja de deber
+ * y quien cobró deja de tener a favor
+ * @param {{de:string, para:string, monto:number}} liquidacion
+ * @returns {Object<string, number>}
+ */
+export function saldosDeLiquidacion(liquidacion) {
+  const monto = Number(liquidacion.monto) || 0;
+  return { [liquidacion.de]: monto, [liquidacion.para]: -monto };
+}
+
+/**
+ * Plan de pagos combinado para varios eventos cerrados, separado por moneda.
+ * Los pagos parciales de cada evento y las liquidaciones ya registradas se
+ * descuentan del plan.
+ * @param {Object[]} eventos
+ * @param {Object[]} [liquidaciones]
+ * @returns {Object<string, Array<{deudor:string, acreedor:string, monto:number}>>} moneda -> pagos
+ */
+export function planDeLiquidacion(eventos, liquidaciones = []) {
+  const porMoneda = {};
+  const agregar = (moneda, saldos) => {
+    if (!porMoneda[moneda]) porMoneda[moneda] = [];
+    porMoneda[moneda].push(saldos);
+  };
+  (eventos || []).forEach(evento => agregar(evento.moneda || '', saldosPendientes(evento)));
+  (liquidaciones || []).forEach(liq => agregar(liq.moneda || '', saldosDeLiquidacion(liq)));
+  const plan = {};
+  Object.entries(porMoneda).forEach(([moneda, lista]) => {
+    const pagos = simplificarDeudas(sumarSaldos(lista, moneda), moneda);
+    if (pagos.length > 0) plan[moneda] = pagos;
+  });
+  return plan;
+}
+
+/**
+ * Saldo neto de un usuario sumando todas las monedas convertidas a una moneda base.
+ * Cada evento se convierte con su propio tipo de cambio; las liquidaciones, con
+ * el del evento más reciente en esa moneda.
+ * @param {Object[]} eventos
+ * @param {Object[]} liquidaciones
+ * @param {string} uid
+ * @param {string} base
+ * @returns {{total:number, sinTasa:string[]}} total en `base` y monedas que no se pudieron convertir
+ */
+export function saldoConvertido(eventos, liquidaciones, uid, base) {
+  const ms = (e) => (e.creado_en && e.creado_en.toMillis ? e.creado_en.toMillis() : 0);
+  const ordenados = (eventos || []).slice().sort((a, b) => ms(a) - ms(b));
+  const ultimaTasa = { [normalizarMoneda(base)]: 1 };
+  const sinTasa = new Set();
+  let centavos = 0;
+
+  ordenados.forEach(evento => {
+    const saldo = saldosPendientes(evento)[uid] || 0;
+    const moneda = normalizarMoneda(evento.moneda);
+    const tasa = tasaDeEvento(evento, base);
+    if (tasa === null) {
+      if (saldo !== 0) sinTasa.add(moneda);
+      return;
+    }
+    ultimaTasa[moneda] = tasa;
+    centavos += aMinimas(convertir(saldo, tasa, base), base);
+  });
+
+  (liquidaciones || []).forEach(liq => {
+    const efecto = saldosDeLiquidacion(liq)[uid] || 0;
+    if (!efecto) return;
+    const moneda = normalizarMoneda(liq.moneda);
+    if (ultimaTasa[moneda] === undefined) {
+      sinTasa.add(moneda);
+      return;
+    }
+    centavos += aMinimas(convertir(efecto, ultimaTasa[moneda], base), base);
+  });
+
+  return { total: desdeMinimas(centavos, base), sinTasa: Array.from(sinTasa) };
+}
@@ -0,0 +1,125 @@
+// =============================================================================
+// SPLITS - MODELO DE DIVISIÓN DE GASTOS COMPARTIDO (CLIENTE Y FUNCTIONS)
+// =============================================================================
+
+import { aMinimas, desdeMinimas, formatearMonto, repartir } from './money.js';
+
+/**
+ * Modos de división soportados
+ *  - igual: partes iguales entre los participantes no excluidos
+ *  - porcentaje: valores[uid] es un porcentaje; deben sumar 100
+ *  - partes: valores[uid] es un peso (ej: 2 partes para una pareja); por defecto 1
+ *  - exacto: valores[uid] es un monto; deben sumar el total
+ */
+export const MODOS_DIVISION = ['igual', 'porcentaje', 'partes', 'exacto'];
+
+/**
+ * @typedef {Object} Division
+ * @property {('igual'|'porcentaje'|'partes'|'exacto')} modo
+ * @property {Object<string, number>} [valores] - uid -> porcentaje, peso o monto según el modo
+ * @property {string[]} [excluidos] - UIDs que no participan del gasto
+ */
+
+const TOLERANCIA = 0.005;
+
+/**
+ * Participantes que entran en la división (no excluidos)
+ * @param {string[]} uids
+ * @param {Division} [division]
+ * @returns {string[]}
+ */
+export function participantesActivos(uids, division) {
+  const excluidos = new Set((division && division.excluidos) || []);
+  return (uids || []).filter(uid => !excluidos.has(uid));
+}
+
+/**
+ * Valida una división contra el total y los participantes
+ * @param {number} total
+ * @param {string[]} uids
+ * @param {Division} [division]
+ * @param {string} [moneda] - Para comparar montos exactos en su unidad mínima
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+export function validarDivision(total, uids, division, moneda) {
+  const errors = [];
+  const modo = (division && division.modo) || 'igual';
+  const valores = (division && division.valores) || {};
+  const activos = participantesActivos(uids, division);
+
+  if (!MODOS_DIVISION.includes(modo)) {
+    errors.push(`Modo de división inválido: ${modo}`);
+    return { isValid: false, errors };
+  }
+  if (activos.length === 0) {
+    errors.push('Debe quedar al menos un participante sin excluir');
+    return { isValid: false, errors };
+  }
+
+  const negativos = activos.filter(uid => valores[uid] !== undefined && !(Number(valores[uid]) >= 0));
+  if (negativos.length > 0) {
+    errors.push('Los valores de la división no pueden ser negativos');
+  }
+
+  if (modo === 'porcentaje') {
+    const suma = activos.reduce((acc, uid) => acc + (Number(valores[uid]) || 0), 0);
+    if (Math.abs(suma - 100) > TOLERANCIA) {
+      errors.push(`Los porcentajes suman ${suma.toFixed(2)}% y deben sumar 100%`);
+    }
+  } else if (modo === 'partes') {
+    const suma = activos.reduce((acc, uid) => acc + pesoDe(valores, uid), 0);
+    if (suma <= 0) {
+      errors.push('Al menos un participante debe tener partes mayores a 0');
+    }
+  } else if (modo === 'exacto') {
+    const suma = activos.reduce((acc, uid) => acc + aMinimas(valores[uid], moneda), 0);
+    if (suma !== aMinimas(total, moneda)) {
+      errors.push(`Los montos suman ${formatearMonto(desdeMinimas(suma, moneda), moneda)} y el total es ${formatearMonto(total, moneda)}`);
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+function pesoDe(valores, uid) {
+  return valores[uid] === undefined || valores[uid] === null || valores[uid] === '' ? 1 : (Number(valores[uid]) || 0);
+}
+
+/**
+ * Calcula cuánto le corresponde a cada participante.
+ * El total se reparte en unidades mínimas (ver `repartir`): las que sobran
+ * del redondeo van a quienes tienen el mayor resto y, ante empate, al primero
+ * de `uids`, así la suma coincide siempre con el total y el resultado no
+ * depende de quién carga el gasto.
+ * @param {number} total
+ * @param {string[]} uids
+ * @param {Division} [division]
+ * @param {string} [moneda] - Define la unidad mínima (centavos por defecto)
+ * @returns {Object<string, number>} uid -> cuota (0 para excluidos)
+ */
+export function calcularCuotas(total, uids, division, moneda) {
+  const modo = (division && division.modo) || 'igual';
+  const valores = (division && division.valores) || {};
+  const activos = participantesActivos(uids, division);
+  const cuotas = {};
+  (uids || []).forEach(uid => { cuotas[uid] = 0; });
+  if (activos.length === 0) return cuotas;
+
+  if (modo === 'exacto') {
+    activos.forEach(uid => { cuotas[uid] = desdeMinimas(aMinimas(valores[uid], moneda), moneda); });
+    return cuotas;
+  }
+
+  let pesos;
+  if (modo === 'porcentaje') {
+    pesos = activos.map(uid => Number(valores[uid]) || 0);
+  } else if (modo === 'partes') {
+    pesos = activos.map(uid => pesoDe(valores, uid));
+  } else {
+    pesos = activos.map(() => 1);
+  }
+
+  const partes = repartir(aMinimas(total, moneda), pesos);
+  activos.forEach((uid, i) => { cuotas[uid] = desdeMinimas(partes[i], moneda); });
+  return cuotas;
+}
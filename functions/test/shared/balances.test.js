@@ -0,0 +1,56 @@
+import { saldosNetos, saldosPendientes, estadoPago, montoDeEvento } from '../../src/shared/balances';
+
+const evento = (extra = {}) => ({
+  moneda: 'ARS',
+  participantesUids: ['a', 'b', 'c', 'd'],
+  monto: 600,
+  gastos: [
+    { id: '1', monto: 300, pagado_por: 'a' },
+    { id: '2', monto: 300, pagado_por: 'b' }
+  ],
+  ...extra
+});
+
+describe('montoDeEvento', () => {
+  test('el total sale de los gastos, no del campo monto', () => {
+    expect(montoDeEvento(evento({ monto: 1 }))).toBe(600);
+    expect(montoDeEvento({ moneda: 'ARS', monto: 80, gastos: [] })).toBe(80);
+  });
+});
+
+describe('saldosPendientes', () => {
+  test('sin pagos coincide con los saldos netos', () => {
+    expect(saldosPendientes(evento())).toEqual(saldosNetos(evento()));
+    expect(saldosNetos(evento())).toEqual({ a: 150, b: 150, c: -150, d: -150 });
+  });
+
+  test('un pago parcial baja la deuda y se reparte entre los acreedores', () => {
+    const e = evento({ pagos: { c: { total: 100, historial: [] } } });
+    expect(saldosPendientes(e)).toEqual({ a: 100, b: 100, c: -50, d: -150 });
+    expect(estadoPago(e, 'c').restante).toBe(50);
+  });
+
+  test('el formato booleano anterior cuenta como deuda saldada', () => {
+    const e = evento({ pagos: { c: { total: 100, historial: [] }, d: true } });
+    expect(saldosPendientes(e)).toEqual({ a: 25, b: 25, c: -50, d: 0 });
+  });
+
+  test('lo pagado de más no genera saldo a favor', () => {
+    const e = evento({ pagos: { c: { total: 500, historial: [] }, d: { total: 150, historial: [] } } });
+    expect(saldosPendientes(e)).toEqual({ a: 0, b: 0, c: 0, d: 0 });
+  });
+
+  test('el reparto entre acreedores no pierde centavos', () => {
+    const e = {
+      moneda: 'ARS',
+      participantesUids: ['a', 'b', 'c'],
+      monto: 100,
+      gastos: [{ id: '1', monto: 50, pagado_por: 'a' }, { id: '2', monto: 50, pagado_por: 'b' }],
+      pagos: { c: { total: 0.01, historial: [] } }
+    };
+    const pendientes = saldosPendientes(e);
+    const suma = Object.values(pendientes).reduce((acc, s) => acc + Math.round(s * 100), 0);
+    expect(suma).toBe(0);
+    expect(pendientes.c).toBe(-33.32);
+  });
+});
@@ -0,0 +1,45 @@
+import { estadoVencimiento, recordatorioPendiente, DIAS_AVISO_ANTES, DIAS_AVISO_DESPUES } from '../../src/shared/dueDates';
+
+describe('estadoVencimiento', () => {
+  test('sin vencimiento o con el evento cerrado no hay estado', () => {
+    expect(estadoVencimiento(null, '2025-03-01')).toBeNull();
+    expect(estadoVencimiento('2025-03-01', '2025-03-10', 'cerrado')).toBeNull();
+  });
+
+  test('en fecha hasta que faltan DIAS_AVISO_ANTES días', () => {
+    expect(DIAS_AVISO_ANTES).toBe(3);
+    expect(estadoVencimiento('2025-03-10', '2025-03-06')).toEqual({ estado: 'en_fecha', dias: 4 });
+    expect(estadoVencimiento('2025-03-10', '2025-03-07')).toEqual({ estado: 'por_vencer', dias: 3 });
+  });
+
+  test('el día del vencimiento todavía está por vencer', () => {
+    expect(estadoVencimiento('2025-03-10', '2025-03-10')).toEqual({ estado: 'por_vencer', dias: 0 });
+    expect(estadoVencimiento('2025-03-10', '2025-03-11')).toEqual({ estado: 'vencido', dias: -1 });
+  });
+
+  test('cuenta los días cruzando meses', () => {
+    expect(estadoVencimiento('2025-03-01', '2025-02-27')).toEqual({ estado: 'por_vencer', dias: 2 });
+  });
+});
+
+describe('recordatorioPendiente', () => {
+  test('avisa antes dentro de la ventana previa al vencimiento', () => {
+    expect(recordatorioPendiente('2025-03-10', '2025-03-06')).toBeNull();
+    expect(recordatorioPendiente('2025-03-10', '2025-03-07')).toBe('antes');
+    expect(recordatorioPendiente('2025-03-10', '2025-03-10')).toBe('antes');
+  });
+
+  test('avisa después a partir de DIAS_AVISO_DESPUES días vencido', () => {
+    expect(DIAS_AVISO_DESPUES).toBe(3);
+    expect(recordatorioPendiente('2025-03-10', '2025-03-11')).toBeNull();
+    expect(recordatorioPendiente('2025-03-10', '2025-03-13')).toBe('despues');
+    // Si la Function no corrió ese día, se envía igual más tarde
+    expect(recordatorioPendiente('2025-03-10', '2025-03-20')).toBe('despues');
+  });
+
+  test('no repite un recordatorio ya enviado', () => {
+    expect(recordatorioPendiente('2025-03-10', '2025-03-08', { antes: '2025-03-07' })).toBeNull();
+    expect(recordatorioPendiente('2025-03-10', '2025-03-14', { antes: '2025-03-07' })).toBe('despues');
+    expect(recordatorioPendiente('2025-03-10', '2025-03-14', { despues: '2025-03-13' })).toBeNull();
+  });
+});
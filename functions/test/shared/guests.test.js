@@ -0,0 +1,63 @@
+import { esInvitado, idInvitado, validarNombreInvitado, reemplazarParticipante } from '../../src/shared/guests';
+
+describe('invitados', () => {
+  test('se reconocen por el prefijo del ID', () => {
+    const id = idInvitado('abc123');
+    expect(id).toBe('invitado_abc123');
+    expect(esInvitado(id)).toBe(true);
+    expect(esInvitado('uidUsuario')).toBe(false);
+    expect(esInvitado(undefined)).toBe(false);
+  });
+
+  test('el nombre es requerido y de hasta 40 caracteres', () => {
+    expect(validarNombreInvitado('  Abuela Marta ').isValid).toBe(true);
+    expect(validarNombreInvitado('   ').errors).toEqual(['El nombre del invitado es requerido']);
+    expect(validarNombreInvitado('x'.repeat(41)).isValid).toBe(false);
+  });
+});
+
+describe('reemplazarParticipante', () => {
+  const G = 'invitado_t1';
+  const evento = {
+    participantesUids: ['u1', G],
+    participantes: [{ uid: 'u1', alias: 'Ana' }, { uid: G, alias: 'Abuela' }],
+    aliases: { u1: 'Ana', [G]: 'Abuela' },
+    invitados: { [G]: { nombre: 'Abuela' }, invitado_t2: { nombre: 'Tío' } },
+    division: { modo: 'porcentaje', valores: { u1: 60, [G]: 40 }, excluidos: [G] },
+    gastos: [
+      { id: 'g1', monto: 100, pagado_por: G, creado_por: 'u1' },
+      { id: 'g2', monto: 50, aportes: { u1: 20, [G]: 30 }, creado_por: 'u1' }
+    ],
+    pagos: { [G]: { pagado: 10, historial: [{ monto: 10, por: 'u1' }] } },
+    aportes: { [G]: 30 },
+    quien_pago: G
+  };
+
+  test('pasa todo lo del invitado al usuario que lo reclama', () => {
+    const campos = reemplazarParticipante(evento, G, 'u2', 'Marta');
+    expect(campos.participantesUids).toEqual(['u1', 'u2']);
+    expect(campos.participantes[1]).toEqual({ uid: 'u2', alias: 'Marta' });
+    expect(campos.aliases).toEqual({ u1: 'Ana', u2: 'Marta' });
+    expect(campos.invitados).toEqual({ invitado_t2: { nombre: 'Tío' } });
+    expect(campos.division).toEqual({ modo: 'porcentaje', valores: { u1: 60, u2: 40 }, excluidos: ['u2'] });
+    expect(campos.gastos[0].pagado_por).toBe('u2');
+    expect(campos.gastos[1].aportes).toEqual({ u1: 20, u2: 30 });
+    expect(campos.pagos).toEqual({ u2: { pagado: 10, historial: [{ monto: 10, por: 'u1' }] } });
+    expect(campos.aportes).toEqual({ u2: 30 });
+    expect(campos.quien_pago).toBe('u2');
+  });
+
+  test('no modifica el evento original ni los gastos de otros', () => {
+    const campos = reemplazarParticipante(evento, G, 'u2', 'Marta');
+    expect(evento.participantesUids).toEqual(['u1', G]);
+    expect(evento.invitados[G]).toBeDefined();
+    expect(campos.gastos[1].creado_por).toBe('u1');
+    expect(campos.gastos[1].pagado_por).toBeUndefined();
+  });
+
+  test('solo devuelve los campos que el evento tiene', () => {
+    const campos = reemplazarParticipante({ participantesUids: [G] }, G, 'u2', 'Marta');
+    expect(Object.keys(campos).sort()).toEqual(['aliases', 'invitados', 'participantes', 'participantesUids']);
+    expect(campos.participantesUids).toEqual(['u2']);
+  });
+});
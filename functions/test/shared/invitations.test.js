@@ -0,0 +1,49 @@
+import { estadoInvitacion, validarLimitesInvitacion } from '../../src/shared/invitations';
+
+const AHORA = Date.UTC(2025, 2, 10, 12, 0, 0);
+const HORA = 3600000;
+
+describe('estadoInvitacion', () => {
+  test('sin límites está activa', () => {
+    expect(estadoInvitacion({ usos: 250, max_usos: null, expira_en: null }, AHORA)).toBe('activa');
+    expect(estadoInvitacion(undefined, AHORA)).toBe('activa');
+  });
+
+  test('vence al llegar a expira_en en cualquier formato', () => {
+    expect(estadoInvitacion({ expira_en: AHORA + HORA }, AHORA)).toBe('activa');
+    expect(estadoInvitacion({ expira_en: AHORA }, AHORA)).toBe('expirada');
+    expect(estadoInvitacion({ expira_en: new Date(AHORA - HORA) }, AHORA)).toBe('expirada');
+    expect(estadoInvitacion({ expira_en: { toMillis: () => AHORA - 1 } }, AHORA)).toBe('expirada');
+  });
+
+  test('se agota al consumir max_usos', () => {
+    expect(estadoInvitacion({ usos: 2, max_usos: 3 }, AHORA)).toBe('activa');
+    expect(estadoInvitacion({ usos: 3, max_usos: 3 }, AHORA)).toBe('agotada');
+    expect(estadoInvitacion({ max_usos: 1 }, AHORA)).toBe('activa');
+  });
+
+  test('revocada tiene prioridad sobre vencida y agotada', () => {
+    expect(estadoInvitacion({ revocada: true, usos: 5, max_usos: 1, expira_en: AHORA - HORA }, AHORA)).toBe('revocada');
+    expect(estadoInvitacion({ usos: 5, max_usos: 1, expira_en: AHORA - HORA }, AHORA)).toBe('expirada');
+  });
+});
+
+describe('validarLimitesInvitacion', () => {
+  test('sin límites es válido', () => {
+    expect(validarLimitesInvitacion({}, AHORA)).toEqual({ isValid: true, errors: [] });
+    expect(validarLimitesInvitacion({ max_usos: null, expira_en: null }, AHORA).isValid).toBe(true);
+  });
+
+  test('el límite de usos es un entero positivo y no menor a los usos consumidos', () => {
+    expect(validarLimitesInvitacion({ max_usos: 0 }, AHORA).isValid).toBe(false);
+    expect(validarLimitesInvitacion({ max_usos: 2.5 }, AHORA).isValid).toBe(false);
+    expect(validarLimitesInvitacion({ max_usos: 3, usos: 3 }, AHORA).isValid).toBe(true);
+    expect(validarLimitesInvitacion({ max_usos: 2, usos: 3 }, AHORA).errors).toEqual(['El link ya se usó 3 veces']);
+  });
+
+  test('el vencimiento debe ser una fecha futura válida', () => {
+    expect(validarLimitesInvitacion({ expira_en: AHORA + HORA }, AHORA).isValid).toBe(true);
+    expect(validarLimitesInvitacion({ expira_en: AHORA }, AHORA).errors).toEqual(['La fecha de vencimiento debe ser futura']);
+    expect(validarLimitesInvitacion({ expira_en: new Date('x') }, AHORA).errors).toEqual(['La fecha de vencimiento es inválida']);
+  });
+});
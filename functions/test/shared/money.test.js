@@ -0,0 +1,106 @@
+import { aMinimas, desdeMinimas, redondearMonto, sumarMontos, repartir, repartirMonto, parsearMonto, decimalesDe } from '../../src/shared/money';
+
+describe('decimalesDe', () => {
+  test('usa los decimales ISO-4217 de cada moneda', () => {
+    expect(decimalesDe('ARS')).toBe(2);
+    expect(decimalesDe('jpy')).toBe(0);
+    expect(decimalesDe('KWD')).toBe(3);
+    expect(decimalesDe()).toBe(2);
+  });
+});
+
+describe('aMinimas', () => {
+  test('redondea los medios alejándose de cero', () => {
+    expect(aMinimas(1.005)).toBe(101);
+    expect(aMinimas(-1.005)).toBe(-101);
+    expect(aMinimas(0.285)).toBe(29);
+    expect(aMinimas(1.234, 'KWD')).toBe(1234);
+    expect(aMinimas(1.5, 'JPY')).toBe(2);
+  });
+
+  test('acepta montos que se imprimen en notación exponencial', () => {
+    expect(aMinimas(1e-7)).toBe(0);
+    expect(aMinimas(5e-3)).toBe(1);
+    expect(aMinimas(2.5e-2)).toBe(3);
+    expect(aMinimas(1e13)).toBe(1e15);
+  });
+
+  test('sin monto es 0', () => {
+    expect(aMinimas(undefined)).toBe(0);
+    expect(aMinimas('')).toBe(0);
+    expect(aMinimas('abc')).toBe(0);
+  });
+
+  test('lanza RangeError si el monto no se puede representar en enteros exactos', () => {
+    expect(() => aMinimas(Infinity)).toThrow(RangeError);
+    expect(() => aMinimas(1e21)).toThrow(RangeError);
+  });
+});
+
+describe('desdeMinimas', () => {
+  test('vuelve a unidades mayores sin error de punto flotante', () => {
+    expect(desdeMinimas(101)).toBe(1.01);
+    expect(desdeMinimas(-30)).toBe(-0.3);
+    expect(desdeMinimas(1234, 'KWD')).toBe(1.234);
+    expect(desdeMinimas(500, 'JPY')).toBe(500);
+  });
+
+  test('lanza RangeError con valores no finitos', () => {
+    expect(() => desdeMinimas(NaN)).toThrow(RangeError);
+  });
+});
+
+describe('sumarMontos', () => {
+  test('suma sin arrastrar error de punto flotante', () => {
+    expect(sumarMontos([0.1, 0.2])).toBe(0.3);
+    expect(sumarMontos([100, 1e-7])).toBe(100);
+    expect(sumarMontos([])).toBe(0);
+  });
+
+  test('no borra el total cuando un monto está fuera de rango', () => {
+    expect(() => sumarMontos([1e21, 5])).toThrow(RangeError);
+  });
+
+  test('redondea a los decimales de la moneda', () => {
+    expect(redondearMonto(10.4, 'JPY')).toBe(10);
+    expect(redondearMonto(1.0005, 'KWD')).toBe(1.001);
+  });
+});
+
+describe('repartir', () => {
+  test('las partes suman exactamente el total', () => {
+    expect(repartir(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(repartir(-100, [1, 1, 1])).toEqual([-34, -33, -33]);
+    expect(repartir(1000, [50, 25, 25])).toEqual([500, 250, 250]);
+  });
+
+  test('el sobrante va al mayor resto y, ante empate, al primero', () => {
+    expect(repartir(10, [1, 2])).toEqual([3, 7]);
+    expect(repartir(2, [1, 1, 1])).toEqual([1, 1, 0]);
+  });
+
+  test('sin pesos positivos no reparte nada', () => {
+    expect(repartir(100, [0, 0])).toEqual([0, 0]);
+    expect(repartir(100, [])).toEqual([]);
+  });
+
+  test('repartirMonto trabaja en unidades mayores', () => {
+    expect(repartirMonto(10, [1, 1, 1])).toEqual([3.34, 3.33, 3.33]);
+    expect(repartirMonto(100, [1, 1, 1], 'JPY')).toEqual([34, 33, 33]);
+  });
+});
+
+describe('parsearMonto', () => {
+  test('interpreta separadores según el locale', () => {
+    expect(parsearMonto('1.234,56', 'es-AR')).toBe(1234.56);
+    expect(parsearMonto('1,234.56', 'en-US')).toBe(1234.56);
+  });
+
+  test('sin locale deduce el separador decimal', () => {
+    expect(parsearMonto('$ 1.234,56')).toBe(1234.56);
+    expect(parsearMonto('USD 12.50')).toBe(12.5);
+    expect(parsearMonto('1.234')).toBe(1234);
+    expect(parsearMonto('-45,9')).toBe(-45.9);
+    expect(parsearMonto('sin número')).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+import {
+  esFechaValida, sumarDias, diasEntre, crearRecurrencia, validarRecurrencia, fechaDeOcurrencia,
+  proximasFechas, avanzarRecurrencia, omitirProxima, editarProxima
+} from '../../src/shared/recurrence';
+
+describe('fechas', () => {
+  test('valida fechas YYYY-MM-DD reales', () => {
+    expect(esFechaValida('2024-02-29')).toBe(true);
+    expect(esFechaValida('2025-02-29')).toBe(false);
+    expect(esFechaValida('2025-1-05')).toBe(false);
+    expect(esFechaValida(null)).toBe(false);
+  });
+
+  test('suma y cuenta días cruzando meses y años', () => {
+    expect(sumarDias('2024-12-31', 1)).toBe('2025-01-01');
+    expect(sumarDias('2024-02-28', 1)).toBe('2024-02-29');
+    expect(diasEntre('2024-02-28', '2024-03-01')).toBe(2);
+    expect(diasEntre('2025-01-10', '2025-01-03')).toBe(-7);
+  });
+});
+
+describe('fechaDeOcurrencia', () => {
+  test('semanal y quincenal cuentan desde el inicio', () => {
+    expect(fechaDeOcurrencia({ frecuencia: 'semanal', inicio: '2025-01-01' }, 1)).toBe('2025-01-08');
+    expect(fechaDeOcurrencia({ frecuencia: 'quincenal', inicio: '2025-01-01' }, 2)).toBe('2025-01-29');
+  });
+
+  test('mensual limita el día al último del mes', () => {
+    const r = { frecuencia: 'mensual', inicio: '2025-01-31', dia_mes: 31 };
+    expect(fechaDeOcurrencia(r, 1)).toBe('2025-02-28');
+    expect(fechaDeOcurrencia(r, 2)).toBe('2025-03-31');
+    expect(fechaDeOcurrencia(r, 3)).toBe('2025-04-30');
+    expect(fechaDeOcurrencia({ ...r, inicio: '2024-01-31' }, 1)).toBe('2024-02-29');
+  });
+
+  test('mensual pasa al año siguiente', () => {
+    expect(fechaDeOcurrencia({ frecuencia: 'mensual', inicio: '2025-11-15', dia_mes: 15 }, 2)).toBe('2026-01-15');
+  });
+
+  test('anual lleva el 29/2 al 28/2 en años no bisiestos', () => {
+    const r = { frecuencia: 'anual', inicio: '2024-02-29' };
+    expect(fechaDeOcurrencia(r, 1)).toBe('2025-02-28');
+    expect(fechaDeOcurrencia(r, 4)).toBe('2028-02-29');
+  });
+
+  test('termina al llegar a la cantidad de ocurrencias', () => {
+    const r = { frecuencia: 'semanal', inicio: '2025-01-01', max_ocurrencias: 3 };
+    expect(fechaDeOcurrencia(r, 2)).toBe('2025-01-15');
+    expect(fechaDeOcurrencia(r, 3)).toBeNull();
+  });
+
+  test('termina después de la fecha de fin, que es inclusive', () => {
+    const r = { frecuencia: 'semanal', inicio: '2025-01-01', fin: '2025-01-15' };
+    expect(fechaDeOcurrencia(r, 2)).toBe('2025-01-15');
+    expect(fechaDeOcurrencia(r, 3)).toBeNull();
+  });
+});
+
+describe('crearRecurrencia', () => {
+  test('toma el día del mes del inicio y calcula la próxima', () => {
+    const r = crearRecurrencia({ frecuencia: 'mensual', inicio: '2025-01-31' });
+    expect(r.dia_mes).toBe(31);
+    expect(r.indice).toBe(1);
+    expect(r.proxima).toBe('2025-02-28');
+    expect(validarRecurrencia(r).isValid).toBe(true);
+  });
+
+  test('sin más ocurrencias la próxima queda en null', () => {
+    const r = crearRecurrencia({ frecuencia: 'semanal', inicio: '2025-01-01', max_ocurrencias: 2 });
+    expect(r.proxima).toBe('2025-01-08');
+    expect(avanzarRecurrencia(r, 1).proxima).toBeNull();
+  });
+});
+
+describe('validarRecurrencia', () => {
+  test('rechaza frecuencia, día, fin y cantidad inválidos', () => {
+    const { isValid, errors } = validarRecurrencia({
+      frecuencia: 'diaria', inicio: '2025-01-10', fin: '2025-01-10', max_ocurrencias: 1
+    });
+    expect(isValid).toBe(false);
+    expect(errors).toHaveLength(3);
+    expect(validarRecurrencia({ frecuencia: 'mensual', inicio: '2025-01-10', dia_mes: 32 }).isValid).toBe(false);
+  });
+});
+
+describe('excepciones', () => {
+  const base = () => crearRecurrencia({ frecuencia: 'semanal', inicio: '2025-01-01', max_ocurrencias: 4 });
+
+  test('omitir la próxima saltea esa ocurrencia', () => {
+    const r = omitirProxima(base());
+    expect(r.proxima).toBe('2025-01-15');
+    expect(proximasFechas(r, 10)).toEqual([
+      { indice: 1, fecha: '2025-01-08', omitida: true },
+      { indice: 2, fecha: '2025-01-15', omitida: false },
+      { indice: 3, fecha: '2025-01-22', omitida: false }
+    ]);
+  });
+
+  test('editar la fecha y volver a la del calendario con null', () => {
+    const movida = editarProxima(base(), { fecha: '2025-01-09', titulo: 'Cena' });
+    expect(movida.proxima).toBe('2025-01-09');
+    expect(movida.excepciones[1]).toEqual({ fecha: '2025-01-09', titulo: 'Cena' });
+    const restaurada = editarProxima(movida, { fecha: null });
+    expect(restaurada.proxima).toBe('2025-01-08');
+    expect(restaurada.excepciones[1]).toEqual({ titulo: 'Cena' });
+  });
+
+  test('avanzar descarta las excepciones ya materializadas', () => {
+    const r = avanzarRecurrencia(editarProxima(base(), { monto: 500 }), 1);
+    expect(r.indice).toBe(2);
+    expect(r.excepciones).toEqual({});
+    expect(r.proxima).toBe('2025-01-15');
+  });
+});
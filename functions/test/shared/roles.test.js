@@ -0,0 +1,102 @@
+import {
+  propietarioDe, rolEnEvento, permisosEvento, autorDeGasto, puedeEditarGasto, validarCambioRol, validarTransferencia
+} from '../../src/shared/roles';
+
+const evento = (extra = {}) => ({
+  propietario: 'owner1',
+  participantesUids: ['owner1', 'admin1', 'miembro1', 'lector1', 'invitado_t1'],
+  roles: { admin1: 'admin', lector1: 'viewer' },
+  estado: 'abierto',
+  ...extra
+});
+
+describe('propietarioDe', () => {
+  test('usa propietario y, en eventos anteriores, creado_por', () => {
+    expect(propietarioDe(evento())).toBe('owner1');
+    expect(propietarioDe({ creado_por: 'viejo' })).toBe('viejo');
+    expect(propietarioDe(null)).toBe('');
+  });
+});
+
+describe('rolEnEvento', () => {
+  test('resuelve el rol de cada participante', () => {
+    expect(rolEnEvento(evento(), 'owner1')).toBe('owner');
+    expect(rolEnEvento(evento(), 'admin1')).toBe('admin');
+    expect(rolEnEvento(evento(), 'lector1')).toBe('viewer');
+    expect(rolEnEvento(evento(), 'miembro1')).toBe('member');
+  });
+
+  test('ignora roles desconocidos en el mapa', () => {
+    expect(rolEnEvento(evento({ roles: { miembro1: 'owner' } }), 'miembro1')).toBe('member');
+  });
+
+  test('quien no participa no tiene rol aunque siga en el mapa de roles', () => {
+    const e = evento({ participantesUids: ['owner1', 'miembro1'] });
+    expect(rolEnEvento(e, 'admin1')).toBeNull();
+    expect(rolEnEvento(e, 'lector1')).toBeNull();
+    expect(rolEnEvento(e, 'extraño')).toBeNull();
+    expect(rolEnEvento(e, null)).toBeNull();
+  });
+
+  test('el propietario conserva su rol aunque no figure como participante', () => {
+    expect(rolEnEvento(evento({ participantesUids: [] }), 'owner1')).toBe('owner');
+  });
+});
+
+describe('permisosEvento', () => {
+  test('administradores configuran, miembros editan, lectores solo miran', () => {
+    expect(permisosEvento(evento(), 'admin1')).toMatchObject({ administrar: true, editarGastos: true, gestionarRoles: false });
+    expect(permisosEvento(evento(), 'miembro1')).toMatchObject({ administrar: false, editarGastos: true, registrarPagoPropio: true });
+    expect(permisosEvento(evento(), 'lector1')).toMatchObject({ administrar: false, editarGastos: false, subirAdjuntos: false });
+    expect(permisosEvento(evento(), 'owner1').gestionarRoles).toBe(true);
+  });
+
+  test('con el evento cerrado nadie edita gastos pero se sigue administrando', () => {
+    const cerrado = evento({ estado: 'cerrado' });
+    expect(permisosEvento(cerrado, 'admin1')).toMatchObject({ administrar: true, editarGastos: false, registrarPagoPropio: false });
+    expect(permisosEvento(cerrado, 'miembro1').subirAdjuntos).toBe(true);
+  });
+
+  test('quien no participa no tiene permisos', () => {
+    const e = evento({ participantesUids: ['owner1'] });
+    expect(permisosEvento(e, 'admin1')).toMatchObject({ rol: null, administrar: false, editarGastos: false, subirAdjuntos: false });
+  });
+});
+
+describe('gastos', () => {
+  test('el autor es quien lo cargó o, en gastos anteriores, quien lo pagó', () => {
+    expect(autorDeGasto({ creado_por: 'miembro1', pagado_por: 'admin1' })).toBe('miembro1');
+    expect(autorDeGasto({ pagado_por: 'admin1' })).toBe('admin1');
+    expect(autorDeGasto({ creado_por: null, pagado_por: 'admin1' })).toBeNull();
+  });
+
+  test('los miembros solo editan sus gastos y los administradores, todos', () => {
+    const gasto = { creado_por: 'miembro1' };
+    expect(puedeEditarGasto(evento(), 'miembro1', gasto)).toBe(true);
+    expect(puedeEditarGasto(evento(), 'miembro1', { creado_por: 'admin1' })).toBe(false);
+    expect(puedeEditarGasto(evento(), 'admin1', gasto)).toBe(true);
+    expect(puedeEditarGasto(evento(), 'lector1', { creado_por: 'lector1' })).toBe(false);
+  });
+});
+
+describe('validarCambioRol', () => {
+  test('acepta roles asignables para participantes con cuenta', () => {
+    expect(validarCambioRol(evento(), 'miembro1', 'admin')).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('rechaza roles inválidos, no participantes, invitados y al propietario', () => {
+    expect(validarCambioRol(evento(), 'miembro1', 'owner').errors).toEqual(['Rol inválido']);
+    expect(validarCambioRol(evento(), 'extraño', 'admin').errors).toEqual(['El usuario no participa del evento']);
+    expect(validarCambioRol(evento(), 'invitado_t1', 'admin').errors).toEqual(['Los invitados sin cuenta no tienen rol']);
+    expect(validarCambioRol(evento(), 'owner1', 'member').isValid).toBe(false);
+  });
+});
+
+describe('validarTransferencia', () => {
+  test('solo a otro participante con cuenta', () => {
+    expect(validarTransferencia(evento(), 'admin1').isValid).toBe(true);
+    expect(validarTransferencia(evento(), 'extraño').errors).toEqual(['El usuario no participa del evento']);
+    expect(validarTransferencia(evento(), 'invitado_t1').errors).toEqual(['Un invitado sin cuenta no puede ser propietario']);
+    expect(validarTransferencia(evento(), 'owner1').errors).toEqual(['Ya es el propietario del evento']);
+  });
+});
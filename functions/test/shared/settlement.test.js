@@ -0,0 +1,79 @@
+import { sumarSaldos, simplificarDeudas, saldosDeLiquidacion, planDeLiquidacion, saldoConvertido } from '../../src/shared/settlement';
+
+describe('sumarSaldos', () => {
+  test('suma por participante en unidades mínimas', () => {
+    expect(sumarSaldos([{ a: 0.1, b: -0.1 }, { a: 0.2, c: -0.2 }])).toEqual({ a: 0.3, b: -0.1, c: -0.2 });
+  });
+});
+
+describe('simplificarDeudas', () => {
+  test('el mayor deudor le paga al mayor acreedor', () => {
+    expect(simplificarDeudas({ a: 60, b: -40, c: -20 })).toEqual([
+      { deudor: 'b', acreedor: 'a', monto: 40 },
+      { deudor: 'c', acreedor: 'a', monto: 20 }
+    ]);
+  });
+
+  test('colapsa los círculos de deudas', () => {
+    expect(simplificarDeudas({ a: 0, b: 0, c: 0 })).toEqual([]);
+  });
+
+  test('no pierde centavos', () => {
+    const pagos = simplificarDeudas({ a: 66.67, b: -33.34, c: -33.33 });
+    expect(pagos).toEqual([
+      { deudor: 'b', acreedor: 'a', monto: 33.34 },
+      { deudor: 'c', acreedor: 'a', monto: 33.33 }
+    ]);
+  });
+});
+
+describe('planDeLiquidacion', () => {
+  const evento = (moneda, gastos, uids = ['a', 'b', 'c']) => ({
+    moneda,
+    estado: 'cerrado',
+    participantesUids: uids,
+    monto: gastos.reduce((acc, g) => acc + g.monto, 0),
+    gastos
+  });
+
+  test('combina eventos de la misma moneda y separa por moneda', () => {
+    const plan = planDeLiquidacion([
+      evento('ARS', [{ id: '1', monto: 300, pagado_por: 'a' }]),
+      evento('ARS', [{ id: '2', monto: 300, pagado_por: 'b' }]),
+      evento('USD', [{ id: '3', monto: 30, pagado_por: 'c' }])
+    ]);
+    expect(plan.ARS).toEqual([
+      { deudor: 'c', acreedor: 'a', monto: 100 },
+      { deudor: 'c', acreedor: 'b', monto: 100 }
+    ]);
+    expect(plan.USD).toEqual([
+      { deudor: 'a', acreedor: 'c', monto: 10 },
+      { deudor: 'b', acreedor: 'c', monto: 10 }
+    ]);
+  });
+
+  test('descuenta los pagos parciales registrados en el evento', () => {
+    const e = { ...evento('ARS', [{ id: '1', monto: 300, pagado_por: 'a' }]), pagos: { b: { total: 40, historial: [] } } };
+    expect(planDeLiquidacion([e]).ARS).toEqual([
+      { deudor: 'c', acreedor: 'a', monto: 100 },
+      { deudor: 'b', acreedor: 'a', monto: 60 }
+    ]);
+  });
+
+  test('descuenta las liquidaciones registradas', () => {
+    const liq = { de: 'b', para: 'a', monto: 100, moneda: 'ARS' };
+    expect(saldosDeLiquidacion(liq)).toEqual({ b: 100, a: -100 });
+    const plan = planDeLiquidacion([evento('ARS', [{ id: '1', monto: 300, pagado_por: 'a' }])], [liq]);
+    expect(plan.ARS).toEqual([{ deudor: 'c', acreedor: 'a', monto: 100 }]);
+  });
+});
+
+describe('saldoConvertido', () => {
+  test('convierte cada evento con su tipo de cambio e informa monedas sin tasa', () => {
+    const eventos = [
+      { moneda: 'USD', tipo_cambio: { base: 'ARS', valor: 1000 }, participantesUids: ['a', 'b'], monto: 10, gastos: [{ id: '1', monto: 10, pagado_por: 'a' }] },
+      { moneda: 'EUR', participantesUids: ['a', 'b'], monto: 10, gastos: [{ id: '2', monto: 10, pagado_por: 'a' }] }
+    ];
+    expect(saldoConvertido(eventos, [], 'a', 'ARS')).toEqual({ total: 5000, sinTasa: ['EUR'] });
+  });
+});
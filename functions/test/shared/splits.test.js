@@ -0,0 +1,64 @@
+import { calcularCuotas, validarDivision, participantesActivos } from '../../src/shared/splits';
+
+const uids = ['a', 'b', 'c'];
+
+describe('participantesActivos', () => {
+  test('quita a los excluidos', () => {
+    expect(participantesActivos(uids, { modo: 'igual', excluidos: ['b'] })).toEqual(['a', 'c']);
+  });
+});
+
+describe('calcularCuotas', () => {
+  test('partes iguales: el centavo sobrante va al primero', () => {
+    expect(calcularCuotas(100, uids)).toEqual({ a: 33.34, b: 33.33, c: 33.33 });
+  });
+
+  test('los excluidos no pagan', () => {
+    expect(calcularCuotas(100, uids, { modo: 'igual', excluidos: ['c'] })).toEqual({ a: 50, b: 50, c: 0 });
+  });
+
+  test('por porcentaje', () => {
+    expect(calcularCuotas(200, uids, { modo: 'porcentaje', valores: { a: 50, b: 25, c: 25 } })).toEqual({ a: 100, b: 50, c: 50 });
+  });
+
+  test('por partes ponderadas (sin valor cuenta 1)', () => {
+    expect(calcularCuotas(90, uids, { modo: 'partes', valores: { a: 2 } })).toEqual({ a: 45, b: 22.5, c: 22.5 });
+  });
+
+  test('montos exactos', () => {
+    expect(calcularCuotas(100, uids, { modo: 'exacto', valores: { a: 70, b: 30, c: 0 } })).toEqual({ a: 70, b: 30, c: 0 });
+  });
+
+  test('respeta los decimales de la moneda', () => {
+    expect(calcularCuotas(100, uids, null, 'JPY')).toEqual({ a: 34, b: 33, c: 33 });
+  });
+
+  test('la suma de las cuotas coincide con el total', () => {
+    const cuotas = calcularCuotas(99.99, ['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+    const suma = Object.values(cuotas).reduce((acc, c) => acc + Math.round(c * 100), 0);
+    expect(suma).toBe(9999);
+  });
+});
+
+describe('validarDivision', () => {
+  test('partes iguales es válida', () => {
+    expect(validarDivision(100, uids).isValid).toBe(true);
+  });
+
+  test('los porcentajes deben sumar 100', () => {
+    const r = validarDivision(100, uids, { modo: 'porcentaje', valores: { a: 50, b: 20, c: 20 } });
+    expect(r.isValid).toBe(false);
+    expect(r.errors[0]).toMatch(/100%/);
+  });
+
+  test('los montos exactos deben sumar el total en unidades mínimas', () => {
+    expect(validarDivision(0.3, ['a', 'b'], { modo: 'exacto', valores: { a: 0.1, b: 0.2 } }).isValid).toBe(true);
+    expect(validarDivision(100, ['a', 'b'], { modo: 'exacto', valores: { a: 50, b: 49.99 } }).isValid).toBe(false);
+  });
+
+  test('rechaza modos desconocidos, valores negativos y excluir a todos', () => {
+    expect(validarDivision(100, uids, { modo: 'otro' }).isValid).toBe(false);
+    expect(validarDivision(100, uids, { modo: 'partes', valores: { a: -1 } }).isValid).toBe(false);
+    expect(validarDivision(100, uids, { modo: 'igual', excluidos: uids }).isValid).toBe(false);
+  });
+});
@@ -22,17 +22,20 @@ messaging.onBackgroundMessage((payload) => {
   self.registration.showNotification(title, options);
 });
 
-// Click en notificación: enfoca/abre la app
+// Click en notificación: enfoca/abre la app en `data.url`.
+// Este SW tiene scope propio y no controla las pestañas de la app, así que no
+// puede navegarlas (client.navigate() falla): le pide por mensaje a la pestaña
+// abierta que navegue ella (messagingService) y, si no hay ninguna, abre una
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
   const targetUrl = (event.notification && event.notification.data && event.notification.data.url) || '/';
   event.waitUntil(
     clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
-      for (const client of clientList) {
-        if ('focus' in client) {
-          client.navigate(targetUrl);
-          return client.focus();
-        }
+      const ventanas = clientList.filter((client) => 'focus' in client);
+      const client = ventanas.find((c) => c.focused) || ventanas[0];
+      if (client) {
+        client.postMessage({ tipo: 'NAVEGAR', url: targetUrl });
+        return client.focus();
       }
       if (clients.openWindow) {
         return clients.openWindow(targetUrl);
@@ -41,4 +44,3 @@ self.addEventListener('notificationclick', (event) => {
     })
   );
 });
-
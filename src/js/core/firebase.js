@@ -4,7 +4,7 @@
 
 import { initializeApp } from 'firebase/app';
 import { getAuth, connectAuthEmulator } from 'firebase/auth';
-import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager, memoryLocalCache, connectFirestoreEmulator } from 'firebase/firestore';
 import { getStorage, connectStorageEmulator } from 'firebase/storage';
 import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
 import { initializeAppCheck, ReCaptchaV3Provider } from 'firebase/app-check';
@@ -158,12 +158,38 @@ function getAuthService() {
 }
 
 /**
- * Obtiene el servicio de Firestore
+ * Instancia de Firestore (initializeFirestore solo se puede llamar una vez)
+ */
+let firestoreDb = null;
+
+/**
+ * Obtiene el servicio de Firestore con persistencia en IndexedDB:
+ * las lecturas funcionan sin conexión desde la caché y las escrituras
+ * se encolan hasta recuperar la señal
  * @returns {Object} Servicio de Firestore
  */
 function getFirestoreService() {
+  if (firestoreDb) return firestoreDb;
   const app = getFirebaseApp();
-  const db = getFirestore(app);
+  let db;
+  try {
+    db = initializeFirestore(app, {
+      localCache: typeof indexedDB !== 'undefined'
+        ? persistentLocalCache({
+          cacheSizeBytes: firestoreConfig.cacheSizeBytes,
+          // Varias pestañas abiertas comparten la misma caché
+          tabManager: persistentMultipleTabManager()
+        })
+        : memoryLocalCache(),
+      experimentalForceLongPolling: firestoreConfig.experimentalForceLongPolling
+    });
+    console.log('✅ Firestore con persistencia offline');
+  } catch (error) {
+    // Ya inicializado (ej: recarga en caliente en desarrollo)
+    console.warn('⚠️ No se pudo configurar la persistencia de Firestore:', error?.message || error);
+    db = getFirestore(app);
+  }
+  firestoreDb = db;
   
   // Conectar al emulador en desarrollo
   const isDev = process.env.NODE_ENV === 'development';
@@ -264,15 +290,14 @@ async function getMessagingService() {
 // =============================================================================
 
 /**
- * Configuración de Firestore
+ * Configuración de Firestore (aplicada en getFirestoreService)
  */
 const firestoreConfig = {
-  // Configuración de caché
+  // Tamaño de la caché persistente en IndexedDB
   cacheSizeBytes: 50 * 1024 * 1024, // 50MB
   
-  // Configuración de persistencia
-  experimentalForceLongPolling: false,
-  useFetchStreams: false
+  // Conexión
+  experimentalForceLongPolling: false
 };
 
 /**
@@ -280,12 +305,7 @@ const firestoreConfig = {
  * @returns {Object} Instancia de Firestore configurada
  */
 function getConfiguredFirestore() {
-  const db = getFirestoreService();
-  
-  // Aquí se pueden aplicar configuraciones adicionales si es necesario
-  // Por ahora, usamos la configuración por defecto
-  
-  return db;
+  return getFirestoreService();
 }
 
 // =============================================================================
@@ -306,6 +326,7 @@ const storageConfig = {
     'image/jpg',
     'image/png',
     'image/gif',
+    'image/webp',
     'application/pdf'
   ],
   
@@ -0,0 +1,146 @@
+// =============================================================================
+// IMAGES - COMPRESIÓN Y REDIMENSIONADO DE IMÁGENES EN EL NAVEGADOR
+// =============================================================================
+
+import { getMimeType, formatFileSize } from './utils.js';
+
+// Tipos que se pueden decodificar y re-codificar con canvas.
+// GIF queda afuera: re-codificarlo perdería la animación.
+const TIPOS_COMPRIMIBLES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+const OPCIONES_POR_DEFECTO = {
+  maxBytes: 1 * 1024 * 1024,  // límite de storage.rules
+  maxDimension: 2000,         // lado mayor en px: suficiente para leer un ticket
+  calidadInicial: 0.85,
+  calidadMinima: 0.5,
+  maxIntentos: 12
+};
+
+/**
+ * Tipo MIME de un archivo, usando la extensión si el navegador no lo informa
+ * @param {File} file
+ * @returns {string}
+ */
+function tipoDe(file) {
+  return file.type || getMimeType(file.name);
+}
+
+/**
+ * Indica si el archivo es una imagen que conviene comprimir antes de subir
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isCompressibleImage(file) {
+  return !!file && TIPOS_COMPRIMIBLES.includes(tipoDe(file));
+}
+
+/**
+ * Redimensiona y re-codifica una imagen a WebP (o JPEG si el navegador no
+ * codifica WebP) hasta que pese menos de `maxBytes`. Al dibujarla en un
+ * canvas se descartan los metadatos EXIF (ubicación GPS, cámara, etc.);
+ * la orientación se aplica antes de descartarlos.
+ * @param {File} file - Imagen original
+ * @param {Object} [opciones] - Ver OPCIONES_POR_DEFECTO
+ * @returns {Promise<{file: File, bytesOriginal: number, bytes: number, ancho: number, alto: number, resumen: string}>}
+ */
+export async function compressImage(file, opciones = {}) {
+  const cfg = { ...OPCIONES_POR_DEFECTO, ...opciones };
+  if (!isCompressibleImage(file)) {
+    throw new Error('Formato de imagen no soportado para compresión');
+  }
+
+  const imagen = await decodificar(file);
+  const escalaInicial = Math.min(1, cfg.maxDimension / Math.max(imagen.width, imagen.height));
+  let ancho = Math.max(1, Math.round(imagen.width * escalaInicial));
+  let alto = Math.max(1, Math.round(imagen.height * escalaInicial));
+  let calidad = cfg.calidadInicial;
+  let blob = null;
+
+  try {
+    for (let intento = 0; intento < cfg.maxIntentos; intento++) {
+      blob = await codificar(imagen, ancho, alto, calidad);
+      if (blob.size < cfg.maxBytes) break;
+      // Primero bajar la calidad; cuando ya no conviene, achicar la imagen
+      if (calidad - 0.1 >= cfg.calidadMinima) {
+        calidad -= 0.1;
+      } else {
+        ancho = Math.max(1, Math.round(ancho * 0.8));
+        alto = Math.max(1, Math.round(alto * 0.8));
+      }
+    }
+  } finally {
+    if (typeof imagen.close === 'function') imagen.close();
+  }
+
+  if (!blob || blob.size >= cfg.maxBytes) {
+    throw new Error(`No se pudo reducir la imagen a menos de ${formatFileSize(cfg.maxBytes)}`);
+  }
+
+  const extension = blob.type === 'image/webp' ? 'webp' : 'jpg';
+  const nombre = `${file.name.replace(/\.[^.]+$/, '') || 'imagen'}.${extension}`;
+  const resultado = new File([blob], nombre, { type: getMimeType(nombre), lastModified: Date.now() });
+
+  return {
+    file: resultado,
+    bytesOriginal: file.size,
+    bytes: resultado.size,
+    ancho,
+    alto,
+    resumen: `${formatFileSize(file.size)} → ${formatFileSize(resultado.size)}`
+  };
+}
+
+// =============================================================================
+// AUXILIARES
+// =============================================================================
+
+/**
+ * Decodifica la imagen respetando la orientación EXIF
+ * @param {File} file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function decodificar(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (_) {
+      // Safari antiguo no acepta opciones: usar <img>
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.decoding = 'async';
+    img.src = url;
+    await img.decode();
+    return img;
+  } catch (_) {
+    throw new Error('No se pudo leer la imagen');
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Dibuja la imagen en un canvas del tamaño pedido y la codifica
+ * @returns {Promise<Blob>}
+ */
+function codificar(imagen, ancho, alto, calidad) {
+  const canvas = document.createElement('canvas');
+  canvas.width = ancho;
+  canvas.height = alto;
+  const ctx = canvas.getContext('2d');
+  // Fondo blanco: JPEG no tiene transparencia (PNG con fondo transparente)
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, ancho, alto);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(imagen, 0, 0, ancho, alto);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((webp) => {
+      // Si el navegador no codifica WebP devuelve PNG: usar JPEG
+      if (webp && webp.type === 'image/webp') return resolve(webp);
+      canvas.toBlob((jpeg) => (jpeg ? resolve(jpeg) : reject(new Error('No se pudo comprimir la imagen'))), 'image/jpeg', calidad);
+    }, 'image/webp', calidad);
+  });
+}
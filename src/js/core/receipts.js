@@ -0,0 +1,102 @@
+// =============================================================================
+// RECEIPTS - EXTRACCIÓN DE DATOS DEL TEXTO OCR DE UN TICKET
+// =============================================================================
+
+import { parseCurrency } from './utils.js';
+
+// Importes: "1.234,56", "1,234.56", "1234,5", "$ 980"
+const REGEX_IMPORTE = /\d{1,3}(?:[.,]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?/g;
+
+// Renglón del total (no subtotales ni "total de ítems")
+const REGEX_TOTAL = /\b(?:importe\s+)?total(?:\s+a\s+pagar)?\b|\ba\s+pagar\b/i;
+const REGEX_NO_TOTAL = /sub\s*-?\s*total|total\s+(?:de\s+)?(?:items?|art[ií]culos|unidades)|cant/i;
+
+// Fechas dd/mm/aaaa, dd-mm-aa, dd.mm.aaaa
+const REGEX_FECHA = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/;
+
+// Renglones del encabezado que no son el nombre del comercio
+const REGEX_NO_COMERCIO = /\b(?:ticket|factura|tique|comprobante|original|c\.?u\.?i\.?t|i\.?v\.?a|responsable|ingresos\s+brutos|inicio\s+de\s+actividades|fecha|hora|caja|tel[eé]fono|consumidor\s+final)\b/i;
+
+/**
+ * Importes de un renglón, en el orden en que aparecen
+ * @param {string} linea
+ * @returns {number[]}
+ */
+function importesDe(linea) {
+  return (linea.match(REGEX_IMPORTE) || [])
+    .map(m => parseCurrency(m))
+    .filter(n => Number.isFinite(n) && n > 0);
+}
+
+/**
+ * Total del ticket: el último importe del renglón "TOTAL" (o del siguiente
+ * si el importe quedó en otra línea); si no hay, el mayor importe con decimales
+ * @param {string[]} lineas
+ * @returns {number|null}
+ */
+export function extraerTotal(lineas) {
+  for (let i = lineas.length - 1; i >= 0; i--) {
+    const linea = lineas[i];
+    if (!REGEX_TOTAL.test(linea) || REGEX_NO_TOTAL.test(linea)) continue;
+    const importes = importesDe(linea);
+    if (importes.length > 0) return importes[importes.length - 1];
+    const siguiente = lineas[i + 1] ? importesDe(lineas[i + 1]) : [];
+    if (siguiente.length > 0) return siguiente[siguiente.length - 1];
+  }
+  const conDecimales = lineas
+    .flatMap(l => (l.match(REGEX_IMPORTE) || []).filter(m => /[.,]\d{1,2}$/.test(m)))
+    .map(m => parseCurrency(m))
+    .filter(n => n > 0);
+  return conDecimales.length > 0 ? Math.max(...conDecimales) : null;
+}
+
+/**
+ * Fecha del ticket en formato 'YYYY-MM-DD' (día/mes/año, como en Argentina)
+ * @param {string[]} lineas
+ * @returns {string|null}
+ */
+export function extraerFecha(lineas) {
+  for (const linea of lineas) {
+    const m = linea.match(REGEX_FECHA);
+    if (!m) continue;
+    const dia = Number(m[1]);
+    const mes = Number(m[2]);
+    const anio = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    const fecha = new Date(anio, mes - 1, dia);
+    if (fecha.getFullYear() !== anio || fecha.getMonth() !== mes - 1 || fecha.getDate() !== dia) continue;
+    return `${anio}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+  }
+  return null;
+}
+
+/**
+ * Nombre del comercio: primer renglón del encabezado con texto "real"
+ * @param {string[]} lineas
+ * @returns {string|null}
+ */
+export function extraerComercio(lineas) {
+  for (const linea of lineas.slice(0, 8)) {
+    const letras = (linea.match(/[A-Za-zÁÉÍÓÚÑáéíóúñ]/g) || []).length;
+    if (letras < 3 || letras < linea.replace(/\s/g, '').length / 2) continue;
+    if (REGEX_NO_COMERCIO.test(linea)) continue;
+    return linea.replace(/[^\wÁÉÍÓÚÑáéíóúñ&'.\- ]/g, '').replace(/\s+/g, ' ').trim().slice(0, 60) || null;
+  }
+  return null;
+}
+
+/**
+ * Extrae monto, fecha y comercio del texto reconocido de un ticket
+ * @param {string} texto - Texto OCR
+ * @returns {{monto: number|null, fecha: string|null, comercio: string|null}}
+ */
+export function extraerDatosTicket(texto) {
+  const lineas = String(texto || '')
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(Boolean);
+  return {
+    monto: extraerTotal(lineas),
+    fecha: extraerFecha(lineas),
+    comercio: extraerComercio(lineas)
+  };
+}
@@ -49,25 +49,31 @@ class Router {
   
   /**
    * Navega a una ruta específica
-   * @param {string} path - Ruta a la que navegar
+   * @param {string} path - Ruta a la que navegar (puede incluir query string, ej: '/grupo?id=abc')
    * @param {Object} options - Opciones adicionales
    */
   navigateTo(path, options = {}) {
     try {
       console.log('🧭 Navegando a:', path);
       
+      // Separar la query string: las rutas se registran solo por pathname
+      let [pathname, search = ''] = path.split('?');
+      
       // Validar que la ruta existe
-      if (!this.routes.has(path)) {
-        console.warn('⚠️ Ruta no registrada:', path);
+      if (!this.routes.has(pathname)) {
+        console.warn('⚠️ Ruta no registrada:', pathname);
         // Redirigir a la ruta por defecto
-        path = '/';
+        pathname = '/';
+        search = '';
       }
+      path = pathname;
+      const url = search ? `${pathname}?${search}` : pathname;
       
       // Actualizar historial del navegador
       if (options.replace) {
-        window.history.replaceState({ path }, '', path);
+        window.history.replaceState({ path }, '', url);
       } else {
-        window.history.pushState({ path }, '', path);
+        window.history.pushState({ path }, '', url);
       }
       
       // Actualizar ruta actual
@@ -154,6 +160,25 @@ class Router {
     this.navigateTo(fullPath, options);
   }
   
+  /**
+   * Resuelve la ruta interna a la que lleva una notificación
+   * @param {Object} notificacion - Documento de usuarios/{uid}/notificaciones o datos de un push
+   * @param {string} [notificacion.link] - Ruta guardada por la Cloud Function
+   * @param {string} [notificacion.evento_id]
+   * @returns {string} Ruta registrada (por defecto '/')
+   */
+  resolveNotificationLink(notificacion = {}) {
+    const link = String(notificacion.link || '');
+    // Solo rutas internas: nunca navegar a un origen externo desde una notificación
+    if (link.startsWith('/') && !link.startsWith('//') && this.routes.has(link.split('?')[0])) {
+      return link;
+    }
+    if (notificacion.evento_id) {
+      return this.buildUrl('/evento', { id: notificacion.evento_id });
+    }
+    return '/';
+  }
+  
   /**
    * Maneja el evento popstate (navegación con botones del navegador)
    * @param {PopStateEvent} event - Evento popstate
@@ -192,7 +217,7 @@ class Router {
     if (target && target.href && target.href.startsWith(window.location.origin)) {
       event.preventDefault();
       
-      const path = target.pathname;
+      const path = target.pathname + target.search;
       console.log('🔗 Click en enlace interno:', path);
       
       this.navigateTo(path);
@@ -11,6 +11,11 @@ class State {
     this.state = {
       user: null,
       eventos: [],
+      eventoActual: null,
+      pendingWrites: [],
+      adjuntosEnCurso: [],
+      notificaciones: [],
+      notificacionesNoLeidas: 0,
       balances: [],
       settings: {},
       ui: {
@@ -24,6 +29,9 @@ class State {
     this.subscribers = new Map();
     this.subscriberId = 0;
     
+    // Listeners de Firestore activos (clave -> función de baja)
+    this.listeners = new Map();
+    
     // Bindear métodos
     this.notifySubscribers = this.notifySubscribers.bind(this);
   }
@@ -175,6 +183,121 @@ class State {
     console.log('🗑️ Evento removido:', eventoId);
   }
   
+  /**
+   * Establece el evento abierto en la página de evento
+   * @param {Object|null} evento - Evento o null si no existe / sin acceso
+   */
+  setEventoActual(evento) {
+    this.set('eventoActual', evento);
+  }
+  
+  /**
+   * Obtiene el evento abierto en la página de evento
+   * @returns {Object|null} Evento actual
+   */
+  getEventoActual() {
+    return this.get('eventoActual') || null;
+  }
+  
+  // =============================================================================
+  // COLA DE CAMBIOS PENDIENTES (ESCRITURAS SIN CONEXIÓN)
+  // =============================================================================
+  
+  /**
+   * Reemplaza la cola de cambios pendientes
+   * @param {Array} writes - [{ id, descripcion, eventoId, creado_en, estado, motivo? }]
+   */
+  setPendingWrites(writes) {
+    this.set('pendingWrites', writes);
+  }
+  
+  /**
+   * Obtiene la cola de cambios pendientes
+   * @returns {Array} Cambios pendientes y en conflicto
+   */
+  getPendingWrites() {
+    return this.get('pendingWrites') || [];
+  }
+  
+  /**
+   * Agrega un cambio hecho sin conexión a la cola
+   * @param {{descripcion:string, eventoId?:string}} write
+   * @returns {string} ID del cambio en la cola
+   */
+  addPendingWrite(write) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.setPendingWrites([
+      ...this.getPendingWrites(),
+      { id, creado_en: new Date().toISOString(), estado: 'pendiente', ...write }
+    ]);
+    console.log('⏳ Cambio pendiente de sincronizar:', write.descripcion);
+    return id;
+  }
+  
+  /**
+   * Actualiza un cambio de la cola (ej: estado 'conflicto' con su motivo)
+   * @param {string} id
+   * @param {Object} updates
+   */
+  updatePendingWrite(id, updates) {
+    this.setPendingWrites(this.getPendingWrites().map(w => (w.id === id ? { ...w, ...updates } : w)));
+  }
+  
+  /**
+   * Quita un cambio de la cola (sincronizado o descartado)
+   * @param {string} id
+   */
+  removePendingWrite(id) {
+    this.setPendingWrites(this.getPendingWrites().filter(w => w.id !== id));
+  }
+  
+  // =============================================================================
+  // LISTENERS EN TIEMPO REAL
+  // =============================================================================
+  
+  /**
+   * Registra la función de baja de un listener (ej: onSnapshot) bajo una clave.
+   * Si ya había un listener con esa clave, se da de baja antes.
+   * @param {string} key - Clave del listener (ej: 'eventos', 'evento')
+   * @param {Function} unsubscribe - Función que detiene el listener
+   */
+  setListener(key, unsubscribe) {
+    this.removeListener(key);
+    this.listeners.set(key, unsubscribe);
+    console.log('👂 Listener activo:', key);
+  }
+  
+  /**
+   * Verifica si hay un listener activo con esa clave
+   * @param {string} key
+   * @returns {boolean}
+   */
+  hasListener(key) {
+    return this.listeners.has(key);
+  }
+  
+  /**
+   * Detiene y remueve un listener
+   * @param {string} key
+   */
+  removeListener(key) {
+    const unsubscribe = this.listeners.get(key);
+    if (!unsubscribe) return;
+    this.listeners.delete(key);
+    try {
+      unsubscribe();
+    } catch (error) {
+      console.error('❌ Error al detener listener:', key, error);
+    }
+  }
+  
+  /**
+   * Detiene todos los listeners (al cambiar de ruta o cerrar sesión)
+   */
+  clearListeners() {
+    Array.from(this.listeners.keys()).forEach(key => this.removeListener(key));
+  }
+  
   /**
    * Establece los balances del usuario
    * @param {Array} balances - Lista de balances
@@ -377,9 +500,15 @@ class State {
    * Limpia todo el estado
    */
   clear() {
+    this.clearListeners();
     this.state = {
       user: null,
       eventos: [],
+      eventoActual: null,
+      pendingWrites: [],
+      adjuntosEnCurso: [],
+      notificaciones: [],
+      notificacionesNoLeidas: 0,
       balances: [],
       settings: {},
       ui: {
@@ -400,8 +529,10 @@ class State {
    * Limpia solo los datos del usuario
    */
   clearUser() {
+    this.clearListeners();
     this.setUser(null);
     this.setEventos([]);
+    this.setEventoActual(null);
     this.setBalances([]);
     this.setSettings({});
     
@@ -416,6 +547,7 @@ class State {
     return {
       user: this.isAuthenticated() ? 'Autenticado' : 'No autenticado',
       eventos: this.getEventos().length,
+      listeners: this.listeners.size,
       balances: this.getBalances().length,
       loading: this.isLoading(),
       currentPage: this.getCurrentPage(),
@@ -2,6 +2,8 @@
 // UTILS - UTILIDADES GENERALES DE LA APLICACIÓN
 // =============================================================================
 
+import { decimalesDe, parsearMonto } from '@shared/money.js';
+
 // =============================================================================
 // MANIPULACIÓN DE FECHAS
 // =============================================================================
@@ -118,7 +120,7 @@ export function isValidDate(date) {
 /**
  * Formatea un monto monetario
  * @param {number} amount - Monto a formatear
- * @param {string} currency - Moneda ('ARS', 'USD')
+ * @param {string} currency - Código ISO-4217 (ej: 'ARS', 'USD', 'EUR')
  * @returns {string} Monto formateado
  */
 export function formatCurrency(amount, currency = 'ARS') {
@@ -130,40 +132,66 @@ export function formatCurrency(amount, currency = 'ARS') {
     const formatter = new Intl.NumberFormat('es-AR', {
       style: 'currency',
       currency: currency,
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
+      minimumFractionDigits: decimalesDe(currency),
+      maximumFractionDigits: decimalesDe(currency)
     });
     
     return formatter.format(amount);
   } catch (error) {
     console.error('Error al formatear moneda:', error);
-    return amount.toFixed(2);
+    return `${currency} ${amount.toFixed(decimalesDe(currency))}`;
   }
 }
 
 /**
- * Convierte un string de moneda a número
- * @param {string} currencyString - String de moneda (ej: "$1.234,56")
- * @returns {number} Número extraído
+ * Paso de un <input type="number"> de montos: la unidad mínima de la moneda
+ * @param {string} currency - Código ISO-4217
+ * @returns {string} ej: 'ARS' -> '0.01', 'JPY' -> '1', 'KWD' -> '0.001'
  */
-export function parseCurrency(currencyString) {
+export function getCurrencyStep(currency = 'ARS') {
+  const decimales = decimalesDe(currency);
+  return decimales === 0 ? '1' : `0.${'0'.repeat(decimales - 1)}1`;
+}
+
+/**
+ * Monto con los decimales de la moneda, sin símbolo ni separadores
+ * (para el value de un <input type="number">)
+ * @param {number} amount - Monto
+ * @param {string} currency - Código ISO-4217
+ * @returns {string}
+ */
+export function formatAmountInput(amount, currency = 'ARS') {
+  return (Number(amount) || 0).toFixed(decimalesDe(currency));
+}
+
+/**
+ * Nombre legible de una moneda en español (ej: 'EUR' -> 'euro')
+ * @param {string} currency - Código ISO-4217
+ * @returns {string} Nombre de la moneda o el mismo código si no se conoce
+ */
+export function getCurrencyName(currency) {
   try {
-    if (typeof currencyString !== 'string') {
-      return 0;
-    }
-    
-    // Remover símbolos de moneda y espacios
-    const cleanString = currencyString.replace(/[^\d,.-]/g, '');
-    
-    // Convertir coma decimal a punto
-    const normalizedString = cleanString.replace(',', '.');
-    
-    const number = parseFloat(normalizedString);
-    return isNaN(number) ? 0 : number;
-  } catch (error) {
-    console.error('Error al parsear moneda:', error);
+    const names = new Intl.DisplayNames(['es'], { type: 'currency' });
+    return names.of(currency) || currency;
+  } catch (_) {
+    return currency;
+  }
+}
+
+/**
+ * Convierte un string de moneda a número (ver `parsearMonto` en @shared/money.js).
+ * Acepta formato argentino ("$1.234,56", "1.234") y anglosajón ("1,234.56");
+ * con `locale` se fuerza la interpretación de los separadores.
+ * @param {string} currencyString - String de moneda (ej: "$1.234,56")
+ * @param {('es-AR'|'en-US')} [locale] - Formato de entrada; sin él se detecta
+ * @returns {number} Número extraído (0 si no es válido)
+ */
+export function parseCurrency(currencyString, locale) {
+  if (typeof currencyString !== 'string') {
     return 0;
   }
+  const number = parsearMonto(currencyString, locale);
+  return number === null ? 0 : number;
 }
 
 /**
@@ -277,6 +305,7 @@ export function getMimeType(filename) {
     'jpeg': 'image/jpeg',
     'png': 'image/png',
     'gif': 'image/gif',
+    'webp': 'image/webp',
     'pdf': 'application/pdf'
   };
   
@@ -302,9 +331,9 @@ export function validateFile(file) {
   }
   
   // Validar tipo
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'application/pdf'];
+  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
   if (!allowedTypes.includes(file.type)) {
-    errors.push('Tipo de archivo no permitido. Solo se permiten imágenes (JPG, PNG, GIF) y PDFs');
+    errors.push('Tipo de archivo no permitido. Solo se permiten imágenes (JPG, PNG, GIF, WebP) y PDFs');
   }
   
   return {
@@ -376,6 +405,20 @@ export function generateSlug(str) {
     .trim();
 }
 
+/**
+ * Escapa un texto para interpolarlo en HTML (contenido o valor de atributo)
+ * @param {*} str - Texto a escapar (null/undefined se tratan como '')
+ * @returns {string} Texto escapado
+ */
+export function escapeHtml(str) {
+  return String(str === null || str === undefined ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // =============================================================================
 // MANIPULACIÓN DE ARRAYS Y OBJETOS
 // =============================================================================
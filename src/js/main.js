@@ -3,14 +3,35 @@
 // =============================================================================
 
 import { onAuthStateChanged } from 'firebase/auth';
-import { getAuth } from './core/firebase.js';
+import { getAuth, storageConfig } from './core/firebase.js';
 import { authService } from './services/authService.js';
 import { eventsService } from './services/eventsService.js';
+import { groupsService } from './services/groupsService.js';
 import { userService } from './services/userService.js';
 import { router } from './core/router.js';
 import { state } from './core/state.js';
 import { ui } from './ui/ui.js';
 import { messagingService } from './services/messagingService.js';
+import { notificationsService } from './services/notificationsService.js';
+import { formatDate, formatCurrency, formatAmountInput, getCurrencyName, getCurrencyStep, formatFileSize, escapeHtml } from './core/utils.js';
+import { aportesDeGasto, aportesPorParticipante, cuotasPorParticipante, montoDeEvento, saldosNetos, saldosPendientes, pagosDe, estadoPago } from '@shared/balances.js';
+import { planDeLiquidacion, saldoConvertido, simplificarDeudas } from '@shared/settlement.js';
+import { MONEDAS_ISO, MONEDA_BASE_DEFAULT, TIPOS_COTIZACION, esMonedaValida, normalizarMoneda, tasaDeEvento, convertir } from '@shared/currencies.js';
+import { ratesService } from './services/ratesService.js';
+import { liquidacionesService } from './services/liquidacionesService.js';
+import { syncService } from './services/syncService.js';
+import { pwaService } from './services/pwaService.js';
+import { attachmentsService } from './services/attachmentsService.js';
+import { ocrService } from './services/ocrService.js';
+import { qrService } from './services/qrService.js';
+import { compressImage, isCompressibleImage } from './core/images.js';
+import { MODOS_DIVISION, participantesActivos, validarDivision, calcularCuotas } from '@shared/splits.js';
+import { aMinimas, desdeMinimas, sumarMontos, repartirMonto } from '@shared/money.js';
+import { FRECUENCIAS, ETIQUETAS_FRECUENCIA, proximasFechas, proximaOcurrencia, aFechaISO } from '@shared/recurrence.js';
+import { estadoVencimiento } from '@shared/dueDates.js';
+import { estadoInvitacion, ETIQUETAS_ESTADO_INVITACION } from '@shared/invitations.js';
+import { esInvitado } from '@shared/guests.js';
+import { ETIQUETAS_ROL, ROLES_ASIGNABLES, permisosEvento, propietarioDe, puedeEditarGasto, rolEnEvento } from '@shared/roles.js';
 
 // =============================================================================
 // CONFIGURACIÓN DE FIREBASE
@@ -27,7 +48,12 @@ class GastosCompartidosApp {
   constructor() {
     this.isInitialized = false;
     this.currentUser = null;
+    this.monedaBase = null;
     this.currentRoute = '/';
+    this.eventoRenderSeq = 0;
+    this.eventoEnEdicion = false;
+    this.conflictosAvisados = new Set();
+    this.habiaPendientes = false;
     this.filtersBound = false;
     
     // Bindear métodos
@@ -65,6 +91,9 @@ class GastosCompartidosApp {
       // Configurar routing
       this.setupRouting();
       
+      // Re-renderizar cuando llegan cambios en tiempo real
+      this.setupStateSubscriptions();
+      
       // Configurar eventos de UI
       this.setupUIEvents();
       
@@ -89,6 +118,8 @@ class GastosCompartidosApp {
         authService.initialize(),
         eventsService.initialize?.() || Promise.resolve(),
         userService.initialize?.() || Promise.resolve(),
+        syncService.initialize(),
+        pwaService.initialize(),
         // Otros servicios se pueden inicializar aquí
       ]);
       
@@ -117,7 +148,7 @@ class GastosCompartidosApp {
     // Configurar router
     router.init();
     // Registrar rutas principales para que navigateTo no rebote a '/'
-    const routes = ['/', '/balances', '/ajustes', '/auth', '/evento'];
+    const routes = ['/', '/balances', '/ajustes', '/auth', '/evento', '/grupo'];
     routes.forEach(path => router.register(path, () => this.handleRouteChange(path)));
     
     // Escuchar cambios de ruta
@@ -126,6 +157,164 @@ class GastosCompartidosApp {
     console.log('✅ Sistema de routing configurado');
   }
   
+  /**
+   * Suscribe la UI a los datos que llegan por los listeners en tiempo real
+   * (ver loadUserEventos y loadEventoData)
+   */
+  setupStateSubscriptions() {
+    state.subscribe('eventos', (eventos) => {
+      if (this.currentRoute === '/') this.renderEventosList(eventos || []);
+    });
+    state.subscribe('eventoActual', (evt) => {
+      attachmentsService.syncWithEvento(evt);
+      if (this.currentRoute === '/evento') this.refreshEvento(evt);
+    });
+    // El progreso de las subidas solo re-renderiza el panel de adjuntos
+    state.subscribe('adjuntosEnCurso', () => {
+      if (this.currentRoute === '/evento') this.renderAdjuntosPanel(state.getEventoActual());
+    });
+    state.subscribe('pendingWrites', (lista) => this.renderPendientes(lista || []));
+    state.subscribe('ui.online', () => this.renderPendientes(state.getPendingWrites()));
+    this.renderPendientes(state.getPendingWrites());
+    state.subscribe('notificacionesNoLeidas', (cantidad) => this.renderNotificacionesBadge(cantidad || 0));
+    
+    console.log('✅ Suscripciones de estado configuradas');
+  }
+  
+  /**
+   * Indicador de conexión y de cambios pendientes en la barra de navegación.
+   * Avisa una vez por cada cambio rechazado al sincronizar y cuando la cola se vacía.
+   */
+  renderPendientes(lista) {
+    const online = state.get('ui.online') !== false;
+    const offlineBadge = document.getElementById('offlineBadge');
+    const btn = document.getElementById('btnPendientes');
+    const count = document.getElementById('pendientesCount');
+    if (offlineBadge) offlineBadge.style.display = online ? 'none' : '';
+    if (btn) {
+      btn.style.display = lista.length > 0 ? '' : 'none';
+      btn.className = `btn btn-sm ${lista.some(w => w.estado === 'conflicto') ? 'btn-danger' : 'btn-warning'}`;
+    }
+    if (count) count.textContent = String(lista.length);
+
+    lista.filter(w => w.estado === 'conflicto' && !this.conflictosAvisados.has(w.id)).forEach(w => {
+      this.conflictosAvisados.add(w.id);
+      ui.showNotification(`No se pudo sincronizar: ${w.descripcion}. ${w.motivo || ''}`, 'warning', 8000);
+    });
+    if (this.habiaPendientes && lista.length === 0 && online) {
+      ui.showNotification('Cambios sincronizados', 'success');
+    }
+    this.habiaPendientes = lista.some(w => w.estado === 'pendiente');
+  }
+
+  /**
+   * Modal con la cola de cambios hechos sin conexión
+   */
+  showPendientesModal() {
+    const lista = state.getPendingWrites();
+    const conflictos = lista.filter(w => w.estado === 'conflicto');
+    const modal = ui.showModal(`
+      <p class="text-muted">Los cambios hechos sin conexión se guardan en este dispositivo y se envían al recuperar la señal.</p>
+      ${lista.length === 0 ? '<p>No hay cambios pendientes.</p>' : `
+      <ul class="list-group mb-3">
+        ${lista.map(w => `
+          <li class="list-group-item">
+            <div class="d-flex justify-content-between align-items-center">
+              <span>${String(w.descripcion || '').replace(/</g, '&lt;')}</span>
+              ${w.estado === 'conflicto'
+                ? '<span class="badge bg-danger">Rechazado</span>'
+                : '<span class="badge bg-warning text-dark">Pendiente</span>'}
+            </div>
+            <small class="text-muted">${formatDate(new Date(w.creado_en))}</small>
+            ${w.motivo ? `<div class="small text-danger">${w.motivo}</div>` : ''}
+            ${w.eventoId ? `<a href="/evento?id=${encodeURIComponent(w.eventoId)}" class="small" data-cerrar-modal>Ver evento</a>` : ''}
+          </li>`).join('')}
+      </ul>`}
+      <div class="d-flex justify-content-end gap-2">
+        ${conflictos.length > 0 ? '<button type="button" class="btn btn-outline-danger" id="pend_descartar">Descartar rechazados</button>' : ''}
+        <button type="button" class="btn btn-outline-secondary" id="pend_cerrar">Cerrar</button>
+      </div>
+    `, { title: 'Cambios sin sincronizar' });
+    const cerrar = modal.querySelector('#pend_cerrar');
+    if (cerrar) cerrar.addEventListener('click', () => ui.hideModal(modal));
+    modal.querySelectorAll('[data-cerrar-modal]').forEach(a => a.addEventListener('click', () => ui.hideModal(modal)));
+    const descartar = modal.querySelector('#pend_descartar');
+    if (descartar) {
+      descartar.addEventListener('click', () => {
+        syncService.descartarConflictos();
+        ui.hideModal(modal);
+      });
+    }
+  }
+  
+  /**
+   * Campana de notificaciones de la barra de navegación
+   * @param {number} cantidad - Notificaciones sin leer
+   */
+  renderNotificacionesBadge(cantidad) {
+    const btn = document.getElementById('btnNotificaciones');
+    const count = document.getElementById('notificacionesCount');
+    if (btn) btn.style.display = this.currentUser ? '' : 'none';
+    if (count) {
+      count.textContent = cantidad > 99 ? '99+' : String(cantidad);
+      count.style.display = cantidad > 0 ? '' : 'none';
+    }
+  }
+
+  /**
+   * Modal con las notificaciones recientes. Al abrir una, se marca como leída
+   * y se navega a la ruta que resuelve el router (ej: /evento?id=...).
+   */
+  showNotificacionesModal() {
+    const lista = state.get('notificaciones') || [];
+    const noLeidas = state.get('notificacionesNoLeidas') || 0;
+    const escapar = (texto) => String(texto || '').replace(/</g, '&lt;');
+    const modal = ui.showModal(`
+      ${lista.length === 0 ? '<p class="text-muted">No tienes notificaciones.</p>' : `
+      <div class="list-group mb-3">
+        ${lista.map(n => `
+          <button type="button" class="list-group-item list-group-item-action ${n.leida ? '' : 'list-group-item-primary'}" data-notificacion="${n.id}">
+            <div class="d-flex justify-content-between align-items-center">
+              <strong>${escapar(n.titulo)}</strong>
+              <small class="text-muted">${n.creado_en && n.creado_en.toDate ? formatDate(n.creado_en.toDate(), 'relative') : ''}</small>
+            </div>
+            <div class="small">${escapar(n.cuerpo)}</div>
+          </button>`).join('')}
+      </div>`}
+      <div class="d-flex justify-content-end gap-2">
+        ${noLeidas > 0 ? '<button type="button" class="btn btn-outline-primary" id="notif_leer_todas">Marcar todas como leídas</button>' : ''}
+        <button type="button" class="btn btn-outline-secondary" id="notif_cerrar">Cerrar</button>
+      </div>
+    `, { title: 'Notificaciones' });
+
+    const cerrar = modal.querySelector('#notif_cerrar');
+    if (cerrar) cerrar.addEventListener('click', () => ui.hideModal(modal));
+    const leerTodas = modal.querySelector('#notif_leer_todas');
+    if (leerTodas) {
+      leerTodas.addEventListener('click', async () => {
+        try {
+          await notificationsService.marcarTodasLeidas();
+          ui.hideModal(modal);
+        } catch (error) {
+          console.error('❌ Error al marcar notificaciones:', error);
+          ui.showError('No se pudieron marcar las notificaciones');
+        }
+      });
+    }
+    modal.querySelectorAll('[data-notificacion]').forEach(item => {
+      item.addEventListener('click', () => {
+        const notificacion = lista.find(n => n.id === item.dataset.notificacion);
+        if (!notificacion) return;
+        ui.hideModal(modal);
+        if (!notificacion.leida) {
+          notificationsService.marcarLeida(notificacion.id)
+            .catch(error => console.warn('⚠️ No se pudo marcar la notificación como leída:', error));
+        }
+        router.navigateTo(router.resolveNotificationLink(notificacion));
+      });
+    });
+  }
+
   /**
    * Configura los eventos de la interfaz de usuario
    */
@@ -161,6 +350,44 @@ class GastosCompartidosApp {
       });
     }
 
+    // Botón crear grupo
+    // Unirse a un evento o grupo escaneando su QR
+    const btnEscanear = document.getElementById('btnEscanearInvitacion');
+    if (btnEscanear) {
+      btnEscanear.addEventListener('click', () => this.showEscanerInvitacionModal());
+    }
+
+    const btnCrearGrupo = document.getElementById('btnCrearGrupo');
+    if (btnCrearGrupo) {
+      btnCrearGrupo.addEventListener('click', () => {
+        this.handleCrearGrupo();
+      });
+    }
+
+    // Volver desde la página de grupo
+    const btnVolverGrupo = document.getElementById('btnVolverGrupo');
+    if (btnVolverGrupo) {
+      btnVolverGrupo.addEventListener('click', () => {
+        router.navigateTo('/');
+      });
+    }
+
+    // Centro de notificaciones
+    const btnNotificaciones = document.getElementById('btnNotificaciones');
+    if (btnNotificaciones) {
+      btnNotificaciones.addEventListener('click', () => {
+        this.showNotificacionesModal();
+      });
+    }
+
+    // Cambios pendientes de sincronizar
+    const btnPendientes = document.getElementById('btnPendientes');
+    if (btnPendientes) {
+      btnPendientes.addEventListener('click', () => {
+        this.showPendientesModal();
+      });
+    }
+
     // Mi perfil -> Ajustes
     const btnPerfil = document.getElementById('btnPerfil');
     if (btnPerfil) {
@@ -252,14 +479,267 @@ class GastosCompartidosApp {
     console.log('✅ Eventos de UI configurados');
   }
 
+  /**
+   * Dibuja el QR de un link de invitación dentro de un contenedor
+   * @param {HTMLElement} container
+   * @param {string} url
+   */
+  async renderInviteQr(container, url) {
+    if (!container) return;
+    container.innerHTML = '<div class="spinner-border spinner-border-sm text-secondary" role="status" aria-hidden="true"></div>';
+    try {
+      const dataUrl = await qrService.generarDataUrl(url);
+      container.innerHTML = `
+        <img src="${dataUrl}" alt="Código QR de la invitación" class="img-fluid" width="280" height="280">
+        <div class="form-text">Escanéalo con la cámara o con "Unirme con QR" en la app.</div>`;
+    } catch (error) {
+      console.error('❌ Error al generar el QR:', error);
+      container.innerHTML = '<div class="small text-danger">No se pudo generar el código QR.</div>';
+    }
+  }
+
+  /**
+   * Modal con el QR de la invitación para mostrarlo en pantalla (ej: en la mesa)
+   */
+  showInviteQrModal(url, titulo) {
+    const modal = ui.showModal(`
+      <div class="text-center" id="inviteQr"></div>
+      <div class="d-flex justify-content-end mt-3">
+        <button type="button" class="btn btn-outline-secondary" id="qr_cerrar">Cerrar</button>
+      </div>
+    `, { title: titulo ? `Unirse a "${String(titulo).replace(/</g, '&lt;')}"` : 'Código de invitación' });
+    modal.querySelector('#qr_cerrar').addEventListener('click', () => ui.hideModal(modal));
+    this.renderInviteQr(modal.querySelector('#inviteQr'), url);
+  }
+
+  /**
+   * Link personal para que un invitado sin cuenta se reclame con su usuario
+   */
+  getReclamoUrl(eventoId, token) {
+    return `${window.location.origin}/?reclamar=${encodeURIComponent(token)}&id=${encodeURIComponent(eventoId)}`;
+  }
+
+  /**
+   * Modal para que el propietario asigne roles y transfiera la propiedad del evento
+   */
+  showRolesModal(evt, nombreDe) {
+    const propietario = propietarioDe(evt);
+    const uids = (evt.participantesUids || []).filter(uid => !esInvitado(uid));
+    const escapar = (str) => String(str || '').replace(/</g, '&lt;');
+    const modal = ui.showModal(`
+      <p class="small text-muted mb-2">
+        Administradores: configuran el evento, registran pagos de otros y gestionan invitaciones.
+        Miembros: cargan gastos y registran sus pagos. Solo lectura: ven el evento sin modificarlo.
+      </p>
+      <div class="list-group mb-3">
+        ${uids.map(uid => `
+        <div class="list-group-item d-flex align-items-center justify-content-between gap-2" data-uid="${uid}">
+          <span class="text-truncate">${escapar(nombreDe(uid))}</span>
+          ${uid === propietario ? `<span class="badge bg-light text-dark border">👑 ${ETIQUETAS_ROL.owner}</span>` : `
+          <div class="d-flex align-items-center gap-2">
+            <select class="form-select form-select-sm" data-action="rol" style="width: auto;">
+              ${ROLES_ASIGNABLES.map(r => `<option value="${r}" ${rolEnEvento(evt, uid) === r ? 'selected' : ''}>${ETIQUETAS_ROL[r]}</option>`).join('')}
+            </select>
+            <button class="btn btn-sm btn-outline-secondary text-nowrap" type="button" data-action="transferir" title="Transferir la propiedad">👑</button>
+          </div>`}
+        </div>`).join('')}
+      </div>
+      <div class="d-flex justify-content-end">
+        <button type="button" class="btn btn-outline-secondary" id="roles_cerrar">Cerrar</button>
+      </div>
+    `, { title: 'Roles del evento' });
+    modal.querySelector('#roles_cerrar').addEventListener('click', () => ui.hideModal(modal));
+
+    modal.querySelectorAll('[data-uid]').forEach(item => {
+      const uid = item.getAttribute('data-uid');
+      const select = item.querySelector('select[data-action="rol"]');
+      if (select) {
+        select.addEventListener('change', async () => {
+          try {
+            await eventsService.setRol(evt.id, uid, select.value);
+            ui.showNotification(`${escapeHtml(nombreDe(uid))} ahora es ${ETIQUETAS_ROL[select.value].toLowerCase()}`, 'success');
+          } catch (e) {
+            console.error('❌ Error al cambiar rol:', e);
+            select.value = rolEnEvento(evt, uid);
+            ui.showError(e && !e.code && e.message ? e.message : 'No se pudo cambiar el rol');
+          }
+        });
+      }
+      const btnTransferir = item.querySelector('button[data-action="transferir"]');
+      if (btnTransferir) {
+        btnTransferir.addEventListener('click', async () => {
+          if (!confirm(`¿Transferir la propiedad del evento a ${nombreDe(uid)}? Tú quedarás como administrador.`)) return;
+          try {
+            ui.showLoadingOverlay('Transfiriendo propiedad...');
+            await eventsService.transferirPropiedad(evt.id, uid);
+            ui.hideModal(modal);
+            ui.showNotification('Propiedad transferida', 'success');
+          } catch (e) {
+            console.error('❌ Error al transferir propiedad:', e);
+            ui.showError(e && !e.code && e.message ? e.message : 'No se pudo transferir la propiedad');
+          } finally {
+            ui.hideLoadingOverlay();
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Modal para agregar un invitado sin cuenta (solo nombre) al evento
+   */
+  showAgregarInvitadoModal(evt) {
+    const modal = ui.showModal(`
+      <form id="agregarInvitadoForm">
+        <div class="mb-3">
+          <label class="form-label" for="inv_nombre">Nombre</label>
+          <input type="text" class="form-control" id="inv_nombre" maxlength="40" placeholder="Ej: Abuela Marta" required>
+          <div class="form-text">Cuenta en la división y los saldos como cualquier participante. Si más adelante crea su cuenta, puede reclamarlo con su link personal.</div>
+        </div>
+        <div class="d-flex justify-content-end gap-2">
+          <button type="button" class="btn btn-outline-secondary" id="inv_cancelar">Cancelar</button>
+          <button type="submit" class="btn btn-primary">Agregar</button>
+        </div>
+      </form>
+    `, { title: 'Agregar invitado sin cuenta' });
+    modal.querySelector('#inv_cancelar').addEventListener('click', () => ui.hideModal(modal));
+    modal.querySelector('#agregarInvitadoForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const nombre = modal.querySelector('#inv_nombre').value.trim();
+      try {
+        ui.showLoadingOverlay('Agregando invitado...');
+        const { token } = await eventsService.agregarInvitado(evt.id, nombre);
+        ui.hideModal(modal);
+        ui.showNotification('Invitado agregado', 'success');
+        this.showReclamoInvitadoModal(evt, nombre, token);
+      } catch (error) {
+        console.error('❌ Error al agregar invitado:', error);
+        ui.showError(error && !error.code && error.message ? error.message : 'No se pudo agregar el invitado');
+      } finally {
+        ui.hideLoadingOverlay();
+      }
+    });
+  }
+
+  /**
+   * Modal con el link personal (y su QR) para reclamar un invitado
+   */
+  showReclamoInvitadoModal(evt, nombre, token) {
+    const url = this.getReclamoUrl(evt.id, token);
+    const nombreSeguro = escapeHtml(nombre || 'el invitado');
+    const modal = ui.showModal(`
+      <p class="small text-muted">Compártelo solo con ${nombreSeguro}: al abrirlo con su cuenta, sus gastos, pagos y saldos pasan a su usuario. Sirve una sola vez.</p>
+      <div class="input-group mb-3">
+        <input type="text" class="form-control" id="reclamo_link" value="${url}" readonly>
+        <button class="btn btn-outline-primary" type="button" id="reclamo_copiar">Copiar</button>
+      </div>
+      <div class="text-center" id="reclamoQr"></div>
+      <div class="d-flex justify-content-end mt-3">
+        <button type="button" class="btn btn-outline-secondary" id="reclamo_cerrar">Cerrar</button>
+      </div>
+    `, { title: `Link para reclamar a ${nombreSeguro}` });
+    modal.querySelector('#reclamo_cerrar').addEventListener('click', () => ui.hideModal(modal));
+    modal.querySelector('#reclamo_copiar').addEventListener('click', async () => {
+      const input = modal.querySelector('#reclamo_link');
+      try {
+        if (navigator.clipboard && window.isSecureContext) {
+          await navigator.clipboard.writeText(input.value);
+        } else {
+          input.select();
+          document.execCommand('copy');
+        }
+        ui.showNotification('Enlace copiado', 'success');
+      } catch (e) {
+        ui.showError('No se pudo copiar el enlace');
+      }
+    });
+    this.renderInviteQr(modal.querySelector('#reclamoQr'), url);
+  }
+
+  /**
+   * Escáner de QR con la cámara: al leer un link de invitación lo captura
+   * como invitación pendiente y se une sin salir de la app
+   */
+  async showEscanerInvitacionModal() {
+    if (!qrService.puedeEscanear()) {
+      ui.showError('Este navegador no permite usar la cámara');
+      return;
+    }
+    let detener = null;
+    let cerrado = false;
+    const modal = ui.showModal(`
+      <div class="ratio ratio-1x1 bg-dark rounded overflow-hidden mb-2">
+        <video id="qr_video" class="w-100 h-100" style="object-fit: cover;" playsinline muted></video>
+      </div>
+      <div class="small text-muted" id="qr_estado">Abriendo la cámara...</div>
+      <div class="d-flex justify-content-end mt-3">
+        <button type="button" class="btn btn-outline-secondary" id="qr_cancelar">Cancelar</button>
+      </div>
+    `, {
+      title: 'Escanear invitación',
+      onClose: () => {
+        cerrado = true;
+        if (detener) detener();
+      }
+    });
+    modal.querySelector('#qr_cancelar').addEventListener('click', () => ui.hideModal(modal));
+    const estado = modal.querySelector('#qr_estado');
+
+    const onDetectado = async (texto) => {
+      const invitacion = qrService.leerInvitacion(texto);
+      if (!invitacion) {
+        estado.textContent = 'Ese código no es una invitación de Gastos Compartidos. Prueba con otro.';
+        if (cerrado) return;
+        try {
+          detener = await qrService.escanear(modal.querySelector('#qr_video'), onDetectado);
+          if (cerrado) detener();
+        } catch (error) {
+          estado.textContent = error.message;
+        }
+        return;
+      }
+      ui.hideModal(modal);
+      this.captureInviteFromUrl(invitacion.search);
+      if (this.currentUser) {
+        await this.tryJoinPendingInvite();
+      } else {
+        ui.showNotification('Inicia sesión para unirte con la invitación', 'info');
+      }
+    };
+
+    try {
+      detener = await qrService.escanear(modal.querySelector('#qr_video'), onDetectado);
+      // El modal se cerró mientras se pedía permiso
+      if (cerrado) {
+        detener();
+        return;
+      }
+      estado.textContent = 'Apunta al código QR de la invitación.';
+    } catch (error) {
+      estado.textContent = error.message || 'No se pudo abrir la cámara';
+    }
+  }
+
   // Captura invitación desde la URL y la persiste temporalmente
-  captureInviteFromUrl() {
-    const urlParams = new URLSearchParams(window.location.search);
+  // (`?invite=TOKEN&id=EVENTO` para eventos, `?invite=TOKEN&grupo=GRUPO` para grupos
+  // y `?reclamar=TOKEN&id=EVENTO` para reclamar un invitado sin cuenta).
+  // `search` permite capturar el link leído de un QR sin salir de la app.
+  captureInviteFromUrl(search = window.location.search) {
+    const urlParams = new URLSearchParams(search);
     const invite = urlParams.get('invite');
     const id = urlParams.get('id');
-    if (invite && id) {
+    const grupo = urlParams.get('grupo');
+    const reclamar = urlParams.get('reclamar');
+    if (reclamar && id) {
+      try {
+        localStorage.setItem('pendingInvite', JSON.stringify({ reclamar, id }));
+        console.log('🔗 Reclamo de invitado capturado en localStorage');
+      } catch (_) {}
+      return;
+    }
+    if (invite && (id || grupo)) {
       try {
-        localStorage.setItem('pendingInvite', JSON.stringify({ invite, id }));
+        localStorage.setItem('pendingInvite', JSON.stringify(grupo ? { invite, grupo } : { invite, id }));
         console.log('🔗 Invitación capturada en localStorage');
       } catch (_) {}
     }
@@ -273,6 +753,7 @@ class GastosCompartidosApp {
       console.log('🔄 Cambio en estado de autenticación:', user ? 'Usuario autenticado' : 'Usuario no autenticado');
       
       this.currentUser = user;
+      this.monedaBase = null;
       
       // Actualizar estado global
       state.setUser(user);
@@ -312,6 +793,9 @@ class GastosCompartidosApp {
 
       // Cargar datos del usuario
       await this.loadUserData(user);
+      // Centro de notificaciones (campana de la barra de navegación)
+      try { notificationsService.start(); } catch (_) {}
+      this.renderNotificacionesBadge(state.get('notificacionesNoLeidas') || 0);
       // Habilitar FCM (token + listeners) si hay VAPID configurado
       try { await messagingService.enableForUser(user); } catch (_) {}
       // Guardar perfil básico en Firestore (si faltara)
@@ -332,6 +816,8 @@ class GastosCompartidosApp {
     try {
       // Deshabilitar FCM del usuario anterior
       try { await messagingService.disableForUser(); } catch (_) {}
+      notificationsService.stop();
+      this.renderNotificacionesBadge(0);
       console.log('🚪 Usuario no autenticado');
       
       // Limpiar estado del usuario
@@ -407,6 +893,12 @@ class GastosCompartidosApp {
         return;
       }
       
+      // Detener los listeners en tiempo real de la página anterior
+      state.clearListeners();
+
+      // Enlace abierto desde un push: marcar la notificación como leída
+      this.marcarNotificacionDeUrl();
+      
       // Actualizar navegación activa
       ui.updateActiveNavigation(route);
       
@@ -418,6 +910,20 @@ class GastosCompartidosApp {
     }
   }
   
+  /**
+   * Los push llevan `?notificacion=<id>` en la URL que abre el service worker:
+   * se marca como leída y se quita el parámetro de la barra de direcciones
+   */
+  marcarNotificacionDeUrl() {
+    const notificacionId = router.getQueryParam('notificacion');
+    if (!notificacionId) return;
+    notificationsService.marcarLeida(notificacionId)
+      .catch(error => console.warn('⚠️ No se pudo marcar la notificación como leída:', error));
+    const url = new URL(window.location.href);
+    url.searchParams.delete('notificacion');
+    window.history.replaceState(window.history.state, '', url.pathname + url.search);
+  }
+  
   /**
    * Verifica si una ruta requiere autenticación
    */
@@ -447,6 +953,9 @@ class GastosCompartidosApp {
         case '/evento':
           await this.loadEventoPage();
           break;
+        case '/grupo':
+          await this.loadGrupoPage();
+          break;
         case '/balances':
           await this.loadBalancesPage();
           break;
@@ -481,7 +990,8 @@ class GastosCompartidosApp {
       // Mostrar página del dashboard
       ui.showPage('dashboardPage');
       
-      // Cargar eventos del usuario
+      // Cargar grupos y eventos del usuario
+      await this.loadUserGrupos();
       await this.loadUserEventos();
       
     } catch (error) {
@@ -491,14 +1001,16 @@ class GastosCompartidosApp {
   }
   
   /**
-   * Carga los eventos del usuario
+   * Escucha los eventos del usuario: cada cambio actualiza el estado
+   * y el dashboard se re-renderiza (ver setupStateSubscriptions)
    */
   async loadUserEventos() {
     try {
-      console.log('📋 Cargando eventos del usuario...');
-      const eventos = await eventsService.listMine();
-      state.setEventos(eventos);
-      this.renderEventosList(eventos);
+      console.log('📋 Escuchando eventos del usuario...');
+      state.setListener('eventos', eventsService.watchMine(
+        (eventos) => state.setEventos(eventos),
+        () => ui.showError('No se pudieron cargar los eventos')
+      ));
       
     } catch (error) {
       console.error('❌ Error al cargar eventos:', error);
@@ -506,6 +1018,63 @@ class GastosCompartidosApp {
     }
   }
 
+  /**
+   * Carga los grupos del usuario (un error no impide mostrar los eventos)
+   */
+  async loadUserGrupos() {
+    try {
+      const grupos = await groupsService.listMine();
+      this.renderGruposList(grupos);
+    } catch (error) {
+      console.error('❌ Error al cargar grupos:', error);
+      this.renderGruposList([]);
+    }
+  }
+
+  renderGruposList(grupos) {
+    const list = document.getElementById('gruposList');
+    if (!list) return;
+    if (!grupos || grupos.length === 0) {
+      list.innerHTML = '<span class="text-muted">Agrupa eventos con las mismas personas (ej: departamento, viaje) creando un grupo.</span>';
+      return;
+    }
+    const ordenados = grupos.slice().sort((a, b) => (a.nombre || '').localeCompare(b.nombre || ''));
+    list.innerHTML = ordenados.map(g => `
+      <a href="/grupo?id=${encodeURIComponent(g.id)}" class="btn btn-outline-secondary">
+        ${(g.nombre || 'Grupo').replace(/</g, '&lt;')}
+        <span class="badge bg-light text-dark ms-1">${(g.miembrosUids || []).length} 👥</span>
+      </a>`).join('');
+  }
+
+  /**
+   * Completa el filtro de monedas con las monedas de los eventos del usuario
+   */
+  populateMonedaFilter(select, eventos) {
+    const actual = select.value;
+    const monedas = Array.from(new Set((eventos || []).map(e => e.moneda).filter(Boolean))).sort();
+    if (actual && !monedas.includes(actual)) monedas.push(actual);
+    select.innerHTML = `<option value="">Todas las monedas</option>${monedas.map(m => `<option value="${m}">${getCurrencyName(m)} (${m})</option>`).join('')}`;
+    select.value = actual;
+  }
+
+  /**
+   * Moneda base del usuario (perfil) para mostrar totales convertidos
+   */
+  async getMonedaBase() {
+    if (!this.monedaBase) {
+      const profile = await userService.getProfile().catch(() => null);
+      this.monedaBase = (profile && profile.moneda_base) || MONEDA_BASE_DEFAULT;
+    }
+    return this.monedaBase;
+  }
+
+  /**
+   * <datalist> con los códigos ISO-4217 para los inputs de moneda
+   */
+  monedasDatalistHtml(id) {
+    return `<datalist id="${id}">${MONEDAS_ISO.map(c => `<option value="${c}">${getCurrencyName(c)}</option>`).join('')}</datalist>`;
+  }
+
   renderEventosList(eventos) {
     const list = document.getElementById('eventosList');
     const empty = document.getElementById('emptyState');
@@ -517,6 +1086,7 @@ class GastosCompartidosApp {
     const txtSearch = document.getElementById('searchEventos');
     if (selEstado && !selEstado.value) selEstado.value = 'abierto';
     const estado = selEstado ? (selEstado.value || 'abierto') : 'abierto';
+    if (selMoneda) this.populateMonedaFilter(selMoneda, eventos);
     const moneda = selMoneda ? (selMoneda.value || '') : '';
     const q = (txtSearch && txtSearch.value ? txtSearch.value.trim().toLowerCase() : '');
 
@@ -538,22 +1108,20 @@ class GastosCompartidosApp {
     if (empty) empty.style.display = 'none';
     const frag = document.createDocumentFragment();
     filtered.forEach(evt => {
-      const invited = Array.isArray(evt.participantesUids) ? evt.participantesUids.length : (Array.isArray(evt.participantes) ? evt.participantes.length : 0);
-      const def = Number(evt.participantes_definidos || 0);
-      const n = invited > 0 ? invited : (def > 0 ? def : 1);
-      const share = Number(evt.monto || 0) / n;
-      const owner = this.currentUser && evt.creado_por === this.currentUser.uid;
+      const me = this.currentUser && this.currentUser.uid;
+      const share = me ? (cuotasPorParticipante(evt)[me] || 0) : 0;
+      const owner = me && propietarioDe(evt) === me;
       const div = document.createElement('div');
       div.className = 'col-12 col-md-6 col-lg-4';
       div.innerHTML = `
         <div class="card h-100">
           <div class="card-body">
             <div class="d-flex justify-content-between align-items-start">
-              <h5 class="card-title mb-1">${evt.titulo || 'Evento'}</h5>
+              <h5 class="card-title mb-1">${escapeHtml(evt.titulo || 'Evento')}</h5>
               <span class="badge ${evt.estado === 'cerrado' ? 'bg-secondary' : 'bg-success'}">${evt.estado || 'abierto'}${owner ? ' 👑' : ''}</span>
             </div>
-            <p class="card-text text-muted mb-2">${(evt.moneda || '')} ${Number(evt.monto || 0).toFixed(2)}</p>
-            <p class="card-text"><small class="text-muted">Tu parte aprox.: ${(evt.moneda || '')} ${share.toFixed(2)}</small></p>
+            <p class="card-text text-muted mb-2">${formatCurrency(montoDeEvento(evt), evt.moneda)} ${this.vencimientoBadgeHtml(evt)}</p>
+            <p class="card-text"><small class="text-muted">Tu parte: ${formatCurrency(share, evt.moneda)}</small></p>
             <button class="btn btn-outline-primary btn-sm" data-evento-id="${evt.id}">Ver</button>
           </div>
         </div>`;
@@ -565,37 +1133,96 @@ class GastosCompartidosApp {
     list.querySelectorAll('button[data-evento-id]').forEach(btn => {
       btn.addEventListener('click', () => {
         const id = btn.getAttribute('data-evento-id');
-        const url = `/evento?id=${encodeURIComponent(id)}`;
-        history.pushState({}, '', url);
-        this.loadEventoPage();
+        router.navigateTo(`/evento?id=${encodeURIComponent(id)}`);
       });
     });
   }
 
+  /**
+   * Fecha de vencimiento del evento como 'YYYY-MM-DD' (null si no tiene)
+   */
+  getFechaVencimiento(evt) {
+    const v = evt && evt.vence_el;
+    if (!v) return null;
+    const date = v.toDate ? v.toDate() : new Date(v);
+    return isNaN(date.getTime()) ? null : aFechaISO(date);
+  }
+
+  /**
+   * Badge de vencimiento: "Vencido" o "Vence en N días" cuando está cerca
+   */
+  vencimientoBadgeHtml(evt) {
+    const venc = estadoVencimiento(this.getFechaVencimiento(evt), aFechaISO(new Date()), evt.estado);
+    if (!venc || venc.estado === 'en_fecha') return '';
+    if (venc.estado === 'vencido') {
+      return `<span class="badge bg-danger" title="Venció hace ${-venc.dias} día${venc.dias === -1 ? '' : 's'}">Vencido</span>`;
+    }
+    return `<span class="badge bg-warning text-dark">${venc.dias === 0 ? 'Vence hoy' : `Vence en ${venc.dias} día${venc.dias === 1 ? '' : 's'}`}</span>`;
+  }
+
   async tryJoinPendingInvite() {
     try {
       let pending = null;
       try { pending = JSON.parse(localStorage.getItem('pendingInvite') || 'null'); } catch (_) {}
+      if (pending && pending.grupo && pending.invite) {
+        await this.joinPendingGrupo(pending);
+        return;
+      }
+      if (pending && pending.id && pending.reclamar) {
+        await this.claimPendingInvitado(pending);
+        return;
+      }
       if (!pending || !pending.id || !pending.invite) return;
       ui.showLoadingOverlay('Uniéndose al evento...');
-      await eventsService.joinByInvite(pending.id, pending.invite);
+      const { ya_participante } = await eventsService.joinByInvite(pending.id, pending.invite);
       eventsService.clearPendingInvite();
       ui.hideLoadingOverlay();
-      ui.showNotification('Te uniste al evento', 'success');
-      // Actualizar dashboard
-      await this.loadUserEventos();
+      ui.showNotification(ya_participante ? 'Ya participabas de este evento' : 'Te uniste al evento', 'success');
       // Navegar al evento
       history.replaceState({}, '', '/');
-      const url = `/evento?id=${encodeURIComponent(pending.id)}`;
-      history.pushState({}, '', url);
-      await this.loadEventoPage();
+      router.navigateTo(`/evento?id=${encodeURIComponent(pending.id)}`);
     } catch (e) {
       ui.hideLoadingOverlay();
       console.error('❌ Error al unirse por invitación:', e);
-      ui.showError('No se pudo unir al evento con la invitación');
+      // Los errores propios (link revocado, vencido o agotado) no traen `code`
+      ui.showError(e && !e.code && e.message ? e.message : 'No se pudo unir al evento con la invitación');
+    }
+  }
+  
+  async joinPendingGrupo(pending) {
+    try {
+      ui.showLoadingOverlay('Uniéndose al grupo...');
+      await groupsService.joinByInvite(pending.grupo, pending.invite);
+      eventsService.clearPendingInvite();
+      ui.hideLoadingOverlay();
+      ui.showNotification('Te uniste al grupo', 'success');
+      history.replaceState({}, '', '/');
+      router.navigateTo(`/grupo?id=${encodeURIComponent(pending.grupo)}`);
+    } catch (e) {
+      ui.hideLoadingOverlay();
+      console.error('❌ Error al unirse al grupo:', e);
+      ui.showError('No se pudo unir al grupo con la invitación');
     }
   }
   
+  async claimPendingInvitado(pending) {
+    try {
+      ui.showLoadingOverlay('Reclamando invitado...');
+      const { ya_reclamado } = await eventsService.reclamarInvitado(pending.id, pending.reclamar);
+      eventsService.clearPendingInvite();
+      ui.hideLoadingOverlay();
+      ui.showNotification(ya_reclamado ? 'Ya habías reclamado a este invitado' : 'Listo: los gastos y pagos del invitado ahora son tuyos', 'success');
+      history.replaceState({}, '', '/');
+      router.navigateTo(`/evento?id=${encodeURIComponent(pending.id)}`);
+    } catch (e) {
+      ui.hideLoadingOverlay();
+      console.error('❌ Error al reclamar invitado:', e);
+      // Link inválido o ya reclamado: no tiene sentido reintentar en el próximo inicio
+      eventsService.clearPendingInvite();
+      ui.showError(e && !e.code && e.message ? e.message : 'No se pudo reclamar el invitado');
+    }
+  }
+
   /**
    * Carga la página de evento individual
    */
@@ -619,79 +1246,366 @@ class GastosCompartidosApp {
   }
   
   /**
-   * Carga la página de balances
-   */
-  async loadBalancesPage() {
-    try {
-      console.log('💰 Cargando página de balances...');
-      
-      // Mostrar página de balances
-      ui.showPage('balancesPage');
-      
-      // Cargar balances del usuario
-      await this.loadUserBalances();
-      
-    } catch (error) {
-      console.error('❌ Error al cargar balances:', error);
-      throw error;
-    }
-  }
-  
-  /**
-   * Carga la página de ajustes
+   * Carga la página de grupo (`/grupo?id=...`)
    */
-  async loadAjustesPage() {
+  async loadGrupoPage() {
     try {
-      console.log('⚙️ Cargando página de ajustes...');
+      console.log('👥 Cargando página de grupo...');
       
-      // Mostrar página de ajustes
-      ui.showPage('ajustesPage');
+      // Mostrar página de grupo
+      ui.showPage('grupoPage');
       
-      // Cargar configuración del usuario
-      await this.loadUserSettings();
+      const grupoId = this.getEventoIdFromUrl();
+      if (grupoId) {
+        await this.loadGrupoData(grupoId);
+      }
       
     } catch (error) {
-      console.error('❌ Error al cargar ajustes:', error);
+      console.error('❌ Error al cargar página de grupo:', error);
       throw error;
     }
   }
   
   /**
-   * Obtiene el ID del evento de la URL
-   */
-  getEventoIdFromUrl() {
-    const urlParams = new URLSearchParams(window.location.search);
-    return urlParams.get('id');
-  }
-  
-  /**
-   * Carga los datos de un evento específico
+   * Carga los datos de un grupo: miembros, eventos, invitación y valores por defecto
    */
-  async loadEventoData(eventoId) {
+  async loadGrupoData(grupoId) {
     try {
-      console.log('📄 Cargando datos del evento:', eventoId);
-      ui.showLoadingOverlay('Cargando evento...');
-      const evt = await eventsService.getEvento(eventoId);
-      const titleEl = document.getElementById('eventoTitle');
-      const contentEl = document.getElementById('eventoContent');
-      if (!evt) {
-        if (titleEl) titleEl.textContent = 'Evento no encontrado';
-        if (contentEl) contentEl.innerHTML = '<div class="alert alert-warning">No tienes acceso o el evento no existe.</div>';
+      console.log('👥 Cargando datos del grupo:', grupoId);
+      ui.showLoadingOverlay('Cargando grupo...');
+      const grupo = await groupsService.getGrupo(grupoId).catch(() => null);
+      const titleEl = document.getElementById('grupoTitle');
+      const contentEl = document.getElementById('grupoContent');
+      if (!grupo) {
+        if (titleEl) titleEl.textContent = 'Grupo no encontrado';
+        if (contentEl) contentEl.innerHTML = '<div class="alert alert-warning">No tienes acceso o el grupo no existe.</div>';
         ui.hideLoadingOverlay();
         return;
       }
 
-      if (titleEl) titleEl.textContent = evt.titulo || 'Evento';
-      if (contentEl) {
-        const participantesCount = Array.isArray(evt.participantesUids) ? evt.participantesUids.length : (Array.isArray(evt.participantes) ? evt.participantes.length : 1);
-        const share = participantesCount > 0 ? Number(evt.monto || 0) / participantesCount : 0;
-        const creado = evt.creado_en && evt.creado_en.toDate ? evt.creado_en.toDate() : null;
-        const creadoStr = creado ? creado.toLocaleString() : '';
+      if (titleEl) titleEl.textContent = grupo.nombre || 'Grupo';
+      if (!contentEl) return;
+      const miembros = Array.isArray(grupo.miembrosUids) ? grupo.miembrosUids : [];
+      const [eventos, profiles] = await Promise.all([
+        eventsService.listByGrupo(grupo.id).catch(() => []),
+        userService.getProfiles(miembros).catch(() => ({}))
+      ]);
+      const nombreDe = (uid) => this.getParticipantName(grupo, uid, profiles);
+      const esCreador = this.currentUser && grupo.creado_por === this.currentUser.uid;
+      const shareUrl = `${window.location.origin}/?invite=${encodeURIComponent(grupo.token_invitacion || '')}&grupo=${encodeURIComponent(grupo.id)}`;
+      const ms = (e) => (e.creado_en && e.creado_en.toMillis ? e.creado_en.toMillis() : 0);
+      const ordenados = eventos.slice().sort((a, b) => ms(b) - ms(a));
+
+      contentEl.innerHTML = `
+        <div class="row g-3">
+          <div class="col-12 col-lg-8">
+            <div class="card mb-3">
+              <div class="card-body">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                  <h5 class="card-title m-0">Eventos del grupo</h5>
+                  <button class="btn btn-sm btn-success" id="btnCrearEventoGrupo">+ Nuevo evento</button>
+                </div>
+                ${ordenados.length === 0 ? '<div class="text-muted">Todavía no hay eventos en este grupo.</div>' : `
+                <div class="list-group">
+                  ${ordenados.map(evt => `
+                    <a href="/evento?id=${encodeURIComponent(evt.id)}" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center">
+                      <span>${(evt.titulo || 'Evento').replace(/</g, '&lt;')}</span>
+                      <span>
+                        ${formatCurrency(montoDeEvento(evt), evt.moneda)}
+                        <span class="badge ${evt.estado === 'cerrado' ? 'bg-secondary' : 'bg-success'} ms-1">${evt.estado || 'abierto'}</span>
+                      </span>
+                    </a>`).join('')}
+                </div>`}
+              </div>
+            </div>
+            <div class="card mb-3">
+              <div class="card-body">
+                <h5 class="card-title mb-2">Miembros</h5>
+                ${miembros.map(uid => `
+                  <div class="d-flex justify-content-between border-bottom py-2">
+                    <span>${escapeHtml(nombreDe(uid))}</span>
+                    ${uid === grupo.creado_por ? '<span class="badge bg-light text-dark">👑 Creador</span>' : ''}
+                  </div>`).join('')}
+                <div class="form-text mt-2">Los eventos nuevos del grupo incluyen a todos los miembros.</div>
+              </div>
+            </div>
+          </div>
+          <div class="col-12 col-lg-4">
+            <div class="card mb-3">
+              <div class="card-body">
+                <h6 class="card-subtitle mb-2 text-muted">Invitar al grupo</h6>
+                <div class="input-group">
+                  <input type="text" class="form-control" id="grupoShareLink" value="${shareUrl}" readonly>
+                  <button class="btn btn-outline-primary" id="btnCopyGrupoInvite">Copiar</button>
+                </div>
+                <div class="form-text mt-1">Quien se une queda sumado también a los eventos abiertos del grupo.</div>
+              </div>
+            </div>
+            <div class="card">
+              <div class="card-body">
+                <h6 class="card-subtitle mb-2 text-muted">Valores por defecto</h6>
+                ${esCreador ? `
+                <div class="mb-2">
+                  <label class="form-label" for="gr_nombre">Nombre</label>
+                  <input type="text" class="form-control" id="gr_nombre" value="${(grupo.nombre || '').replace(/"/g, '&quot;')}">
+                </div>
+                <div class="mb-2">
+                  <label class="form-label" for="gr_moneda">Moneda</label>
+                  <input type="text" class="form-control text-uppercase" id="gr_moneda" list="gr_monedas" maxlength="3" value="${grupo.moneda || ''}">
+                  ${this.monedasDatalistHtml('gr_monedas')}
+                </div>
+                <label class="form-label">División</label>
+                <div id="grupoDivisionPanel"></div>
+                <div class="d-grid mt-2">
+                  <button class="btn btn-primary" id="btnGuardarGrupo">Guardar</button>
+                </div>` : `
+                <ul class="list-unstyled mb-0">
+                  <li><strong>Moneda:</strong> ${grupo.moneda || ''}</li>
+                  <li><strong>División:</strong> ${this.getDivisionLabel(grupo.division)}</li>
+                </ul>`}
+              </div>
+            </div>
+          </div>
+        </div>
+      `;
+
+      const copyBtn = document.getElementById('btnCopyGrupoInvite');
+      const linkInput = document.getElementById('grupoShareLink');
+      if (copyBtn && linkInput) {
+        copyBtn.addEventListener('click', async () => {
+          try {
+            if (navigator.clipboard && window.isSecureContext) {
+              await navigator.clipboard.writeText(linkInput.value);
+            } else {
+              linkInput.removeAttribute('readonly');
+              linkInput.select();
+              linkInput.setSelectionRange(0, linkInput.value.length);
+              document.execCommand('copy');
+              linkInput.setAttribute('readonly', '');
+            }
+            ui.showNotification('Enlace copiado', 'success');
+          } catch (e) {
+            ui.showError('No se pudo copiar el enlace');
+          }
+        });
+      }
+
+      const btnCrearEventoGrupo = document.getElementById('btnCrearEventoGrupo');
+      if (btnCrearEventoGrupo) {
+        btnCrearEventoGrupo.addEventListener('click', () => this.handleCrearEvento(grupo));
+      }
+
+      const divisionPanel = document.getElementById('grupoDivisionPanel');
+      const leerDivision = divisionPanel ? this.renderDivisionGrupoEditor(divisionPanel, grupo, miembros, nombreDe) : null;
+      const btnGuardarGrupo = document.getElementById('btnGuardarGrupo');
+      if (btnGuardarGrupo) {
+        btnGuardarGrupo.addEventListener('click', async () => {
+          try {
+            ui.showLoadingOverlay('Guardando grupo...');
+            await groupsService.updateGrupo(grupo.id, {
+              nombre: document.getElementById('gr_nombre').value,
+              moneda: document.getElementById('gr_moneda').value,
+              division: leerDivision()
+            });
+            ui.showNotification('Grupo actualizado', 'success');
+            await this.loadGrupoData(grupo.id);
+          } catch (e) {
+            console.error('❌ Error al guardar grupo:', e);
+            ui.showError(e && e.message ? e.message : 'No se pudo guardar el grupo');
+          } finally {
+            ui.hideLoadingOverlay();
+          }
+        });
+      }
+
+      ui.hideLoadingOverlay();
+    } catch (error) {
+      console.error('❌ Error al cargar datos del grupo:', error);
+      ui.hideLoadingOverlay();
+      ui.showError('Error al cargar el grupo');
+    }
+  }
+
+  /**
+   * Editor de la división por defecto de un grupo. Solo admite modos que no
+   * dependen del total (igual, porcentaje, partes).
+   * @returns {Function} lee la división elegida
+   */
+  renderDivisionGrupoEditor(container, grupo, miembros, nombreDe) {
+    const actual = grupo.division || { modo: 'igual' };
+    const valores = actual.valores || {};
+    const modos = MODOS_DIVISION.filter(m => m !== 'exacto');
+    container.innerHTML = `
+      <select class="form-select form-select-sm mb-1" id="gr_div_modo">
+        ${modos.map(m => `<option value="${m}" ${m === (actual.modo || 'igual') ? 'selected' : ''}>${this.getDivisionLabel({ modo: m })}</option>`).join('')}
+      </select>
+      ${miembros.map(uid => `
+        <div class="d-flex align-items-center justify-content-between gap-2 py-1" data-gr-div-uid="${uid}">
+          <small>${escapeHtml(nombreDe(uid))}</small>
+          <input type="number" class="form-control form-control-sm" style="width: 90px;" step="0.01" min="0" value="${valores[uid] !== undefined ? valores[uid] : ''}">
+        </div>`).join('')}`;
+
+    const selModo = container.querySelector('#gr_div_modo');
+    const actualizarVista = () => {
+      const placeholders = { porcentaje: '%', partes: '1' };
+      container.querySelectorAll('[data-gr-div-uid]').forEach(row => {
+        const input = row.querySelector('input');
+        row.style.display = selModo.value === 'igual' ? 'none' : '';
+        input.placeholder = placeholders[selModo.value] || '';
+      });
+    };
+    selModo.addEventListener('change', actualizarVista);
+    actualizarVista();
+
+    return () => {
+      const division = { modo: selModo.value, valores: {} };
+      miembros.forEach(uid => {
+        const valor = container.querySelector(`[data-gr-div-uid="${uid}"] input`).value;
+        if (valor !== '') division.valores[uid] = parseFloat(valor);
+      });
+      return division;
+    };
+  }
+  
+  /**
+   * Carga la página de balances
+   */
+  async loadBalancesPage() {
+    try {
+      console.log('💰 Cargando página de balances...');
+      
+      // Mostrar página de balances
+      ui.showPage('balancesPage');
+      
+      // Cargar balances del usuario
+      await this.loadUserBalances();
+      
+    } catch (error) {
+      console.error('❌ Error al cargar balances:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Carga la página de ajustes
+   */
+  async loadAjustesPage() {
+    try {
+      console.log('⚙️ Cargando página de ajustes...');
+      
+      // Mostrar página de ajustes
+      ui.showPage('ajustesPage');
+      
+      // Cargar configuración del usuario
+      await this.loadUserSettings();
+      
+    } catch (error) {
+      console.error('❌ Error al cargar ajustes:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Obtiene el ID del evento de la URL
+   */
+  getEventoIdFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.get('id');
+  }
+  
+  /**
+   * Escucha un evento en tiempo real: los cambios de cualquier participante
+   * (pagos, gastos, cierre) se reflejan sin recargar la página
+   */
+  async loadEventoData(eventoId) {
+    console.log('📄 Escuchando evento:', eventoId);
+    this.eventoRenderSeq++;
+    this.eventoEnEdicion = false;
+    const titleEl = document.getElementById('eventoTitle');
+    const contentEl = document.getElementById('eventoContent');
+    if (titleEl) titleEl.textContent = 'Cargando evento...';
+    if (contentEl) contentEl.innerHTML = '';
+    state.setListener('evento', eventsService.watchEvento(
+      eventoId,
+      (evt) => state.setEventoActual(evt),
+      () => state.setEventoActual(null)
+    ));
+  }
+
+  /**
+   * Aplica un nuevo snapshot del evento. Si el usuario está escribiendo en un
+   * campo de la página, espera a que salga de ella para no pisar lo tipeado.
+   */
+  refreshEvento(evt) {
+    const contentEl = document.getElementById('eventoContent');
+    const editando = () => {
+      const activo = document.activeElement;
+      return !!(contentEl && activo && contentEl.contains(activo) && ['INPUT', 'TEXTAREA', 'SELECT'].includes(activo.tagName));
+    };
+    if (!editando()) {
+      this.renderEventoData(evt);
+      return;
+    }
+    if (this.eventoEnEdicion) return;
+    this.eventoEnEdicion = true;
+    const alSalir = () => setTimeout(() => {
+      if (!this.eventoEnEdicion) return;
+      if (editando()) {
+        contentEl.addEventListener('focusout', alSalir, { once: true });
+        return;
+      }
+      this.eventoEnEdicion = false;
+      if (this.currentRoute === '/evento') this.renderEventoData(state.getEventoActual());
+    }, 0);
+    contentEl.addEventListener('focusout', alSalir, { once: true });
+  }
+
+  /**
+   * Renderiza la página de un evento
+   * @param {Object|null} evt - null si no existe o no hay acceso
+   */
+  async renderEventoData(evt) {
+    const seq = ++this.eventoRenderSeq;
+    try {
+      const titleEl = document.getElementById('eventoTitle');
+      const contentEl = document.getElementById('eventoContent');
+      if (!evt) {
+        if (titleEl) titleEl.textContent = 'Evento no encontrado';
+        if (contentEl) contentEl.innerHTML = '<div class="alert alert-warning">No tienes acceso o el evento no existe.</div>';
+        return;
+      }
+
+      if (titleEl) titleEl.textContent = evt.titulo || 'Evento';
+      let nombreParticipante = (uid) => this.getParticipantName(evt, uid);
+      if (contentEl) {
+        const participantesCount = Array.isArray(evt.participantesUids) ? evt.participantesUids.length : (Array.isArray(evt.participantes) ? evt.participantes.length : 1);
+        const cuotas = cuotasPorParticipante(evt);
+        const share = this.currentUser ? (cuotas[this.currentUser.uid] || 0) : 0;
+        const creado = evt.creado_en && evt.creado_en.toDate ? evt.creado_en.toDate() : null;
+        const creadoStr = creado ? creado.toLocaleString() : '';
         const shareUrl = `${window.location.origin}/?invite=${encodeURIComponent(evt.token_invitacion || '')}&id=${encodeURIComponent(evt.id)}`;
-        const esCreador = this.currentUser && evt.creado_por === this.currentUser.uid;
+        // Qué controles se muestran depende del rol en el evento (ver @shared/roles.js)
+        const permisos = permisosEvento(evt, this.currentUser && this.currentUser.uid);
+        const puedeAdministrar = permisos.administrar;
+        const monedaBase = await this.getMonedaBase();
+        const tasaBase = tasaDeEvento(evt, monedaBase);
         const partDef = Number(evt.participantes_definidos || 0);
-        const shareEstimado = partDef > 0 ? Number(evt.monto || 0) / partDef : 0;
+        // Mayor cuota del reparto entre los definidos (la que se lleva el centavo sobrante)
+        const shareEstimado = partDef > 0 ? repartirMonto(montoDeEvento(evt), Array(partDef).fill(1), evt.moneda)[0] : 0;
+        const uids = Array.isArray(evt.participantesUids) ? evt.participantesUids : [];
+        const profiles = uids.length > 0 ? await userService.getProfiles(uids).catch(() => ({})) : {};
+        const gastos = Array.isArray(evt.gastos) ? evt.gastos : [];
+        const esParticipante = !!(this.currentUser && uids.includes(this.currentUser.uid));
+        const puedeEditarGastos = permisos.editarGastos;
+        const grupo = evt.grupo_id ? await groupsService.getGrupo(evt.grupo_id).catch(() => null) : null;
+        // Llegó un snapshot más nuevo mientras se cargaban perfiles y grupo
+        if (seq !== this.eventoRenderSeq) return;
         contentEl.innerHTML = `
+          ${grupo && !esParticipante && evt.estado !== 'cerrado' ? `
+          <div class="alert alert-info d-flex justify-content-between align-items-center">
+            <span>Eres miembro del grupo pero todavía no participas de este evento.</span>
+            <button class="btn btn-sm btn-primary" id="btnSumarmeEvento">Sumarme</button>
+          </div>` : ''}
           <div class="row g-3">
             <div class="col-12 col-lg-8">
               <div class="card mb-3">
@@ -701,12 +1615,17 @@ class GastosCompartidosApp {
                     <span class="badge ${evt.estado === 'cerrado' ? 'bg-secondary' : 'bg-success'}">${evt.estado || 'abierto'}</span>
                   </div>
                   <ul class="list-unstyled mb-2 mt-2">
-                    <li><strong>Monto:</strong> ${(evt.moneda || '')} ${Number(evt.monto || 0).toFixed(2)}</li>
-                    <li><strong>Repetición:</strong> ${evt.repeticion || 'unico'}</li>
+                    <li><strong>Total:</strong> ${formatCurrency(montoDeEvento(evt), evt.moneda)} <span class="text-muted">(${gastos.length} gasto${gastos.length === 1 ? '' : 's'})</span></li>
+                    ${evt.tipo_cambio ? `<li><strong>Tipo de cambio:</strong> 1 ${evt.moneda} = ${evt.tipo_cambio.valor} ${evt.tipo_cambio.base}${evt.tipo_cambio.tipo ? ` <span class="text-muted">(${evt.tipo_cambio.tipo} del ${evt.tipo_cambio.fecha})</span>` : ''}</li>` : ''}
+                    ${tasaBase !== null && evt.moneda !== monedaBase ? `<li><strong>Total en ${monedaBase}:</strong> ${formatCurrency(convertir(montoDeEvento(evt), tasaBase, monedaBase), monedaBase)}</li>` : ''}
+                    ${grupo ? `<li><strong>Grupo:</strong> <a href="/grupo?id=${encodeURIComponent(grupo.id)}">${(grupo.nombre || 'Grupo').replace(/</g, '&lt;')}</a></li>` : ''}
+                    ${evt.vence_el ? `<li><strong>Vence el:</strong> ${evt.vence_el.toDate ? evt.vence_el.toDate().toLocaleDateString('es-AR') : ''} ${this.vencimientoBadgeHtml(evt)}</li>` : ''}
+                    <li><strong>Repetición:</strong> ${ETIQUETAS_FRECUENCIA[evt.repeticion || 'unico'] || evt.repeticion}</li>
                     <li><strong>Participantes por invitación:</strong> ${participantesCount}</li>
+                    ${permisos.rol ? `<li><strong>Tu rol:</strong> ${ETIQUETAS_ROL[permisos.rol]}</li>` : ''}
                     ${partDef > 0 ? `<li><strong>Participantes definidos:</strong> ${partDef} <span class="text-muted">(estimación)</span></li>` : ''}
-                    <li><strong>Tu parte (1/n):</strong> ${(evt.moneda || '')} ${share.toFixed(2)}</li>
-                    ${partDef > 0 ? `<li><strong>Parte estimada (definidos):</strong> ${(evt.moneda || '')} ${shareEstimado.toFixed(2)}</li>` : ''}
+                    <li><strong>Tu parte (${this.getDivisionLabel(evt.division)}):</strong> ${formatCurrency(share, evt.moneda)}</li>
+                    ${partDef > 0 ? `<li><strong>Parte estimada (definidos):</strong> ${formatCurrency(shareEstimado, evt.moneda)}</li>` : ''}
                     ${creadoStr ? `<li><strong>Creado:</strong> ${creadoStr}</li>` : ''}
                   </ul>
                   ${evt.detalle ? `<div class="mt-2"><strong>Detalle:</strong><div class="border rounded p-2 mt-1">${evt.detalle.replace(/</g,'&lt;')}</div></div>` : ''}
@@ -714,11 +1633,38 @@ class GastosCompartidosApp {
               </div>
               <div class="card mb-3">
                 <div class="card-body">
-                  <h5 class="card-title mb-2">Participantes</h5>
+                  <div class="d-flex justify-content-between align-items-center mb-2">
+                    <h5 class="card-title m-0">Gastos</h5>
+                    ${puedeEditarGastos ? '<button class="btn btn-sm btn-outline-primary" id="btnAgregarGasto">+ Agregar gasto</button>' : ''}
+                  </div>
+                  <div id="gastosList"></div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5 class="card-title mb-2">Comprobantes</h5>
+                  <div id="adjuntosPanel"></div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h5 class="card-title mb-2">División</h5>
+                  <div id="divisionPanel"></div>
+                </div>
+              </div>
+              <div class="card mb-3">
+                <div class="card-body">
+                  <div class="d-flex justify-content-between align-items-center mb-2">
+                    <h5 class="card-title m-0">Participantes</h5>
+                    <div class="d-flex gap-2">
+                      ${permisos.gestionarRoles ? '<button class="btn btn-sm btn-outline-secondary" id="btnRolesEvento">Roles</button>' : ''}
+                      ${puedeAdministrar && evt.estado !== 'cerrado' ? '<button class="btn btn-sm btn-outline-primary" id="btnAgregarInvitado" title="Alguien sin cuenta que igual paga su parte">+ Invitado sin cuenta</button>' : ''}
+                    </div>
+                  </div>
                   <div id="participantsList"></div>
                 </div>
               </div>
-              ${evt.estado !== 'cerrado' && esCreador ? `
+              ${evt.estado !== 'cerrado' && puedeAdministrar ? `
               <div class="mt-3">
                 <button class="btn btn-danger" id="btnCerrarEvento">Cerrar evento</button>
               </div>` : ''}
@@ -730,10 +1676,19 @@ class GastosCompartidosApp {
                   <div class="input-group">
                     <input type="text" class="form-control" id="eventoShareLink" value="${shareUrl}" readonly>
                     <button class="btn btn-outline-primary" id="btnCopyInvite">Copiar</button>
+                    <button class="btn btn-outline-primary" id="btnQrInvite" aria-label="Mostrar código QR">QR</button>
                   </div>
+                  <div id="invitacionesPanel" class="mt-2"></div>
                 </div>
               </div>
-              ${esCreador && evt.estado !== 'cerrado' ? `
+              ${evt.recurrencia || evt.serie_id ? `
+              <div class="card mb-3">
+                <div class="card-body">
+                  <h6 class="card-subtitle mb-2 text-muted">Repetición</h6>
+                  <div id="recurrenciaPanel"></div>
+                </div>
+              </div>` : ''}
+              ${puedeAdministrar && evt.estado !== 'cerrado' ? `
               <div class="card">
                 <div class="card-body">
                   <h6 class="card-subtitle mb-2 text-muted">Configuración</h6>
@@ -741,10 +1696,33 @@ class GastosCompartidosApp {
                     <label class="form-label" for="cfg_partdef">Participantes esperados</label>
                     <input type="number" class="form-control" id="cfg_partdef" min="1" value="${partDef || ''}">
                   </div>
+                  <div class="mb-2">
+                    <label class="form-label" for="cfg_vence_el">Vence el</label>
+                    <input type="date" class="form-control" id="cfg_vence_el" value="${this.getFechaVencimiento(evt) || ''}">
+                    <div class="form-text">Quienes deban reciben un recordatorio unos días antes y después.</div>
+                  </div>
                   <div class="mb-2">
                     <label class="form-label" for="cfg_detalle">Detalle</label>
                     <textarea class="form-control" id="cfg_detalle" rows="2">${evt.detalle ? evt.detalle.replace(/</g,'&lt;') : ''}</textarea>
                   </div>
+                  <div class="mb-2">
+                    <label class="form-label" for="cfg_tc_valor">Tipo de cambio</label>
+                    <div class="input-group">
+                      <span class="input-group-text">1 ${evt.moneda} =</span>
+                      <input type="number" class="form-control" id="cfg_tc_valor" step="any" min="0" value="${evt.tipo_cambio ? evt.tipo_cambio.valor : ''}">
+                      <input type="text" class="form-control text-uppercase" id="cfg_tc_base" list="cfg_monedas" maxlength="3" style="max-width: 80px;" value="${evt.tipo_cambio ? evt.tipo_cambio.base : monedaBase}">
+                    </div>
+                    ${this.monedasDatalistHtml('cfg_monedas')}
+                    <div class="input-group input-group-sm mt-1">
+                      <select class="form-select" id="cfg_tc_tipo">
+                        <option value="">Manual</option>
+                        ${TIPOS_COTIZACION.map(t => `<option value="${t}" ${evt.tipo_cambio && evt.tipo_cambio.tipo === t ? 'selected' : ''}>${t === 'mep' ? 'MEP' : t.charAt(0).toUpperCase() + t.slice(1)}</option>`).join('')}
+                      </select>
+                      <input type="date" class="form-control" id="cfg_tc_fecha" value="${(evt.tipo_cambio && evt.tipo_cambio.fecha) || ''}">
+                      <button class="btn btn-outline-secondary" type="button" id="cfg_tc_obtener">Cotizar</button>
+                    </div>
+                    <div class="form-text">Vacío para no convertir. Con un tipo (oficial, blue, MEP) el valor queda fijado a la cotización de esa fecha.</div>
+                  </div>
                   <div class="d-grid">
                     <button class="btn btn-primary" id="btnGuardarCfg">Guardar</button>
                   </div>
@@ -754,6 +1732,22 @@ class GastosCompartidosApp {
           </div>
         `;
 
+        const btnSumarme = document.getElementById('btnSumarmeEvento');
+        if (btnSumarme) {
+          btnSumarme.addEventListener('click', async () => {
+            try {
+              ui.showLoadingOverlay('Sumándote al evento...');
+              await eventsService.joinFromGrupo(evt.id);
+              ui.showNotification('Te sumaste al evento', 'success');
+            } catch (e) {
+              console.error('❌ Error al sumarse al evento:', e);
+              ui.showError('No se pudo sumar al evento');
+            } finally {
+              ui.hideLoadingOverlay();
+            }
+          });
+        }
+
         const copyBtn = document.getElementById('btnCopyInvite');
         const linkInput = document.getElementById('eventoShareLink');
         if (copyBtn && linkInput) {
@@ -775,17 +1769,55 @@ class GastosCompartidosApp {
           });
         }
 
+        const qrBtn = document.getElementById('btnQrInvite');
+        if (qrBtn) {
+          qrBtn.addEventListener('click', () => this.showInviteQrModal(shareUrl, evt.titulo));
+        }
+
+        // Render gastos (ítems) del evento
+        const nombreDe = (uid) => this.getParticipantName(evt, uid, profiles);
+        nombreParticipante = nombreDe;
+        const glist = document.getElementById('gastosList');
+        if (glist) {
+          this.renderGastosList(glist, evt, gastos, nombreDe, puedeEditarGastos);
+        }
+        const btnAgregarGasto = document.getElementById('btnAgregarGasto');
+        if (btnAgregarGasto) {
+          btnAgregarGasto.addEventListener('click', () => this.showGastoModal(evt, null, nombreDe));
+        }
+
+        // Comprobantes adjuntos
+        this.renderAdjuntosPanel(evt);
+
+        // Estado del link, límites y quién entró por cada link
+        const invitacionesPanel = document.getElementById('invitacionesPanel');
+        if (invitacionesPanel) {
+          this.renderInvitacionesPanel(invitacionesPanel, evt, puedeAdministrar, nombreDe);
+        }
+
+        // Calendario de la serie (evento original) o enlace a ella (ocurrencias)
+        const recurrenciaPanel = document.getElementById('recurrenciaPanel');
+        if (recurrenciaPanel) {
+          this.renderRecurrenciaPanel(recurrenciaPanel, evt, puedeAdministrar);
+        }
+
+        // Editor de división (propietario y administradores con el evento abierto)
+        const divisionPanel = document.getElementById('divisionPanel');
+        if (divisionPanel) {
+          this.renderDivisionEditor(divisionPanel, evt, uids, nombreDe, puedeAdministrar && evt.estado !== 'cerrado');
+        }
+
         // Render participantes y pagos
         const plist = document.getElementById('participantsList');
         if (plist) {
-          const uids = Array.isArray(evt.participantesUids) ? evt.participantesUids : [];
           if (uids.length === 0) {
             plist.innerHTML = '<div class="text-muted">Sin participantes aún.</div>';
           } else {
-            const pagos = evt.pagos || {};
             const aliases = evt.aliases || {};
-            const profiles = await userService.getProfiles(uids).catch(() => ({}));
-            const isOwner = esCreador && evt.estado !== 'cerrado';
+            const aportes = aportesPorParticipante(evt);
+            const saldos = saldosNetos(evt);
+            const administraAbierto = puedeAdministrar && evt.estado !== 'cerrado';
+            const moneda = evt.moneda || '';
             const frag = document.createDocumentFragment();
             uids.forEach(uid => {
               const row = document.createElement('div');
@@ -795,78 +1827,66 @@ class GastosCompartidosApp {
               const prof = profiles[uid] || {};
               const profName = prof.displayName || prof.email || '';
               const display = isMe ? 'Tú' : (aliases[uid] || profName || (uid.length > 10 ? uid.slice(0,6) + '…' + uid.slice(-4) : uid));
-              const parte = (evt.monto && (participantesCount > 0 ? (Number(evt.monto)/participantesCount) : 0)) || 0;
+              const invitado = esInvitado(uid);
+              const rol = invitado ? null : rolEnEvento(evt, uid);
+              const parte = cuotas[uid] || 0;
+              const excluido = ((evt.division && evt.division.excluidos) || []).includes(uid);
+              const pago = estadoPago(evt, uid, saldos);
+              const historial = pagosDe(evt, uid).historial;
+              // Cada miembro registra sus propios pagos; propietario y administradores, los de cualquiera
+              const puedeRegistrar = (administraAbierto || (isMe && permisos.registrarPagoPropio)) && pago.restante > 0;
+              const badge = pago.debe === 0
+                ? '<span class="badge bg-light text-dark">Sin deuda</span>'
+                : (pago.saldado
+                  ? '<span class="badge bg-success">Pagado</span>'
+                  : (pago.pagado > 0 ? '<span class="badge bg-info text-dark">Parcial</span>' : '<span class="badge bg-warning text-dark">Pendiente</span>'));
               row.innerHTML = `
                 <div class="me-2 flex-grow-1">
-                  <div class="fw-semibold" title="${profName}">${display}</div>
-                  <small class="text-muted">Parte: ${(evt.moneda||'')} ${parte.toFixed(2)}</small>
+                  <div class="fw-semibold" title="${escapeHtml(profName)}">${escapeHtml(display)}${invitado ? ' <span class="badge bg-light text-dark border" title="Participante sin cuenta">Invitado</span>' : ''}${rol && rol !== 'member' ? ` <span class="badge bg-light text-dark border">${rol === 'owner' ? '👑 ' : ''}${ETIQUETAS_ROL[rol]}</span>` : ''}</div>
+                  <small class="text-muted">${excluido ? 'Excluido' : `Parte: ${formatCurrency(parte, moneda)}`} · Aportó: ${formatCurrency(Number(aportes[uid] || 0), moneda)}</small>
+                  ${pago.debe > 0 ? `
+                  <div class="progress mt-1" style="height: 6px;" title="${Math.round(pago.progreso * 100)}%">
+                    <div class="progress-bar ${pago.saldado ? 'bg-success' : 'bg-info'}" role="progressbar" style="width: ${Math.round(pago.progreso * 100)}%"></div>
+                  </div>
+                  <small class="text-muted">Pagó ${formatCurrency(pago.pagado, moneda)} de ${formatCurrency(pago.debe, moneda)} · Falta ${formatCurrency(pago.restante, moneda)}</small>` : ''}
                 </div>
                 <div class="d-flex align-items-center gap-3">
-                  ${isOwner ? `<div class="form-check form-switch m-0">
-                    <input class="form-check-input" type="checkbox" id="paid_${uid}" ${pagos[uid] ? 'checked' : ''}>
-                    <label class="form-check-label" for="paid_${uid}">Pagado</label>
-                  </div>` : `${pagos[uid] ? '<span class="badge bg-success">Pagado</span>' : '<span class="badge bg-warning text-dark">Pendiente</span>'}`}
-                  ${isOwner ? `<div class="input-group input-group-sm" style="width: 220px;">
-                    <input type="text" class="form-control" id="alias_${uid}" placeholder="Alias" value="${aliases[uid] || ''}">
+                  ${badge}
+                  ${puedeRegistrar ? '<button class="btn btn-sm btn-outline-success" type="button" data-action="registrar-pago">Registrar pago</button>' : ''}
+                  ${historial.length > 0 ? '<button class="btn btn-sm btn-link p-0" type="button" data-action="historial-pagos">Historial</button>' : ''}
+                  ${invitado && puedeAdministrar ? '<button class="btn btn-sm btn-link p-0" type="button" data-action="reclamo-invitado">Link para reclamar</button>' : ''}
+                  ${administraAbierto ? `<div class="input-group input-group-sm" style="width: 220px;">
+                    <input type="text" class="form-control" id="alias_${uid}" placeholder="Alias" value="${escapeHtml(aliases[uid] || '')}">
                     <button class="btn btn-outline-secondary" type="button" id="save_alias_${uid}">Guardar</button>
                   </div>` : ''}
                 </div>`;
-              frag.appendChild(row);
-            });
-            plist.appendChild(frag);
-
-            // Si no es creador, permitir que el propio usuario marque su pago
-            uids.forEach(uid => {
-              const isMe = this.currentUser && uid === this.currentUser.uid;
-              const canSelfToggle = !isOwner && isMe && evt.estado !== 'cerrado';
-              if (!canSelfToggle) return;
-              const row = plist.querySelector(`div[data-uid="${uid}"]`);
-              if (!row) return;
-              const actions = row.querySelector('.d-flex.align-items-center.gap-3');
-              if (!actions) return;
-              // Si no existe el switch, crearlo y reemplazar el badge
-              if (!actions.querySelector(`#paid_${uid}`)) {
-                const badge = actions.querySelector('.badge');
-                const wrapper = document.createElement('div');
-                wrapper.className = 'form-check form-switch m-0';
-                wrapper.innerHTML = `
-                  <input class="form-check-input" type="checkbox" id="paid_${uid}" ${pagos[uid] ? 'checked' : ''}>
-                  <label class="form-check-label" for="paid_${uid}">Pagado</label>
-                `;
-                if (badge) {
-                  actions.replaceChild(wrapper, badge);
-                } else {
-                  actions.prepend(wrapper);
-                }
+              const btnPago = row.querySelector('button[data-action="registrar-pago"]');
+              if (btnPago) {
+                btnPago.addEventListener('click', () => this.showRegistrarPagoModal(evt, uid, pago, display));
               }
-              const input = actions.querySelector(`#paid_${uid}`);
-              if (input) {
-                input.addEventListener('change', async () => {
+              const btnHistorial = row.querySelector('button[data-action="historial-pagos"]');
+              if (btnHistorial) {
+                btnHistorial.addEventListener('click', () => this.showHistorialPagosModal(evt, historial, display, nombreDe));
+              }
+              const btnReclamo = row.querySelector('button[data-action="reclamo-invitado"]');
+              if (btnReclamo) {
+                btnReclamo.addEventListener('click', async () => {
                   try {
-                    await eventsService.setPago(evt.id, uid, input.checked);
-                    ui.showNotification('Tu estado de pago fue actualizado', 'success');
+                    const tokens = await eventsService.listReclamos(evt.id);
+                    if (!tokens[uid]) throw new Error('El link para reclamar a este invitado ya no está disponible');
+                    this.showReclamoInvitadoModal(evt, display, tokens[uid]);
                   } catch (e) {
-                    ui.showError('No se pudo actualizar tu estado de pago');
-                    input.checked = !input.checked;
+                    console.error('❌ Error al obtener link de reclamo:', e);
+                    ui.showError(e && !e.code && e.message ? e.message : 'No se pudo obtener el link para reclamar');
                   }
                 });
               }
+              frag.appendChild(row);
             });
+            plist.appendChild(frag);
 
-            if (isOwner) {
+            if (administraAbierto) {
               uids.forEach(uid => {
-                const input = document.getElementById(`paid_${uid}`);
-                if (input) {
-                  input.addEventListener('change', async () => {
-                    try {
-                      await eventsService.setPago(evt.id, uid, input.checked);
-                      ui.showNotification('Pago actualizado', 'success');
-                    } catch (e) {
-                      ui.showError('No se pudo actualizar el pago');
-                      input.checked = !input.checked;
-                    }
-                  });
-                }
                 const aliasInput = document.getElementById(`alias_${uid}`);
                 const aliasBtn = document.getElementById(`save_alias_${uid}`);
                 if (aliasBtn && aliasInput) {
@@ -884,7 +1904,41 @@ class GastosCompartidosApp {
           }
         }
 
+        const btnAgregarInvitado = document.getElementById('btnAgregarInvitado');
+        if (btnAgregarInvitado) {
+          btnAgregarInvitado.addEventListener('click', () => this.showAgregarInvitadoModal(evt));
+        }
+        const btnRoles = document.getElementById('btnRolesEvento');
+        if (btnRoles) {
+          btnRoles.addEventListener('click', () => this.showRolesModal(evt, nombreDe));
+        }
+
         // Guardar configuración del evento (propietario)
+        // Completar el tipo de cambio con la cotización guardada del día elegido
+        const btnCotizar = document.getElementById('cfg_tc_obtener');
+        if (btnCotizar) {
+          btnCotizar.addEventListener('click', async () => {
+            const tipo = document.getElementById('cfg_tc_tipo').value || 'oficial';
+            const fechaEl = document.getElementById('cfg_tc_fecha');
+            if (!fechaEl.value) {
+              const hoy = new Date();
+              fechaEl.value = `${hoy.getFullYear()}-${String(hoy.getMonth() + 1).padStart(2, '0')}-${String(hoy.getDate()).padStart(2, '0')}`;
+            }
+            document.getElementById('cfg_tc_tipo').value = tipo;
+            try {
+              ui.showLoadingOverlay('Buscando cotización...');
+              const base = normalizarMoneda(document.getElementById('cfg_tc_base').value || monedaBase);
+              const tasa = await ratesService.getTasa(evt.moneda, base, tipo, fechaEl.value);
+              document.getElementById('cfg_tc_valor').value = tasa;
+            } catch (e) {
+              console.error('❌ Error al obtener cotización:', e);
+              ui.showError(e && e.message ? e.message : 'No se pudo obtener la cotización');
+            } finally {
+              ui.hideLoadingOverlay();
+            }
+          });
+        }
+
         const btnGuardarCfg = document.getElementById('btnGuardarCfg');
         if (btnGuardarCfg) {
           btnGuardarCfg.addEventListener('click', async () => {
@@ -894,56 +1948,996 @@ class GastosCompartidosApp {
             const val = partdefEl && partdefEl.value ? Number(partdefEl.value) : null;
             if (val && val > 0) updates.participantes_definidos = val; else updates.participantes_definidos = null;
             if (detalleEl) updates.detalle = detalleEl.value;
+            const tcValorEl = document.getElementById('cfg_tc_valor');
+            const tcBaseEl = document.getElementById('cfg_tc_base');
+            const tcTipoEl = document.getElementById('cfg_tc_tipo');
+            const tcFechaEl = document.getElementById('cfg_tc_fecha');
+            const tipoCambio = tcValorEl && tcValorEl.value
+              ? {
+                base: tcBaseEl ? tcBaseEl.value : monedaBase,
+                valor: parseFloat(tcValorEl.value),
+                ...(tcTipoEl && tcTipoEl.value ? { tipo: tcTipoEl.value, fecha: tcFechaEl ? tcFechaEl.value : '' } : {})
+              }
+              : null;
             try {
               ui.showLoadingOverlay('Guardando...');
               await eventsService.updateEvento(evt.id, updates);
+              await eventsService.setTipoCambio(evt.id, tipoCambio);
+              const venceEl = document.getElementById('cfg_vence_el');
+              const vence = venceEl && venceEl.value ? venceEl.value : null;
+              if (venceEl && vence !== this.getFechaVencimiento(evt)) {
+                await eventsService.setVencimiento(evt.id, vence);
+              }
               ui.showNotification('Configuración guardada', 'success');
-              await this.loadEventoData(evt.id);
             } catch (e) {
-              ui.showError('No se pudo guardar la configuración');
+              ui.showError(e && e.message ? e.message : 'No se pudo guardar la configuración');
             } finally {
               ui.hideLoadingOverlay();
             }
           });
         }
-      }
+      }
+
+      // Volver al dashboard
+      // Volver al grupo si el evento pertenece a uno; si no, al dashboard
+      // (onclick para no acumular listeners al recargar el evento)
+      const backBtn = document.getElementById('btnVolverEvento');
+      if (backBtn) {
+        backBtn.onclick = () => {
+          router.navigateTo(evt.grupo_id ? `/grupo?id=${encodeURIComponent(evt.grupo_id)}` : '/');
+        };
+      }
+
+      // Cerrar evento (propietario y administradores, si está abierto)
+      const btnCerrar = document.getElementById('btnCerrarEvento');
+      if (btnCerrar) {
+        btnCerrar.addEventListener('click', () => {
+          this.showCerrarEventoModal(evt, nombreParticipante);
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error al renderizar el evento:', error);
+      ui.showError('Error al mostrar el evento');
+    }
+  }
+  
+  /**
+   * Panel de comprobantes del evento: miniaturas, subidas en curso y zona
+   * para arrastrar archivos. Se re-renderiza solo con el progreso de subida.
+   * @param {Object|null} evt
+   */
+  renderAdjuntosPanel(evt) {
+    const container = document.getElementById('adjuntosPanel');
+    if (!container || !evt) return;
+
+    const uid = this.currentUser ? this.currentUser.uid : null;
+    const permisos = permisosEvento(evt, uid);
+    const adjuntos = Array.isArray(evt.adjuntos) ? evt.adjuntos : [];
+    const enCurso = attachmentsService.getUploads(evt.id);
+    const max = storageConfig.maxFilesPerEvent;
+    const puedeSubir = permisos.subirAdjuntos && adjuntos.length + enCurso.length < max;
+    const escapar = (str) => String(str || '').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+    container.innerHTML = `
+      ${adjuntos.length === 0 && enCurso.length === 0 ? '<div class="text-muted mb-2">Sin comprobantes adjuntos.</div>' : ''}
+      <div class="row g-2 mb-2">
+        ${adjuntos.map((a, i) => {
+          const nombre = a.nombre || a.path.split('/').pop();
+          const puedeBorrar = uid && ((a.subido_por === uid && permisos.subirAdjuntos) || permisos.administrar);
+          // Leer el ticket crea un gasto: solo quien puede cargar gastos
+          const puedeLeer = permisos.editarGastos && a.tipo !== 'application/pdf';
+          return `
+          <div class="col-6 col-md-4" data-adjunto="${i}">
+            <div class="border rounded p-2 h-100 d-flex flex-column">
+              <button type="button" class="btn p-0 border-0 mb-1 d-flex align-items-center justify-content-center bg-light" style="height: 110px;" data-action="ver-adjunto" title="Ver">
+                ${a.tipo === 'application/pdf'
+                  ? '<span class="fs-1">📄</span>'
+                  : '<img alt="" style="max-height: 110px; max-width: 100%; object-fit: cover;" data-thumb>'}
+              </button>
+              <small class="text-truncate" title="${escapar(nombre)}">${escapar(nombre)}</small>
+              <small class="text-muted">${formatFileSize(Number(a.bytes || 0))}</small>
+              <div class="d-flex gap-2 mt-auto">
+                ${puedeLeer ? '<button type="button" class="btn btn-sm btn-link p-0" data-action="leer-ticket" title="Cargar un gasto con los datos del ticket">Leer ticket</button>' : ''}
+                ${puedeBorrar ? '<button type="button" class="btn btn-sm btn-link text-danger p-0" data-action="eliminar-adjunto">Eliminar</button>' : ''}
+              </div>
+            </div>
+          </div>`;
+        }).join('')}
+      </div>
+      ${enCurso.map(u => `
+        <div class="mb-2" data-upload-id="${escapar(u.id)}">
+          <div class="d-flex justify-content-between small">
+            <span class="text-truncate">${escapar(u.nombre)}</span>
+            <span class="text-muted">${u.estado === 'comprimiendo' ? 'Optimizando imagen...' : ''}${u.estado === 'subiendo' ? `${Math.round(u.progreso * 100)}%` : ''}${u.estado === 'validando' ? 'Validando...' : ''}${u.bytes ? ` · ${formatFileSize(u.bytes)}` : ''}</span>
+          </div>
+          ${u.estado === 'rechazado'
+            ? `<div class="alert alert-danger py-1 px-2 mb-0 small d-flex justify-content-between align-items-center">
+                <span>El archivo fue rechazado (tipo, tamaño o límite de ${max} adjuntos).</span>
+                <button type="button" class="btn-close btn-sm" data-action="descartar-upload" aria-label="Cerrar"></button>
+              </div>`
+            : `<div class="progress" style="height: 6px;">
+                <div class="progress-bar ${u.estado !== 'subiendo' ? 'progress-bar-striped progress-bar-animated' : ''}" role="progressbar" style="width: ${u.estado === 'comprimiendo' ? 100 : Math.round(u.progreso * 100)}%"></div>
+              </div>`}
+        </div>`).join('')}
+      ${puedeSubir ? `
+      <div class="border rounded p-3 text-center text-muted" id="adjuntosDropzone" style="border-style: dashed !important;">
+        Arrastra una imagen o PDF aquí o
+        <label class="btn btn-sm btn-outline-primary ms-1 mb-0" for="adjuntosInput">elige un archivo</label>
+        <input type="file" id="adjuntosInput" class="d-none" accept="${storageConfig.allowedFileTypes.join(',')}" multiple>
+        <div class="small mt-1">Hasta ${max} archivos por evento, ${formatFileSize(storageConfig.maxFileSize)} cada uno. Las fotos se achican automáticamente y se les quita la ubicación.</div>
+      </div>` : (permisos.subirAdjuntos ? `<div class="small text-muted">Se alcanzó el máximo de ${max} comprobantes.</div>` : '')}
+    `;
+
+    // Miniaturas: la URL de descarga se resuelve después del render
+    container.querySelectorAll('[data-adjunto]').forEach(card => {
+      const adjunto = adjuntos[Number(card.getAttribute('data-adjunto'))];
+      const img = card.querySelector('[data-thumb]');
+      if (img) {
+        attachmentsService.getUrl(adjunto.path)
+          .then(url => { img.src = url; })
+          .catch(err => console.warn('⚠️ No se pudo obtener la miniatura:', adjunto.path, err));
+      }
+      card.querySelector('[data-action="ver-adjunto"]').addEventListener('click', () => this.showAdjuntoModal(adjunto));
+      const btnLeer = card.querySelector('[data-action="leer-ticket"]');
+      if (btnLeer) {
+        btnLeer.addEventListener('click', () => this.handleLeerTicketAdjunto(evt, adjunto));
+      }
+      const btnEliminar = card.querySelector('[data-action="eliminar-adjunto"]');
+      if (btnEliminar) {
+        btnEliminar.addEventListener('click', async () => {
+          if (!confirm(`¿Eliminar el comprobante "${adjunto.nombre || adjunto.path.split('/').pop()}"?`)) return;
+          try {
+            btnEliminar.disabled = true;
+            await attachmentsService.remove(adjunto.path);
+            ui.showNotification('Comprobante eliminado', 'success');
+          } catch (e) {
+            console.error('❌ Error al eliminar adjunto:', e);
+            ui.showError(e && e.message ? e.message : 'No se pudo eliminar el comprobante');
+            btnEliminar.disabled = false;
+          }
+        });
+      }
+    });
+
+    container.querySelectorAll('[data-action="descartar-upload"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        attachmentsService.descartarRechazado(btn.closest('[data-upload-id]').getAttribute('data-upload-id'));
+      });
+    });
+
+    const dropzone = container.querySelector('#adjuntosDropzone');
+    const input = container.querySelector('#adjuntosInput');
+    if (dropzone && input) {
+      input.addEventListener('change', () => {
+        this.handleSubirAdjuntos(evt, Array.from(input.files || []));
+        input.value = '';
+      });
+      dropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropzone.classList.add('bg-light', 'border-primary');
+      });
+      dropzone.addEventListener('dragleave', () => dropzone.classList.remove('bg-light', 'border-primary'));
+      dropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('bg-light', 'border-primary');
+        this.handleSubirAdjuntos(evt, Array.from((e.dataTransfer && e.dataTransfer.files) || []));
+      });
+    }
+  }
+
+  /**
+   * Sube los archivos elegidos de a uno (respetando el límite por evento)
+   * @param {Object} evt
+   * @param {File[]} files
+   */
+  async handleSubirAdjuntos(evt, files) {
+    for (const file of files) {
+      try {
+        // Usar el snapshot más reciente para contar los adjuntos ya guardados
+        const actual = state.getEventoActual();
+        const subido = await attachmentsService.upload(actual && actual.id === evt.id ? actual : evt, file);
+        if (subido.resumen) ui.showNotification(`Imagen optimizada: ${subido.resumen}`, 'info');
+      } catch (e) {
+        console.error('❌ Error al subir adjunto:', e);
+        ui.showError(`${file.name}: ${e && e.message ? e.message : 'No se pudo subir el archivo'}`);
+      }
+    }
+  }
+
+  /**
+   * Lee con OCR un ticket ya subido al evento y abre "Agregar gasto" con
+   * monto, fecha y comercio completados
+   * @param {Object} evt
+   * @param {Object} adjunto - Entrada de evento.adjuntos
+   */
+  async handleLeerTicketAdjunto(evt, adjunto) {
+    try {
+      ui.showLoadingOverlay('Leyendo ticket...');
+      const url = await attachmentsService.getUrl(adjunto.path);
+      const datos = await ocrService.escanearTicket(url, (p) => ui.showLoadingOverlay(`Leyendo ticket... ${Math.round(p * 100)}%`));
+      ui.hideLoadingOverlay();
+      if (!datos.monto && !datos.fecha && !datos.comercio) {
+        ui.showNotification('No se encontraron datos en el ticket', 'warning');
+      }
+      const profiles = await userService.getProfiles(evt.participantesUids || []).catch(() => ({}));
+      this.showGastoModal(evt, null, (uid) => this.getParticipantName(evt, uid, profiles), {
+        descripcion: datos.comercio || '',
+        monto: datos.monto,
+        fecha: datos.fecha
+      });
+    } catch (e) {
+      console.error('❌ Error al leer ticket:', e);
+      ui.showError(e && e.message ? e.message : 'No se pudo leer el ticket');
+    } finally {
+      ui.hideLoadingOverlay();
+    }
+  }
+
+  /**
+   * Vista previa de un comprobante (imagen o PDF)
+   * @param {Object} adjunto - Entrada de evento.adjuntos
+   */
+  async showAdjuntoModal(adjunto) {
+    const nombre = String(adjunto.nombre || adjunto.path.split('/').pop()).replace(/</g, '&lt;');
+    try {
+      const url = await attachmentsService.getUrl(adjunto.path);
+      const modal = ui.showModal(`
+        ${adjunto.tipo === 'application/pdf'
+          ? `<iframe src="${url}" title="${nombre.replace(/"/g, '&quot;')}" style="width: 100%; height: 70vh; border: 0;"></iframe>`
+          : `<img src="${url}" alt="${nombre.replace(/"/g, '&quot;')}" class="img-fluid d-block mx-auto" style="max-height: 70vh;">`}
+        <div class="d-flex justify-content-between align-items-center mt-3">
+          <a href="${url}" target="_blank" rel="noopener">Abrir en otra pestaña</a>
+          <button type="button" class="btn btn-outline-secondary" id="adj_cerrar">Cerrar</button>
+        </div>
+      `, { title: nombre });
+      const cerrar = modal.querySelector('#adj_cerrar');
+      if (cerrar) cerrar.addEventListener('click', () => ui.hideModal(modal));
+    } catch (e) {
+      console.error('❌ Error al abrir adjunto:', e);
+      ui.showError('No se pudo abrir el comprobante');
+    }
+  }
+
+  /**
+   * Nombre visible de un participante (alias del evento, perfil o UID abreviado)
+   */
+  getParticipantName(evt, uid, profiles = {}) {
+    if (this.currentUser && uid === this.currentUser.uid) return 'Tú';
+    const aliases = evt.aliases || {};
+    const prof = profiles[uid] || {};
+    return aliases[uid] || prof.displayName || prof.email || (uid.length > 10 ? uid.slice(0,6) + '…' + uid.slice(-4) : uid);
+  }
+
+  /**
+   * Modal para registrar un pago (total o parcial) de un participante
+   * @param {Object} evt - Evento
+   * @param {string} uid - Participante que pagó
+   * @param {Object} pago - Estado de pago actual (ver estadoPago)
+   * @param {string} nombre - Nombre visible del participante
+   */
+  showRegistrarPagoModal(evt, uid, pago, nombre) {
+    const moneda = evt.moneda || '';
+    const modal = ui.showModal(`
+      <form id="registrarPagoForm">
+        <p class="mb-2">${escapeHtml(nombre)} lleva pagado ${formatCurrency(pago.pagado, moneda)} de ${formatCurrency(pago.debe, moneda)}.</p>
+        <div class="mb-3">
+          <label class="form-label" for="rp_monto">Monto pagado (${moneda})</label>
+          <input type="number" class="form-control" id="rp_monto" step="${getCurrencyStep(moneda)}" min="${getCurrencyStep(moneda)}" value="${formatAmountInput(pago.restante, moneda)}" required>
+          <div class="form-text">Falta ${formatCurrency(pago.restante, moneda)}. Puedes registrar una parte.</div>
+        </div>
+        <div class="mt-4 d-flex justify-content-end gap-2">
+          <button type="button" class="btn btn-outline-secondary" id="rp_cancelar">Cancelar</button>
+          <button type="submit" class="btn btn-success">Registrar</button>
+        </div>
+      </form>
+    `, { title: 'Registrar pago' });
+
+    const form = modal.querySelector('#registrarPagoForm');
+    const cancelBtn = modal.querySelector('#rp_cancelar');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => ui.hideModal(modal));
+    }
+    if (!form) return;
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const monto = parseFloat(modal.querySelector('#rp_monto').value);
+      if (!(monto > 0)) return ui.showError('Ingresa un monto mayor a 0');
+      try {
+        ui.showLoadingOverlay('Registrando pago...');
+        await eventsService.registrarPago(evt.id, uid, monto);
+        ui.hideModal(modal);
+        ui.showNotification('Pago registrado', 'success');
+      } catch (err) {
+        console.error('❌ Error al registrar pago:', err);
+        ui.showError(err && err.message ? err.message : 'No se pudo registrar el pago');
+      } finally {
+        ui.hideLoadingOverlay();
+      }
+    });
+  }
+
+  /**
+   * Modal con el historial de pagos parciales de un participante
+   */
+  showHistorialPagosModal(evt, historial, nombre, nombreDe) {
+    const moneda = evt.moneda || '';
+    const modal = ui.showModal(`
+      <p class="mb-2">Pagos registrados de ${escapeHtml(nombre)}:</p>
+      <ul class="list-group mb-3">
+        ${historial.map(h => `
+          <li class="list-group-item d-flex justify-content-between align-items-center">
+            <div>
+              <div>${h.fecha && h.fecha.toDate ? formatDate(h.fecha.toDate()) : ''}</div>
+              <small class="text-muted">Registrado por ${escapeHtml(nombreDe(h.por))}</small>
+            </div>
+            <strong>${formatCurrency(Number(h.monto || 0), moneda)}</strong>
+          </li>`).join('')}
+      </ul>
+      <div class="d-flex justify-content-end">
+        <button type="button" class="btn btn-outline-secondary" id="hp_cerrar">Cerrar</button>
+      </div>
+    `, { title: 'Historial de pagos' });
+    const cerrar = modal.querySelector('#hp_cerrar');
+    if (cerrar) cerrar.addEventListener('click', () => ui.hideModal(modal));
+  }
+
+  /**
+   * Renderiza el estado del link de invitación, quién entró por cada link y,
+   * para propietario y administradores, los controles de límites, revocar y rotar
+   */
+  async renderInvitacionesPanel(container, evt, puedeAdministrar, nombreDe) {
+    let invitaciones = [];
+    try {
+      invitaciones = await eventsService.listInvitaciones(evt.id);
+    } catch (error) {
+      console.warn('⚠️ No se pudieron cargar las invitaciones:', error);
+    }
+    // Otro snapshot re-renderizó la página mientras se cargaban
+    if (!container.isConnected) return;
+
+    const actual = invitaciones.find(i => i.id === evt.token_invitacion) || null;
+    const estado = actual ? estadoInvitacion(actual) : null;
+    const abierto = evt.estado !== 'cerrado';
+    const vence = actual && actual.expira_en && actual.expira_en.toDate ? actual.expira_en.toDate() : null;
+    const tokenCorto = (token) => `…${String(token).slice(-4)}`;
+
+    // Participantes agrupados por el link con el que entraron
+    const ingresos = evt.ingresos_invitacion || {};
+    const porToken = {};
+    Object.entries(ingresos).forEach(([uid, ingreso]) => {
+      if (!ingreso || !ingreso.token) return;
+      (porToken[ingreso.token] = porToken[ingreso.token] || []).push(uid);
+    });
+    const tokensConIngresos = Object.keys(porToken).sort((a, b) => {
+      if (a === evt.token_invitacion) return -1;
+      if (b === evt.token_invitacion) return 1;
+      return 0;
+    });
+
+    container.innerHTML = `
+      ${actual ? `
+      <div class="small mb-2">
+        <span class="badge ${estado === 'activa' ? 'bg-success' : 'bg-secondary'}">${ETIQUETAS_ESTADO_INVITACION[estado]}</span>
+        <span class="text-muted ms-1">
+          ${Number(actual.usos || 0)}${actual.max_usos ? ` de ${actual.max_usos}` : ''} uso${Number(actual.usos || 0) === 1 ? '' : 's'}
+          · ${vence ? `vence el ${vence.toLocaleDateString('es-AR')}` : 'no vence'}
+        </span>
+      </div>` : ''}
+      ${puedeAdministrar && abierto ? `
+      <div class="d-flex flex-wrap gap-2 mb-2">
+        ${actual ? '<button class="btn btn-sm btn-outline-secondary" id="btnLimitesInvitacion">Límites</button>' : ''}
+        ${actual && !actual.revocada ? '<button class="btn btn-sm btn-outline-danger" id="btnRevocarInvitacion">Revocar</button>' : ''}
+        <button class="btn btn-sm btn-outline-primary" id="btnRotarInvitacion">Nuevo link</button>
+      </div>` : ''}
+      ${tokensConIngresos.length > 0 ? `
+      <div class="small">
+        <div class="text-muted mb-1">Se unieron por link:</div>
+        <ul class="list-unstyled mb-0">
+          ${tokensConIngresos.map(token => {
+            const inv = invitaciones.find(i => i.id === token);
+            const etiqueta = token === evt.token_invitacion ? 'Link actual' : `Link ${tokenCorto(token)}`;
+            const estadoInv = inv && token !== evt.token_invitacion ? ` (${ETIQUETAS_ESTADO_INVITACION[estadoInvitacion(inv)].toLowerCase()})` : '';
+            return `<li><strong>${etiqueta}${estadoInv}:</strong> ${porToken[token].map(uid => escapeHtml(nombreDe(uid))).join(', ')}</li>`;
+          }).join('')}
+        </ul>
+      </div>` : ''}`;
+
+    const btnLimites = container.querySelector('#btnLimitesInvitacion');
+    if (btnLimites) {
+      btnLimites.addEventListener('click', () => this.showLimitesInvitacionModal(evt, actual));
+    }
+    const btnRevocar = container.querySelector('#btnRevocarInvitacion');
+    if (btnRevocar) {
+      btnRevocar.addEventListener('click', async () => {
+        if (!confirm('¿Revocar el link actual? Nadie más podrá unirse con él hasta que generes uno nuevo.')) return;
+        try {
+          ui.showLoadingOverlay('Revocando link...');
+          await eventsService.revocarInvitacion(evt.id);
+          ui.showNotification('Link revocado', 'success');
+          this.renderInvitacionesPanel(container, evt, puedeAdministrar, nombreDe);
+        } catch (e) {
+          console.error('❌ Error al revocar la invitación:', e);
+          ui.showError(e.message || 'No se pudo revocar el link');
+        } finally {
+          ui.hideLoadingOverlay();
+        }
+      });
+    }
+    const btnRotar = container.querySelector('#btnRotarInvitacion');
+    if (btnRotar) {
+      btnRotar.addEventListener('click', async () => {
+        if (!confirm('¿Generar un link nuevo? El actual dejará de funcionar.')) return;
+        try {
+          ui.showLoadingOverlay('Generando link...');
+          await eventsService.rotarInvitacion(evt.id);
+          ui.showNotification('Link nuevo generado', 'success');
+        } catch (e) {
+          console.error('❌ Error al generar el link:', e);
+          ui.showError(e.message || 'No se pudo generar el link');
+        } finally {
+          ui.hideLoadingOverlay();
+        }
+      });
+    }
+  }
+
+  /**
+   * Modal para fijar vencimiento y límite de usos del link actual
+   */
+  showLimitesInvitacionModal(evt, invitacion) {
+    const vence = invitacion.expira_en && invitacion.expira_en.toDate ? aFechaISO(invitacion.expira_en.toDate()) : '';
+    const modal = ui.showModal(`
+      <form id="limitesInvitacionForm">
+        <div class="mb-3">
+          <label for="li_expira" class="form-label">Vence el</label>
+          <input type="date" class="form-control" id="li_expira" value="${vence}" min="${aFechaISO(new Date())}">
+          <div class="form-text">Vacío: el link no vence. Sirve hasta el final del día elegido.</div>
+        </div>
+        <div class="mb-3">
+          <label for="li_max_usos" class="form-label">Máximo de usos</label>
+          <input type="number" class="form-control" id="li_max_usos" min="1" step="1" value="${invitacion.max_usos || ''}">
+          <div class="form-text">Vacío: sin límite. Ya se usó ${Number(invitacion.usos || 0)} ${Number(invitacion.usos || 0) === 1 ? 'vez' : 'veces'}.</div>
+        </div>
+        <div class="d-flex justify-content-end gap-2">
+          <button type="button" class="btn btn-outline-secondary" id="li_cancelar">Cancelar</button>
+          <button type="submit" class="btn btn-primary">Guardar</button>
+        </div>
+      </form>
+    `, { title: 'Límites del link' });
+
+    modal.querySelector('#li_cancelar').addEventListener('click', () => ui.hideModal(modal));
+    modal.querySelector('#limitesInvitacionForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const expira = modal.querySelector('#li_expira').value;
+      const maxUsos = modal.querySelector('#li_max_usos').value;
+      try {
+        ui.showLoadingOverlay('Guardando límites...');
+        await eventsService.actualizarInvitacion(evt.id, {
+          expira_en: expira || null,
+          max_usos: maxUsos === '' ? null : parseInt(maxUsos, 10)
+        });
+        ui.hideModal(modal);
+        ui.showNotification('Límites del link actualizados', 'success');
+        const panel = document.getElementById('invitacionesPanel');
+        if (panel) this.renderInvitacionesPanel(panel, evt, true, (uid) => this.getParticipantName(evt, uid));
+      } catch (err) {
+        console.error('❌ Error al guardar los límites:', err);
+        ui.showError(err.message || 'No se pudieron guardar los límites');
+      } finally {
+        ui.hideLoadingOverlay();
+      }
+    });
+  }
+
+  /**
+   * Renderiza el calendario de un evento recurrente: próximas fechas y,
+   * para propietario y administradores, omitir o editar la próxima ocurrencia
+   */
+  renderRecurrenciaPanel(container, evt, puedeAdministrar) {
+    const fechaLegible = (fecha) => {
+      const [a, m, d] = fecha.split('-').map(Number);
+      return new Date(a, m - 1, d).toLocaleDateString('es-AR', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    };
+    const escapar = (t) => String(t).replace(/</g, '&lt;');
+
+    if (!evt.recurrencia) {
+      container.innerHTML = `
+        <p class="mb-1">Repetición ${Number(evt.ocurrencia) + 1} de la serie${evt.fecha_ocurrencia ? ` · ${fechaLegible(evt.fecha_ocurrencia)}` : ''}.</p>
+        <a href="/evento?id=${encodeURIComponent(evt.serie_id)}">Ver el evento original</a>`;
+      return;
+    }
+
+    const rec = evt.recurrencia;
+    const proxima = proximaOcurrencia(rec);
+    const fechas = proximasFechas(rec, 4);
+    const termina = rec.fin
+      ? `hasta el ${fechaLegible(rec.fin)}`
+      : (rec.max_ocurrencias ? `${rec.max_ocurrencias} veces en total` : 'sin fecha de fin');
+    const cada = rec.frecuencia === 'mensual' ? `${ETIQUETAS_FRECUENCIA.mensual}, el día ${rec.dia_mes}` : ETIQUETAS_FRECUENCIA[rec.frecuencia];
+    const puedeEditar = puedeAdministrar && !!proxima;
+    const cambios = proxima ? proxima.excepcion : {};
+
+    container.innerHTML = `
+      <p class="mb-2">${cada} · ${termina}</p>
+      ${fechas.length === 0 ? '<div class="text-muted small">La serie terminó: no se crearán más eventos.</div>' : `
+      <ul class="list-group list-group-flush small mb-2">
+        ${fechas.map(f => `
+          <li class="list-group-item px-0 d-flex justify-content-between ${f.omitida ? 'text-muted' : ''}">
+            <span>${f.omitida ? `<s>${fechaLegible(f.fecha)}</s>` : fechaLegible(f.fecha)}</span>
+            <span>${f.omitida ? 'omitida' : (proxima && f.indice === proxima.indice ? '<span class="badge bg-primary">próxima</span>' : '')}</span>
+          </li>`).join('')}
+      </ul>
+      ${proxima && (cambios.titulo || cambios.monto !== undefined || cambios.fecha) ? `
+      <div class="small text-muted mb-2">
+        Próxima con cambios: ${[
+          cambios.titulo ? `"${escapar(cambios.titulo)}"` : '',
+          cambios.monto !== undefined ? formatCurrency(cambios.monto, evt.moneda) : '',
+          cambios.fecha ? 'fecha movida' : ''
+        ].filter(Boolean).join(' · ')}
+      </div>` : ''}`}
+      <div class="form-text mb-2">Cada repetición se crea automáticamente el día que corresponde, con los mismos participantes, división y gastos.</div>
+      ${puedeEditar ? `
+      <div class="d-flex gap-2">
+        <button class="btn btn-sm btn-outline-secondary" id="btnOmitirOcurrencia">Omitir próxima</button>
+        <button class="btn btn-sm btn-outline-primary" id="btnEditarOcurrencia">Editar próxima</button>
+      </div>` : ''}`;
+
+    const btnOmitir = container.querySelector('#btnOmitirOcurrencia');
+    if (btnOmitir) {
+      btnOmitir.addEventListener('click', async () => {
+        if (!confirm(`¿Omitir la repetición del ${fechaLegible(proxima.fecha)}? No se creará ese evento.`)) return;
+        try {
+          ui.showLoadingOverlay('Omitiendo repetición...');
+          await eventsService.omitirProximaOcurrencia(evt.id);
+          ui.showNotification('Repetición omitida', 'success');
+        } catch (e) {
+          console.error('❌ Error al omitir la repetición:', e);
+          ui.showError(e.message || 'No se pudo omitir la repetición');
+        } finally {
+          ui.hideLoadingOverlay();
+        }
+      });
+    }
+    const btnEditar = container.querySelector('#btnEditarOcurrencia');
+    if (btnEditar) {
+      btnEditar.addEventListener('click', () => this.showEditarOcurrenciaModal(evt, proxima));
+    }
+  }
 
-      // Volver al dashboard
-      const backBtn = document.getElementById('btnVolverEvento');
-      if (backBtn) {
-        backBtn.addEventListener('click', () => {
-          history.pushState({}, '', '/');
-          this.loadDashboard();
+  /**
+   * Modal para cambiar la fecha, el título o el monto de la próxima ocurrencia
+   */
+  showEditarOcurrenciaModal(evt, proxima) {
+    const cambios = proxima.excepcion || {};
+    const escapar = (t) => String(t).replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const modal = ui.showModal(`
+      <form id="editarOcurrenciaForm">
+        <div class="mb-3">
+          <label for="eo_fecha" class="form-label">Fecha</label>
+          <input type="date" class="form-control" id="eo_fecha" value="${proxima.fecha}" required>
+        </div>
+        <div class="mb-3">
+          <label for="eo_titulo" class="form-label">Título</label>
+          <input type="text" class="form-control" id="eo_titulo" value="${escapar(cambios.titulo || evt.titulo || '')}" maxlength="100" required>
+        </div>
+        <div class="mb-3">
+          <label for="eo_monto" class="form-label">Monto (${evt.moneda || ''})</label>
+          <input type="number" class="form-control" id="eo_monto" step="${getCurrencyStep(evt.moneda)}" min="${getCurrencyStep(evt.moneda)}" value="${cambios.monto !== undefined ? cambios.monto : ''}" placeholder="${formatAmountInput(montoDeEvento(evt), evt.moneda)}">
+          <div class="form-text">Vacío: se copian los gastos del evento original. Con un monto, se carga un único gasto por ese valor.</div>
+        </div>
+        <div class="d-flex justify-content-end gap-2">
+          <button type="button" class="btn btn-outline-secondary" id="eo_cancelar">Cancelar</button>
+          <button type="submit" class="btn btn-primary">Guardar</button>
+        </div>
+      </form>
+    `, { title: 'Editar próxima repetición' });
+
+    modal.querySelector('#eo_cancelar').addEventListener('click', () => ui.hideModal(modal));
+    modal.querySelector('#editarOcurrenciaForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const fecha = modal.querySelector('#eo_fecha').value;
+      const titulo = modal.querySelector('#eo_titulo').value.trim();
+      const montoTxt = modal.querySelector('#eo_monto').value;
+      try {
+        ui.showLoadingOverlay('Guardando repetición...');
+        await eventsService.editarProximaOcurrencia(evt.id, {
+          fecha,
+          // Igual al original: no se guarda como cambio
+          titulo: titulo && titulo !== evt.titulo ? titulo : null,
+          monto: montoTxt ? parseFloat(montoTxt) : null
         });
+        ui.hideModal(modal);
+        ui.showNotification('Próxima repetición actualizada', 'success');
+      } catch (err) {
+        console.error('❌ Error al editar la repetición:', err);
+        ui.showError(err.message || 'No se pudo editar la repetición');
+      } finally {
+        ui.hideLoadingOverlay();
       }
+    });
+  }
 
-      // Cerrar evento (solo creador y si está abierto)
-      const btnCerrar = document.getElementById('btnCerrarEvento');
-      if (btnCerrar) {
-        btnCerrar.addEventListener('click', async () => {
-          if (!confirm('¿Seguro que deseas cerrar el evento?')) return;
+  /**
+   * Nombre legible del modo de división
+   */
+  getDivisionLabel(division) {
+    const labels = { igual: 'partes iguales', porcentaje: 'porcentajes', partes: 'partes ponderadas', exacto: 'montos exactos' };
+    return labels[(division && division.modo) || 'igual'] || 'partes iguales';
+  }
+
+  /**
+   * Renderiza el editor de división del evento: modo, valor por participante,
+   * exclusiones y vista previa de la cuota de cada uno
+   */
+  renderDivisionEditor(container, evt, uids, nombreDe, editable) {
+    const total = montoDeEvento(evt);
+    const actual = evt.division || { modo: 'igual' };
+    const moneda = evt.moneda || '';
+
+    if (!editable) {
+      const cuotas = calcularCuotas(total, uids, actual, moneda);
+      const activos = participantesActivos(uids, actual);
+      container.innerHTML = `
+        <p class="text-muted mb-2">Modo: ${this.getDivisionLabel(actual)}</p>
+        ${uids.map(uid => `
+          <div class="d-flex justify-content-between border-bottom py-1">
+            <span>${escapeHtml(nombreDe(uid))}</span>
+            <span>${activos.includes(uid) ? formatCurrency(Number(cuotas[uid] || 0), moneda) : '<span class="text-muted">Excluido</span>'}</span>
+          </div>`).join('')}`;
+      return;
+    }
+
+    const valores = actual.valores || {};
+    const excluidos = actual.excluidos || [];
+    container.innerHTML = `
+      <div class="mb-2">
+        <select class="form-select form-select-sm" id="div_modo">
+          ${MODOS_DIVISION.map(m => `<option value="${m}" ${m === (actual.modo || 'igual') ? 'selected' : ''}>${this.getDivisionLabel({ modo: m })}</option>`).join('')}
+        </select>
+      </div>
+      ${uids.map(uid => `
+        <div class="d-flex align-items-center gap-2 border-bottom py-1" data-div-uid="${uid}">
+          <div class="form-check m-0 flex-grow-1">
+            <input class="form-check-input" type="checkbox" id="div_incl_${uid}" ${excluidos.includes(uid) ? '' : 'checked'}>
+            <label class="form-check-label" for="div_incl_${uid}">${escapeHtml(nombreDe(uid))}</label>
+          </div>
+          <input type="number" class="form-control form-control-sm" style="width: 110px;" step="0.01" min="0" data-div-valor value="${valores[uid] !== undefined ? valores[uid] : ''}">
+          <small class="text-muted text-end" style="width: 110px;" data-div-cuota></small>
+        </div>`).join('')}
+      <div class="small mt-2" id="div_estado"></div>
+      <div class="d-grid mt-2">
+        <button class="btn btn-sm btn-primary" id="btnGuardarDivision">Guardar división</button>
+      </div>`;
+
+    const selModo = container.querySelector('#div_modo');
+    const estado = container.querySelector('#div_estado');
+    const leer = () => {
+      const division = { modo: selModo.value, valores: {}, excluidos: [] };
+      uids.forEach(uid => {
+        const row = container.querySelector(`[data-div-uid="${uid}"]`);
+        if (!row.querySelector('input[type="checkbox"]').checked) division.excluidos.push(uid);
+        const valor = row.querySelector('[data-div-valor]').value;
+        if (valor !== '') division.valores[uid] = parseFloat(valor);
+      });
+      return division;
+    };
+    const actualizarVista = () => {
+      const division = leer();
+      const placeholders = { porcentaje: '%', partes: '1', exacto: '0.00' };
+      const cuotas = calcularCuotas(total, uids, division, moneda);
+      uids.forEach(uid => {
+        const row = container.querySelector(`[data-div-uid="${uid}"]`);
+        const incluido = !division.excluidos.includes(uid);
+        const input = row.querySelector('[data-div-valor]');
+        input.style.display = division.modo === 'igual' ? 'none' : '';
+        input.disabled = !incluido;
+        input.placeholder = placeholders[division.modo] || '';
+        row.querySelector('[data-div-cuota]').textContent = incluido ? formatCurrency(Number(cuotas[uid] || 0), moneda) : 'Excluido';
+      });
+      const validacion = validarDivision(total, uids, division, moneda);
+      estado.className = `small mt-2 ${validacion.isValid ? 'text-success' : 'text-danger'}`;
+      estado.textContent = validacion.isValid
+        ? `Suma ${formatCurrency(total, moneda)} ✓`
+        : validacion.errors.join('. ');
+      return validacion;
+    };
+
+    selModo.addEventListener('change', actualizarVista);
+    container.querySelectorAll('input').forEach(input => input.addEventListener('input', actualizarVista));
+    container.querySelectorAll('input[type="checkbox"]').forEach(input => input.addEventListener('change', actualizarVista));
+    actualizarVista();
+
+    container.querySelector('#btnGuardarDivision').addEventListener('click', async () => {
+      if (!actualizarVista().isValid) return ui.showError('La división debe sumar el total del evento');
+      try {
+        ui.showLoadingOverlay('Guardando división...');
+        await eventsService.setDivision(evt.id, leer());
+        ui.showNotification('División guardada', 'success');
+      } catch (e) {
+        console.error('❌ Error al guardar división:', e);
+        ui.showError(e && e.message ? e.message : 'No se pudo guardar la división');
+      } finally {
+        ui.hideLoadingOverlay();
+      }
+    });
+  }
+
+  /**
+   * Renderiza la tabla de gastos de un evento
+   */
+  renderGastosList(container, evt, gastos, nombreDe, editable) {
+    if (gastos.length === 0) {
+      container.innerHTML = '<div class="text-muted">Sin gastos cargados.</div>';
+      return;
+    }
+    const pagadores = (g) => {
+      const aportes = Object.entries(aportesDeGasto(g));
+      if (aportes.length <= 1) return aportes.map(([uid]) => escapeHtml(nombreDe(uid))).join('');
+      return aportes.map(([uid, m]) => `${escapeHtml(nombreDe(uid))} (${formatCurrency(Number(m), evt.moneda)})`).join(', ');
+    };
+    // Los miembros solo editan los gastos que cargaron; propietario y administradores, todos
+    const me = this.currentUser && this.currentUser.uid;
+    const ordenados = gastos.slice().sort((a, b) => {
+      const fa = a.fecha && a.fecha.toMillis ? a.fecha.toMillis() : 0;
+      const fb = b.fecha && b.fecha.toMillis ? b.fecha.toMillis() : 0;
+      return fa - fb;
+    });
+    container.innerHTML = `
+      <div class="table-responsive">
+        <table class="table table-sm align-middle mb-0">
+          <thead>
+            <tr>
+              <th>Descripción</th>
+              <th>Pagó</th>
+              <th>Fecha</th>
+              <th class="text-end">Monto</th>
+              ${editable ? '<th></th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${ordenados.map(g => `
+              <tr data-gasto-id="${g.id}">
+                <td>${(g.descripcion || '').replace(/</g,'&lt;')}</td>
+                <td>${pagadores(g)}</td>
+                <td>${g.fecha && g.fecha.toDate ? formatDate(g.fecha.toDate()) : ''}</td>
+                <td class="text-end">${formatCurrency(Number(g.monto || 0), evt.moneda)}</td>
+                ${editable ? `<td class="text-end text-nowrap">
+                  ${puedeEditarGasto(evt, me, g) ? `
+                  <button class="btn btn-sm btn-outline-secondary" data-action="editar">Editar</button>
+                  <button class="btn btn-sm btn-outline-danger" data-action="eliminar">Eliminar</button>` : ''}
+                </td>` : ''}
+              </tr>`).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th colspan="3">Total</th>
+              <th class="text-end">${formatCurrency(montoDeEvento(evt), evt.moneda)}</th>
+              ${editable ? '<th></th>' : ''}
+            </tr>
+          </tfoot>
+        </table>
+      </div>`;
+
+    if (!editable) return;
+    container.querySelectorAll('tr[data-gasto-id]').forEach(row => {
+      const gasto = gastos.find(g => g.id === row.getAttribute('data-gasto-id'));
+      if (!gasto) return;
+      const btnEditar = row.querySelector('button[data-action="editar"]');
+      const btnEliminar = row.querySelector('button[data-action="eliminar"]');
+      if (btnEditar) {
+        btnEditar.addEventListener('click', () => this.showGastoModal(evt, gasto, nombreDe));
+      }
+      if (btnEliminar) {
+        btnEliminar.addEventListener('click', async () => {
+          if (!confirm(`¿Eliminar el gasto "${gasto.descripcion}"?`)) return;
           try {
-            ui.showLoadingOverlay('Cerrando evento...');
-            await eventsService.closeEvento(evt.id, this.currentUser?.uid);
-            ui.showNotification('Evento cerrado', 'success');
-            await this.loadEventoData(evt.id);
-            await this.loadUserEventos();
+            ui.showLoadingOverlay('Eliminando gasto...');
+            await eventsService.deleteGasto(evt.id, gasto.id);
+            ui.showNotification('Gasto eliminado', 'success');
           } catch (e) {
-            console.error('❌ Error al cerrar evento:', e);
-            ui.showError('No se pudo cerrar el evento');
+            console.error('❌ Error al eliminar gasto:', e);
+            ui.showError(e && e.message ? e.message : 'No se pudo eliminar el gasto');
           } finally {
             ui.hideLoadingOverlay();
           }
         });
       }
+    });
+  }
 
-      ui.hideLoadingOverlay();
-    } catch (error) {
-      console.error('❌ Error al cargar datos del evento:', error);
-      throw error;
+  /**
+   * Muestra el modal para agregar o editar un gasto
+   * @param {Object} evt - Evento
+   * @param {Object|null} gasto - Gasto a editar o null para uno nuevo
+   * @param {Function} nombreDe - Resuelve el nombre visible de un UID
+   */
+  showGastoModal(evt, gasto, nombreDe, prefill = null) {
+    const uids = Array.isArray(evt.participantesUids) ? evt.participantesUids : [];
+    // Datos sugeridos para un gasto nuevo (ej: leídos de un ticket)
+    const sugerido = !gasto && prefill ? prefill : {};
+    const aportesActuales = gasto ? aportesDeGasto(gasto) : {};
+    const varios = Object.keys(aportesActuales).length > 1;
+    const pagadoPor = gasto ? (varios ? '__varios__' : Object.keys(aportesActuales)[0]) : (this.currentUser && this.currentUser.uid);
+    const fecha = gasto && gasto.fecha && gasto.fecha.toDate ? gasto.fecha.toDate() : new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const fechaStr = sugerido.fecha || `${fecha.getFullYear()}-${pad(fecha.getMonth() + 1)}-${pad(fecha.getDate())}`;
+    const modal = ui.showModal(`
+      <form id="gastoForm">
+        <div class="mb-3">
+          <label for="gs_descripcion" class="form-label">Descripción</label>
+          <input type="text" id="gs_descripcion" name="descripcion" class="form-control" required placeholder="Ej: Supermercado" value="${(gasto ? (gasto.descripcion || '') : (sugerido.descripcion || '')).replace(/"/g, '&quot;')}">
+        </div>
+        <div class="row g-2">
+          <div class="col-6">
+            <label for="gs_monto" class="form-label">Monto (${evt.moneda || ''})</label>
+            <input type="number" id="gs_monto" name="monto" step="${getCurrencyStep(evt.moneda)}" min="0" class="form-control" required value="${gasto ? Number(gasto.monto || 0) : (sugerido.monto || '')}">
+          </div>
+          <div class="col-6">
+            <label for="gs_fecha" class="form-label">Fecha</label>
+            <input type="date" id="gs_fecha" name="fecha" class="form-control" required value="${fechaStr}">
+          </div>
+        </div>
+        <div class="mt-2">
+          <label for="gs_pagado_por" class="form-label">Pagó</label>
+          <select id="gs_pagado_por" name="pagado_por" class="form-select" required>
+            ${uids.map(uid => `<option value="${uid}" ${uid === pagadoPor ? 'selected' : ''}>${escapeHtml(nombreDe(uid))}</option>`).join('')}
+            ${uids.length > 1 ? `<option value="__varios__" ${varios ? 'selected' : ''}>Varios pagadores…</option>` : ''}
+          </select>
+        </div>
+        <div id="gs_aportes" class="mt-2" style="display: ${varios ? 'block' : 'none'};">
+          ${uids.map(uid => `
+            <div class="input-group input-group-sm mb-1">
+              <span class="input-group-text flex-grow-1">${escapeHtml(nombreDe(uid))}</span>
+              <input type="number" class="form-control" step="${getCurrencyStep(evt.moneda)}" min="0" data-aporte-uid="${uid}" value="${aportesActuales[uid] || ''}" placeholder="${formatAmountInput(0, evt.moneda)}">
+            </div>`).join('')}
+          <div class="form-text" id="gs_aportes_resto"></div>
+        </div>
+        <div class="mt-4 d-flex justify-content-end gap-2">
+          <button type="button" class="btn btn-outline-secondary" id="gs_cancelar">Cancelar</button>
+          <button type="submit" class="btn btn-primary">${gasto ? 'Guardar' : 'Agregar'}</button>
+        </div>
+      </form>
+    `, { title: gasto ? 'Editar gasto' : 'Agregar gasto' });
+
+    const form = modal.querySelector('#gastoForm');
+    const cancelBtn = modal.querySelector('#gs_cancelar');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => ui.hideModal(modal));
     }
+    if (!form) return;
+
+    // Varios pagadores: mostrar cuánto falta asignar
+    const aportesBox = modal.querySelector('#gs_aportes');
+    const restoEl = modal.querySelector('#gs_aportes_resto');
+    const aporteInputs = Array.from(modal.querySelectorAll('input[data-aporte-uid]'));
+    const leerAportes = () => {
+      const aportes = {};
+      aporteInputs.forEach(input => {
+        const v = parseFloat(input.value);
+        if (v > 0) aportes[input.getAttribute('data-aporte-uid')] = v;
+      });
+      return aportes;
+    };
+    const actualizarResto = () => {
+      if (!restoEl) return;
+      const total = parseFloat(form.monto.value) || 0;
+      const asignado = sumarMontos(Object.values(leerAportes()), evt.moneda);
+      const resto = desdeMinimas(aMinimas(total, evt.moneda) - aMinimas(asignado, evt.moneda), evt.moneda);
+      restoEl.textContent = resto === 0
+        ? 'Los aportes coinciden con el monto.'
+        : `Falta asignar ${formatCurrency(resto, evt.moneda)}`;
+    };
+    form.pagado_por.addEventListener('change', () => {
+      if (aportesBox) aportesBox.style.display = form.pagado_por.value === '__varios__' ? 'block' : 'none';
+      actualizarResto();
+    });
+    form.monto.addEventListener('input', actualizarResto);
+    aporteInputs.forEach(input => input.addEventListener('input', actualizarResto));
+    actualizarResto();
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const datos = {
+        descripcion: form.descripcion.value.trim(),
+        monto: parseFloat(form.monto.value),
+        fecha: form.fecha.value
+      };
+      if (form.pagado_por.value === '__varios__') {
+        datos.aportes = leerAportes();
+      } else {
+        datos.pagado_por = form.pagado_por.value;
+      }
+      if (!datos.descripcion) return ui.showError('La descripción es requerida');
+      if (!datos.monto || datos.monto <= 0) return ui.showError('El monto debe ser mayor a 0');
+      if (datos.aportes) {
+        const asignado = sumarMontos(Object.values(datos.aportes), evt.moneda);
+        if (aMinimas(asignado, evt.moneda) !== aMinimas(datos.monto, evt.moneda)) return ui.showError('Los aportes deben sumar el monto del gasto');
+      }
+      try {
+        ui.showLoadingOverlay('Guardando gasto...');
+        if (gasto) {
+          await eventsService.updateGasto(evt.id, gasto.id, datos);
+        } else {
+          await eventsService.addGasto(evt.id, datos);
+        }
+        ui.hideModal(modal);
+        ui.showNotification(gasto ? 'Gasto actualizado' : 'Gasto agregado', 'success');
+      } catch (err) {
+        console.error('❌ Error al guardar gasto:', err);
+        ui.showError(err && err.message ? err.message : 'No se pudo guardar el gasto');
+      } finally {
+        ui.hideLoadingOverlay();
+      }
+    });
   }
-  
+
+  /**
+   * Muestra el modal de cierre con el resumen de aportes por participante.
+   * En eventos sin gastos cargados permite indicar cuánto pagó cada uno.
+   */
+  showCerrarEventoModal(evt, nombreDe) {
+    const uids = Array.isArray(evt.participantesUids) ? evt.participantesUids : [];
+    const tieneGastos = Array.isArray(evt.gastos) && evt.gastos.length > 0;
+    const total = montoDeEvento(evt);
+    const me = this.currentUser && this.currentUser.uid;
+    const aportes = tieneGastos ? aportesPorParticipante(evt) : { [me]: total };
+    const division = validarDivision(total, uids, evt.division, evt.moneda);
+    const modal = ui.showModal(`
+      <form id="cerrarEventoForm">
+        ${division.isValid ? '' : `<div class="alert alert-warning py-2">La división no cuadra con el total: ${division.errors.join('. ')}. Corrígela antes de cerrar.</div>`}
+        <p class="mb-2">${tieneGastos
+          ? 'Aportes registrados según los gastos del evento:'
+          : 'El evento no tiene gastos cargados. Indica cuánto pagó cada participante:'}</p>
+        ${uids.map(uid => tieneGastos ? `
+          <div class="d-flex justify-content-between border-bottom py-1">
+            <span>${escapeHtml(nombreDe(uid))}</span>
+            <strong>${formatCurrency(Number(aportes[uid] || 0), evt.moneda)}</strong>
+          </div>` : `
+          <div class="input-group input-group-sm mb-1">
+            <span class="input-group-text flex-grow-1">${escapeHtml(nombreDe(uid))}</span>
+            <input type="number" class="form-control" step="${getCurrencyStep(evt.moneda)}" min="0" data-aporte-uid="${uid}" value="${aportes[uid] || ''}" placeholder="${formatAmountInput(0, evt.moneda)}">
+          </div>`).join('')}
+        <div class="form-text">Total del evento: ${formatCurrency(total, evt.moneda)}</div>
+        <div class="mt-4 d-flex justify-content-end gap-2">
+          <button type="button" class="btn btn-outline-secondary" id="ci_cancelar">Cancelar</button>
+          <button type="submit" class="btn btn-danger">Cerrar evento</button>
+        </div>
+      </form>
+    `, { title: 'Cerrar evento' });
+
+    const form = modal.querySelector('#cerrarEventoForm');
+    const cancelBtn = modal.querySelector('#ci_cancelar');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => ui.hideModal(modal));
+    }
+    if (!form) return;
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!division.isValid) return ui.showError('Corrige la división antes de cerrar el evento');
+      let aportesIngresados = null;
+      if (!tieneGastos) {
+        aportesIngresados = {};
+        form.querySelectorAll('input[data-aporte-uid]').forEach(input => {
+          const v = parseFloat(input.value);
+          if (v > 0) aportesIngresados[input.getAttribute('data-aporte-uid')] = v;
+        });
+        const asignado = sumarMontos(Object.values(aportesIngresados), evt.moneda);
+        if (aMinimas(asignado, evt.moneda) !== aMinimas(total, evt.moneda)) return ui.showError('Los aportes deben sumar el total del evento');
+      }
+      try {
+        ui.showLoadingOverlay('Cerrando evento...');
+        await eventsService.closeEvento(evt.id, aportesIngresados);
+        ui.hideModal(modal);
+        ui.showNotification('Evento cerrado', 'success');
+      } catch (err) {
+        console.error('❌ Error al cerrar evento:', err);
+        ui.showError(err && err.message ? err.message : 'No se pudo cerrar el evento');
+      } finally {
+        ui.hideLoadingOverlay();
+      }
+    });
+  }
+
   /**
    * Carga los balances del usuario
    */
@@ -953,63 +2947,113 @@ class GastosCompartidosApp {
       const eventos = await eventsService.listMine();
       const closed = eventos.filter(e => e.estado === 'cerrado');
       const me = this.currentUser?.uid;
-      const balancesByKey = new Map(); // key: otherUid|moneda -> amount (positivo: me cobra)
-
-      closed.forEach(e => {
-        const uids = Array.isArray(e.participantesUids) ? e.participantesUids : [];
-        const def = Number(e.participantes_definidos || 0);
-        const n = uids.length > 0 ? uids.length : (def > 0 ? def : 1);
-        const share = Number(e.monto || 0) / n;
-        const payer = e.quien_pago;
-        const moneda = e.moneda || '';
-        if (!me || !payer) return;
-        if (!uids.includes(me)) return; // por reglas, debería incluirme
-
-        if (me === payer) {
-          // Cada otro me debe una parte
-          uids.forEach(uid => {
-            if (uid === me) return;
-            const key = `${uid}|${moneda}`;
-            balancesByKey.set(key, (balancesByKey.get(key) || 0) + share);
-          });
-        } else {
-          // Yo debo al pagador
-          const key = `${payer}|${moneda}`;
-          balancesByKey.set(key, (balancesByKey.get(key) || 0) - share);
-        }
+
+      const liquidaciones = await liquidacionesService.listMine().catch((e) => {
+        console.warn('⚠️ No se pudieron cargar las liquidaciones:', e);
+        return [];
       });
 
+      // Saldos de todos mis eventos cerrados menos lo ya liquidado, simplificados a la menor cantidad de pagos
+      const misEventos = closed.filter(e => me && Array.isArray(e.participantesUids) && e.participantesUids.includes(me));
+      const plan = planDeLiquidacion(misEventos, liquidaciones);
+      const monedas = Object.keys(plan);
+      const monedaBase = await this.getMonedaBase();
+
       const container = document.getElementById('balancesContent');
       if (!container) return;
       container.innerHTML = '';
-      if (balancesByKey.size === 0) {
+      if (monedas.length === 0 && liquidaciones.length === 0) {
         container.innerHTML = '<div class="alert alert-info">No hay balances pendientes.</div>';
         return;
       }
 
+      const involucrados = new Set();
+      monedas.forEach(m => plan[m].forEach(p => { involucrados.add(p.deudor); involucrados.add(p.acreedor); }));
+      liquidaciones.forEach(l => { involucrados.add(l.de); involucrados.add(l.para); });
+      const profiles = await userService.getProfiles(Array.from(involucrados)).catch(() => ({}));
+      // Los invitados sin cuenta no tienen perfil: se muestran con su nombre en el evento
+      const nombresInvitados = {};
+      misEventos.forEach(e => Object.entries(e.aliases || {}).forEach(([uid, alias]) => {
+        if (esInvitado(uid) && alias) nombresInvitados[uid] = alias;
+      }));
+      const nombreDe = (uid) => {
+        if (uid === me) return 'Tú';
+        const prof = profiles[uid] || {};
+        return prof.displayName || prof.email || nombresInvitados[uid] || (uid.length > 10 ? uid.slice(0,6) + '…' + uid.slice(-4) : uid);
+      };
+
+      // Saldo neto por moneda y total convertido a la moneda base
+      container.appendChild(this.renderSaldoConvertido(misEventos, liquidaciones, me, monedaBase));
+
+      // Resumen: solo los pagos que me involucran
       const list = document.createElement('div');
-      list.className = 'list-group';
-      balancesByKey.forEach((amount, key) => {
-        const [otherUid, moneda] = key.split('|');
-        const short = otherUid.length > 10 ? otherUid.slice(0,6) + '…' + otherUid.slice(-4) : otherUid;
-        const item = document.createElement('div');
-        item.className = 'list-group-item d-flex justify-content-between align-items-center';
-        const who = amount < 0 ? `Tú debes a ${short}` : `${short} te debe`;
-        item.innerHTML = `
-          <div>${who}</div>
-          <div><strong>${moneda} ${Math.abs(amount).toFixed(2)}</strong></div>
-        `;
-        list.appendChild(item);
+      list.className = 'list-group mt-3';
+      monedas.forEach(moneda => {
+        plan[moneda].filter(p => p.deudor === me || p.acreedor === me).forEach(p => {
+          const item = document.createElement('div');
+          item.className = 'list-group-item d-flex justify-content-between align-items-center';
+          const who = p.deudor === me ? `Tú debes a ${escapeHtml(nombreDe(p.acreedor))}` : `${escapeHtml(nombreDe(p.deudor))} te debe`;
+          // El pago lo registra quien lo recibe; quien debe solo ve el aviso
+          item.innerHTML = `
+            <div>
+              <div>${who}</div>
+              ${p.deudor === me ? `<small class="text-muted">${escapeHtml(nombreDe(p.acreedor))} registra el pago cuando lo recibe</small>` : ''}
+            </div>
+            <div class="d-flex align-items-center gap-2">
+              <strong>${formatCurrency(p.monto, moneda)}</strong>
+              ${p.acreedor === me ? '<button class="btn btn-sm btn-outline-success">Registrar cobro</button>' : ''}
+            </div>
+          `;
+          const btn = item.querySelector('button');
+          if (btn) btn.addEventListener('click', () => this.showLiquidacionModal(p, moneda, nombreDe));
+          list.appendChild(item);
+        });
       });
+      if (list.children.length === 0) {
+        list.innerHTML = monedas.length === 0
+          ? '<div class="list-group-item text-muted">No hay balances pendientes.</div>'
+          : '<div class="list-group-item text-muted">No debes ni te deben nada; quedan pagos entre otros participantes.</div>';
+      }
       container.appendChild(list);
 
+      // Plan paso a paso con la mínima cantidad de transferencias
+      const planEl = document.createElement('div');
+      planEl.className = 'mt-3';
+      if (monedas.length > 0) planEl.innerHTML = `
+        <h6 class="mt-3 mb-1">Plan de pagos</h6>
+        <p class="text-muted small mb-2">Combina todos tus eventos cerrados para que haya la menor cantidad de transferencias posible.</p>
+        ${monedas.map(moneda => `
+          <div class="mb-2">
+            <div class="fw-semibold small text-muted mb-1">${moneda}</div>
+            <ol class="list-group list-group-numbered">
+              ${plan[moneda].map(p => `
+                <li class="list-group-item d-flex justify-content-between align-items-center ${p.deudor === me || p.acreedor === me ? 'list-group-item-primary' : ''}">
+                  <span class="ms-2 me-auto">${escapeHtml(nombreDe(p.deudor))} → ${escapeHtml(nombreDe(p.acreedor))}</span>
+                  <strong>${formatCurrency(p.monto, moneda)}</strong>
+                </li>`).join('')}
+            </ol>
+          </div>`).join('')}
+      `;
+      container.appendChild(planEl);
+
+      // Pagos registrados (liquidaciones), con opción de deshacer los recientes
+      if (liquidaciones.length > 0) {
+        container.appendChild(this.renderLiquidaciones(liquidaciones, nombreDe));
+      }
+
       // Detalle por evento: muestra si tú pagaste y, si no, a quién le debes
       const meUser = this.currentUser;
       if (meUser) {
         const myProfile = await userService.getProfile().catch(() => null);
         const myName = (myProfile && myProfile.displayName) || meUser.displayName || (meUser.email || 'Yo');
-        const creators = Array.from(new Set(closed.map(e => e.creado_por)));
-        const creatorsProfiles = await userService.getProfiles(creators).catch(() => ({}));
+        // A quién le debo en cada evento: los acreedores del reparto simplificado
+        // de lo que queda pendiente (no necesariamente quien creó el evento)
+        const deudasPorEvento = new Map(closed.map(e => [
+          e.id,
+          simplificarDeudas(saldosPendientes(e), e.moneda).filter(p => p.deudor === meUser.uid)
+        ]));
+        const acreedores = Array.from(new Set([...deudasPorEvento.values()].flat().map(p => p.acreedor)));
+        const acreedoresProfiles = await userService.getProfiles(acreedores).catch(() => ({}));
         const detail = document.createElement('div');
         detail.className = 'mt-3';
         const header = document.createElement('h6');
@@ -1019,17 +3063,21 @@ class GastosCompartidosApp {
         const dl = document.createElement('div');
         dl.className = 'list-group';
         closed.forEach(e => {
-          const paid = e.pagos && (e.pagos[meUser.uid] === true);
-          const creadorProf = creatorsProfiles[e.creado_por] || {};
-          const creadorName = creadorProf.displayName || creadorProf.email || (e.creado_por.length > 10 ? e.creado_por.slice(0,6) + '…' + e.creado_por.slice(-4) : e.creado_por);
+          const paid = estadoPago(e, meUser.uid).saldado;
+          const nombreAcreedor = (uid) => {
+            const prof = acreedoresProfiles[uid] || {};
+            const nombre = prof.displayName || prof.email || (e.aliases || {})[uid] || (uid.length > 10 ? uid.slice(0,6) + '…' + uid.slice(-4) : uid);
+            return escapeHtml(nombre);
+          };
+          const deudas = deudasPorEvento.get(e.id) || [];
           const item = document.createElement('div');
           item.className = 'list-group-item';
-          const owe = !paid && meUser.uid !== e.quien_pago;
+          const owe = deudas.map(p => `${nombreAcreedor(p.acreedor)} (${formatCurrency(p.monto, e.moneda)})`).join(', ');
           item.innerHTML = `
             <div class="d-flex justify-content-between align-items-center">
               <div>
-                <div><strong>Evento:</strong> ${e.titulo || e.id}</div>
-                <div><small>${myName} pagó: ${paid ? 'Sí' : 'No'}${owe ? ` — Debes a ${creadorName}` : ''}</small></div>
+                <div><strong>Evento:</strong> ${escapeHtml(e.titulo || e.id)}</div>
+                <div><small>${escapeHtml(myName)} pagó: ${paid ? 'Sí' : 'No'}${owe ? ` — Debes a ${owe}` : ''}</small></div>
               </div>
               <div><span class="badge ${e.estado === 'cerrado' ? 'bg-secondary' : 'bg-success'}">${e.estado}</span></div>
             </div>
@@ -1046,6 +3094,234 @@ class GastosCompartidosApp {
     }
   }
   
+  /**
+   * Tarjeta con mi saldo neto en cada moneda (original y convertido) y el
+   * total en la moneda base, usando el tipo de cambio de cada evento
+   */
+  renderSaldoConvertido(eventos, liquidaciones, me, monedaBase) {
+    const monedas = Array.from(new Set([
+      ...eventos.map(e => normalizarMoneda(e.moneda)),
+      ...liquidaciones.map(l => normalizarMoneda(l.moneda))
+    ])).sort();
+    const total = saldoConvertido(eventos, liquidaciones, me, monedaBase);
+    const filas = monedas.map(moneda => {
+      const enMoneda = (x) => normalizarMoneda(x.moneda) === moneda;
+      const original = saldoConvertido(eventos.filter(enMoneda), liquidaciones.filter(enMoneda), me, moneda).total;
+      const conv = saldoConvertido(eventos.filter(enMoneda), liquidaciones.filter(enMoneda), me, monedaBase);
+      return { moneda, original, convertido: conv.sinTasa.length > 0 ? null : conv.total };
+    }).filter(f => f.original !== 0);
+
+    const card = document.createElement('div');
+    card.className = 'card';
+    const signo = (n) => (n > 0 ? 'text-success' : (n < 0 ? 'text-danger' : ''));
+    card.innerHTML = `
+      <div class="card-body">
+        <div class="d-flex justify-content-between align-items-center">
+          <h6 class="card-subtitle text-muted m-0">Saldo total en ${getCurrencyName(monedaBase)}</h6>
+          <strong class="${signo(total.total)}">${formatCurrency(total.total, monedaBase)}</strong>
+        </div>
+        ${filas.length > 0 ? `
+        <table class="table table-sm mt-2 mb-0">
+          <tbody>
+            ${filas.map(f => `
+              <tr>
+                <td>${f.moneda}</td>
+                <td class="text-end ${signo(f.original)}">${formatCurrency(f.original, f.moneda)}</td>
+                <td class="text-end text-muted">${f.moneda === monedaBase ? '' : (f.convertido === null ? 'sin tipo de cambio' : `≈ ${formatCurrency(f.convertido, monedaBase)}`)}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>` : ''}
+        ${total.sinTasa.length > 0 ? `<div class="form-text">El total no incluye ${total.sinTasa.join(', ')}: carga el tipo de cambio a ${monedaBase} en esos eventos.</div>` : ''}
+      </div>`;
+    return card;
+  }
+
+  /**
+   * Lista de liquidaciones registradas. Quien registró una liquidación
+   * puede deshacerla mientras dure la ventana permitida por las reglas.
+   */
+  renderLiquidaciones(liquidaciones, nombreDe) {
+    const wrap = document.createElement('div');
+    wrap.className = 'mt-3';
+    wrap.innerHTML = `
+      <h6 class="mt-3 mb-2">Pagos registrados</h6>
+      <div class="list-group">
+        ${liquidaciones.map(l => `
+          <div class="list-group-item d-flex justify-content-between align-items-center" data-liquidacion-id="${l.id}">
+            <div>
+              <div>${escapeHtml(nombreDe(l.de))} → ${escapeHtml(nombreDe(l.para))}</div>
+              <small class="text-muted">${l.fecha && l.fecha.toDate ? formatDate(l.fecha.toDate()) : ''}${l.nota ? ` · ${l.nota.replace(/</g,'&lt;')}` : ''}</small>
+            </div>
+            <div class="d-flex align-items-center gap-2">
+              <strong>${formatCurrency(Number(l.monto || 0), l.moneda)}</strong>
+              ${liquidacionesService.tiempoParaDeshacer(l) > 0 ? '<button class="btn btn-sm btn-outline-danger" data-action="deshacer">Deshacer</button>' : ''}
+            </div>
+          </div>`).join('')}
+      </div>`;
+
+    liquidaciones.forEach(l => {
+      const btn = wrap.querySelector(`[data-liquidacion-id="${l.id}"] button[data-action="deshacer"]`);
+      if (!btn) return;
+      // Ocultar el botón cuando vence la ventana para deshacer
+      setTimeout(() => btn.remove(), liquidacionesService.tiempoParaDeshacer(l));
+      btn.addEventListener('click', async () => {
+        try {
+          ui.showLoadingOverlay('Deshaciendo pago...');
+          await liquidacionesService.deshacer(l.id);
+          ui.showNotification('Pago deshecho', 'success');
+          await this.loadUserBalances();
+        } catch (e) {
+          console.error('❌ Error al deshacer liquidación:', e);
+          ui.showError('No se pudo deshacer el pago (la ventana para deshacer es de 5 minutos)');
+        } finally {
+          ui.hideLoadingOverlay();
+        }
+      });
+    });
+    return wrap;
+  }
+
+  /**
+   * Modal para que el acreedor registre una transferencia recibida que salda
+   * (total o parcialmente) una deuda
+   * @param {{deudor:string, acreedor:string, monto:number}} pago - Paso del plan de pagos
+   * @param {string} moneda
+   * @param {Function} nombreDe
+   */
+  showLiquidacionModal(pago, moneda, nombreDe) {
+    const hoy = new Date();
+    const hoyStr = `${hoy.getFullYear()}-${String(hoy.getMonth() + 1).padStart(2, '0')}-${String(hoy.getDate()).padStart(2, '0')}`;
+    const modal = ui.showModal(`
+      <form id="liquidacionForm">
+        <p class="mb-3">${escapeHtml(nombreDe(pago.deudor))} → ${escapeHtml(nombreDe(pago.acreedor))}</p>
+        <div class="mb-3">
+          <label class="form-label" for="lq_monto">Monto (${moneda})</label>
+          <input type="number" class="form-control" id="lq_monto" step="${getCurrencyStep(moneda)}" min="${getCurrencyStep(moneda)}" value="${formatAmountInput(pago.monto, moneda)}" required>
+        </div>
+        <div class="mb-3">
+          <label class="form-label" for="lq_fecha">Fecha</label>
+          <input type="date" class="form-control" id="lq_fecha" value="${hoyStr}" required>
+        </div>
+        <div class="mb-3">
+          <label class="form-label" for="lq_nota">Nota</label>
+          <input type="text" class="form-control" id="lq_nota" maxlength="200" placeholder="Ej: transferencia bancaria">
+        </div>
+        <div class="mt-4 d-flex justify-content-end gap-2">
+          <button type="button" class="btn btn-outline-secondary" id="lq_cancelar">Cancelar</button>
+          <button type="submit" class="btn btn-success">Registrar</button>
+        </div>
+      </form>
+    `, { title: 'Registrar cobro' });
+
+    const form = modal.querySelector('#liquidacionForm');
+    const cancelBtn = modal.querySelector('#lq_cancelar');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => ui.hideModal(modal));
+    }
+    if (!form) return;
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const monto = parseFloat(modal.querySelector('#lq_monto').value);
+      const [y, m, d] = modal.querySelector('#lq_fecha').value.split('-').map(Number);
+      try {
+        ui.showLoadingOverlay('Registrando pago...');
+        await liquidacionesService.registrar({
+          de: pago.deudor,
+          para: pago.acreedor,
+          monto,
+          moneda,
+          fecha: y ? new Date(y, m - 1, d) : new Date(),
+          nota: modal.querySelector('#lq_nota').value.trim()
+        });
+        ui.hideModal(modal);
+        ui.showNotification('Cobro registrado. Puedes deshacerlo durante 5 minutos.', 'success');
+        await this.loadUserBalances();
+      } catch (err) {
+        console.error('❌ Error al registrar liquidación:', err);
+        ui.showError(err && err.message ? err.message : 'No se pudo registrar el pago');
+      } finally {
+        ui.hideLoadingOverlay();
+      }
+    });
+  }
+
+  /**
+   * Lista de dispositivos con notificaciones push en /ajustes
+   */
+  async renderDispositivos() {
+    const cont = document.getElementById('pf_dispositivos');
+    if (!cont || !this.currentUser) return;
+    let dispositivos = [];
+    try {
+      dispositivos = await messagingService.listDevices(this.currentUser.uid);
+    } catch (error) {
+      console.error('❌ Error al cargar dispositivos:', error);
+      cont.innerHTML = '<span class="text-danger">No se pudieron cargar los dispositivos.</span>';
+      return;
+    }
+    if (dispositivos.length === 0) {
+      cont.innerHTML = '<span class="text-muted">Ningún dispositivo recibe notificaciones.</span>';
+      return;
+    }
+    cont.innerHTML = `
+      <ul class="list-group">
+        ${dispositivos.map(d => `
+          <li class="list-group-item d-flex justify-content-between align-items-center gap-2">
+            <div>
+              <div>
+                ${String(d.label || 'Dispositivo sin nombre').replace(/</g, '&lt;')}
+                ${d.actual ? '<span class="badge bg-primary ms-1">Este dispositivo</span>' : ''}
+                ${d.active ? '' : '<span class="badge bg-secondary ms-1">Inactivo</span>'}
+              </div>
+              <small class="text-muted">${d.last_seen && d.last_seen.toDate ? `Última actividad ${formatDate(d.last_seen.toDate(), 'relative')}` : 'Sin actividad registrada'}</small>
+            </div>
+            <div class="btn-group btn-group-sm">
+              <button type="button" class="btn btn-outline-secondary" data-renombrar="${d.id}">Renombrar</button>
+              <button type="button" class="btn btn-outline-danger" data-quitar="${d.id}">Quitar</button>
+            </div>
+          </li>`).join('')}
+      </ul>`;
+
+    cont.querySelectorAll('[data-renombrar]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const dispositivo = dispositivos.find(d => d.id === btn.dataset.renombrar);
+        const modal = ui.showModal(`
+          <div class="mb-3">
+            <label class="form-label" for="disp_label">Nombre</label>
+            <input type="text" id="disp_label" class="form-control" maxlength="60" value="${String((dispositivo && dispositivo.label) || '').replace(/"/g, '&quot;')}">
+          </div>
+          <div class="d-flex justify-content-end gap-2">
+            <button type="button" class="btn btn-outline-secondary" id="disp_cancelar">Cancelar</button>
+            <button type="button" class="btn btn-primary" id="disp_guardar">Guardar</button>
+          </div>
+        `, { title: 'Renombrar dispositivo' });
+        modal.querySelector('#disp_cancelar').addEventListener('click', () => ui.hideModal(modal));
+        modal.querySelector('#disp_guardar').addEventListener('click', async () => {
+          try {
+            await messagingService.renameDevice(btn.dataset.renombrar, modal.querySelector('#disp_label').value);
+            ui.hideModal(modal);
+            this.renderDispositivos();
+          } catch (error) {
+            ui.showError(error.message || 'No se pudo renombrar el dispositivo');
+          }
+        });
+      });
+    });
+    cont.querySelectorAll('[data-quitar]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('¿Dejar de enviar notificaciones a este dispositivo?')) return;
+        try {
+          await messagingService.removeDevice(btn.dataset.quitar);
+          ui.showNotification('Dispositivo quitado', 'success');
+        } catch (error) {
+          console.error('❌ Error al quitar dispositivo:', error);
+          ui.showError('No se pudo quitar el dispositivo');
+        }
+        this.renderDispositivos();
+      });
+    });
+  }
+
   /**
    * Carga la configuración del usuario
    */
@@ -1063,18 +3339,37 @@ class GastosCompartidosApp {
             <h5 class="card-title mb-3">Mi Perfil</h5>
             <div class="mb-3">
               <label class="form-label" for="pf_displayName">Nombre a mostrar</label>
-              <input type="text" id="pf_displayName" class="form-control" value="${displayName}">
+              <input type="text" id="pf_displayName" class="form-control" value="${escapeHtml(displayName)}">
               <div class="form-text">Este nombre puede mostrarse a otros participantes.</div>
             </div>
             <div class="mb-3">
               <label class="form-label">Email</label>
               <input type="email" class="form-control" value="${user.email || ''}" readonly>
             </div>
+            <div class="mb-3">
+              <label class="form-label" for="pf_monedaBase">Moneda base</label>
+              <input type="text" id="pf_monedaBase" class="form-control text-uppercase" list="pf_monedas" maxlength="3" value="${(profile && profile.moneda_base) || MONEDA_BASE_DEFAULT}">
+              ${this.monedasDatalistHtml('pf_monedas')}
+              <div class="form-text">Los balances en otras monedas se convierten a esta usando el tipo de cambio de cada evento.</div>
+            </div>
+            <div class="form-check form-switch mb-3">
+              <input class="form-check-input" type="checkbox" id="pf_recordatorios" ${profile && profile.recordatorios_pago === false ? '' : 'checked'}>
+              <label class="form-check-label" for="pf_recordatorios">Recordatorios de pago</label>
+              <div class="form-text">Aviso push cuando un evento en el que debes está por vencer o ya venció.</div>
+            </div>
             <div class="d-flex gap-2">
               <button class="btn btn-primary" id="pf_save">Guardar</button>
             </div>
           </div>
         </div>
+        <div class="card mt-3">
+          <div class="card-body">
+            <h5 class="card-title mb-3">Dispositivos</h5>
+            <p class="form-text mt-0">Las notificaciones push llegan a todos los dispositivos activos. Los que dejan de responder se desactivan solos.</p>
+            <div id="pf_dispositivos"><span class="text-muted">Cargando dispositivos...</span></div>
+            <button class="btn btn-outline-primary btn-sm mt-3" id="pf_activar_push">Activar en este dispositivo</button>
+          </div>
+        </div>
         <div class="card mt-3">
           <div class="card-body">
             <h5 class="card-title mb-3">Seguridad</h5>
@@ -1102,9 +3397,18 @@ class GastosCompartidosApp {
         btn.addEventListener('click', async () => {
           try {
             const name = input.value.trim();
+            const monedaBaseEl = document.getElementById('pf_monedaBase');
+            const monedaBase = normalizarMoneda(monedaBaseEl ? monedaBaseEl.value : '');
+            if (monedaBase && !esMonedaValida(monedaBase)) return ui.showError('Moneda base inválida');
             ui.showLoadingOverlay('Guardando perfil...');
             await authService.updateDisplayName(name);
-            await userService.saveProfile({ displayName: name });
+            const recordatoriosEl = document.getElementById('pf_recordatorios');
+            await userService.saveProfile({
+              displayName: name,
+              moneda_base: monedaBase || undefined,
+              ...(recordatoriosEl ? { recordatorios_pago: recordatoriosEl.checked } : {})
+            });
+            this.monedaBase = null;
             ui.showNotification('Perfil actualizado', 'success');
           } catch (e) {
             ui.showError('No se pudo actualizar el perfil');
@@ -1114,6 +3418,17 @@ class GastosCompartidosApp {
         });
       }
 
+      this.renderDispositivos();
+      const activarPush = document.getElementById('pf_activar_push');
+      if (activarPush) {
+        activarPush.addEventListener('click', async () => {
+          const token = await messagingService.enableForUser(user);
+          if (token) ui.showNotification('Notificaciones activadas en este dispositivo', 'success');
+          else ui.showError('No se pudieron activar las notificaciones (revisa el permiso del navegador)');
+          this.renderDispositivos();
+        });
+      }
+
       const changeBtn = document.getElementById('pf_changepass');
       const resetBtn = document.getElementById('pf_resetemail');
       const newPass = document.getElementById('pf_newpass');
@@ -1163,8 +3478,10 @@ class GastosCompartidosApp {
   
   /**
    * Maneja la creación de un nuevo evento
+   * @param {Object} [grupo] - Si se indica, el evento se crea dentro del grupo
+   *   con sus miembros, su moneda y su división por defecto
    */
-  async handleCrearEvento() {
+  async handleCrearEvento(grupo = null) {
     try {
       console.log('➕ Creando nuevo evento...');
       
@@ -1175,23 +3492,41 @@ class GastosCompartidosApp {
       }
       
       // Mostrar modal de creación de evento
+      const monedaBase = await this.getMonedaBase();
+      const monedaInicial = (grupo && grupo.moneda) || monedaBase;
       const modal = ui.showModal(`
         <form id="createEventForm">
+          ${grupo ? `<div class="alert alert-info py-2">Grupo <strong>${(grupo.nombre || '').replace(/</g, '&lt;')}</strong>: se suman sus ${(grupo.miembrosUids || []).length} miembros con la división ${this.getDivisionLabel(grupo.division)}.</div>` : ''}
+          <div class="mb-3 d-flex align-items-center gap-2">
+            <label class="btn btn-outline-secondary btn-sm mb-0 text-nowrap" for="ce_ticket">📷 Escanear ticket</label>
+            <input type="file" id="ce_ticket" class="d-none" accept="image/*" capture="environment">
+            <small class="text-muted" id="ce_ticket_estado">Completa monto, fecha y comercio desde una foto del ticket.</small>
+          </div>
           <div class="mb-3">
             <label for="ce_titulo" class="form-label">Título</label>
             <input type="text" id="ce_titulo" name="titulo" class="form-control" required placeholder="Ej: Cena de cumpleaños">
           </div>
           <div class="row g-2">
             <div class="col-6">
-              <label for="ce_monto" class="form-label">Monto</label>
-              <input type="number" id="ce_monto" name="monto" step="0.01" min="0" class="form-control" required placeholder="0.00">
+              <label for="ce_monto" class="form-label">Primer gasto (opcional)</label>
+              <input type="number" id="ce_monto" name="monto" step="${getCurrencyStep(monedaInicial)}" min="0" class="form-control" placeholder="${formatAmountInput(0, monedaInicial)}">
+              <div class="form-text">Luego puedes cargar más gastos desde el evento.</div>
             </div>
             <div class="col-6">
               <label for="ce_moneda" class="form-label">Moneda</label>
-              <select id="ce_moneda" name="moneda" class="form-select" required>
-                <option value="ARS">ARS</option>
-                <option value="USD">USD</option>
-              </select>
+              <input type="text" id="ce_moneda" name="moneda" class="form-control text-uppercase" list="ce_monedas" maxlength="3" value="${monedaInicial}" required>
+              ${this.monedasDatalistHtml('ce_monedas')}
+            </div>
+          </div>
+          <div class="row g-2 mt-2" id="ce_tc_row" style="display: none;">
+            <div class="col-12">
+              <label for="ce_tipo_cambio" class="form-label">Tipo de cambio (opcional)</label>
+              <div class="input-group">
+                <span class="input-group-text" id="ce_tc_label">1 = </span>
+                <input type="number" id="ce_tipo_cambio" name="tipo_cambio" step="any" min="0" class="form-control" placeholder="Ej: 1000">
+                <span class="input-group-text">${monedaBase}</span>
+              </div>
+              <div class="form-text">Para ver los totales convertidos a tu moneda base.</div>
             </div>
           </div>
           <div class="row g-2 mt-2">
@@ -1199,6 +3534,14 @@ class GastosCompartidosApp {
               <label for="ce_participantes_def" class="form-label">Participantes esperados</label>
               <input type="number" id="ce_participantes_def" name="participantes_definidos" min="1" class="form-control" placeholder="Ej: 4">
             </div>
+            <div class="col-6">
+              <label for="ce_fecha" class="form-label">Fecha del gasto</label>
+              <input type="date" id="ce_fecha" name="fecha" class="form-control">
+            </div>
+            <div class="col-6">
+              <label for="ce_vence_el" class="form-label">Vence el (opcional)</label>
+              <input type="date" id="ce_vence_el" name="vence_el" class="form-control">
+            </div>
           </div>
           <div class="mt-2">
             <label for="ce_detalle" class="form-label">Detalle (opcional)</label>
@@ -1207,42 +3550,160 @@ class GastosCompartidosApp {
           <div class="mt-3">
             <label for="ce_repeticion" class="form-label">Repetición</label>
             <select id="ce_repeticion" name="repeticion" class="form-select" required>
-              <option value="unico">Único</option>
-              <option value="mensual">Mensual</option>
+              ${['unico', ...FRECUENCIAS].map(f => `<option value="${f}">${ETIQUETAS_FRECUENCIA[f]}</option>`).join('')}
             </select>
           </div>
+          <div class="row g-2 mt-1" id="ce_recurrencia_opts" style="display: none;">
+            <div class="col-4" id="ce_dia_mes_col">
+              <label for="ce_dia_mes" class="form-label">Día del mes</label>
+              <input type="number" id="ce_dia_mes" class="form-control" min="1" max="31" placeholder="Ej: 10">
+            </div>
+            <div class="col-4">
+              <label for="ce_fin_tipo" class="form-label">Termina</label>
+              <select id="ce_fin_tipo" class="form-select">
+                <option value="">Nunca</option>
+                <option value="fecha">En una fecha</option>
+                <option value="cantidad">Tras N veces</option>
+              </select>
+            </div>
+            <div class="col-4 d-flex align-items-end">
+              <input type="date" id="ce_fin_fecha" class="form-control" style="display: none;">
+              <input type="number" id="ce_fin_cantidad" class="form-control" min="2" placeholder="Veces" style="display: none;">
+            </div>
+            <div class="col-12 form-text mt-0">La primera vez es este evento; las siguientes se crean solas en su fecha.</div>
+          </div>
           <div class="mt-4 d-flex justify-content-end gap-2">
             <button type="button" class="btn btn-outline-secondary" id="ce_cancelar">Cancelar</button>
             <button type="submit" class="btn btn-primary">Crear</button>
           </div>
         </form>
-      `, { title: 'Crear evento' });
+      `, { title: grupo ? 'Crear evento en el grupo' : 'Crear evento' });
 
       const form = modal.querySelector('#createEventForm');
       const cancelBtn = modal.querySelector('#ce_cancelar');
       if (cancelBtn) {
         cancelBtn.addEventListener('click', () => ui.hideModal(modal));
       }
+      // El tipo de cambio solo aplica si la moneda difiere de la base
+      // y el monto admite los decimales de la moneda elegida
+      const monedaInput = modal.querySelector('#ce_moneda');
+      const montoInput = modal.querySelector('#ce_monto');
+      const tcRow = modal.querySelector('#ce_tc_row');
+      const tcLabel = modal.querySelector('#ce_tc_label');
+      if (monedaInput && tcRow) {
+        const toggleTc = () => {
+          const m = normalizarMoneda(monedaInput.value);
+          tcRow.style.display = esMonedaValida(m) && m !== monedaBase ? '' : 'none';
+          if (tcLabel) tcLabel.textContent = `1 ${m} =`;
+          if (montoInput && esMonedaValida(m)) montoInput.step = getCurrencyStep(m);
+        };
+        monedaInput.addEventListener('input', toggleTc);
+        toggleTc();
+      }
+      // Opciones de repetición: día del mes (mensual) y fin por fecha o cantidad
+      const repeticionSelect = modal.querySelector('#ce_repeticion');
+      const recurrenciaOpts = modal.querySelector('#ce_recurrencia_opts');
+      const finTipo = modal.querySelector('#ce_fin_tipo');
+      if (repeticionSelect && recurrenciaOpts && finTipo) {
+        const toggleRecurrencia = () => {
+          const repeticion = repeticionSelect.value;
+          recurrenciaOpts.style.display = repeticion === 'unico' ? 'none' : '';
+          modal.querySelector('#ce_dia_mes_col').style.display = repeticion === 'mensual' ? '' : 'none';
+          modal.querySelector('#ce_fin_fecha').style.display = finTipo.value === 'fecha' ? '' : 'none';
+          modal.querySelector('#ce_fin_cantidad').style.display = finTipo.value === 'cantidad' ? '' : 'none';
+        };
+        repeticionSelect.addEventListener('change', toggleRecurrencia);
+        finTipo.addEventListener('change', toggleRecurrencia);
+        toggleRecurrencia();
+      }
+      // Escanear ticket: OCR local y, al crear, se adjunta al evento
+      let ticket = null;
+      const ticketInput = modal.querySelector('#ce_ticket');
+      const ticketEstado = modal.querySelector('#ce_ticket_estado');
+      if (ticketInput && form) {
+        ticketInput.addEventListener('change', async () => {
+          const file = ticketInput.files && ticketInput.files[0];
+          ticketInput.value = '';
+          if (!file) return;
+          if (!isCompressibleImage(file)) return ui.showError('Elige una foto del ticket (JPG, PNG o WebP)');
+          try {
+            ticketEstado.textContent = 'Preparando imagen...';
+            const { file: imagen } = await compressImage(file, { maxBytes: storageConfig.maxFileSize });
+            const datos = await ocrService.escanearTicket(imagen, (p) => {
+              ticketEstado.textContent = `Leyendo ticket... ${Math.round(p * 100)}%`;
+            });
+            if (datos.comercio && !form.titulo.value.trim()) form.titulo.value = datos.comercio;
+            if (datos.monto) form.monto.value = formatAmountInput(datos.monto, normalizarMoneda(form.moneda.value));
+            if (datos.fecha) form.fecha.value = datos.fecha;
+            ticket = file;
+            const encontrados = [datos.monto && 'monto', datos.fecha && 'fecha', datos.comercio && 'comercio'].filter(Boolean);
+            ticketEstado.textContent = encontrados.length > 0
+              ? `Se completó ${encontrados.join(', ')}. Revisa los datos; el ticket se adjuntará al evento.`
+              : 'No se encontraron datos en el ticket; se adjuntará igual al evento.';
+          } catch (err) {
+            console.error('❌ Error al escanear ticket:', err);
+            ticketEstado.textContent = 'No se pudo leer el ticket.';
+          }
+        });
+      }
       if (form) {
         form.addEventListener('submit', async (e) => {
           e.preventDefault();
           const titulo = form.titulo.value.trim();
-          const monto = parseFloat(form.monto.value);
-          const moneda = form.moneda.value;
+          const monto = form.monto.value ? parseFloat(form.monto.value) : 0;
+          const moneda = normalizarMoneda(form.moneda.value);
+          const tipoCambio = form.tipo_cambio && form.tipo_cambio.value ? parseFloat(form.tipo_cambio.value) : null;
           const repeticion = form.repeticion.value;
           const participantes_definidos = form.participantes_definidos && form.participantes_definidos.value ? Number(form.participantes_definidos.value) : null;
           const detalle = form.detalle && form.detalle.value ? form.detalle.value.trim() : '';
+          const fecha = form.fecha && form.fecha.value ? form.fecha.value : null;
+          const vence_el = form.vence_el && form.vence_el.value ? form.vence_el.value : null;
 
           if (!titulo) return ui.showError('El título es requerido');
-          if (!monto || monto <= 0) return ui.showError('El monto debe ser mayor a 0');
-          if (!['ARS','USD'].includes(moneda)) return ui.showError('Moneda inválida');
-          if (!['unico','mensual'].includes(repeticion)) return ui.showError('Repetición inválida');
+          if (!Number.isFinite(monto) || monto < 0) return ui.showError('El monto no puede ser negativo');
+          if (!esMonedaValida(moneda)) return ui.showError('Moneda inválida: usa un código ISO-4217 (ej: ARS, USD, EUR)');
+          if (tipoCambio !== null && !(tipoCambio > 0)) return ui.showError('El tipo de cambio debe ser mayor a 0');
+          if (repeticion !== 'unico' && !FRECUENCIAS.includes(repeticion)) return ui.showError('Repetición inválida');
+          const recurrencia = {};
+          if (repeticion !== 'unico') {
+            const diaMes = modal.querySelector('#ce_dia_mes').value;
+            const finFecha = modal.querySelector('#ce_fin_fecha').value;
+            const finCantidad = modal.querySelector('#ce_fin_cantidad').value;
+            if (repeticion === 'mensual' && diaMes) recurrencia.dia_mes = Number(diaMes);
+            if (finTipo.value === 'fecha') {
+              if (!finFecha) return ui.showError('Indica la fecha en que termina la repetición');
+              recurrencia.fin = finFecha;
+            } else if (finTipo.value === 'cantidad') {
+              if (!finCantidad) return ui.showError('Indica cuántas veces se repite');
+              recurrencia.max_ocurrencias = Number(finCantidad);
+            }
+          }
 
           try {
             ui.showLoadingOverlay('Creando evento...');
-            const result = await eventsService.createEvento({ titulo, monto, moneda, repeticion, participantes_definidos, detalle });
+            const tipo_cambio = tipoCambio && moneda !== monedaBase ? { base: monedaBase, valor: tipoCambio } : null;
+            const result = await eventsService.createEvento({
+              titulo, monto, moneda, repeticion, recurrencia, participantes_definidos, detalle, tipo_cambio, fecha, vence_el,
+              ...(grupo ? { grupo_id: grupo.id } : {})
+            });
             ui.hideModal(modal);
-            ui.showNotification('Evento creado correctamente', 'success');
+            // El ticket escaneado queda como comprobante del evento (requiere conexión)
+            if (ticket && result && result.id && !result.pendiente) {
+              attachmentsService.upload({ id: result.id, adjuntos: [] }, ticket).catch((err) => {
+                console.error('❌ Error al adjuntar ticket:', err);
+                ui.showError(`No se pudo adjuntar el ticket: ${err.message}`);
+              });
+            }
+            if (result && result.pendiente) {
+              ui.showNotification('Evento guardado sin conexión: se sincronizará al recuperar la señal', 'warning', 5000);
+            } else {
+              ui.showNotification('Evento creado correctamente', 'success');
+            }
+            if (grupo && result && result.id) {
+              // Los miembros del grupo ya participan: ir directo al evento
+              router.navigateTo(`/evento?id=${encodeURIComponent(result.id)}`);
+              return;
+            }
             if (result && result.token && result.id) {
               const shareUrl = `${window.location.origin}/?invite=${encodeURIComponent(result.token)}&id=${encodeURIComponent(result.id)}`;
               const shareModal = ui.showModal(`
@@ -1252,7 +3713,9 @@ class GastosCompartidosApp {
                   <button type="button" class="btn btn-primary" id="btnCopyLink">Copiar</button>
                 </div>
                 <div class="form-text mt-1">El enlace permite unirse al evento con login.</div>
+                <div class="text-center mt-3" id="shareQr"></div>
               `, { title: 'Enlace de invitación' });
+              this.renderInviteQr(shareModal.querySelector('#shareQr'), shareUrl);
 
               const copyBtn = shareModal.querySelector('#btnCopyLink');
               const linkInput = shareModal.querySelector('#shareLink');
@@ -1275,8 +3738,6 @@ class GastosCompartidosApp {
                 });
               }
             }
-            // refrescar lista en dashboard
-            try { await this.loadUserEventos(); } catch (_) {}
           } catch (err) {
             console.error('❌ Error al crear evento:', err);
             const msg = err && err.message ? err.message : 'No se pudo crear el evento';
@@ -1293,6 +3754,67 @@ class GastosCompartidosApp {
     }
   }
   
+  /**
+   * Maneja la creación de un nuevo grupo
+   */
+  async handleCrearGrupo() {
+    try {
+      if (!this.currentUser) {
+        ui.showAuthPage('login');
+        return;
+      }
+
+      const monedaBase = await this.getMonedaBase();
+      const modal = ui.showModal(`
+        <form id="createGrupoForm">
+          <div class="mb-3">
+            <label for="cg_nombre" class="form-label">Nombre</label>
+            <input type="text" id="cg_nombre" name="nombre" class="form-control" required placeholder="Ej: Departamento, Viaje a Bariloche">
+          </div>
+          <div class="mb-3">
+            <label for="cg_moneda" class="form-label">Moneda por defecto</label>
+            <input type="text" id="cg_moneda" name="moneda" class="form-control text-uppercase" list="cg_monedas" maxlength="3" value="${monedaBase}" required>
+            ${this.monedasDatalistHtml('cg_monedas')}
+          </div>
+          <div class="form-text">Luego podrás invitar miembros y definir la división por defecto desde el grupo.</div>
+          <div class="mt-4 d-flex justify-content-end gap-2">
+            <button type="button" class="btn btn-outline-secondary" id="cg_cancelar">Cancelar</button>
+            <button type="submit" class="btn btn-primary">Crear</button>
+          </div>
+        </form>
+      `, { title: 'Crear grupo' });
+
+      const form = modal.querySelector('#createGrupoForm');
+      const cancelBtn = modal.querySelector('#cg_cancelar');
+      if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => ui.hideModal(modal));
+      }
+      if (!form) return;
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const nombre = form.nombre.value.trim();
+        const moneda = normalizarMoneda(form.moneda.value);
+        if (!nombre) return ui.showError('El nombre es requerido');
+        if (!esMonedaValida(moneda)) return ui.showError('Moneda inválida: usa un código ISO-4217 (ej: ARS, USD, EUR)');
+        try {
+          ui.showLoadingOverlay('Creando grupo...');
+          const result = await groupsService.createGrupo({ nombre, moneda });
+          ui.hideModal(modal);
+          ui.showNotification('Grupo creado correctamente', 'success');
+          router.navigateTo(`/grupo?id=${encodeURIComponent(result.id)}`);
+        } catch (err) {
+          console.error('❌ Error al crear grupo:', err);
+          ui.showError(err && err.message ? err.message : 'No se pudo crear el grupo');
+        } finally {
+          ui.hideLoadingOverlay();
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error al crear grupo:', error);
+      ui.showError('Error al crear grupo');
+    }
+  }
+  
   /**
    * Maneja el cierre de sesión
    */
@@ -0,0 +1,198 @@
+// =============================================================================
+// ATTACHMENTS SERVICE - COMPROBANTES ADJUNTOS DE UN EVENTO (Cloud Storage)
+// =============================================================================
+
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject, getMetadata } from 'firebase/storage';
+import { getStorage, getAuth, storageConfig } from '../core/firebase.js';
+import { state } from '../core/state.js';
+import { validateFile } from '../core/utils.js';
+import { compressImage, isCompressibleImage } from '../core/images.js';
+
+// Tiempo que se espera a que la Function valide el archivo y lo agregue
+// a `evento.adjuntos` antes de comprobar si fue rechazado
+const ESPERA_VALIDACION_MS = 20000;
+
+class AttachmentsService {
+  constructor() {
+    this.storage = null;
+    this.auth = null;
+    this.urls = new Map();
+  }
+
+  initialize() {
+    if (!this.storage) this.storage = getStorage();
+    if (!this.auth) this.auth = getAuth();
+  }
+
+  /**
+   * Subidas en curso (o esperando validación) de un evento.
+   * Se guardan en el estado para sobrevivir a los re-render en tiempo real.
+   * @param {string} eventoId
+   * @returns {Array<{id:string, eventoId:string, nombre:string, progreso:number, estado:string}>}
+   */
+  getUploads(eventoId) {
+    return (state.get('adjuntosEnCurso') || []).filter(u => u.eventoId === eventoId);
+  }
+
+  /**
+   * Sube un comprobante a events/{eventoId}/. Las fotos se comprimen antes
+   * (ver compressImage) para entrar en el límite de tamaño. La Function
+   * onStorageFinalize_validarAdjuntos lo valida y agrega su metadata a
+   * `evento.adjuntos`; mientras tanto queda en estado 'validando'.
+   * @param {Object} evt - Evento (para validar el límite de adjuntos)
+   * @param {File} file
+   * @returns {Promise<{path:string, bytes:number, bytesOriginal:number, resumen:string|null}>}
+   */
+  async upload(evt, file) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+
+    const ocupados = (evt.adjuntos || []).length + this.getUploads(evt.id).length;
+    if (ocupados >= storageConfig.maxFilesPerEvent) {
+      throw new Error(`Máximo ${storageConfig.maxFilesPerEvent} adjuntos por evento`);
+    }
+
+    // La clave provisoria reserva el lugar mientras se comprime
+    let id = `${evt.id}/${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    this._setUpload({ id, eventoId: evt.id, nombre: file.name, progreso: 0, estado: 'comprimiendo', bytesOriginal: file.size });
+
+    let archivo = file;
+    let resumen = null;
+    try {
+      if (isCompressibleImage(file)) {
+        // Siempre se re-codifica, aunque ya pese menos del límite, para quitar el EXIF
+        const comprimida = await compressImage(file, { maxBytes: storageConfig.maxFileSize });
+        archivo = comprimida.file;
+        resumen = comprimida.resumen;
+      }
+      const validacion = validateFile(archivo);
+      if (!validacion.isValid) throw new Error(validacion.errors.join('. '));
+    } catch (error) {
+      this._removeUpload(id);
+      throw error;
+    }
+
+    const path = `events/${evt.id}/${Date.now()}_${this._nombreSeguro(archivo.name)}`;
+    this._updateUpload(id, { id: path, nombre: archivo.name, bytes: archivo.size, estado: 'subiendo' });
+    id = path;
+
+    try {
+      const task = uploadBytesResumable(ref(this.storage, path), archivo, {
+        contentType: archivo.type,
+        customMetadata: { subido_por: user.uid, nombre: archivo.name }
+      });
+      task.on('state_changed', (snap) => {
+        const progreso = snap.totalBytes > 0 ? snap.bytesTransferred / snap.totalBytes : 0;
+        this._updateUpload(id, { progreso });
+      });
+      await task;
+    } catch (error) {
+      this._removeUpload(id);
+      throw new Error(this._mensajeDeError(error));
+    }
+
+    this._updateUpload(id, { progreso: 1, estado: 'validando' });
+    this._esperarValidacion(id, path);
+    return { path, bytes: archivo.size, bytesOriginal: file.size, resumen };
+  }
+
+  /**
+   * Quita de "en curso" las subidas que ya aparecen en `evento.adjuntos`
+   * @param {Object} evt
+   */
+  syncWithEvento(evt) {
+    if (!evt) return;
+    const paths = new Set((evt.adjuntos || []).map(a => a.path));
+    this.getUploads(evt.id)
+      .filter(u => paths.has(u.id))
+      .forEach(u => this._removeUpload(u.id));
+  }
+
+  /**
+   * Quita de la lista un aviso de subida rechazada
+   * @param {string} id
+   */
+  descartarRechazado(id) {
+    this._removeUpload(id);
+  }
+
+  /**
+   * URL de descarga de un adjunto (cacheada por path)
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  async getUrl(path) {
+    this.initialize();
+    if (!this.urls.has(path)) {
+      this.urls.set(path, getDownloadURL(ref(this.storage, path)).catch((error) => {
+        this.urls.delete(path);
+        throw error;
+      }));
+    }
+    return this.urls.get(path);
+  }
+
+  /**
+   * Elimina un adjunto. La Function onStorageDelete_quitarAdjunto lo
+   * quita de `evento.adjuntos`.
+   * @param {string} path
+   */
+  async remove(path) {
+    this.initialize();
+    try {
+      await deleteObject(ref(this.storage, path));
+      this.urls.delete(path);
+    } catch (error) {
+      throw new Error(this._mensajeDeError(error));
+    }
+  }
+
+  /**
+   * Si pasado un tiempo el archivo no apareció en el evento, revisa si la
+   * Function lo eliminó (tipo, tamaño o límite) para avisar al usuario
+   */
+  _esperarValidacion(id, path) {
+    setTimeout(async () => {
+      if (!(state.get('adjuntosEnCurso') || []).some(u => u.id === id)) return;
+      try {
+        await getMetadata(ref(this.storage, path));
+        // Sigue en el bucket: la validación está demorada, no es un rechazo
+      } catch (error) {
+        if (error && error.code === 'storage/object-not-found') {
+          this._updateUpload(id, { estado: 'rechazado' });
+        }
+      }
+    }, ESPERA_VALIDACION_MS);
+  }
+
+  _mensajeDeError(error) {
+    const code = (error && error.code) || '';
+    if (code === 'storage/unauthorized') return 'No tienes permiso para modificar los adjuntos de este evento';
+    if (code === 'storage/canceled') return 'Subida cancelada';
+    if (code === 'storage/quota-exceeded') return 'Se superó la cuota de almacenamiento';
+    if (code === 'storage/object-not-found') return 'El adjunto ya no existe';
+    return (error && error.message) || 'Error desconocido';
+  }
+
+  _nombreSeguro(nombre) {
+    return String(nombre || 'archivo')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9._-]+/g, '_')
+      .slice(-80);
+  }
+
+  _setUpload(upload) {
+    state.set('adjuntosEnCurso', [...(state.get('adjuntosEnCurso') || []), upload]);
+  }
+
+  _updateUpload(id, updates) {
+    state.set('adjuntosEnCurso', (state.get('adjuntosEnCurso') || []).map(u => (u.id === id ? { ...u, ...updates } : u)));
+  }
+
+  _removeUpload(id) {
+    state.set('adjuntosEnCurso', (state.get('adjuntosEnCurso') || []).filter(u => u.id !== id));
+  }
+}
+
+export const attachmentsService = new AttachmentsService();
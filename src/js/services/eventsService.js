@@ -2,33 +2,69 @@
 // EVENTS SERVICE - CREACIÓN Y GESTIÓN DE EVENTOS (Firestore directo)
 // =============================================================================
 
-import { collection, doc, setDoc, serverTimestamp, query, where, getDocs, updateDoc, arrayUnion, getDoc } from 'firebase/firestore';
-import { getFirestore, getAuth } from '../core/firebase.js';
+import { collection, doc, setDoc, serverTimestamp, query, where, getDocs, updateDoc, arrayUnion, getDoc, runTransaction, Timestamp, deleteField, onSnapshot, increment, writeBatch } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { getFirestore, getAuth, getFunctions } from '../core/firebase.js';
+import { syncService } from './syncService.js';
+import { aportesPorParticipante, participantesDe, pagosDe, redondear } from '@shared/balances.js';
+import { validarDivision } from '@shared/splits.js';
+import { esMonedaValida, normalizarMoneda, TIPOS_COTIZACION } from '@shared/currencies.js';
+import { aMinimas, formatearMonto, sumarMontos } from '@shared/money.js';
+import { FRECUENCIAS, crearRecurrencia, validarRecurrencia, omitirProxima, editarProxima, proximaOcurrencia, fechaDeOcurrencia, esFechaValida, aFechaISO } from '@shared/recurrence.js';
+import { MAX_USOS_DEFAULT, estadoInvitacion, validarLimitesInvitacion } from '@shared/invitations.js';
+import { idInvitado, validarNombreInvitado } from '@shared/guests.js';
+import { permisosEvento, propietarioDe, puedeEditarGasto, validarCambioRol, validarTransferencia } from '@shared/roles.js';
+
+// Errores de joinByToken que se muestran tal cual al usuario
+const MENSAJES_ERROR_INVITACION = {
+  'functions/not-found': 'Invitación inválida',
+  'functions/permission-denied': 'El link de invitación fue revocado',
+  'functions/deadline-exceeded': 'El link de invitación venció',
+  'functions/resource-exhausted': 'El link de invitación ya no tiene usos disponibles',
+  'functions/failed-precondition': 'El evento ya está cerrado'
+};
+
+// Errores de reclamarInvitado que se muestran tal cual al usuario
+const MENSAJES_ERROR_RECLAMO = {
+  'functions/not-found': 'Link de reclamo inválido',
+  'functions/already-exists': 'Otra persona ya reclamó a este invitado',
+  'functions/failed-precondition': 'Ya participas de ese evento con tu cuenta'
+};
+
+// Los miembros solo editan los gastos que cargaron (canEditGastos en firestore.rules)
+const MENSAJE_GASTO_AJENO = 'Solo el propietario o un administrador pueden editar gastos que cargó otra persona';
 
 class EventsService {
   constructor() {
     this.db = null;
     this.auth = null;
+    this.functions = null;
   }
 
   initialize() {
     if (!this.db) this.db = getFirestore();
     if (!this.auth) this.auth = getAuth();
+    if (!this.functions) this.functions = getFunctions();
   }
 
   /**
    * Crea un evento escribiendo en Firestore
    * @param {Object} payload
    * @param {string} payload.titulo
-   * @param {number} payload.monto
-   * @param {('ARS'|'USD')} payload.moneda
-   * @param {('unico'|'mensual')} payload.repeticion
-   * @returns {Promise<{id:string, token:string}>}
+   * @param {number} [payload.monto] - Monto inicial; si es > 0 se registra como primer gasto
+   * @param {string} [payload.fecha] - Fecha del primer gasto ('YYYY-MM-DD'); por defecto hoy
+   * @param {string} payload.moneda - Código ISO-4217
+   * @param {('unico'|'semanal'|'quincenal'|'mensual'|'anual')} payload.repeticion
+   * @param {{dia_mes?:number, fin?:string, max_ocurrencias?:number}} [payload.recurrencia] - Calendario si se repite
+   * @param {string} [payload.vence_el] - Fecha límite de pago ('YYYY-MM-DD')
+   * @param {{base:string, valor:number}} [payload.tipo_cambio] - 1 `moneda` = `valor` de `base`
+   * @param {string} [payload.grupo_id] - Grupo contenedor: el evento hereda sus miembros y su división por defecto
+   * @returns {Promise<{id:string, token:string, pendiente:boolean}>} pendiente: creado sin conexión, falta sincronizar
    */
   async createEvento(payload) {
     this.initialize();
 
-    const required = ['titulo', 'monto', 'moneda', 'repeticion'];
+    const required = ['titulo', 'moneda', 'repeticion'];
     for (const k of required) {
       if (payload[k] === undefined || payload[k] === null || payload[k] === '') {
         throw new Error(`Falta el campo requerido: ${k}`);
@@ -39,15 +75,31 @@ class EventsService {
     if (!user) throw new Error('Debe iniciar sesión');
 
     const { titulo } = payload;
-    const monto = Number(payload.monto);
-    const moneda = String(payload.moneda);
+    const monto = Number(payload.monto || 0);
+    const moneda = normalizarMoneda(payload.moneda);
     const repeticion = String(payload.repeticion);
     const participantes_definidos = payload.participantes_definidos ? Number(payload.participantes_definidos) : null;
     const detalle = (payload.detalle || '').toString();
 
-    if (!Number.isFinite(monto) || monto <= 0) throw new Error('Monto inválido');
-    if (!['ARS', 'USD'].includes(moneda)) throw new Error('Moneda inválida');
-    if (!['unico', 'mensual'].includes(repeticion)) throw new Error('Repetición inválida');
+    if (!Number.isFinite(monto) || monto < 0) throw new Error('Monto inválido');
+    if (!esMonedaValida(moneda)) throw new Error('Moneda inválida');
+    const tipo_cambio = this._normalizarTipoCambio(payload.tipo_cambio, moneda);
+    const vence_el = payload.vence_el ? this._normalizarVencimiento(payload.vence_el) : null;
+    if (repeticion !== 'unico' && !FRECUENCIAS.includes(repeticion)) throw new Error('Repetición inválida');
+    // El evento es la ocurrencia 0 de la serie: el calendario arranca en su fecha
+    let recurrencia = null;
+    if (repeticion !== 'unico') {
+      const opciones = payload.recurrencia || {};
+      recurrencia = crearRecurrencia({
+        frecuencia: repeticion,
+        inicio: payload.fecha || aFechaISO(new Date()),
+        dia_mes: opciones.dia_mes,
+        fin: opciones.fin,
+        max_ocurrencias: opciones.max_ocurrencias
+      });
+      const validacion = validarRecurrencia(recurrencia);
+      if (!validacion.isValid) throw new Error(validacion.errors.join('. '));
+    }
 
     // Precrear ID de evento y token
     const eventoRef = doc(collection(this.db, 'eventos'));
@@ -55,30 +107,40 @@ class EventsService {
 
     // Datos del evento (deben cumplir reglas: incluir participantesUids con el UID actual)
     const aliasCreador = user.displayName || (user.email ? user.email.split('@')[0] : 'Creador');
+    const grupo = payload.grupo_id ? await this._datosDeGrupo(payload.grupo_id, user.uid) : null;
+    const gastos = monto > 0
+      ? [this._normalizarGasto({ descripcion: titulo, monto, pagado_por: user.uid, fecha: payload.fecha || null }, user.uid, moneda)]
+      : [];
     const eventoData = {
       id: eventoRef.id,
       titulo,
       moneda,
-      monto,
+      monto: sumarGastos(gastos, moneda),
+      gastos,
       repeticion,
+      ...(recurrencia ? { recurrencia } : {}),
       estado: 'abierto',
       forma_pago: 'desconocida',
       creado_por: user.uid,
       creado_en: serverTimestamp(),
+      propietario: user.uid,
       participantes: [
         { uid: user.uid, alias: aliasCreador, participacion: 1 }
       ],
       participantesUids: [user.uid],
       aliases: { [user.uid]: aliasCreador },
+      ...(grupo ? grupo : {}),
       token_invitacion: token,
       adjuntos: [],
       detalle: detalle,
       pagos: {},
+      ...(tipo_cambio ? { tipo_cambio } : {}),
+      ...(vence_el ? { vence_el } : {}),
       ...(Number.isFinite(participantes_definidos) && participantes_definidos > 0 ? { participantes_definidos } : {})
     };
 
-    // Crear evento
-    await setDoc(eventoRef, eventoData, { merge: false });
+    // Crear evento (sin conexión queda en la caché local y en la cola de pendientes)
+    const pendiente = await syncService.track(`Evento "${titulo}"`, setDoc(eventoRef, eventoData, { merge: false }), { eventoId: eventoRef.id });
 
     // Crear invitación con el token como ID
     const invitacionRef = doc(this.db, 'invitaciones', token);
@@ -88,11 +150,13 @@ class EventsService {
       creado_por: user.uid,
       creado_en: serverTimestamp(),
       usos: 0,
-      max_usos: 100
+      max_usos: MAX_USOS_DEFAULT,
+      expira_en: null,
+      revocada: false
     };
-    await setDoc(invitacionRef, invitacionData, { merge: false });
+    await syncService.track(`Invitación de "${titulo}"`, setDoc(invitacionRef, invitacionData, { merge: false }), { eventoId: eventoRef.id });
 
-    return { id: eventoRef.id, token };
+    return { id: eventoRef.id, token, pendiente };
   }
 
   /**
@@ -125,74 +189,300 @@ class EventsService {
   }
 
   /**
-   * Unirse a un evento usando token de invitación (sin Functions)
-   * @param {string} eventoId
-   * @param {string} token
+   * Escucha en tiempo real los eventos donde el usuario actual es participante
+   * @param {(eventos: Array) => void} onChange
+   * @param {(error: Error) => void} [onError]
+   * @returns {Function} función para dejar de escuchar
    */
-  async joinByInvite(eventoId, token) {
+  watchMine(onChange, onError) {
     this.initialize();
     const user = this.auth.currentUser;
     if (!user) throw new Error('Debe iniciar sesión');
 
-    const eventoRef = doc(this.db, 'eventos', eventoId);
-    // Es suficiente actualizar el array de UIDs; reglas verifican token y cambios limitados
-    await updateDoc(eventoRef, {
-      participantesUids: arrayUnion(user.uid),
-      // campo auxiliar para validación de reglas
-      last_join_token: token
+    const q = query(collection(this.db, 'eventos'), where('participantesUids', 'array-contains', user.uid));
+    return onSnapshot(q, (snap) => {
+      onChange(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => {
+      console.error('❌ Error al escuchar eventos:', error);
+      if (onError) onError(error);
+    });
+  }
+
+  /**
+   * Escucha en tiempo real un evento (requiere ser participante o miembro de su grupo)
+   * @param {string} eventoId
+   * @param {(evento: Object|null) => void} onChange - null si el evento no existe
+   * @param {(error: Error) => void} [onError]
+   * @returns {Function} función para dejar de escuchar
+   */
+  watchEvento(eventoId, onChange, onError) {
+    this.initialize();
+    if (!eventoId) throw new Error('ID de evento requerido');
+
+    return onSnapshot(doc(this.db, 'eventos', eventoId), (snap) => {
+      onChange(snap.exists() ? { id: snap.id, ...snap.data() } : null);
+    }, (error) => {
+      console.error('❌ Error al escuchar evento:', error);
+      if (onError) onError(error);
     });
-    return true;
   }
 
   /**
-   * Cierra un evento (marca estado=cerrado, quien_pago y fecha_pago)
+   * Unirse a un evento con un link de invitación. La Cloud Function
+   * joinByToken valida el link (revocado, vencido, agotado) y actualiza en una
+   * transacción participantes, participantesUids, aliases y los usos del link.
    * @param {string} eventoId
-   * @param {string} quienPagoUid
+   * @param {string} token
+   * @returns {Promise<{ya_participante: boolean}>}
    */
-  async closeEvento(eventoId, quienPagoUid) {
+  async joinByInvite(eventoId, token) {
+    this.initialize();
+    if (!this.auth.currentUser) throw new Error('Debe iniciar sesión');
+    if (!token) throw new Error('Invitación inválida');
+    if (!syncService.isOnline()) throw new Error('Sin conexión: para unirte a un evento necesitas señal');
+
+    try {
+      const unirse = httpsCallable(this.functions, 'joinByToken');
+      const res = await unirse({ token, eventoId });
+      return { ya_participante: !!(res.data && res.data.ya_participante) };
+    } catch (error) {
+      const mensaje = MENSAJES_ERROR_INVITACION[error && error.code];
+      if (mensaje) throw new Error(mensaje);
+      throw error;
+    }
+  }
+
+  /**
+   * Cierra un evento registrando cuánto aportó cada participante.
+   * Con gastos cargados los aportes se derivan de ellos; en eventos sin
+   * gastos se usan los aportes indicados (o el usuario actual paga todo).
+   * @param {string} eventoId
+   * @param {Object<string, number>|string} [aportes] - uid -> monto pagado (o UID de único pagador)
+   */
+  async closeEvento(eventoId, aportes = null) {
     this.initialize();
     const user = this.auth.currentUser;
     if (!user) throw new Error('Debe iniciar sesión');
     if (!eventoId) throw new Error('ID de evento requerido');
+    if (!syncService.isOnline()) throw new Error('Sin conexión: para cerrar el evento necesitas señal');
     const eventoRef = doc(this.db, 'eventos', eventoId);
-    await updateDoc(eventoRef, {
-      estado: 'cerrado',
-      quien_pago: quienPagoUid || user.uid,
-      fecha_pago: serverTimestamp()
+    await runTransaction(this.db, async (tx) => {
+      const snap = await tx.get(eventoRef);
+      if (!snap.exists()) throw new Error('Evento no encontrado');
+      const data = snap.data();
+      const monto = Number(data.monto || 0);
+      const division = validarDivision(monto, participantesDe(data), data.division, data.moneda);
+      if (!division.isValid) throw new Error(`La división no cuadra con el total: ${division.errors.join('. ')}`);
+      let registrados;
+      if (Array.isArray(data.gastos) && data.gastos.length > 0) {
+        registrados = aportesPorParticipante(data);
+      } else if (typeof aportes === 'string') {
+        registrados = { [aportes]: monto };
+      } else if (aportes && Object.keys(aportes).length > 0) {
+        registrados = this._normalizarAportes(aportes, monto, data.moneda);
+      } else {
+        registrados = monto > 0 ? { [user.uid]: monto } : {};
+      }
+      tx.update(eventoRef, {
+        estado: 'cerrado',
+        aportes: registrados,
+        fecha_pago: serverTimestamp()
+      });
     });
     return true;
   }
 
   /**
-   * Actualiza campos del evento (solo creador)
+   * Actualiza campos del evento (propietario o administradores)
    */
   async updateEvento(eventoId, updates) {
     this.initialize();
     if (!eventoId) throw new Error('ID de evento requerido');
     const ref = doc(this.db, 'eventos', eventoId);
-    await updateDoc(ref, updates);
+    await syncService.track('Configuración del evento', updateDoc(ref, updates), { eventoId });
   }
 
   /**
-   * Marca pago de un participante (solo creador)
+   * Fija o quita la fecha límite de pago. Al cambiarla se vuelven a enviar
+   * los recordatorios (ver enviarRecordatoriosVencimiento).
+   * @param {string} eventoId
+   * @param {string|null} fecha - 'YYYY-MM-DD'; null para quitarla
    */
-  async setPago(eventoId, uid, pagado) {
+  async setVencimiento(eventoId, fecha) {
     this.initialize();
+    if (!eventoId) throw new Error('ID de evento requerido');
+    const ref = doc(this.db, 'eventos', eventoId);
+    await syncService.track('Vencimiento del evento', updateDoc(ref, {
+      vence_el: fecha ? this._normalizarVencimiento(fecha) : deleteField(),
+      recordatorios: deleteField()
+    }), { eventoId });
+  }
+
+  /**
+   * Registra un pago (total o parcial) de un participante.
+   * Cada miembro solo puede registrar los suyos; propietario y administradores, los de cualquiera.
+   * @param {string} eventoId
+   * @param {string} uid - Participante que pagó
+   * @param {number} monto
+   * @returns {Promise<Object>} pagos actualizados del participante ({ total, historial })
+   */
+  async registrarPago(eventoId, uid, monto) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
     if (!eventoId || !uid) throw new Error('Datos requeridos');
+    if (!(Number(monto) > 0)) throw new Error('Monto inválido');
     const ref = doc(this.db, 'eventos', eventoId);
-    const field = `pagos.${uid}`;
-    await updateDoc(ref, { [field]: !!pagado });
+    if (!syncService.isOnline()) return this._registrarPagoSinConexion(ref, uid, monto, user.uid);
+    let actualizados;
+    await runTransaction(this.db, async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists()) throw new Error('Evento no encontrado');
+      const data = snap.data();
+      if (!participantesDe(data).includes(uid)) throw new Error('El usuario no participa del evento');
+      // Redondeado a los decimales de la moneda del evento
+      const valor = redondear(monto, data.moneda);
+      if (!(valor > 0)) throw new Error('Monto inválido');
+      // Un booleano heredado se reemplaza por el nuevo formato con historial
+      const previos = pagosDe(data, uid);
+      actualizados = {
+        total: sumarMontos([previos.total, valor], data.moneda),
+        historial: [...previos.historial, {
+          id: this._genToken(8),
+          monto: valor,
+          fecha: Timestamp.now(),
+          por: user.uid
+        }]
+      };
+      tx.update(ref, { [`pagos.${uid}`]: actualizados });
+    });
+    return actualizados;
   }
 
   /**
-   * Establece alias (nombre/identificador visible) para un participante (solo creador)
+   * Establece alias (nombre/identificador visible) para un participante (propietario o administradores)
    */
   async setAlias(eventoId, uid, alias) {
     this.initialize();
     if (!eventoId || !uid) throw new Error('Datos requeridos');
     const ref = doc(this.db, 'eventos', eventoId);
     const field = `aliases.${uid}`;
-    await updateDoc(ref, { [field]: alias || '' });
+    await syncService.track('Alias de participante', updateDoc(ref, { [field]: alias || '' }), { eventoId });
+  }
+
+  /**
+   * Fija (o quita, con null) el tipo de cambio del evento hacia una moneda base
+   * @param {string} eventoId
+   * @param {{base:string, valor:number, tipo?:string, fecha?:string}|null} tipoCambio
+   */
+  async setTipoCambio(eventoId, tipoCambio) {
+    this.initialize();
+    const evento = await this.getEvento(eventoId);
+    if (!evento) throw new Error('Evento no encontrado');
+    const normalizado = this._normalizarTipoCambio(tipoCambio, evento.moneda);
+    await this.updateEvento(eventoId, { tipo_cambio: normalizado || deleteField() });
+    return normalizado;
+  }
+
+  /**
+   * Configura cómo se reparte el total entre los participantes (propietario o administradores)
+   * @param {string} eventoId
+   * @param {import('@shared/splits.js').Division} division
+   */
+  async setDivision(eventoId, division) {
+    this.initialize();
+    if (!eventoId) throw new Error('ID de evento requerido');
+    const ref = doc(this.db, 'eventos', eventoId);
+    const snap = await getDoc(ref);
+    if (!snap.exists()) throw new Error('Evento no encontrado');
+    const data = snap.data();
+    if (data.estado === 'cerrado') throw new Error('El evento está cerrado');
+
+    const uids = participantesDe(data);
+    const limpia = {
+      modo: division?.modo || 'igual',
+      valores: {},
+      excluidos: (division?.excluidos || []).filter(uid => uids.includes(uid))
+    };
+    Object.entries(division?.valores || {}).forEach(([uid, valor]) => {
+      if (uids.includes(uid) && valor !== '' && valor !== null && valor !== undefined) {
+        limpia.valores[uid] = Number(valor);
+      }
+    });
+
+    const validacion = validarDivision(Number(data.monto || 0), uids, limpia, data.moneda);
+    if (!validacion.isValid) throw new Error(validacion.errors.join('. '));
+    await syncService.track('División del evento', updateDoc(ref, { division: limpia }), { eventoId });
+    return limpia;
+  }
+
+  /**
+   * Agrega un gasto (ítem) al evento y recalcula el total
+   * @param {string} eventoId
+   * @param {Object} gasto
+   * @param {string} gasto.descripcion
+   * @param {number} gasto.monto
+   * @param {string} gasto.pagado_por - UID de quien pagó el ítem
+   * @param {Date|string} [gasto.fecha]
+   * @returns {Promise<Object>} gasto creado
+   */
+  async addGasto(eventoId, gasto) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!syncService.isOnline()) return this._agregarGastoSinConexion(eventoId, gasto, user.uid);
+    let nuevo;
+    await this._mutarGastos(eventoId, (gastos, data) => {
+      nuevo = this._normalizarGasto(gasto, user.uid, data.moneda);
+      return [...gastos, nuevo];
+    });
+    return nuevo;
+  }
+
+  /**
+   * Edita un gasto existente del evento y recalcula el total
+   * @param {string} eventoId
+   * @param {string} gastoId
+   * @param {Object} updates - descripcion, monto, pagado_por y/o fecha
+   */
+  async updateGasto(eventoId, gastoId, updates) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    await this._mutarGastos(eventoId, (gastos, data) => {
+      const idx = gastos.findIndex(g => g.id === gastoId);
+      if (idx === -1) throw new Error('Gasto no encontrado');
+      const actual = gastos[idx];
+      if (!puedeEditarGasto(data, user.uid, actual)) throw new Error(MENSAJE_GASTO_AJENO);
+      // Cambiar quién pagó reemplaza por completo el/los pagadores anteriores
+      const base = ('pagado_por' in updates || 'aportes' in updates)
+        ? { ...actual, pagado_por: null, aportes: null }
+        : actual;
+      const editado = this._normalizarGasto({
+        ...base,
+        ...updates,
+        fecha: updates.fecha !== undefined ? updates.fecha : actual.fecha
+      }, actual.creado_por || user.uid, data.moneda);
+      const copia = gastos.slice();
+      copia[idx] = { ...editado, id: actual.id };
+      return copia;
+    });
+  }
+
+  /**
+   * Elimina un gasto del evento y recalcula el total
+   * @param {string} eventoId
+   * @param {string} gastoId
+   */
+  async deleteGasto(eventoId, gastoId) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    await this._mutarGastos(eventoId, (gastos, data) => {
+      const actual = gastos.find(g => g.id === gastoId);
+      if (actual && !puedeEditarGasto(data, user.uid, actual)) throw new Error(MENSAJE_GASTO_AJENO);
+      return gastos.filter(g => g.id !== gastoId);
+    });
   }
 
   /**
@@ -202,6 +492,506 @@ class EventsService {
     try { localStorage.removeItem('pendingInvite'); } catch (_) {}
   }
 
+  /**
+   * Links de invitación de un evento (el actual y los revocados o rotados)
+   * @param {string} eventoId
+   * @returns {Promise<Array>} del más nuevo al más viejo
+   */
+  async listInvitaciones(eventoId) {
+    this.initialize();
+    if (!eventoId) throw new Error('ID de evento requerido');
+    const snap = await getDocs(query(collection(this.db, 'invitaciones'), where('evento_id', '==', eventoId)));
+    const creadoEn = (i) => (i.creado_en && i.creado_en.toMillis ? i.creado_en.toMillis() : 0);
+    return snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => creadoEn(b) - creadoEn(a));
+  }
+
+  /**
+   * Cambia el vencimiento y el límite de usos del link actual (propietario o administradores)
+   * @param {string} eventoId
+   * @param {{expira_en: (string|null), max_usos: (number|null)}} limites - expira_en 'YYYY-MM-DD' (vence al final del día)
+   */
+  async actualizarInvitacion(eventoId, { expira_en, max_usos }) {
+    this.initialize();
+    const { invitacionRef, invitacion } = await this._invitacionActual(eventoId);
+    if (!invitacionRef) throw new Error('El evento no tiene un link de invitación');
+    const expira = expira_en ? this._normalizarVencimiento(expira_en) : null;
+    const limite = max_usos === null || max_usos === undefined || max_usos === '' ? null : Number(max_usos);
+    const validacion = validarLimitesInvitacion({ max_usos: limite, expira_en: expira, usos: Number(invitacion.usos || 0) });
+    if (!validacion.isValid) throw new Error(validacion.errors.join('. '));
+    await updateDoc(invitacionRef, { expira_en: expira, max_usos: limite });
+  }
+
+  /**
+   * Revoca el link actual: deja de servir para unirse hasta generar uno nuevo
+   * @param {string} eventoId
+   */
+  async revocarInvitacion(eventoId) {
+    this.initialize();
+    const { invitacionRef } = await this._invitacionActual(eventoId);
+    if (!invitacionRef) throw new Error('El evento no tiene un link de invitación');
+    await updateDoc(invitacionRef, { revocada: true, revocada_en: serverTimestamp() });
+  }
+
+  /**
+   * Genera un link nuevo (nuevo `token_invitacion`) y revoca el anterior.
+   * El nuevo conserva el vencimiento y el límite de usos del anterior.
+   * @param {string} eventoId
+   * @returns {Promise<string>} token nuevo
+   */
+  async rotarInvitacion(eventoId) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    const { eventoRef, invitacionRef, invitacion } = await this._invitacionActual(eventoId);
+    const expiraVigente = estadoInvitacion({ expira_en: invitacion.expira_en }) !== 'expirada';
+    const token = this._genToken();
+    const batch = writeBatch(this.db);
+    batch.set(doc(this.db, 'invitaciones', token), {
+      evento_id: eventoId,
+      token,
+      creado_por: user.uid,
+      creado_en: serverTimestamp(),
+      usos: 0,
+      max_usos: invitacion.max_usos === undefined ? MAX_USOS_DEFAULT : invitacion.max_usos,
+      expira_en: expiraVigente ? (invitacion.expira_en || null) : null,
+      revocada: false
+    });
+    if (invitacionRef && !invitacion.revocada) {
+      batch.update(invitacionRef, { revocada: true, revocada_en: serverTimestamp() });
+    }
+    batch.update(eventoRef, { token_invitacion: token });
+    await batch.commit();
+    return token;
+  }
+
+  // Evento e invitación vigente, validando que el usuario sea propietario o administrador
+  async _invitacionActual(eventoId) {
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!eventoId) throw new Error('ID de evento requerido');
+    if (!syncService.isOnline()) throw new Error('Sin conexión: para cambiar la invitación necesitas señal');
+    const eventoRef = doc(this.db, 'eventos', eventoId);
+    const eventoSnap = await getDoc(eventoRef);
+    if (!eventoSnap.exists()) throw new Error('Evento no encontrado');
+    const evento = eventoSnap.data();
+    if (!permisosEvento(evento, user.uid).administrar) throw new Error('Solo el propietario o un administrador pueden cambiar la invitación');
+    if (evento.estado === 'cerrado') throw new Error('El evento está cerrado');
+    const invitacionSnap = evento.token_invitacion
+      ? await getDoc(doc(this.db, 'invitaciones', evento.token_invitacion))
+      : null;
+    return {
+      eventoRef,
+      invitacionRef: invitacionSnap && invitacionSnap.exists() ? invitacionSnap.ref : null,
+      invitacion: invitacionSnap && invitacionSnap.exists() ? invitacionSnap.data() : {}
+    };
+  }
+
+  /**
+   * Agrega un invitado sin cuenta (solo nombre) que cuenta en la división y
+   * los saldos como cualquier participante. Se genera también su link
+   * personal para reclamarlo más adelante (propietario o administradores).
+   * @param {string} eventoId
+   * @param {string} nombre
+   * @returns {Promise<{id: string, token: string}>} ID del invitado y token de reclamo
+   */
+  async agregarInvitado(eventoId, nombre) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!eventoId) throw new Error('ID de evento requerido');
+    const validacion = validarNombreInvitado(nombre);
+    if (!validacion.isValid) throw new Error(validacion.errors.join('. '));
+    if (!syncService.isOnline()) throw new Error('Sin conexión: para agregar invitados necesitas señal');
+    const eventoRef = doc(this.db, 'eventos', eventoId);
+    const snap = await getDoc(eventoRef);
+    if (!snap.exists()) throw new Error('Evento no encontrado');
+    const evento = snap.data();
+    if (!permisosEvento(evento, user.uid).administrar) throw new Error('Solo el propietario o un administrador pueden agregar invitados');
+    if (evento.estado === 'cerrado') throw new Error('El evento está cerrado');
+
+    const limpio = nombre.trim();
+    const id = idInvitado(this._genToken(12));
+    const token = this._genToken();
+    const batch = writeBatch(this.db);
+    batch.update(eventoRef, {
+      participantesUids: arrayUnion(id),
+      participantes: arrayUnion({ uid: id, alias: limpio, participacion: 1 }),
+      [`aliases.${id}`]: limpio,
+      [`invitados.${id}`]: { nombre: limpio, creado_por: user.uid, creado_en: serverTimestamp() }
+    });
+    batch.set(doc(this.db, 'reclamos', token), {
+      evento_id: eventoId,
+      invitado_id: id,
+      token,
+      creado_por: user.uid,
+      creado_en: serverTimestamp(),
+      reclamado_por: null
+    });
+    await batch.commit();
+    return { id, token };
+  }
+
+  /**
+   * Tokens de reclamo pendientes de los invitados de un evento (propietario o administradores)
+   * @param {string} eventoId
+   * @returns {Promise<Object<string, string>>} invitado_id -> token
+   */
+  async listReclamos(eventoId) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!eventoId) throw new Error('ID de evento requerido');
+    const snap = await getDocs(query(collection(this.db, 'reclamos'), where('evento_id', '==', eventoId)));
+    const tokens = {};
+    snap.docs.forEach(d => {
+      const reclamo = d.data();
+      if (!reclamo.reclamado_por) tokens[reclamo.invitado_id] = reclamo.token;
+    });
+    return tokens;
+  }
+
+  /**
+   * Reclama un invitado con su link personal: reemplaza al invitado por el
+   * usuario actual con sus gastos, pagos y saldos (Cloud Function reclamarInvitado)
+   * @param {string} eventoId
+   * @param {string} token
+   * @returns {Promise<{ya_reclamado: boolean}>}
+   */
+  async reclamarInvitado(eventoId, token) {
+    this.initialize();
+    if (!this.auth.currentUser) throw new Error('Debe iniciar sesión');
+    if (!token) throw new Error('Link de reclamo inválido');
+    if (!syncService.isOnline()) throw new Error('Sin conexión: para reclamar un invitado necesitas señal');
+
+    try {
+      const reclamar = httpsCallable(this.functions, 'reclamarInvitado');
+      const res = await reclamar({ token, eventoId });
+      return { ya_reclamado: !!(res.data && res.data.ya_reclamado) };
+    } catch (error) {
+      const mensaje = MENSAJES_ERROR_RECLAMO[error && error.code];
+      if (mensaje) throw new Error(mensaje);
+      throw error;
+    }
+  }
+
+  /**
+   * Asigna el rol de un participante: 'admin', 'member' o 'viewer' (solo el propietario)
+   * @param {string} eventoId
+   * @param {string} uid
+   * @param {('admin'|'member'|'viewer')} rol
+   */
+  async setRol(eventoId, uid, rol) {
+    this.initialize();
+    await this._mutarRoles(eventoId, (data) => {
+      const validacion = validarCambioRol(data, uid, rol);
+      if (!validacion.isValid) throw new Error(validacion.errors.join('. '));
+      // 'member' es el rol por defecto: no hace falta guardarlo
+      return { [`roles.${uid}`]: rol === 'member' ? deleteField() : rol };
+    });
+  }
+
+  /**
+   * Transfiere la propiedad del evento a otro participante con cuenta.
+   * El propietario anterior queda como administrador (solo el propietario).
+   * @param {string} eventoId
+   * @param {string} uid - Nuevo propietario
+   */
+  async transferirPropiedad(eventoId, uid) {
+    this.initialize();
+    await this._mutarRoles(eventoId, (data, actual) => {
+      const validacion = validarTransferencia(data, uid);
+      if (!validacion.isValid) throw new Error(validacion.errors.join('. '));
+      return {
+        propietario: uid,
+        [`roles.${uid}`]: deleteField(),
+        [`roles.${actual}`]: 'admin'
+      };
+    });
+  }
+
+  // Lee el evento en una transacción y aplica los cambios de roles (solo el propietario)
+  async _mutarRoles(eventoId, mutator) {
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!eventoId) throw new Error('ID de evento requerido');
+    if (!syncService.isOnline()) throw new Error('Sin conexión: para cambiar roles necesitas señal');
+    const ref = doc(this.db, 'eventos', eventoId);
+    await runTransaction(this.db, async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists()) throw new Error('Evento no encontrado');
+      const data = snap.data();
+      if (!permisosEvento(data, user.uid).gestionarRoles) throw new Error('Solo el propietario puede cambiar los roles');
+      tx.update(ref, mutator(data, propietarioDe(data)));
+    });
+  }
+
+  /**
+   * Omite la próxima ocurrencia de un evento recurrente (no se creará)
+   * @param {string} eventoId - Evento original de la serie
+   */
+  async omitirProximaOcurrencia(eventoId) {
+    this.initialize();
+    await this._mutarRecurrencia(eventoId, (recurrencia) => omitirProxima(recurrencia));
+  }
+
+  /**
+   * Cambia la fecha, el título o el monto de la próxima ocurrencia.
+   * Un campo en null vuelve al valor del evento original.
+   * @param {string} eventoId - Evento original de la serie
+   * @param {{fecha?:string|null, titulo?:string|null, monto?:number|null}} cambios
+   */
+  async editarProximaOcurrencia(eventoId, cambios) {
+    this.initialize();
+    const limpios = {};
+    if (cambios.fecha !== undefined && cambios.fecha !== null) {
+      if (!esFechaValida(cambios.fecha)) throw new Error('Fecha inválida');
+      if (cambios.fecha < aFechaISO(new Date())) throw new Error('La fecha no puede ser anterior a hoy');
+      limpios.fecha = cambios.fecha;
+    }
+    if (cambios.titulo !== undefined) {
+      const titulo = cambios.titulo === null ? '' : String(cambios.titulo).trim();
+      limpios.titulo = titulo || null;
+    }
+    await this._mutarRecurrencia(eventoId, (recurrencia, data) => {
+      if (cambios.monto !== undefined) {
+        const monto = cambios.monto === null ? null : redondear(cambios.monto, data.moneda);
+        if (monto !== null && !(monto > 0)) throw new Error('Monto inválido');
+        limpios.monto = monto;
+      }
+      // La fecha del calendario no se guarda como cambio
+      const proxima = proximaOcurrencia(recurrencia);
+      if (limpios.fecha && limpios.fecha === fechaDeOcurrencia(recurrencia, proxima.indice)) limpios.fecha = null;
+      return editarProxima(recurrencia, limpios);
+    });
+  }
+
+  // Lee-modifica-escribe el calendario de la serie (propietario o administradores)
+  async _mutarRecurrencia(eventoId, mutator) {
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!eventoId) throw new Error('ID de evento requerido');
+    if (!syncService.isOnline()) throw new Error('Sin conexión: para cambiar la repetición necesitas señal');
+    const ref = doc(this.db, 'eventos', eventoId);
+    await runTransaction(this.db, async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists()) throw new Error('Evento no encontrado');
+      const data = snap.data();
+      if (!permisosEvento(data, user.uid).administrar) throw new Error('Solo el propietario o un administrador pueden cambiar la repetición');
+      if (!data.recurrencia || !proximaOcurrencia(data.recurrencia)) throw new Error('El evento no tiene próximas repeticiones');
+      tx.update(ref, { recurrencia: mutator(data.recurrencia, data) });
+    });
+  }
+
+  // Lee-modifica-escribe la lista de gastos en una transacción para no pisar cambios concurrentes
+  async _mutarGastos(eventoId, mutator) {
+    if (!eventoId) throw new Error('ID de evento requerido');
+    if (!syncService.isOnline()) throw new Error('Sin conexión: para editar o eliminar gastos necesitas señal');
+    const ref = doc(this.db, 'eventos', eventoId);
+    await runTransaction(this.db, async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists()) throw new Error('Evento no encontrado');
+      const data = snap.data();
+      if (data.estado === 'cerrado') throw new Error('El evento está cerrado');
+      const gastos = mutator(Array.isArray(data.gastos) ? data.gastos : [], data);
+      tx.update(ref, { gastos, monto: sumarGastos(gastos, data.moneda) });
+    });
+  }
+
+  // Sin conexión no hay transacciones: el gasto se agrega con arrayUnion/increment,
+  // que al sincronizar se combinan con los cambios de otros participantes sin pisarlos.
+  // increment suma en punto flotante, así que cuando el servidor confirma la
+  // escritura el total se reescribe con la suma exacta de los gastos
+  async _agregarGastoSinConexion(eventoId, gasto, creadoPor) {
+    if (!eventoId) throw new Error('ID de evento requerido');
+    const ref = doc(this.db, 'eventos', eventoId);
+    const cache = await getDoc(ref).catch(() => null);
+    const data = cache && cache.exists() ? cache.data() : {};
+    if (data.estado === 'cerrado') throw new Error('El evento está cerrado');
+    const nuevo = this._normalizarGasto(gasto, creadoPor, data.moneda);
+    const escritura = updateDoc(ref, { gastos: arrayUnion(nuevo), monto: increment(nuevo.monto) });
+    // Si el servidor la rechaza, el conflicto lo informa la cola de syncService
+    escritura.then(
+      () => this._recalcularTotal(ref).catch((e) => console.warn('⚠️ No se pudo recalcular el total del evento:', e)),
+      () => {}
+    );
+    await syncService.track(`Gasto "${nuevo.descripcion}"`, escritura, { eventoId });
+    return nuevo;
+  }
+
+  // Reescribe el total derivado `monto` con la suma de los gastos en unidades mínimas
+  async _recalcularTotal(ref) {
+    await runTransaction(this.db, async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists()) return;
+      const data = snap.data();
+      if (data.estado === 'cerrado') return;
+      const monto = sumarGastos(Array.isArray(data.gastos) ? data.gastos : [], data.moneda);
+      if (monto !== data.monto) tx.update(ref, { monto });
+    });
+  }
+
+  // Igual que registrarPago pero sin transacción: agrega la entrada al historial
+  // y suma al total, que es exactamente lo que validan las reglas
+  async _registrarPagoSinConexion(ref, uid, monto, porUid) {
+    const cache = await getDoc(ref).catch(() => null);
+    const data = cache && cache.exists() ? cache.data() : {};
+    if (cache && cache.exists() && !participantesDe(data).includes(uid)) throw new Error('El usuario no participa del evento');
+    const valor = redondear(monto, data.moneda);
+    if (!(valor > 0)) throw new Error('Monto inválido');
+    if (data.pagos && typeof data.pagos[uid] === 'boolean') {
+      throw new Error('Sin conexión: este pago usa el formato anterior y necesita señal para actualizarse');
+    }
+    const previos = pagosDe(data, uid);
+    const entrada = { id: this._genToken(8), monto: valor, fecha: Timestamp.now(), por: porUid };
+    await syncService.track(
+      `Pago de ${formatearMonto(valor, data.moneda)}`,
+      updateDoc(ref, {
+        [`pagos.${uid}.historial`]: arrayUnion(entrada),
+        [`pagos.${uid}.total`]: increment(valor)
+      }),
+      { eventoId: ref.id }
+    );
+    return { total: sumarMontos([previos.total, valor], data.moneda), historial: [...previos.historial, entrada] };
+  }
+
+  _normalizarGasto(gasto, creadoPor, moneda) {
+    const descripcion = (gasto.descripcion || '').toString().trim();
+    const monto = redondear(gasto.monto, moneda);
+    if (!descripcion) throw new Error('La descripción es requerida');
+    if (!Number.isFinite(monto) || monto <= 0) throw new Error('Monto inválido');
+    let pagadoPor = gasto.pagado_por || null;
+    let aportes = null;
+    if (gasto.aportes && Object.keys(gasto.aportes).length > 0) {
+      aportes = this._normalizarAportes(gasto.aportes, monto, moneda);
+      const pagadores = Object.keys(aportes);
+      // Un único pagador se guarda de forma simple en pagado_por
+      if (pagadores.length === 1) {
+        pagadoPor = pagadores[0];
+        aportes = null;
+      } else {
+        pagadoPor = null;
+      }
+    }
+    if (!pagadoPor && !aportes) throw new Error('Indica quién pagó el gasto');
+    let fecha = gasto.fecha;
+    if (!(fecha instanceof Timestamp)) {
+      // 'YYYY-MM-DD' de un <input type="date"> se interpreta en hora local
+      const ymd = typeof fecha === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(fecha) ? fecha.split('-').map(Number) : null;
+      const d = ymd ? new Date(ymd[0], ymd[1] - 1, ymd[2]) : (fecha ? new Date(fecha) : new Date());
+      if (isNaN(d.getTime())) throw new Error('Fecha inválida');
+      fecha = Timestamp.fromDate(d);
+    }
+    return {
+      id: gasto.id || this._genToken(10),
+      descripcion,
+      monto,
+      pagado_por: pagadoPor,
+      ...(aportes ? { aportes } : {}),
+      fecha,
+      creado_por: creadoPor
+    };
+  }
+
+  // Limpia un mapa uid -> monto y valida que sume el total (en unidades mínimas de la moneda)
+  _normalizarAportes(aportes, total, moneda) {
+    const limpio = {};
+    Object.entries(aportes || {}).forEach(([uid, monto]) => {
+      const m = redondear(monto, moneda);
+      if (Number.isFinite(m) && m > 0) limpio[uid] = m;
+    });
+    const suma = sumarMontos(Object.values(limpio), moneda);
+    if (aMinimas(suma, moneda) !== aMinimas(total, moneda)) {
+      throw new Error(`Los aportes suman ${formatearMonto(suma, moneda)} y el total es ${formatearMonto(total, moneda)}`);
+    }
+    return limpio;
+  }
+
+  // 'YYYY-MM-DD' -> Timestamp al final de ese día (hora local): vence cuando termina el día
+  _normalizarVencimiento(fecha) {
+    if (!esFechaValida(fecha)) throw new Error('Fecha de vencimiento inválida');
+    const [a, m, d] = fecha.split('-').map(Number);
+    return Timestamp.fromDate(new Date(a, m - 1, d, 23, 59, 59));
+  }
+
+  // Valida un tipo de cambio; null si no aplica (sin datos o misma moneda que la base)
+  _normalizarTipoCambio(tipoCambio, moneda) {
+    if (!tipoCambio || !tipoCambio.base || tipoCambio.valor === '' || tipoCambio.valor === undefined || tipoCambio.valor === null) return null;
+    const base = normalizarMoneda(tipoCambio.base);
+    if (!esMonedaValida(base)) throw new Error('Moneda base inválida');
+    if (base === normalizarMoneda(moneda)) return null;
+    const valor = Number(tipoCambio.valor);
+    if (!Number.isFinite(valor) || valor <= 0) throw new Error('Tipo de cambio inválido');
+    // Cotización fijada: se guarda qué tipo y de qué día se tomó el valor
+    const fijada = {};
+    if (tipoCambio.tipo) {
+      if (!TIPOS_COTIZACION.includes(tipoCambio.tipo)) throw new Error('Tipo de cotización inválido');
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(tipoCambio.fecha || '')) throw new Error('Fecha de cotización inválida');
+      fijada.tipo = tipoCambio.tipo;
+      fijada.fecha = tipoCambio.fecha;
+    }
+    return { base, valor, ...fijada };
+  }
+
+  /**
+   * Campos que un evento hereda de su grupo: miembros, alias y división por defecto
+   * (limitada a los miembros actuales)
+   * @param {string} grupoId
+   * @param {string} uid - Usuario que crea el evento (debe ser miembro)
+   * @returns {Promise<Object>}
+   */
+  async _datosDeGrupo(grupoId, uid) {
+    const snap = await getDoc(doc(this.db, 'grupos', grupoId));
+    if (!snap.exists()) throw new Error('Grupo no encontrado');
+    const grupo = snap.data();
+    const miembros = Array.isArray(grupo.miembrosUids) ? grupo.miembrosUids : [];
+    if (!miembros.includes(uid)) throw new Error('No eres miembro del grupo');
+
+    const participantesUids = [uid, ...miembros.filter(m => m !== uid)];
+    const aliases = { ...(grupo.aliases || {}) };
+    const datos = {
+      grupo_id: grupoId,
+      participantesUids,
+      participantes: participantesUids.map(m => ({ uid: m, ...(aliases[m] ? { alias: aliases[m] } : {}), participacion: 1 })),
+      aliases: Object.fromEntries(Object.entries(aliases).filter(([m]) => participantesUids.includes(m)))
+    };
+    const division = grupo.division;
+    if (division && division.modo && division.modo !== 'igual') {
+      const valores = {};
+      Object.entries(division.valores || {}).forEach(([m, v]) => {
+        if (participantesUids.includes(m)) valores[m] = Number(v);
+      });
+      const heredada = { modo: division.modo, valores, excluidos: [] };
+      // Si los miembros cambiaron y la división ya no cierra, se usa partes iguales
+      if (validarDivision(0, participantesUids, heredada).isValid) datos.division = heredada;
+    }
+    return datos;
+  }
+
+  /**
+   * Lista los eventos de un grupo (requiere ser miembro del grupo)
+   * @param {string} grupoId
+   * @returns {Promise<Array>}
+   */
+  async listByGrupo(grupoId) {
+    this.initialize();
+    if (!grupoId) throw new Error('ID de grupo requerido');
+    const q = query(collection(this.db, 'eventos'), where('grupo_id', '==', grupoId));
+    const snap = await getDocs(q);
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  }
+
+  /**
+   * Sumarse a un evento abierto de un grupo del que el usuario es miembro
+   * @param {string} eventoId
+   */
+  async joinFromGrupo(eventoId) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    await updateDoc(doc(this.db, 'eventos', eventoId), {
+      participantesUids: arrayUnion(user.uid)
+    });
+  }
+
   _genToken(length = 16) {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
     let out = '';
@@ -210,4 +1000,14 @@ class EventsService {
   }
 }
 
+/**
+ * Suma los montos de una lista de gastos en unidades mínimas de la moneda
+ * @param {Array<{monto:number}>} gastos
+ * @param {string} [moneda]
+ * @returns {number}
+ */
+export function sumarGastos(gastos, moneda) {
+  return sumarMontos((gastos || []).map(g => g.monto), moneda);
+}
+
 export const eventsService = new EventsService();
@@ -0,0 +1,166 @@
+// =============================================================================
+// GROUPS SERVICE - GRUPOS PERSISTENTES QUE CONTIENEN EVENTOS (Firestore directo)
+// =============================================================================
+
+import { collection, doc, setDoc, serverTimestamp, query, where, getDocs, updateDoc, arrayUnion, getDoc } from 'firebase/firestore';
+import { getFirestore, getAuth } from '../core/firebase.js';
+import { validarDivision } from '@shared/splits.js';
+import { esMonedaValida, normalizarMoneda } from '@shared/currencies.js';
+
+class GroupsService {
+  constructor() {
+    this.db = null;
+    this.auth = null;
+  }
+
+  initialize() {
+    if (!this.db) this.db = getFirestore();
+    if (!this.auth) this.auth = getAuth();
+  }
+
+  /**
+   * Crea un grupo con el usuario actual como único miembro
+   * @param {Object} payload
+   * @param {string} payload.nombre
+   * @param {string} payload.moneda - Moneda por defecto de los eventos del grupo (ISO-4217)
+   * @returns {Promise<{id:string, token:string}>}
+   */
+  async createGrupo(payload) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+
+    const nombre = String(payload.nombre || '').trim();
+    const moneda = normalizarMoneda(payload.moneda);
+    if (!nombre) throw new Error('El nombre es requerido');
+    if (!esMonedaValida(moneda)) throw new Error('Moneda inválida');
+
+    const grupoRef = doc(collection(this.db, 'grupos'));
+    const token = this._genToken();
+    const aliasCreador = user.displayName || (user.email ? user.email.split('@')[0] : 'Creador');
+    await setDoc(grupoRef, {
+      id: grupoRef.id,
+      nombre,
+      moneda,
+      division: { modo: 'igual' },
+      miembrosUids: [user.uid],
+      aliases: { [user.uid]: aliasCreador },
+      creado_por: user.uid,
+      creado_en: serverTimestamp(),
+      token_invitacion: token
+    }, { merge: false });
+
+    return { id: grupoRef.id, token };
+  }
+
+  /**
+   * Lista los grupos donde el usuario actual es miembro
+   * @returns {Promise<Array>}
+   */
+  async listMine() {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+
+    const q = query(collection(this.db, 'grupos'), where('miembrosUids', 'array-contains', user.uid));
+    const snap = await getDocs(q);
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  }
+
+  /**
+   * Obtiene un grupo por ID (requiere ser miembro)
+   * @param {string} grupoId
+   * @returns {Promise<Object|null>}
+   */
+  async getGrupo(grupoId) {
+    this.initialize();
+    if (!grupoId) throw new Error('ID de grupo requerido');
+    const snap = await getDoc(doc(this.db, 'grupos', grupoId));
+    if (!snap.exists()) return null;
+    return { id: snap.id, ...snap.data() };
+  }
+
+  /**
+   * Actualiza nombre y valores por defecto del grupo (solo creador)
+   * @param {string} grupoId
+   * @param {{nombre?:string, moneda?:string, division?:Object}} changes
+   */
+  async updateGrupo(grupoId, changes) {
+    this.initialize();
+    if (!grupoId) throw new Error('ID de grupo requerido');
+    const updates = {};
+    if (changes.nombre !== undefined) {
+      const nombre = String(changes.nombre).trim();
+      if (!nombre) throw new Error('El nombre es requerido');
+      updates.nombre = nombre;
+    }
+    if (changes.moneda !== undefined) {
+      const moneda = normalizarMoneda(changes.moneda);
+      if (!esMonedaValida(moneda)) throw new Error('Moneda inválida');
+      updates.moneda = moneda;
+    }
+    if (changes.division !== undefined) {
+      updates.division = this._normalizarDivisionPorDefecto(changes.division);
+    }
+    if (Object.keys(updates).length === 0) return;
+    await updateDoc(doc(this.db, 'grupos', grupoId), updates);
+  }
+
+  /**
+   * Unirse a un grupo usando su token de invitación.
+   * También suma al usuario a los eventos abiertos del grupo.
+   * @param {string} grupoId
+   * @param {string} token
+   */
+  async joinByInvite(grupoId, token) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!grupoId || !token) throw new Error('Invitación inválida');
+
+    await updateDoc(doc(this.db, 'grupos', grupoId), {
+      miembrosUids: arrayUnion(user.uid),
+      last_join_token: token
+    });
+
+    const q = query(collection(this.db, 'eventos'), where('grupo_id', '==', grupoId));
+    const snap = await getDocs(q);
+    await Promise.all(snap.docs
+      .filter(d => d.data().estado === 'abierto' && !(d.data().participantesUids || []).includes(user.uid))
+      .map(d => updateDoc(d.ref, { participantesUids: arrayUnion(user.uid) }).catch(err => {
+        console.warn('⚠️ No se pudo sumar al evento del grupo:', d.id, err);
+      })));
+  }
+
+  /**
+   * División por defecto del grupo: solo modos que no dependen del total
+   * (el modo exacto se define en cada evento)
+   * @param {Object} division
+   * @returns {Object}
+   */
+  _normalizarDivisionPorDefecto(division) {
+    const modo = (division && division.modo) || 'igual';
+    if (!['igual', 'porcentaje', 'partes'].includes(modo)) throw new Error('Modo de división inválido para un grupo');
+    const valores = {};
+    Object.entries((division && division.valores) || {}).forEach(([uid, v]) => {
+      if (Number.isFinite(Number(v))) valores[uid] = Number(v);
+    });
+    const normalizada = { modo, ...(modo !== 'igual' ? { valores } : {}) };
+    const uids = Object.keys(valores);
+    // En modo partes, los miembros sin valor cuentan como 1 parte
+    if (modo === 'porcentaje' || (modo === 'partes' && uids.length > 0)) {
+      const validacion = validarDivision(0, uids, normalizada);
+      if (!validacion.isValid) throw new Error(validacion.errors.join('. '));
+    }
+    return normalizada;
+  }
+
+  _genToken(length = 16) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let out = '';
+    for (let i = 0; i < length; i++) out += chars.charAt(Math.floor(Math.random() * chars.length));
+    return out;
+  }
+}
+
+export const groupsService = new GroupsService();
@@ -0,0 +1,106 @@
+// =============================================================================
+// LIQUIDACIONES SERVICE - PAGOS REGISTRADOS ENTRE USUARIOS
+// =============================================================================
+
+import { collection, doc, addDoc, deleteDoc, serverTimestamp, query, where, orderBy, getDocs, Timestamp } from 'firebase/firestore';
+import { getFirestore, getAuth } from '../core/firebase.js';
+import { redondearMonto } from '@shared/money.js';
+
+// Tiempo durante el cual quien registró una liquidación puede deshacerla
+// (debe coincidir con la regla de delete en firestore.rules)
+export const VENTANA_DESHACER_MS = 5 * 60 * 1000;
+
+// Monto máximo de una liquidación (igual que isValidLiquidacion en firestore.rules)
+export const MAX_MONTO_LIQUIDACION = 1000000000;
+
+class LiquidacionesService {
+  constructor() {
+    this.db = null;
+    this.auth = null;
+  }
+
+  initialize() {
+    if (!this.db) this.db = getFirestore();
+    if (!this.auth) this.auth = getAuth();
+  }
+
+  /**
+   * Registra una transferencia recibida por el usuario actual: solo el
+   * acreedor puede dar por saldada (total o parcialmente) una deuda.
+   * Una Cloud Function ajusta los documentos de `balances`.
+   * @param {Object} data
+   * @param {string} data.de - UID de quien pagó
+   * @param {string} data.para - UID de quien recibió (el usuario actual)
+   * @param {number} data.monto
+   * @param {string} data.moneda
+   * @param {Date} [data.fecha]
+   * @param {string} [data.nota]
+   * @returns {Promise<string>} ID de la liquidación
+   */
+  async registrar({ de, para, monto, moneda, fecha, nota }) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!de || !para || de === para) throw new Error('Participantes inválidos');
+    if (para !== user.uid) throw new Error('Solo quien recibe el pago puede registrarlo');
+    const valor = redondearMonto(monto, moneda);
+    if (!Number.isFinite(valor) || valor <= 0 || valor > MAX_MONTO_LIQUIDACION) throw new Error('Monto inválido');
+    if (!moneda) throw new Error('Moneda requerida');
+
+    const ref = await addDoc(collection(this.db, 'liquidaciones'), {
+      de,
+      para,
+      participantes: [de, para],
+      monto: valor,
+      moneda: String(moneda).toUpperCase(),
+      fecha: Timestamp.fromDate(fecha instanceof Date ? fecha : new Date()),
+      ...(nota ? { nota: String(nota).slice(0, 200) } : {}),
+      creado_por: user.uid,
+      creado_en: serverTimestamp()
+    });
+    return ref.id;
+  }
+
+  /**
+   * Lista las liquidaciones en las que participa el usuario actual (más recientes primero)
+   * @returns {Promise<Array>}
+   */
+  async listMine() {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    const q = query(
+      collection(this.db, 'liquidaciones'),
+      where('participantes', 'array-contains', user.uid),
+      orderBy('fecha', 'desc')
+    );
+    const snap = await getDocs(q);
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  }
+
+  /**
+   * Deshace una liquidación (solo quien la registró, dentro de la ventana)
+   * @param {string} liquidacionId
+   */
+  async deshacer(liquidacionId) {
+    this.initialize();
+    if (!liquidacionId) throw new Error('ID de liquidación requerido');
+    await deleteDoc(doc(this.db, 'liquidaciones', liquidacionId));
+  }
+
+  /**
+   * Milisegundos que quedan para poder deshacer (0 si ya no se puede)
+   * @param {Object} liquidacion
+   * @returns {number}
+   */
+  tiempoParaDeshacer(liquidacion) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user || liquidacion.creado_por !== user.uid) return 0;
+    // Recién creada: serverTimestamp todavía sin resolver en la caché local
+    const creado = liquidacion.creado_en && liquidacion.creado_en.toMillis ? liquidacion.creado_en.toMillis() : Date.now();
+    return Math.max(0, creado + VENTANA_DESHACER_MS - Date.now());
+  }
+}
+
+export const liquidacionesService = new LiquidacionesService();
@@ -4,15 +4,21 @@
 
 import { getMessaging } from '../core/firebase.js';
 import { getFirestore } from '../core/firebase.js';
-import { doc, setDoc, serverTimestamp, updateDoc } from 'firebase/firestore';
+import { doc, setDoc, getDoc, deleteDoc, serverTimestamp, updateDoc, collection, query, where, getDocs } from 'firebase/firestore';
 import { getToken, onMessage, deleteToken } from 'firebase/messaging';
 import { ui } from '../ui/ui.js';
+import { router } from '../core/router.js';
+
+// Identificador estable de este navegador: hay un documento de fcm_tokens por
+// usuario y dispositivo, así un token renovado reemplaza al anterior
+const DEVICE_ID_KEY = 'fcmDeviceId';
 
 class MessagingService {
   constructor() {
     this.messaging = null;
     this.db = null;
     this.currentToken = null;
+    this.currentDocId = null;
     this.swRegistration = null;
     this.initialized = false;
     this._hostingInitAvailable = null;
@@ -27,9 +33,12 @@ class MessagingService {
       // Registrar Service Worker (si aún no está registrado)
       if (hostingOk && 'serviceWorker' in navigator) {
         try {
-          this.swRegistration = await navigator.serviceWorker.register('/firebase-messaging-sw.js');
-          // Asegurar que esté activo
-          await navigator.serviceWorker.ready;
+          // Scope propio para no reemplazar al SW del app shell (/sw.js en '/')
+          this.swRegistration = await navigator.serviceWorker.register('/firebase-messaging-sw.js', {
+            scope: '/firebase-cloud-messaging-push-scope'
+          });
+          // No usar navigator.serviceWorker.ready: resuelve con el SW que controla
+          // la página ('/'), no con este. getToken espera a que esté activo.
           console.log('✓ SW FCM registrado');
         } catch (e) {
           console.warn('⚠ No se pudo registrar el SW de FCM:', e?.message || e);
@@ -38,6 +47,18 @@ class MessagingService {
         console.warn('⚠ Service Workers no soportados en este navegador');
       }
 
+      // Click en un push con la app abierta: el SW de FCM no controla esta
+      // página y pide la navegación por mensaje (ver firebase-messaging-sw.js)
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+          const data = event.data || {};
+          if (data.tipo !== 'NAVEGAR' || typeof data.url !== 'string') return;
+          const url = new URL(data.url, window.location.origin);
+          if (url.origin !== window.location.origin) return;
+          router.navigateTo(`${url.pathname}${url.search}`);
+        });
+      }
+
       // Suscripción a mensajes en foreground
       try {
         onMessage(this.messaging, (payload) => {
@@ -103,17 +124,29 @@ class MessagingService {
 
       this.currentToken = token;
 
-      // Guardar/activar token en Firestore
-      const ref = doc(this.db, 'fcm_tokens', token);
+      // Guardar/activar el token en el documento de este dispositivo.
+      // La etiqueta solo se pone al crearlo para no pisar la que eligió el usuario.
+      const docId = this.deviceDocId(user.uid);
+      const ref = doc(this.db, 'fcm_tokens', docId);
+      const previo = await getDoc(ref).catch(() => null);
+      const existe = !!(previo && previo.exists());
       await setDoc(ref, {
         token,
         userId: user.uid,
+        device_id: this._getDeviceId(),
         active: true,
-        created_at: serverTimestamp(),
+        last_seen: serverTimestamp(),
         updated_at: serverTimestamp(),
+        ...(existe ? {} : { label: this._getDeviceLabel(), created_at: serverTimestamp() })
       }, { merge: true });
+      this.currentDocId = docId;
+
+      // Los tokens registrados antes usaban el token como ID del documento
+      if (docId !== token) {
+        try { await deleteDoc(doc(this.db, 'fcm_tokens', token)); } catch (_) {}
+      }
 
-      console.log('✓ Token FCM registrado');
+      console.log('✓ Token FCM registrado para este dispositivo');
       return token;
     } catch (e) {
       console.error('❌ Error habilitando FCM:', e);
@@ -124,10 +157,10 @@ class MessagingService {
   async disableForUser() {
     try {
       await this.initialize();
-      // Marcar token como inactivo en Firestore si existe
-      if (this.currentToken) {
+      // Marcar el dispositivo como inactivo en Firestore si existe
+      if (this.currentDocId) {
         try {
-          const ref = doc(this.db, 'fcm_tokens', this.currentToken);
+          const ref = doc(this.db, 'fcm_tokens', this.currentDocId);
           await updateDoc(ref, { active: false, updated_at: serverTimestamp() });
         } catch (_) {}
       }
@@ -140,11 +173,90 @@ class MessagingService {
         console.warn('⚠ No se pudo borrar el token local:', e?.message || e);
       }
       this.currentToken = null;
+      this.currentDocId = null;
     } catch (e) {
       console.error('❌ Error deshabilitando FCM:', e);
     }
   }
 
+  /**
+   * ID del documento de fcm_tokens de este dispositivo para un usuario
+   * @param {string} uid
+   * @returns {string}
+   */
+  deviceDocId(uid) {
+    return `${uid}_${this._getDeviceId()}`;
+  }
+
+  /**
+   * Dispositivos del usuario que registraron notificaciones
+   * @param {string} uid
+   * @returns {Promise<Array>} ordenados por última actividad; `actual` marca este navegador
+   */
+  async listDevices(uid) {
+    if (!this.db) this.db = getFirestore();
+    const snap = await getDocs(query(collection(this.db, 'fcm_tokens'), where('userId', '==', uid)));
+    const actual = this.deviceDocId(uid);
+    const vistoEn = (d) => (d.last_seen && d.last_seen.toMillis ? d.last_seen.toMillis() : 0);
+    return snap.docs
+      .map(d => ({ id: d.id, ...d.data(), actual: d.id === actual }))
+      .sort((a, b) => vistoEn(b) - vistoEn(a));
+  }
+
+  /**
+   * Cambia el nombre con el que se muestra un dispositivo
+   * @param {string} docId
+   * @param {string} label
+   */
+  async renameDevice(docId, label) {
+    if (!this.db) this.db = getFirestore();
+    const limpio = String(label || '').trim().slice(0, 60);
+    if (!limpio) throw new Error('Nombre requerido');
+    await updateDoc(doc(this.db, 'fcm_tokens', docId), { label: limpio, updated_at: serverTimestamp() });
+  }
+
+  /**
+   * Quita un dispositivo: deja de recibir notificaciones hasta volver a activarlas en él
+   * @param {string} docId
+   */
+  async removeDevice(docId) {
+    if (!this.db) this.db = getFirestore();
+    if (docId === this.currentDocId) {
+      await this.disableForUser();
+    }
+    await deleteDoc(doc(this.db, 'fcm_tokens', docId));
+  }
+
+  _getDeviceId() {
+    let id = null;
+    try { id = localStorage.getItem(DEVICE_ID_KEY); } catch (_) {}
+    if (!id) {
+      id = (window.crypto && crypto.randomUUID)
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+      try { localStorage.setItem(DEVICE_ID_KEY, id); } catch (_) {}
+    }
+    return id;
+  }
+
+  // Etiqueta legible del navegador y sistema (ej: "Chrome en Android")
+  _getDeviceLabel() {
+    const ua = navigator.userAgent || '';
+    const navegador = /Edg\//.test(ua) ? 'Edge'
+      : /OPR\//.test(ua) ? 'Opera'
+      : /Firefox\//.test(ua) ? 'Firefox'
+      : /Chrome\//.test(ua) ? 'Chrome'
+      : /Safari\//.test(ua) ? 'Safari'
+      : 'Navegador';
+    const sistema = /Android/.test(ua) ? 'Android'
+      : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+      : /Windows/.test(ua) ? 'Windows'
+      : /Mac OS X/.test(ua) ? 'macOS'
+      : /Linux/.test(ua) ? 'Linux'
+      : '';
+    return sistema ? `${navegador} en ${sistema}` : navegador;
+  }
+
   // Detecta si el auto-init de Firebase Hosting está disponible en este origen
   async _canUseFirebaseHostingInit() {
     if (this._hostingInitAvailable !== null) return this._hostingInitAvailable;
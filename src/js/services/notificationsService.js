@@ -0,0 +1,110 @@
+// =============================================================================
+// NOTIFICATIONS SERVICE - CENTRO DE NOTIFICACIONES DEL USUARIO
+// =============================================================================
+
+// Las notificaciones las escriben las Cloud Functions en
+// usuarios/{uid}/notificaciones; el cliente solo las lee y las marca como leídas.
+
+import { collection, doc, query, orderBy, limit, where, onSnapshot, updateDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { getFirestore, getAuth } from '../core/firebase.js';
+import { state } from '../core/state.js';
+
+// Cantidad de notificaciones recientes que se muestran en el centro
+const MAX_NOTIFICACIONES = 30;
+
+class NotificationsService {
+  constructor() {
+    this.db = null;
+    this.auth = null;
+    // Estos listeners viven toda la sesión: no se registran en state.setListener
+    // porque esos se cortan en cada cambio de ruta
+    this.unsubscribers = [];
+    this.noLeidas = [];
+  }
+
+  initialize() {
+    if (!this.db) this.db = getFirestore();
+    if (!this.auth) this.auth = getAuth();
+  }
+
+  _coleccion(uid) {
+    return collection(this.db, 'usuarios', uid, 'notificaciones');
+  }
+
+  /**
+   * Escucha las notificaciones del usuario actual y las publica en el estado
+   * (`notificaciones` y `notificacionesNoLeidas`)
+   */
+  start() {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    this.stop();
+
+    const recientes = query(this._coleccion(user.uid), orderBy('creado_en', 'desc'), limit(MAX_NOTIFICACIONES));
+    // El contador usa su propia consulta para incluir las no leídas más antiguas
+    const noLeidas = query(this._coleccion(user.uid), where('leida', '==', false));
+
+    this.unsubscribers = [
+      onSnapshot(recientes, (snap) => {
+        state.set('notificaciones', snap.docs.map(d => ({ id: d.id, ...d.data() })));
+      }, (error) => console.error('❌ Error al escuchar notificaciones:', error)),
+      onSnapshot(noLeidas, (snap) => {
+        this.noLeidas = snap.docs.map(d => d.id);
+        state.set('notificacionesNoLeidas', this.noLeidas.length);
+      }, (error) => console.error('❌ Error al contar notificaciones no leídas:', error))
+    ];
+    console.log('🔔 Centro de notificaciones activo');
+  }
+
+  /**
+   * Deja de escuchar (al cerrar sesión)
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => {
+      try { unsubscribe(); } catch (_) {}
+    });
+    this.unsubscribers = [];
+    this.noLeidas = [];
+  }
+
+  /**
+   * Marca una notificación como leída
+   * @param {string} notificacionId
+   */
+  async marcarLeida(notificacionId) {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    if (!notificacionId) return;
+
+    await updateDoc(doc(this._coleccion(user.uid), notificacionId), {
+      leida: true,
+      leida_en: serverTimestamp()
+    });
+  }
+
+  /**
+   * Marca como leídas todas las notificaciones pendientes
+   * @returns {Promise<number>} cantidad marcada
+   */
+  async marcarTodasLeidas() {
+    this.initialize();
+    const user = this.auth.currentUser;
+    if (!user) throw new Error('Debe iniciar sesión');
+    const ids = [...this.noLeidas];
+    if (ids.length === 0) return 0;
+
+    // Un batch admite hasta 500 escrituras
+    for (let i = 0; i < ids.length; i += 500) {
+      const batch = writeBatch(this.db);
+      ids.slice(i, i + 500).forEach(id => {
+        batch.update(doc(this._coleccion(user.uid), id), { leida: true, leida_en: serverTimestamp() });
+      });
+      await batch.commit();
+    }
+    return ids.length;
+  }
+}
+
+export const notificationsService = new NotificationsService();
@@ -0,0 +1,91 @@
+// =============================================================================
+// OCR SERVICE - LECTURA DE TICKETS EN EL NAVEGADOR (tesseract.js)
+// =============================================================================
+
+import { extraerDatosTicket } from '../core/receipts.js';
+
+// Worker, núcleo WASM e idioma se sirven desde /ocr (los copia webpack):
+// el reconocimiento corre completo en el navegador, sin APIs externas
+const OCR_BASE = '/ocr';
+const IDIOMA = 'spa';
+
+class OcrService {
+  constructor() {
+    this.worker = null;
+    this.workerPromise = null;
+    this.onProgress = null;
+  }
+
+  /**
+   * Crea el worker de tesseract una sola vez (la librería se carga bajo demanda)
+   * @returns {Promise<Object>}
+   */
+  async getWorker() {
+    if (this.worker) return this.worker;
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        const { createWorker, OEM } = await import(/* webpackChunkName: "tesseract" */ 'tesseract.js');
+        const origin = window.location.origin;
+        const worker = await createWorker(IDIOMA, OEM.LSTM_ONLY, {
+          workerPath: `${origin}${OCR_BASE}/worker.min.js`,
+          corePath: `${origin}${OCR_BASE}/core`,
+          langPath: `${origin}${OCR_BASE}/lang`,
+          gzip: true,
+          logger: (m) => {
+            if (this.onProgress && m && m.status === 'recognizing text') this.onProgress(m.progress || 0);
+          }
+        });
+        console.log('✅ Motor OCR listo');
+        this.worker = worker;
+        return worker;
+      })().catch((error) => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Reconoce el texto de una imagen
+   * @param {File|Blob|string} imagen - Archivo o URL (mismo origen o con CORS)
+   * @param {(progreso:number) => void} [onProgress] - Progreso entre 0 y 1
+   * @returns {Promise<string>}
+   */
+  async reconocer(imagen, onProgress = null) {
+    try {
+      const worker = await this.getWorker();
+      this.onProgress = onProgress;
+      const { data } = await worker.recognize(imagen);
+      return (data && data.text) || '';
+    } catch (error) {
+      console.error('❌ Error en OCR:', error);
+      throw new Error('No se pudo leer la imagen');
+    } finally {
+      this.onProgress = null;
+    }
+  }
+
+  /**
+   * Lee un ticket y extrae monto, fecha y comercio
+   * @param {File|Blob|string} imagen
+   * @param {(progreso:number) => void} [onProgress]
+   * @returns {Promise<{monto: number|null, fecha: string|null, comercio: string|null, texto: string}>}
+   */
+  async escanearTicket(imagen, onProgress = null) {
+    const texto = await this.reconocer(imagen, onProgress);
+    return { ...extraerDatosTicket(texto), texto };
+  }
+
+  /**
+   * Libera el worker (y su memoria WASM)
+   */
+  async terminate() {
+    const worker = this.worker;
+    this.worker = null;
+    this.workerPromise = null;
+    if (worker) await worker.terminate();
+  }
+}
+
+export const ocrService = new OcrService();
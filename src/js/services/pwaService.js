@@ -0,0 +1,123 @@
+// =============================================================================
+// PWA SERVICE - SERVICE WORKER DEL APP SHELL, ACTUALIZACIONES E INSTALACIÓN
+// =============================================================================
+
+import { ui } from '../ui/ui.js';
+
+class PwaService {
+  constructor() {
+    this.registration = null;
+    this.deferredInstallPrompt = null;
+    this.initialized = false;
+    this.reloading = false;
+  }
+
+  /**
+   * Registra /sw.js (solo en producción: en desarrollo el precache
+   * interferiría con el hot reload) y prepara el botón de instalación
+   */
+  async initialize() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    this.setupInstallPrompt();
+
+    if (!('serviceWorker' in navigator) || process.env.NODE_ENV !== 'production') return;
+
+    try {
+      this.registration = await navigator.serviceWorker.register('/sw.js', { scope: '/' });
+      console.log('✅ Service Worker del app shell registrado');
+
+      // Ya había una versión nueva esperando (descargada en una visita anterior)
+      if (this.registration.waiting && navigator.serviceWorker.controller) {
+        this.showUpdatePrompt(this.registration.waiting);
+      }
+
+      this.registration.addEventListener('updatefound', () => {
+        const nuevo = this.registration.installing;
+        if (!nuevo) return;
+        nuevo.addEventListener('statechange', () => {
+          // Sin controller es la primera instalación: no hay nada que actualizar
+          if (nuevo.state === 'installed' && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(nuevo);
+          }
+        });
+      });
+
+      // La versión nueva tomó control: recargar una sola vez para usar el build nuevo
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (this.reloading) return;
+        this.reloading = true;
+        window.location.reload();
+      });
+
+      // Buscar deploys nuevos cuando la pestaña vuelve a estar visible
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') this.registration.update().catch(() => {});
+      });
+    } catch (error) {
+      console.warn('⚠️ No se pudo registrar el Service Worker del app shell:', error?.message || error);
+    }
+  }
+
+  /**
+   * Muestra el aviso de versión nueva con el botón para aplicarla
+   * @param {ServiceWorker} worker - SW instalado en espera
+   */
+  showUpdatePrompt(worker) {
+    const notification = ui.showNotification(
+      'Hay una nueva versión disponible. <button type="button" class="btn btn-sm btn-light ms-2" data-accion="actualizar-app">Actualizar</button>',
+      'info',
+      0
+    );
+    const btn = notification?.querySelector('[data-accion="actualizar-app"]');
+    if (btn) {
+      btn.addEventListener('click', () => {
+        btn.disabled = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+      });
+    }
+  }
+
+  /**
+   * Guarda el evento beforeinstallprompt para mostrar nuestro propio botón
+   */
+  setupInstallPrompt() {
+    const btn = document.getElementById('btnInstalarApp');
+
+    window.addEventListener('beforeinstallprompt', (event) => {
+      event.preventDefault();
+      this.deferredInstallPrompt = event;
+      if (btn) btn.style.display = 'inline-block';
+    });
+
+    window.addEventListener('appinstalled', () => {
+      this.deferredInstallPrompt = null;
+      if (btn) btn.style.display = 'none';
+      ui.showNotification('App instalada', 'success');
+    });
+
+    if (btn) {
+      btn.addEventListener('click', () => this.promptInstall());
+    }
+  }
+
+  /**
+   * Abre el diálogo de instalación del navegador
+   */
+  async promptInstall() {
+    const prompt = this.deferredInstallPrompt;
+    if (!prompt) return;
+    this.deferredInstallPrompt = null;
+    prompt.prompt();
+    try {
+      const { outcome } = await prompt.userChoice;
+      console.log('📲 Instalación de la app:', outcome);
+    } finally {
+      const btn = document.getElementById('btnInstalarApp');
+      if (btn) btn.style.display = 'none';
+    }
+  }
+}
+
+export const pwaService = new PwaService();
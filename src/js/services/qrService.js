@@ -0,0 +1,155 @@
+// =============================================================================
+// QR SERVICE - CÓDIGOS QR DE INVITACIÓN Y ESCÁNER CON LA CÁMARA
+// =============================================================================
+
+// Todo se genera y decodifica en el navegador (qrcode y jsQR se cargan bajo
+// demanda); no se envía el link a ningún servicio externo.
+
+// Cada cuántos milisegundos se analiza un cuadro del video
+const INTERVALO_ESCANEO_MS = 200;
+
+class QrService {
+  constructor() {
+    this.detector = undefined;
+  }
+
+  /**
+   * Genera el QR de un texto como imagen PNG (data URL)
+   * @param {string} texto - ej: link de invitación
+   * @param {number} [tamano] - Ancho en píxeles
+   * @returns {Promise<string>}
+   */
+  async generarDataUrl(texto, tamano = 280) {
+    const { default: QRCode } = await import(/* webpackChunkName: "qrcode" */ 'qrcode');
+    return QRCode.toDataURL(texto, {
+      errorCorrectionLevel: 'M',
+      margin: 2,
+      width: tamano
+    });
+  }
+
+  /**
+   * Interpreta el contenido de un QR como link de invitación de esta app
+   * (también el link personal para reclamar un invitado sin cuenta)
+   * @param {string} texto
+   * @returns {{search: string}|null} query string con `invite` y `id` o `grupo` (o `reclamar` e `id`); null si no es una invitación
+   */
+  leerInvitacion(texto) {
+    let url;
+    try {
+      url = new URL(String(texto || '').trim(), window.location.origin);
+    } catch (_) {
+      return null;
+    }
+    if (url.origin !== window.location.origin) return null;
+    const params = url.searchParams;
+    if (params.get('reclamar') && params.get('id')) return { search: url.search };
+    if (!params.get('invite') || !(params.get('id') || params.get('grupo'))) return null;
+    return { search: url.search };
+  }
+
+  /**
+   * Indica si el navegador permite usar la cámara
+   * @returns {boolean}
+   */
+  puedeEscanear() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  /**
+   * Abre la cámara trasera en un <video> y busca un QR hasta encontrarlo.
+   * Usa BarcodeDetector cuando el navegador lo trae y jsQR en los demás.
+   * @param {HTMLVideoElement} video
+   * @param {(texto: string) => void} onDetectado - Se llama una sola vez; la cámara ya está detenida
+   * @returns {Promise<Function>} función para detener la cámara
+   */
+  async escanear(video, onDetectado) {
+    if (!this.puedeEscanear()) throw new Error('Este navegador no permite usar la cámara');
+    const decodificar = await this._decodificador();
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { ideal: 'environment' } },
+        audio: false
+      });
+    } catch (error) {
+      console.error('❌ Error al abrir la cámara:', error);
+      throw new Error(error && error.name === 'NotAllowedError'
+        ? 'Permiso de cámara denegado'
+        : 'No se pudo abrir la cámara');
+    }
+
+    video.srcObject = stream;
+    video.setAttribute('playsinline', '');
+    video.muted = true;
+    await video.play().catch(() => {});
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    let activo = true;
+    let timer = null;
+
+    const detener = () => {
+      activo = false;
+      if (timer) clearTimeout(timer);
+      stream.getTracks().forEach(track => track.stop());
+      video.srcObject = null;
+    };
+
+    const analizar = async () => {
+      if (!activo) return;
+      try {
+        if (video.readyState >= 2 && video.videoWidth > 0) {
+          const texto = await decodificar(video, canvas, ctx);
+          if (texto && activo) {
+            detener();
+            onDetectado(texto);
+            return;
+          }
+        }
+      } catch (error) {
+        console.warn('⚠️ Error analizando cuadro:', error);
+      }
+      if (activo) timer = setTimeout(analizar, INTERVALO_ESCANEO_MS);
+    };
+    analizar();
+
+    return detener;
+  }
+
+  // Función (video, canvas, ctx) => texto|null según lo que soporte el navegador
+  async _decodificador() {
+    if (this.detector === undefined) {
+      this.detector = null;
+      try {
+        if ('BarcodeDetector' in window) {
+          const formatos = await window.BarcodeDetector.getSupportedFormats();
+          if (formatos.includes('qr_code')) {
+            this.detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+          }
+        }
+      } catch (_) {
+        this.detector = null;
+      }
+    }
+    if (this.detector) {
+      return async (video) => {
+        const codigos = await this.detector.detect(video);
+        return codigos.length > 0 ? codigos[0].rawValue : null;
+      };
+    }
+
+    const { default: jsQR } = await import(/* webpackChunkName: "jsqr" */ 'jsqr');
+    return async (video, canvas, ctx) => {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const imagen = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const codigo = jsQR(imagen.data, imagen.width, imagen.height, { inversionAttempts: 'dontInvert' });
+      return codigo ? codigo.data : null;
+    };
+  }
+}
+
+export const qrService = new QrService();
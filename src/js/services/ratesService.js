@@ -0,0 +1,59 @@
+// =============================================================================
+// RATES SERVICE - COTIZACIONES DIARIAS (SNAPSHOTS EN config)
+// =============================================================================
+
+import { doc, getDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { getFirestore, getFunctions } from '../core/firebase.js';
+import { tasaDesdeSnapshot } from '@shared/currencies.js';
+
+class RatesService {
+  constructor() {
+    this.db = null;
+    this.functions = null;
+    this.cache = new Map();
+  }
+
+  initialize() {
+    if (!this.db) this.db = getFirestore();
+    if (!this.functions) this.functions = getFunctions();
+  }
+
+  /**
+   * Snapshot de cotizaciones de una fecha. Lee `config/cotizaciones_{fecha}`
+   * (disponible offline si ya se leyó) y, si no existe, pide a la Cloud
+   * Function que lo genere.
+   * @param {string} fecha - YYYY-MM-DD
+   * @returns {Promise<Object>}
+   */
+  async getSnapshot(fecha) {
+    this.initialize();
+    if (this.cache.has(fecha)) return this.cache.get(fecha);
+    const snap = await getDoc(doc(this.db, 'config', `cotizaciones_${fecha}`));
+    let data = snap.exists() ? snap.data() : null;
+    if (!data) {
+      const obtener = httpsCallable(this.functions, 'obtenerCotizaciones');
+      const res = await obtener({ fecha });
+      data = res.data;
+    }
+    this.cache.set(fecha, data);
+    return data;
+  }
+
+  /**
+   * Tipo de cambio moneda -> base de un tipo y fecha dados
+   * @param {string} moneda
+   * @param {string} base
+   * @param {('oficial'|'blue'|'mep')} tipo
+   * @param {string} fecha - YYYY-MM-DD
+   * @returns {Promise<number>}
+   */
+  async getTasa(moneda, base, tipo, fecha) {
+    const snapshot = await this.getSnapshot(fecha);
+    const tasa = tasaDesdeSnapshot(snapshot, moneda, base, tipo);
+    if (tasa === null) throw new Error(`No hay cotización ${tipo} de ${moneda} a ${base} para ${fecha}`);
+    return tasa;
+  }
+}
+
+export const ratesService = new RatesService();
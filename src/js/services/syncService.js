@@ -0,0 +1,113 @@
+// =============================================================================
+// SYNC SERVICE - ESCRITURAS SIN CONEXIÓN Y COLA DE CAMBIOS PENDIENTES
+// =============================================================================
+
+import { waitForPendingWrites } from 'firebase/firestore';
+import { getFirestore } from '../core/firebase.js';
+import { state } from '../core/state.js';
+
+// Tiempo máximo a esperar la confirmación del servidor antes de dar una
+// escritura por "pendiente" (conexión presente pero sin señal real)
+const ESPERA_CONFIRMACION_MS = 4000;
+
+const STORAGE_KEY = 'pendingWrites';
+
+class SyncService {
+  constructor() {
+    this.db = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Restaura la cola guardada y escucha los cambios de conectividad
+   */
+  initialize() {
+    if (this.initialized) return;
+    this.initialized = true;
+    this.db = getFirestore();
+
+    state.set('ui.online', this.isOnline());
+    window.addEventListener('online', () => state.set('ui.online', true));
+    window.addEventListener('offline', () => state.set('ui.online', false));
+
+    // Persistir la cola para que siga visible si se recarga la página sin conexión
+    state.subscribe('pendingWrites', (lista) => {
+      try { localStorage.setItem(STORAGE_KEY, JSON.stringify(lista || [])); } catch (_) {}
+    });
+
+    let guardadas = [];
+    try { guardadas = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'); } catch (_) {}
+    const pendientes = (guardadas || []).filter(w => w.estado === 'pendiente');
+    if (pendientes.length > 0) {
+      state.setPendingWrites(pendientes);
+      // Firestore reintenta las escrituras guardadas en IndexedDB; de una sesión
+      // anterior no se conoce el resultado individual, solo que ya se procesaron
+      waitForPendingWrites(this.db)
+        .then(() => pendientes.forEach(w => state.removePendingWrite(w.id)))
+        .catch(err => console.warn('⚠️ No se pudo esperar la sincronización:', err));
+    }
+  }
+
+  /**
+   * Indica si el navegador reporta conexión
+   * @returns {boolean}
+   */
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Sigue una escritura de Firestore. Si el servidor la confirma enseguida se
+   * comporta como un `await` normal; si no (sin conexión), la escritura queda
+   * aplicada en la caché local y se registra en la cola de cambios pendientes
+   * hasta que sincroniza o el servidor la rechaza (conflicto).
+   * @param {string} descripcion - Texto visible en la cola (ej: 'Gasto "Nafta"')
+   * @param {Promise} escritura - Promesa devuelta por setDoc/updateDoc/addDoc
+   * @param {{eventoId?:string}} [meta]
+   * @returns {Promise<boolean>} true si quedó pendiente de sincronizar
+   */
+  async track(descripcion, escritura, meta = {}) {
+    this.initialize();
+    const espera = this.isOnline() ? ESPERA_CONFIRMACION_MS : 0;
+    const confirmacion = escritura.then(() => true);
+    // El rechazo tardío se maneja abajo; evitar el aviso de promesa sin manejar
+    confirmacion.catch(() => {});
+    const confirmada = await Promise.race([
+      confirmacion,
+      new Promise(resolve => setTimeout(() => resolve(false), espera))
+    ]);
+    if (confirmada) return false;
+
+    const id = state.addPendingWrite({ descripcion, eventoId: meta.eventoId || null });
+    escritura
+      .then(() => state.removePendingWrite(id))
+      .catch((error) => {
+        console.error('❌ Cambio rechazado al sincronizar:', descripcion, error);
+        state.updatePendingWrite(id, { estado: 'conflicto', motivo: this.motivoDeRechazo(error) });
+      });
+    return true;
+  }
+
+  /**
+   * Mensaje legible para una escritura rechazada por el servidor
+   * @param {Error & {code?:string}} error
+   * @returns {string}
+   */
+  motivoDeRechazo(error) {
+    const code = (error && error.code) || '';
+    if (code.endsWith('permission-denied')) return 'El evento cambió mientras estabas sin conexión (por ejemplo, se cerró) y el cambio ya no está permitido';
+    if (code.endsWith('not-found')) return 'El evento ya no existe';
+    return (error && error.message) || 'Error desconocido';
+  }
+
+  /**
+   * Quita de la cola los conflictos ya vistos por el usuario
+   */
+  descartarConflictos() {
+    state.getPendingWrites()
+      .filter(w => w.estado === 'conflicto')
+      .forEach(w => state.removePendingWrite(w.id));
+  }
+}
+
+export const syncService = new SyncService();
@@ -4,6 +4,7 @@
 
 import { doc, setDoc, getDoc } from 'firebase/firestore';
 import { getFirestore, getAuth } from '../core/firebase.js';
+import { esInvitado } from '@shared/guests.js';
 
 class UserService {
   constructor() {
@@ -25,6 +26,8 @@ class UserService {
       uid: user.uid,
       email: user.email || '',
       displayName: data.displayName || user.displayName || '',
+      ...(data.moneda_base ? { moneda_base: data.moneda_base } : {}),
+      ...(typeof data.recordatorios_pago === 'boolean' ? { recordatorios_pago: data.recordatorios_pago } : {}),
       updated_at: new Date().toISOString()
     }, { merge: true });
   }
@@ -41,7 +44,8 @@ class UserService {
   async getProfiles(uids = []) {
     this.initialize();
     const results = {};
-    await Promise.all((uids || []).map(async (uid) => {
+    // Los invitados sin cuenta no tienen perfil
+    await Promise.all((uids || []).filter(uid => !esInvitado(uid)).map(async (uid) => {
       try {
         const ref = doc(this.db, 'usuarios', uid);
         const snap = await getDoc(ref);
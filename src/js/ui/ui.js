@@ -117,7 +117,7 @@ class UI {
 
   // Páginas
   hideAllPages() {
-    const pages = ['authPage', 'dashboardPage', 'eventoPage', 'balancesPage', 'ajustesPage'];
+    const pages = ['authPage', 'dashboardPage', 'eventoPage', 'grupoPage', 'balancesPage', 'ajustesPage'];
     pages.forEach(id => {
       const el = document.getElementById(id);
       if (el) el.style.display = 'none';
@@ -227,6 +227,7 @@ class UI {
   }
 
   // Mostrar modal
+  // options.onClose se llama una vez al cerrarlo (botón, overlay o hideModal)
   showModal(content, options = {}) {
     // Evitar conflicto con Bootstrap: usar prefijo gc-
     const modal = document.createElement('div');
@@ -300,6 +301,8 @@ class UI {
     overlay.addEventListener('click', () => this.hideModal(modal));
     closeBtn.addEventListener('click', () => this.hideModal(modal));
 
+    modal.onClose = typeof options.onClose === 'function' ? options.onClose : null;
+
     document.body.appendChild(modal);
     this.modals.push(modal);
 
@@ -307,6 +310,11 @@ class UI {
   }
 
   hideModal(modal) {
+    if (modal && modal.onClose) {
+      const onClose = modal.onClose;
+      modal.onClose = null;
+      try { onClose(); } catch (error) { console.error('❌ Error al cerrar modal:', error); }
+    }
     if (modal && modal.parentNode) {
       modal.style.animation = 'fadeOut 0.3s ease-out';
       setTimeout(() => {
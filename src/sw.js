@@ -0,0 +1,77 @@
+// Service Worker del app shell (PWA)
+
+// Plantilla: el build de webpack (AppShellServiceWorkerPlugin) completa la
+// versión y la lista de precache y la emite como /sw.js
+const VERSION = '__BUILD_VERSION__';
+const PRECACHE_URLS = __PRECACHE_MANIFEST__;
+
+const PREFIJO_CACHE = 'app-shell-';
+const CACHE_SHELL = `${PREFIJO_CACHE}${VERSION}`;
+// Recursos de CDN (Bootswatch, fuentes): se guardan la primera vez que se usan
+const CACHE_RUNTIME = 'runtime-cdn';
+const ORIGENES_CDN = ['https://cdn.jsdelivr.net', 'https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// Instalar: precachear el shell. No se activa solo; espera a que el usuario
+// acepte la actualización (mensaje SKIP_WAITING) para no mezclar versiones
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_SHELL).then((cache) => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+// Activar: borrar los shells de builds anteriores y tomar control de las pestañas
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(PREFIJO_CACHE) && key !== CACHE_SHELL)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Navegación (rutas del router SPA): red primero, index.html cacheado sin conexión
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html', { cacheName: CACHE_SHELL }))
+    );
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    // Auto-init de Hosting y SW de FCM siempre desde la red
+    if (url.pathname.startsWith('/__/') || url.pathname === '/firebase-messaging-sw.js') return;
+    // Bundles con hash: caché primero
+    event.respondWith(
+      caches.match(request, { cacheName: CACHE_SHELL }).then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  if (ORIGENES_CDN.includes(url.origin)) {
+    // Stale-while-revalidate: responder con la copia guardada y refrescarla en segundo plano
+    event.respondWith(
+      caches.open(CACHE_RUNTIME).then((cache) => cache.match(request).then((cached) => {
+        const red = fetch(request)
+          .then((response) => {
+            if (response && (response.ok || response.type === 'opaque')) cache.put(request, response.clone());
+            return response;
+          })
+          .catch(() => cached);
+        return cached || red;
+      }))
+    );
+  }
+  // Firestore, Auth y demás APIs pasan directo: Firestore tiene su propia caché offline
+});
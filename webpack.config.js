@@ -6,6 +6,40 @@ const TerserPlugin = require('terser-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const webpack = require('webpack')
 const dotenv = require('dotenv')
+const fs = require('fs')
+
+// Genera /sw.js a partir de src/sw.js con la lista de archivos emitidos por el
+// build (bundles, CSS, index.html y manifest) para precachear el app shell
+class AppShellServiceWorkerPlugin {
+  constructor(options) {
+    this.template = options.template
+    this.filename = options.filename || 'sw.js'
+  }
+
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack
+    compiler.hooks.thisCompilation.tap('AppShellServiceWorkerPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap({
+        name: 'AppShellServiceWorkerPlugin',
+        // Después de minificar y de fijar los hashes de contenido
+        stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_TRANSFER
+      }, () => {
+        compilation.fileDependencies.add(this.template)
+        const urls = Object.keys(compilation.assets)
+          .filter(name => /\.(js|css|html|webmanifest|png)$/.test(name))
+          .filter(name => name !== this.filename && name !== 'firebase-messaging-sw.js' && !name.includes('hot-update'))
+          // El OCR (varios MB) se descarga solo cuando se escanea un ticket
+          .filter(name => !name.startsWith('ocr/') && !name.includes('tesseract'))
+          .map(name => '/' + name)
+          .sort()
+        const codigo = fs.readFileSync(this.template, 'utf8')
+          .replace('__BUILD_VERSION__', () => compilation.hash)
+          .replace('__PRECACHE_MANIFEST__', () => JSON.stringify(urls, null, 2))
+        compilation.emitAsset(this.filename, new sources.RawSource(codigo))
+      })
+    })
+  }
+}
 
 module.exports = (env, argv) => {
   const isProduction = argv && argv.mode === 'production'
@@ -124,7 +158,9 @@ module.exports = (env, argv) => {
         '@': path.resolve(__dirname, 'src'),
         '@js': path.resolve(__dirname, 'src/js'),
         '@scss': path.resolve(__dirname, 'src/scss'),
-        '@assets': path.resolve(__dirname, 'src/assets')
+        '@assets': path.resolve(__dirname, 'src/assets'),
+        // Módulos puros compartidos con Cloud Functions
+        '@shared': path.resolve(__dirname, 'functions/src/shared')
       }
     },
     
@@ -178,9 +214,32 @@ module.exports = (env, argv) => {
             from: 'src/firebase-messaging-sw.js',
             to: 'firebase-messaging-sw.js',
             noErrorOnMissing: true
+          },
+          // Manifest de la PWA (instalable en Android y escritorio)
+          {
+            from: 'src/manifest.webmanifest',
+            to: 'manifest.webmanifest'
+          },
+          // OCR de tickets autoalojado: worker, núcleo WASM (solo LSTM) e idioma español
+          {
+            from: 'node_modules/tesseract.js/dist/worker.min.js',
+            to: 'ocr/worker.min.js'
+          },
+          {
+            from: 'node_modules/tesseract.js-core/tesseract-core{,-simd}-lstm.wasm.js',
+            to: 'ocr/core/[name][ext]'
+          },
+          {
+            from: 'node_modules/@tesseract.js-data/spa/4.0.0_best_int/spa.traineddata.gz',
+            to: 'ocr/lang/spa.traineddata.gz'
           }
         ]
       }),
+
+      // Service Worker del app shell (precache generado en cada build)
+      new AppShellServiceWorkerPlugin({
+        template: path.resolve(__dirname, 'src/sw.js')
+      }),
       
     
     ],
@@ -206,7 +265,8 @@ module.exports = (env, argv) => {
           vendor: {
             test: /[\\/]node_modules[\\/]/,
             name: 'vendors',
-            chunks: 'all',
+            // Solo dependencias de carga inicial: las de import() (OCR) van en su propio chunk
+            chunks: 'initial',
             priority: 10
           },
           common: {
@@ -245,7 +305,9 @@ module.exports = (env, argv) => {
     performance: {
       hints: isProduction ? 'warning' : false,
       maxEntrypointSize: 512000,
-      maxAssetSize: 512000
+      maxAssetSize: 512000,
+      // Los archivos del OCR son grandes por naturaleza y se cargan bajo demanda
+      assetFilter: (assetFilename) => !/\.map$/.test(assetFilename) && !assetFilename.startsWith('ocr/')
     }
   };
 };